@@ -0,0 +1,407 @@
+/**
+ * AI Analysis Requests
+ *
+ * Backs POST /api/analyze in both runtimes. The browser only says what to
+ * analyse; the prompt is rendered here from the stored survey data with a
+ * versioned template (see prompts/index.js). Prompt text and model settings
+ * from the browser are refused, and provider, model and sampling always come
+ * from ANALYSIS_CONFIGS (see llm/index.js).
+ *
+ * REQUEST BODY:
+ * {
+ *   type:     one of ANALYSIS_TYPES (default team-insights),
+ *   weekId:   survey week, YYYY-MM-DD (default: the latest week),
+ *   gameInfo: score-explanation only - the week's games,
+ *             [{ result, yourScore, opponentScore, practicePerformance, skipped }]
+ *             (default: the games stored with the latest analysis)
+ * }
+ *
+ * RESULT:
+ * score-explanation answers with text. team-insights answers with a
+ * validated object (see structuredInsights.js); a reply that does not
+ * validate is asked for again. If the provider still fails, the
+ * deterministic rule-based analysis answers instead (see
+ * ruleBasedAnalysis.js), as it always does for teams that turned AI off.
+ *
+ * PRIVACY:
+ * Open-text answers are redacted (roster names, emails, phone numbers and
+ * other identifiers, see redaction.js) before they go into a prompt, and
+ * every prompt that carries them is recorded in the RedactionAudit tab.
+ */
+
+import { TABS } from './storage/index.js';
+import { computeSeasonHistory, groupRowsByWeek, getSeriesOptions, getMinResponses } from './history.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { readLatestGameInfo } from './insights.js';
+import { readTeamSettings } from './settings.js';
+import { ANALYSIS_TYPES, runAnalysis, runStructuredAnalysis } from './llm/index.js';
+import { renderPrompt } from './prompts/index.js';
+import { isPromptedAnswer } from './prompts/teamInsights.js';
+import { parseTeamInsights } from './structuredInsights.js';
+import { RULE_BASED_VERSION, writeRuleBasedScoreExplanation, writeRuleBasedTeamInsights } from './ruleBasedAnalysis.js';
+import { redactResponses, appendRedactionAudit } from './redaction.js';
+import { getDimensionNames } from '../../src/utils/surveySchema.js';
+
+// Results offered by the game-info form
+export const GAME_RESULTS = ['Win', 'Lose', 'Tie', 'No Game'];
+
+// Most games one analysis can cover
+export const MAX_GAMES = 10;
+
+// Weeks of participation history given to the score explanation
+const PARTICIPATION_WEEKS = 6;
+
+const REQUEST_FIELDS = ['type', 'weekId', 'gameInfo'];
+
+/**
+ * Validate one game of `gameInfo`
+ * @private
+ */
+function validateGame(game, label) {
+  if (!game || typeof game !== 'object' || Array.isArray(game)) {
+    return [`${label} must be an object`];
+  }
+  if (game.skipped === true) {
+    return [];
+  }
+
+  const errors = [];
+  const isScore = value => Number.isInteger(value) && value >= 0 && value <= 999;
+
+  if (!GAME_RESULTS.includes(game.result)) {
+    errors.push(`${label}.result must be one of: ${GAME_RESULTS.join(', ')}`);
+  } else if (game.result !== 'No Game' && (!isScore(game.yourScore) || !isScore(game.opponentScore))) {
+    errors.push(`${label} scores must be whole numbers from 0 to 999`);
+  }
+
+  if (game.practicePerformance !== null && game.practicePerformance !== undefined &&
+      !(Number.isInteger(game.practicePerformance) && game.practicePerformance >= 1 && game.practicePerformance <= 10)) {
+    errors.push(`${label}.practicePerformance must be a whole number from 1 to 10`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a POST /api/analyze body
+ *
+ * @param {Object} body - Request body
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateAnalysisRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be an object'];
+  }
+
+  const errors = [];
+
+  if ('prompt' in body) {
+    errors.push('prompt is not accepted - the server builds the prompt from the survey data');
+  }
+  if ('config' in body) {
+    errors.push('config is not accepted - provider, model and sampling are set on the server');
+  }
+  Object.keys(body)
+    .filter(key => !REQUEST_FIELDS.includes(key) && key !== 'prompt' && key !== 'config')
+    .forEach(key => errors.push(`Unknown field "${key}"`));
+
+  const type = body.type ?? 'team-insights';
+  if (!ANALYSIS_TYPES.includes(type)) {
+    errors.push(`Invalid analysis type. Must be one of: ${ANALYSIS_TYPES.join(', ')}`);
+  }
+
+  if (body.weekId !== undefined && body.weekId !== null &&
+      (typeof body.weekId !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(body.weekId))) {
+    errors.push('weekId must be a date (YYYY-MM-DD)');
+  }
+
+  if (body.gameInfo !== undefined && body.gameInfo !== null) {
+    if (type !== 'score-explanation') {
+      errors.push('gameInfo is only used by score-explanation');
+    } else {
+      const games = Array.isArray(body.gameInfo) ? body.gameInfo : [body.gameInfo];
+      if (games.length > MAX_GAMES) {
+        errors.push(`gameInfo can list at most ${MAX_GAMES} games`);
+      } else {
+        games.forEach((game, index) => errors.push(...validateGame(game, `gameInfo[${index}]`)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Error with an HTTP status code for the route
+ * @private
+ */
+function statusError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Keep only the game fields the templates use
+ * @private
+ */
+function normalizeGames(gameInfo) {
+  const games = Array.isArray(gameInfo) ? gameInfo : (gameInfo ? [gameInfo] : []);
+  return games.map(game => game?.skipped ? { skipped: true } : {
+    result: game.result,
+    yourScore: game.yourScore ?? null,
+    opponentScore: game.opponentScore ?? null,
+    practicePerformance: game.practicePerformance ?? null,
+    skipped: false
+  });
+}
+
+/**
+ * A reported week of the season history (default: the latest)
+ * @private
+ */
+function findReportedWeek(history, weekId) {
+  const targetWeekId = weekId || history.latestWeekId;
+  const weekIndex = history.weeks.findIndex(week => week.weekId === targetWeekId);
+  const week = history.weeks[weekIndex];
+
+  if (!week) {
+    throw statusError(targetWeekId ? `No survey responses for week ${targetWeekId}` : 'No survey responses yet', 404);
+  }
+  // A suppressed week is left out of AI analysis as well as the dashboard
+  if (week.suppressed) {
+    throw statusError(`Week ${targetWeekId} has fewer than ${history.minResponses} responses`, 422);
+  }
+
+  return { weekId: targetWeekId, weekIndex, week };
+}
+
+/**
+ * Template data for the score explanation of one reported week
+ * @private
+ */
+async function buildScoreExplanationContext(storage, weekId, gameInfo) {
+  const schema = loadSurveySchema();
+  const [rows, settings, storedGames] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readTeamSettings(storage),
+    gameInfo ? null : readLatestGameInfo(storage)
+  ]);
+
+  const history = computeSeasonHistory(rows, schema, settings);
+  const { weekId: targetWeekId, weekIndex, week } = findReportedWeek(history, weekId);
+
+  const participationWeeks = history.weeks
+    .slice(0, weekIndex + 1)
+    .filter(previous => previous.participation)
+    .slice(-PARTICIPATION_WEEKS)
+    .map(previous => ({
+      weekId: previous.weekId,
+      responseCount: previous.participation.responseCount,
+      rosterSize: previous.participation.rosterSize,
+      rate: previous.participation.rate,
+      low: previous.participation.low
+    }));
+
+  return {
+    weekId: targetWeekId,
+    context: {
+      weeklyScore: week.teamScore,
+      seasonAverage: history.seasonAverage ?? week.teamScore,
+      games: normalizeGames(gameInfo || storedGames),
+      dimensionNames: getDimensionNames(schema),
+      // The forecast looks ahead from the latest week only
+      forecast: targetWeekId === history.latestWeekId ? history.forecast : null,
+      agreement: week.dimensions,
+      participation: week.participation
+        ? { minParticipation: history.minParticipation, weeks: participationWeeks }
+        : null
+    }
+  };
+}
+
+/**
+ * Template data for the team insights of one week's open-text answers
+ * @private
+ */
+async function buildTeamInsightsContext(storage, weekId) {
+  const schema = loadSurveySchema();
+  const [rows, settings] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readTeamSettings(storage)
+  ]);
+  // Grouped like the season history, so excluded careless responses are left out of the AI analysis too
+  const series = groupRowsByWeek(rows, schema, getSeriesOptions(settings));
+  const targetWeekId = weekId || series.latestWeekId;
+  const week = series.weeks[targetWeekId];
+
+  if (!week) {
+    throw statusError(targetWeekId ? `No survey responses for week ${targetWeekId}` : 'No survey responses yet', 404);
+  }
+
+  // A suppressed week is left out of AI analysis as well as the dashboard
+  const minResponses = getMinResponses();
+  if (week.responses.length < minResponses) {
+    throw statusError(`Week ${targetWeekId} has fewer than ${minResponses} responses`, 422);
+  }
+
+  // Personal information never reaches the model
+  const { responses, answers, redactedAnswers, counts } = redactResponses(week.responses, { names: settings.rosterNames });
+
+  return {
+    weekId: targetWeekId,
+    context: { responses, dimensionNames: getDimensionNames(schema) },
+    redaction: { answers, redactedAnswers, counts }
+  };
+}
+
+/**
+ * Build the prompt of a validated analysis request from the stored data
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} request - Body accepted by validateAnalysisRequest()
+ * @returns {Promise<Object>} { prompt, promptVersion, weekId, dimensionNames,
+ *                              redaction: { answers, redactedAnswers, counts } for prompts with open text, else null,
+ *                              sourceAnswers: exactly the redacted answers in the prompt, else null }
+ * @throws {Error} code 404 if the week has no responses, 422 if it has too few to report
+ */
+export async function buildAnalysisPrompt(storage, { type = 'team-insights', weekId = null, gameInfo = null } = {}) {
+  const { weekId: targetWeekId, context, redaction = null } = type === 'score-explanation'
+    ? await buildScoreExplanationContext(storage, weekId, gameInfo)
+    : await buildTeamInsightsContext(storage, weekId);
+
+  const sourceAnswers = redaction
+    ? context.responses.flatMap(response => (response.openText || []).map(({ answer }) => answer).filter(isPromptedAnswer))
+    : null;
+
+  return { ...renderPrompt(type, context), weekId: targetWeekId, dimensionNames: context.dimensionNames, redaction, sourceAnswers };
+}
+
+/**
+ * Rule-based analysis of a validated request (see ruleBasedAnalysis.js)
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} request - Body accepted by validateAnalysisRequest()
+ * @returns {Promise<Object>} Same shape as runAnalysisRequest(), with provider 'rules',
+ *                            promptVersion RULE_BASED_VERSION and no model
+ * @throws {Error} code 404 if the week has no responses, 422 if it has too few to report
+ */
+export async function runRuleBasedAnalysis(storage, { type = 'team-insights', weekId = null, gameInfo = null } = {}) {
+  const schema = loadSurveySchema();
+  const [rows, settings, storedGames] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readTeamSettings(storage),
+    type === 'score-explanation' && !gameInfo ? readLatestGameInfo(storage) : null
+  ]);
+
+  const history = computeSeasonHistory(rows, schema, settings);
+  const { weekId: targetWeekId, week } = findReportedWeek(history, weekId);
+
+  let analysis;
+  if (type === 'score-explanation') {
+    analysis = writeRuleBasedScoreExplanation({
+      week,
+      seasonAverage: history.seasonAverage,
+      games: normalizeGames(gameInfo || storedGames)
+    });
+  } else {
+    // The open text of the responses the week was scored from, redacted like
+    // a prompt since the quotes are stored and shown
+    const series = groupRowsByWeek(rows, schema, getSeriesOptions(settings));
+    const { responses } = redactResponses(series.weeks[targetWeekId].responses, { names: settings.rosterNames });
+    analysis = writeRuleBasedTeamInsights({ responses, dimensions: week.dimensions });
+  }
+
+  return {
+    analysis,
+    type,
+    weekId: targetWeekId,
+    promptVersion: RULE_BASED_VERSION,
+    provider: 'rules',
+    model: null,
+    attempts: 0,
+    fallback: false
+  };
+}
+
+/**
+ * Run a validated analysis request: build the prompt, ask the configured
+ * provider and check the answer
+ *
+ * Teams with `analysisMode: 'rules'` get the rule-based analysis without the
+ * LLM being called. If the provider fails or no answer validates, the
+ * rule-based analysis is returned instead, with `fallback: true`.
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} request - Body accepted by validateAnalysisRequest()
+ * @param {Object} options
+ * @param {Object} options.provider - Provider instance to use instead of the configured one (tests)
+ * @returns {Promise<Object>} { analysis, type, weekId, promptVersion, provider, model, attempts, fallback }
+ *                            (analysis: text, or team insights for team-insights)
+ * @throws {Error} code 404/422 from buildAnalysisPrompt()
+ */
+export async function runAnalysisRequest(storage, request, { provider = null } = {}) {
+  const type = request.type ?? 'team-insights';
+  const settings = await readTeamSettings(storage);
+  if (settings.analysisMode === 'rules') {
+    return runRuleBasedAnalysis(storage, { ...request, type });
+  }
+
+  const { prompt, promptVersion, weekId, dimensionNames, redaction, sourceAnswers } = await buildAnalysisPrompt(storage, { ...request, type });
+  if (redaction) {
+    await appendRedactionAudit(storage, { type, weekId, promptVersion, ...redaction });
+  }
+
+  try {
+    // Provider, model and sampling come from ANALYSIS_CONFIGS
+    const result = type === 'team-insights'
+      ? await runStructuredAnalysis(type, prompt, text => {
+        // Quotes the answers do not contain are dropped
+        const { insights, errors } = parseTeamInsights(text, { dimensionNames, sourceAnswers });
+        return { value: insights, errors };
+      }, { provider })
+      : { ...await runAnalysis(type, prompt, { provider }), attempts: 1 };
+
+    return { ...result, type, weekId, promptVersion, fallback: false };
+  } catch (error) {
+    console.warn(`⚠️ ${type} analysis failed, using the rule-based analysis instead:`, error.message);
+    return { ...await runRuleBasedAnalysis(storage, { ...request, type, weekId }), fallback: true };
+  }
+}
+
+/**
+ * Fill in the analyses a POST /api/insights body is missing (the AI call
+ * failed in the browser) with the rule-based analysis of the latest week
+ *
+ * Without a reportable week the body is returned as it is, and
+ * appendInsights() stores its "temporarily unavailable" messages.
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} body - { scoreExplanation, insights, gameInfo, thingsToLookOutFor, teamChemistryScore }
+ * @returns {Promise<Object>} The body with scoreExplanation and thingsToLookOutFor filled in where possible
+ */
+export async function fillMissingAnalyses(storage, body) {
+  const missing = [
+    ['scoreExplanation', 'score-explanation'],
+    ['thingsToLookOutFor', 'team-insights']
+  ].filter(([field]) => !body[field]);
+  if (missing.length === 0) {
+    return body;
+  }
+
+  const filled = { ...body };
+  for (const [field, type] of missing) {
+    try {
+      const { analysis } = await runRuleBasedAnalysis(storage, {
+        type,
+        gameInfo: type === 'score-explanation' ? body.gameInfo : null
+      });
+      filled[field] = analysis;
+      console.log(`📐 No ${field} submitted - stored the rule-based analysis`);
+    } catch (error) {
+      if (![404, 422].includes(error.code)) throw error;
+    }
+  }
+
+  return filled;
+}
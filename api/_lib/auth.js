@@ -0,0 +1,318 @@
+/**
+ * Shared Session Authentication
+ *
+ * Used by both runtimes (Express server.js and the Vercel functions in api/)
+ * so the session cookie is issued and verified in exactly one place.
+ *
+ * SECURITY:
+ * - HMAC-SHA256 signed, stateless session tokens
+ * - Constant-time signature comparison
+ * - Consistent 401 response shape for every protected route
+ *
+ * ROLES:
+ * - staff: signed in with NGAUGE_MASTER_PASSWORD (every dashboard route)
+ * - admin: signed in with NGAUGE_ADMIN_PASSWORD (also the admin-only
+ *          diagnostics, see requireAdmin). The role is part of the signed
+ *          token, so it cannot be changed client-side.
+ */
+
+import crypto from 'crypto';
+
+export const SESSION_COOKIE_NAME = 'ngauge_session';
+
+// Session configuration
+export const SESSION_EXPIRY_DAYS = parseInt(process.env.SESSION_EXPIRY_DAYS || '7', 10);
+export const SESSION_EXPIRY_MS = SESSION_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Error code returned in every 401 body.
+ * The frontend services look for this code to send the user back to the PasswordGate.
+ */
+export const AUTH_REQUIRED_CODE = 'AUTH_REQUIRED';
+
+/**
+ * Error code returned in the 403 body of admin-only routes
+ */
+export const ADMIN_REQUIRED_CODE = 'ADMIN_REQUIRED';
+
+export const SESSION_ROLES = {
+  STAFF: 'staff',
+  ADMIN: 'admin'
+};
+
+// Generated once per process so tokens issued by this instance stay verifiable
+let generatedSecret = null;
+
+/**
+ * Get or generate session secret key
+ */
+export function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET_KEY;
+  if (secret) return secret;
+
+  // Auto-generate secret if not provided (not recommended for production)
+  if (!generatedSecret) {
+    console.warn('⚠️  SESSION_SECRET_KEY not set, using auto-generated secret');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Generate signed session token
+ * @param {string} role - SESSION_ROLES.STAFF or SESSION_ROLES.ADMIN
+ */
+export function generateSessionToken(role = SESSION_ROLES.STAFF) {
+  const secret = getSessionSecret();
+  const timestamp = Date.now();
+  const expiry = timestamp + SESSION_EXPIRY_MS;
+
+  // Create payload
+  const payload = `${timestamp}:${expiry}:${role}`;
+
+  // Sign with HMAC-SHA256
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+  // Combine payload + signature
+  const token = `${payload}:${signature}`;
+
+  // Base64 encode for cookie storage
+  return Buffer.from(token).toString('base64');
+}
+
+/**
+ * Verify session token signature and expiration
+ */
+export function verifySessionToken(token) {
+  try {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, error: 'No token provided' };
+    }
+
+    // Decode from base64
+    const decoded = Buffer.from(token, 'base64').toString('utf-8');
+
+    // Parse token: timestamp:expiry:role:signature
+    // (timestamp:expiry:signature from before roles existed is a staff session)
+    const parts = decoded.split(':');
+    if (parts.length !== 3 && parts.length !== 4) {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    const [timestamp, expiry, ...rest] = parts;
+    const providedSignature = rest.pop();
+    const role = rest[0];
+    if (role !== undefined && !Object.values(SESSION_ROLES).includes(role)) {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    // Verify expiration
+    const now = Date.now();
+    const expiryTime = parseInt(expiry, 10);
+
+    if (isNaN(expiryTime) || now > expiryTime) {
+      return { valid: false, error: 'Token expired' };
+    }
+
+    // Re-compute signature
+    const secret = getSessionSecret();
+    const payload = role === undefined ? `${timestamp}:${expiry}` : `${timestamp}:${expiry}:${role}`;
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(payload)
+      .digest('hex');
+
+    // Constant-time comparison (lengths must match before timingSafeEqual)
+    const providedBuffer = Buffer.from(providedSignature);
+    const expectedBuffer = Buffer.from(expectedSignature);
+    const signaturesMatch = providedBuffer.length === expectedBuffer.length &&
+      crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+
+    if (!signaturesMatch) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    return {
+      valid: true,
+      role: role || SESSION_ROLES.STAFF,
+      expiresAt: expiryTime,
+      remainingTime: expiryTime - now
+    };
+
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    return { valid: false, error: 'Verification failed' };
+  }
+}
+
+/**
+ * Constant-time string comparison (prevents timing attacks)
+ */
+export function constantTimeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const aLen = Buffer.byteLength(a);
+  const bLen = Buffer.byteLength(b);
+
+  // Always compare full length to prevent early exit timing leak
+  const bufA = Buffer.alloc(Math.max(aLen, bLen), 0);
+  const bufB = Buffer.alloc(Math.max(aLen, bLen), 0);
+
+  bufA.write(a);
+  bufB.write(b);
+
+  return crypto.timingSafeEqual(bufA, bufB) && aLen === bLen;
+}
+
+/**
+ * Match a sign-in password to its role
+ *
+ * NGAUGE_ADMIN_PASSWORD is optional; without it nobody can reach the
+ * admin-only routes.
+ *
+ * @param {string} password - Submitted password
+ * @returns {string|null} SESSION_ROLES.ADMIN, SESSION_ROLES.STAFF, or null if it matches neither
+ */
+export function resolvePasswordRole(password) {
+  const adminPassword = process.env.NGAUGE_ADMIN_PASSWORD;
+  const masterPassword = process.env.NGAUGE_MASTER_PASSWORD;
+
+  // Compare against both so the response time does not reveal which one matched
+  const isAdmin = Boolean(adminPassword) && constantTimeCompare(password, adminPassword);
+  const isStaff = Boolean(masterPassword) && constantTimeCompare(password, masterPassword);
+
+  if (isAdmin) return SESSION_ROLES.ADMIN;
+  if (isStaff) return SESSION_ROLES.STAFF;
+  return null;
+}
+
+/**
+ * Parse cookies from request header
+ */
+export function parseCookies(cookieHeader) {
+  if (!cookieHeader) return {};
+
+  return cookieHeader.split(';').reduce((cookies, cookie) => {
+    const [name, ...rest] = cookie.trim().split('=');
+    if (name) {
+      cookies[name] = rest.join('=');
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Verify the session cookie attached to a request
+ * @param {object} req - Express or Vercel request
+ * @returns {{valid: boolean, error?: string, expiresAt?: number, remainingTime?: number}}
+ */
+export function getRequestSession(req) {
+  const cookies = parseCookies(req.headers?.cookie);
+  const sessionToken = cookies[SESSION_COOKIE_NAME];
+
+  if (!sessionToken) {
+    return { valid: false, error: 'No session cookie' };
+  }
+
+  return verifySessionToken(sessionToken);
+}
+
+/**
+ * Send the standard 401 body
+ */
+export function sendUnauthorized(res, reason) {
+  return res.status(401).json({
+    success: false,
+    error: 'Authentication required',
+    code: AUTH_REQUIRED_CODE,
+    reason,
+    message: 'Your session is missing or has expired. Please sign in again.'
+  });
+}
+
+/**
+ * Guard for Vercel functions
+ *
+ * USAGE:
+ *   if (!requireSession(req, res)) return;
+ *
+ * @returns {boolean} true if the request carries a valid session, false if a 401 was sent
+ */
+export function requireSession(req, res) {
+  const session = getRequestSession(req);
+
+  if (!session.valid) {
+    sendUnauthorized(res, session.error);
+    return false;
+  }
+
+  req.session = session;
+  return true;
+}
+
+/**
+ * Guard for Express routes
+ * Mount on /api after the auth routes are excluded (see server.js)
+ */
+export function requireSessionMiddleware(req, res, next) {
+  if (requireSession(req, res)) {
+    next();
+  }
+}
+
+/**
+ * Whether a request that passed requireSession() was signed in as admin
+ * @returns {boolean}
+ */
+export function isAdminSession(req) {
+  return req.session?.role === SESSION_ROLES.ADMIN;
+}
+
+/**
+ * Guard for admin-only routes (Vercel functions and Express handlers)
+ *
+ * USAGE:
+ *   if (!requireAdmin(req, res)) return;
+ *
+ * @returns {boolean} true for an admin session; otherwise a 401 (no session) or 403 was sent
+ */
+export function requireAdmin(req, res) {
+  if (!requireSession(req, res)) {
+    return false;
+  }
+
+  if (!isAdminSession(req)) {
+    res.status(403).json({
+      success: false,
+      error: 'Admin access required',
+      code: ADMIN_REQUIRED_CODE,
+      message: 'Sign in with the admin password to view this page.'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Build the Set-Cookie header value for a session token
+ * @param {string} token - Signed session token ('' to clear)
+ * @param {number} maxAgeSeconds - Cookie lifetime (0 to expire immediately)
+ */
+export function buildSessionCookie(token, maxAgeSeconds) {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  return [
+    `${SESSION_COOKIE_NAME}=${token}`,
+    `Max-Age=${maxAgeSeconds}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    isProduction ? 'Secure' : '' // HTTPS only in production
+  ].filter(Boolean).join('; ');
+}
@@ -0,0 +1,86 @@
+// @vitest-environment node
+/**
+ * Unit Tests for session roles and the admin guard
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import {
+  SESSION_COOKIE_NAME,
+  ADMIN_REQUIRED_CODE,
+  AUTH_REQUIRED_CODE,
+  generateSessionToken,
+  verifySessionToken,
+  resolvePasswordRole,
+  requireAdmin,
+} from './auth';
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const requestWith = (token) => ({ headers: { cookie: `${SESSION_COOKIE_NAME}=${token}` } });
+
+describe('session roles', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SESSION_SECRET_KEY = 'test-secret';
+    process.env.NGAUGE_MASTER_PASSWORD = 'staff-pw';
+    process.env.NGAUGE_ADMIN_PASSWORD = 'admin-pw';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should match each password to its role', () => {
+    expect(resolvePasswordRole('staff-pw')).toBe('staff');
+    expect(resolvePasswordRole('admin-pw')).toBe('admin');
+    expect(resolvePasswordRole('wrong')).toBeNull();
+  });
+
+  it('should not grant admin when no admin password is configured', () => {
+    delete process.env.NGAUGE_ADMIN_PASSWORD;
+    expect(resolvePasswordRole('')).toBeNull();
+    expect(resolvePasswordRole('staff-pw')).toBe('staff');
+  });
+
+  it('should sign the role into the token', () => {
+    expect(verifySessionToken(generateSessionToken('admin'))).toMatchObject({ valid: true, role: 'admin' });
+    expect(verifySessionToken(generateSessionToken())).toMatchObject({ valid: true, role: 'staff' });
+  });
+
+  it('should reject a token whose role was changed', () => {
+    const decoded = Buffer.from(generateSessionToken('staff'), 'base64').toString('utf-8');
+    const forged = Buffer.from(decoded.replace(':staff:', ':admin:')).toString('base64');
+
+    expect(verifySessionToken(forged)).toMatchObject({ valid: false, error: 'Invalid signature' });
+  });
+
+  it('should accept tokens issued before roles as staff sessions', () => {
+    const payload = `${Date.now()}:${Date.now() + 60000}`;
+    const signature = crypto.createHmac('sha256', 'test-secret').update(payload).digest('hex');
+    const legacy = Buffer.from(`${payload}:${signature}`).toString('base64');
+
+    expect(verifySessionToken(legacy)).toMatchObject({ valid: true, role: 'staff' });
+  });
+
+  it('should only let admin sessions through requireAdmin', () => {
+    const admin = mockResponse();
+    expect(requireAdmin(requestWith(generateSessionToken('admin')), admin)).toBe(true);
+
+    const staff = mockResponse();
+    expect(requireAdmin(requestWith(generateSessionToken('staff')), staff)).toBe(false);
+    expect(staff.statusCode).toBe(403);
+    expect(staff.body.code).toBe(ADMIN_REQUIRED_CODE);
+
+    const anonymous = mockResponse();
+    expect(requireAdmin({ headers: {} }, anonymous)).toBe(false);
+    expect(anonymous.statusCode).toBe(401);
+    expect(anonymous.body.code).toBe(AUTH_REQUIRED_CODE);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Data-Quality Report
+ *
+ * Backs the admin-only GET /api/data-quality in both runtimes: which
+ * Weekly-Chemistry rows and rating cells were left out of the scores and
+ * why, plus each dimension's valid-n (see buildDataQualityReport() in
+ * utils/surveyResponses.js). Lists sheet row numbers and the offending
+ * cell values, so it stays behind the admin role.
+ *
+ * In privacy mode (see summary.js) the raw timestamps and cell values are
+ * left out: rows are listed by number and reason only.
+ */
+
+import { TABS } from './storage/index.js';
+import { getSurveyWeekOptions } from './history.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { readTeamSettings } from './settings.js';
+import { isPrivacyMode } from './summary.js';
+import { buildDataQualityReport } from '../../src/utils/surveyResponses.js';
+
+/**
+ * Compute the data-quality report from the stored responses
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Output of buildDataQualityReport() plus the team's imputationPolicy and
+ *                            privacyMode (rejected rows without `timestamp` and cells without `value` when true)
+ * @throws {Error} code SURVEY_SCHEMA_MISMATCH if the schema does not match the sheet
+ */
+export async function computeDataQualityReport(storage) {
+  const [rows, settings] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readTeamSettings(storage)
+  ]);
+
+  const report = buildDataQualityReport(rows, loadSurveySchema(), { timeZone: getSurveyWeekOptions().timeZone });
+  const privacyMode = isPrivacyMode();
+
+  return {
+    ...report,
+    // Raw cell contents are individual responses
+    rejectedRows: privacyMode
+      ? report.rejectedRows.map(({ row, reason }) => ({ row, reason }))
+      : report.rejectedRows,
+    rejectedCells: privacyMode
+      ? report.rejectedCells.map(({ row, column, header, dimension, reason }) => ({ row, column, header, dimension, reason }))
+      : report.rejectedCells,
+    imputationPolicy: settings.imputationPolicy,
+    privacyMode
+  };
+}
@@ -0,0 +1,72 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the data-quality report
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import { computeDataQualityReport } from './dataQuality';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'dimension', dimension: 'Trust', header: 'Trust' },
+    { index: 2, role: 'dimension', dimension: 'Energy', header: 'Energy' },
+  ],
+};
+
+const rows = [
+  ['Timestamp', 'Trust', 'Energy'],
+  ['10/14/2025 18:00:00', '7', '12'],
+  ['not a date', '5', '4'],
+];
+
+describe('computeDataQualityReport', () => {
+  let dir;
+  let storage;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-data-quality-'));
+    fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify(schema));
+    process.env.SURVEY_SCHEMA_PATH = path.join(dir, 'schema.json');
+    process.env.VITE_SURVEY_TIMEZONE = 'UTC';
+    delete process.env.NGAUGE_PRIVACY_MODE;
+
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+    await storage.appendRows(TABS.RESPONSES, rows);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list rejected timestamps and values', async () => {
+    const report = await computeDataQualityReport(storage);
+
+    expect(report.privacyMode).toBe(false);
+    expect(report.rejectedRows).toEqual([{ row: 3, timestamp: 'not a date', reason: 'unreadable-timestamp' }]);
+    expect(report.rejectedCells).toEqual([
+      { row: 2, column: 3, header: 'Energy', dimension: 'Energy', value: '12', reason: 'out-of-range' },
+    ]);
+  });
+
+  it('should leave out raw timestamps and values in privacy mode', async () => {
+    process.env.NGAUGE_PRIVACY_MODE = 'true';
+    const report = await computeDataQualityReport(storage);
+
+    expect(report.privacyMode).toBe(true);
+    expect(report.rejectedRows).toEqual([{ row: 3, reason: 'unreadable-timestamp' }]);
+    expect(report.rejectedCells).toEqual([
+      { row: 2, column: 3, header: 'Energy', dimension: 'Energy', reason: 'out-of-range' },
+    ]);
+    expect(report.dimensions.map(dimension => dimension.rejectedCellCount)).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Driver Analysis
+ *
+ * Backs GET /api/drivers in both runtimes: inter-dimension correlations
+ * across responses and across weeks, and each week's team score change
+ * split into per-dimension contributions (see utils/drivers.js).
+ *
+ * The responses are grouped under the same team settings as the season
+ * history (imputation policy, flagged responses), so both agree.
+ *
+ * Individual responses are read here and never returned - only correlations
+ * and weekly aggregates - so the route stays open in privacy mode.
+ */
+
+import { TABS } from './storage/index.js';
+import { computeSeasonHistory, getSeriesOptions, groupRowsByWeek } from './history.js';
+import { readTeamSettings } from './settings.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { getDimensionNames } from '../../src/utils/surveySchema.js';
+import { buildDriverAnalysis } from '../../src/utils/drivers.js';
+
+/**
+ * Compute the driver analysis from the stored responses
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Output of buildDriverAnalysis()
+ */
+export async function computeDriverAnalysis(storage) {
+  const schema = loadSurveySchema();
+  const [rows, settings] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readTeamSettings(storage)
+  ]);
+
+  const history = computeSeasonHistory(rows, schema, settings);
+
+  return buildDriverAnalysis(
+    groupRowsByWeek(rows, schema, getSeriesOptions(settings)),
+    history.weeks,
+    getDimensionNames(schema),
+    settings.dimensionWeights
+  );
+}
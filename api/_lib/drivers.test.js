@@ -0,0 +1,82 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the driver analysis endpoint data
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import { saveTeamSettings } from './settings';
+import { computeDriverAnalysis } from './drivers';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'open-text', key: 'weekReflection', label: 'How do you feel the week went?' },
+    { index: 2, role: 'dimension', header: 'Trust', dimension: 'Trust' },
+    { index: 3, role: 'dimension', header: 'Energy', dimension: 'Energy' },
+  ],
+};
+
+const rows = [
+  ['Timestamp', 'How do you feel the week went?', 'Trust', 'Energy'],
+  ['10/07/2025 18:00:00', 'Tough week', '4', '4'],
+  ['10/08/2025 18:00:00', 'Fine', '2', '3'],
+  ['10/14/2025 18:00:00', 'Great practice on Tuesday', '7', '6'],
+  ['10/15/2025 18:00:00', 'Felt left out of drills', '5', '5'],
+];
+
+describe('computeDriverAnalysis', () => {
+  let dir;
+  let storage;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-drivers-'));
+    fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify(schema));
+    process.env.SURVEY_SCHEMA_PATH = path.join(dir, 'schema.json');
+    process.env.VITE_WEEK_START_DAY = '1';
+    process.env.VITE_SURVEY_TIMEZONE = 'UTC';
+    process.env.VITE_MIN_RESPONSES = '1';
+
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+    await storage.appendRows(TABS.RESPONSES, rows);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should correlate the schema dimensions and decompose the latest change', async () => {
+    const analysis = await computeDriverAnalysis(storage);
+
+    expect(analysis.dimensions).toEqual(['Trust', 'Energy']);
+    expect(analysis.responseCount).toBe(4);
+    expect(analysis.responseCorrelations.matrix[0][1].r).toBeGreaterThan(0.9);
+    expect(analysis.changes).toHaveLength(1);
+    expect(analysis.changes[0]).toMatchObject({ previousWeekId: '2025-10-06', weekId: '2025-10-13' });
+  });
+
+  it('should fill missing answers under the team imputation policy like the season history', async () => {
+    await storage.appendRows(TABS.RESPONSES, [['10/16/2025 18:00:00', 'Okay', '6', '']]);
+
+    expect((await computeDriverAnalysis(storage)).responseCorrelations.matrix[0][1].n).toBe(4);
+
+    await saveTeamSettings(storage, { imputationPolicy: 'person-mean' });
+
+    expect((await computeDriverAnalysis(storage)).responseCorrelations.matrix[0][1].n).toBe(5);
+  });
+
+  it('should never return individual responses', async () => {
+    const body = JSON.stringify(await computeDriverAnalysis(storage));
+
+    expect(body).not.toContain('Great practice');
+    expect(body).not.toContain('responses');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Shared Season History Computation
+ *
+ * Turns the stored Weekly-Chemistry rows into the per-week team score and
+ * dimension averages. Used by GET /api/history in both runtimes.
+ *
+ * The week settings are read from the same variables the frontend uses
+ * (VITE_WEEK_START_DAY, VITE_SURVEY_TIMEZONE) so both sides agree on weeks,
+ * and the column layout comes from the same survey schema (GET /api/schema).
+ * Weeks below VITE_MIN_RESPONSES responses are suppressed (see utils/seasonHistory.js),
+ * intervals use VITE_CONFIDENCE_LEVEL, week-over-week tests VITE_SIGNIFICANCE_LEVEL,
+ * and team scores use the dimension weights from team settings (see settings.js).
+ * Missing answers are handled under the team's imputation policy, applied
+ * within each survey week (see imputeMissingScores() in utils/surveyResponses.js),
+ * and responses flagged as careless are left out when the team setting
+ * `excludeFlaggedResponses` is on (see utils/responseQuality.js). With a
+ * roster in team settings every week carries its participation, marked low
+ * under VITE_PARTICIPATION_WARNING (see summarizeParticipation()).
+ */
+
+import { transformData, imputeMissingScores, DEFAULT_IMPUTATION_POLICY } from '../../src/utils/surveyResponses.js';
+import { groupResponsesByWeek, isValidTimeZone } from '../../src/utils/surveyWeeks.js';
+import { buildSeasonHistory } from '../../src/utils/seasonHistory.js';
+import { getDimensionNames } from '../../src/utils/surveySchema.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { DEFAULT_TEAM_SETTINGS } from './settings.js';
+
+// The last VITE_SURVEY_TIMEZONE checked, so a bad value is only warned about once
+let checkedTimeZone = null;
+
+/**
+ * Survey week options from environment variables
+ * An unknown VITE_SURVEY_TIMEZONE falls back to UTC with a warning, rather
+ * than failing every history read
+ * @returns {{weekStartDay: number, timeZone: string}}
+ */
+export function getSurveyWeekOptions() {
+  const weekStartDay = parseInt(process.env.VITE_WEEK_START_DAY, 10);
+  const configuredTimeZone = process.env.VITE_SURVEY_TIMEZONE || 'UTC';
+
+  if (checkedTimeZone?.name !== configuredTimeZone) {
+    checkedTimeZone = { name: configuredTimeZone, valid: isValidTimeZone(configuredTimeZone) };
+    if (!checkedTimeZone.valid) {
+      console.warn(`⚠️  VITE_SURVEY_TIMEZONE "${configuredTimeZone}" is not a known IANA timezone - using UTC`);
+    }
+  }
+
+  return {
+    weekStartDay: weekStartDay >= 0 && weekStartDay <= 6 ? weekStartDay : 1,
+    timeZone: checkedTimeZone.valid ? configuredTimeZone : 'UTC'
+  };
+}
+
+/**
+ * Minimum responses before a week or dimension score is reported
+ * @returns {number}
+ */
+export function getMinResponses() {
+  const minResponses = parseInt(process.env.VITE_MIN_RESPONSES, 10);
+  return minResponses >= 1 ? minResponses : 5;
+}
+
+/**
+ * Confidence level of the weekly score intervals
+ * @returns {number} Between 0 and 1 (default 0.95)
+ */
+export function getConfidenceLevel() {
+  const confidenceLevel = parseFloat(process.env.VITE_CONFIDENCE_LEVEL);
+  return confidenceLevel > 0 && confidenceLevel < 1 ? confidenceLevel : 0.95;
+}
+
+/**
+ * p-value cut-off of the week-over-week significance tests
+ * @returns {number} Between 0 and 1 (default 0.05)
+ */
+export function getSignificanceLevel() {
+  const significanceLevel = parseFloat(process.env.VITE_SIGNIFICANCE_LEVEL);
+  return significanceLevel > 0 && significanceLevel < 1 ? significanceLevel : 0.05;
+}
+
+/**
+ * Response rate below which a week's participation is low
+ * @returns {number} Between 0 and 1 (default 0.6)
+ */
+export function getParticipationWarning() {
+  const warning = parseFloat(process.env.VITE_PARTICIPATION_WARNING);
+  return warning > 0 && warning <= 1 ? warning : 0.6;
+}
+
+/**
+ * The groupRowsByWeek() options set by team settings, so every view built on
+ * the weekly responses scores the same ones as the season history
+ * @param {Object} settings - Team settings from readTeamSettings()
+ * @returns {Object} { imputationPolicy, excludeFlagged }
+ */
+export function getSeriesOptions(settings = DEFAULT_TEAM_SETTINGS) {
+  return {
+    imputationPolicy: settings.imputationPolicy || DEFAULT_IMPUTATION_POLICY,
+    excludeFlagged: settings.excludeFlaggedResponses === true
+  };
+}
+
+/**
+ * Group raw sheet rows into survey weeks
+ * @param {Array<Array>} rawRows - Weekly-Chemistry values including the header row
+ * @param {Object} schema - Survey schema (defaults to the configured file)
+ * @param {Object} options
+ * @param {string} options.imputationPolicy - How missing answers are filled, per week (default: left missing)
+ * @param {boolean} options.excludeFlagged - Leave out responses flagged as careless
+ * @returns {Object} Output of groupResponsesByWeek()
+ */
+export function groupRowsByWeek(rawRows, schema = loadSurveySchema(), {
+  imputationPolicy = DEFAULT_IMPUTATION_POLICY,
+  excludeFlagged = false
+} = {}) {
+  const responses = transformData(rawRows, schema);
+  const series = groupResponsesByWeek(
+    excludeFlagged ? responses.filter(response => !response.quality.flagged) : responses,
+    getSurveyWeekOptions()
+  );
+
+  series.weekIds.forEach(weekId => {
+    series.weeks[weekId].responses = imputeMissingScores(series.weeks[weekId].responses, imputationPolicy);
+  });
+
+  return series;
+}
+
+/**
+ * Compute the full season history from raw sheet rows
+ * @param {Array<Array>} rawRows - Weekly-Chemistry values including the header row
+ * @param {Object} schema - Survey schema (defaults to the configured file)
+ * @param {Object} settings - Team settings from readTeamSettings()
+ * @returns {Object} { weeks, seasonAverage, latestWeekId, minResponses, confidenceLevel, significanceLevel, weights,
+ *                     rosterSize, minParticipation, imputationPolicy, excludeFlaggedResponses, weekStartDay, timeZone }
+ */
+export function computeSeasonHistory(rawRows, schema = loadSurveySchema(), settings = DEFAULT_TEAM_SETTINGS) {
+  const options = getSurveyWeekOptions();
+  const seriesOptions = getSeriesOptions(settings);
+  const series = groupRowsByWeek(rawRows, schema, seriesOptions);
+  const history = buildSeasonHistory(series, getDimensionNames(schema), {
+    minResponses: getMinResponses(),
+    weights: settings.dimensionWeights,
+    confidenceLevel: getConfidenceLevel(),
+    significanceLevel: getSignificanceLevel(),
+    roster: settings.roster,
+    minParticipation: getParticipationWarning()
+  });
+
+  return {
+    ...history,
+    imputationPolicy: seriesOptions.imputationPolicy,
+    excludeFlaggedResponses: seriesOptions.excludeFlagged,
+    weekStartDay: options.weekStartDay,
+    timeZone: options.timeZone
+  };
+}
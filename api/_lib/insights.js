@@ -0,0 +1,259 @@
+/**
+ * Shared AI Insights Storage
+ *
+ * Reads and writes the AIInsights tab through the configured storage adapter.
+ * Used by /api/insights, /api/insights/latest-game-info and /api/performance in both runtimes.
+ *
+ * TAB STRUCTURE (AIInsights):
+ * Row 1: Headers [Timestamp | Game Result | Your Score | Opponent Score | Practice Performance (1-10) | Team Chemistry Score | Score Explanation | Things to Look Out For | Structured Insights (JSON)]
+ * Row 2+: One row per game, all rows of one analysis share the same timestamp
+ * Legacy 7- and 8-column rows (no Team Chemistry Score, no structured insights) are still read.
+ *
+ * THINGS TO LOOK OUT FOR:
+ * Either team insights (see structuredInsights.js) - stored as readable text
+ * in "Things to Look Out For" and as JSON in the last column - or a status
+ * message ("Insufficient responses...") stored as text only. Reads return the
+ * object when there is one; free-text analyses stored before analyses were
+ * structured are converted to it.
+ */
+
+import { TABS } from './storage/index.js';
+import { validateTeamInsights, formatTeamInsights, parseLegacyTeamInsights } from './structuredInsights.js';
+
+export const INSIGHTS_HEADERS = [
+  'Timestamp',
+  'Game Result',
+  'Your Score',
+  'Opponent Score',
+  'Practice Performance (1-10)',
+  'Team Chemistry Score',
+  'Score Explanation',
+  'Things to Look Out For',
+  'Structured Insights (JSON)'
+];
+
+// Stored when game info was submitted without analyses and no rule-based analysis could be
+// written either (see fillMissingAnalyses() in analysis.js), so the modal does not reopen forever
+const FALLBACK_SCORE_EXPLANATION = 'Analysis temporarily unavailable. AI service encountered an error. Please click "Explain Scores" to retry.';
+const FALLBACK_THINGS_TO_LOOK_OUT_FOR = 'Player feedback analysis temporarily unavailable. Click "Explain Scores" to retry.';
+
+const EMPTY_INSIGHTS = {
+  hasInsights: false,
+  isComplete: false,
+  teamChemistryScore: null,
+  scoreExplanation: null,
+  thingsToLookOutFor: null,
+  insights: { summary: '', suggestions: [] }
+};
+
+/**
+ * Parse the stored Team Chemistry Score of a row (8-column format and later)
+ * @private
+ */
+function parseChemistryScore(row) {
+  const value = parseFloat(row[5]);
+  return row.length >= 8 && row[5] !== 'N/A' && !Number.isNaN(value) ? value : null;
+}
+
+/**
+ * Team insights (or status message) stored in a row
+ * @private
+ */
+function parseThingsToLookOutFor(text, json) {
+  if (json) {
+    try {
+      const { insights } = validateTeamInsights(JSON.parse(json));
+      if (insights) return insights;
+    } catch {
+      // Fall back to the readable text
+    }
+  }
+  return text ? parseLegacyTeamInsights(text) || text : null;
+}
+
+/**
+ * Check the thingsToLookOutFor of a POST /api/insights body
+ *
+ * @param {*} value - Team insights object, status message, or nothing
+ * @returns {string[]} Error messages (empty if it can be stored)
+ */
+export function validateThingsToLookOutFor(value) {
+  if (value === null || value === undefined || typeof value === 'string') {
+    return [];
+  }
+  return validateTeamInsights(value).errors.map(error => `thingsToLookOutFor: ${error}`);
+}
+
+/**
+ * Read the most recent stored insights
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} { hasInsights, isComplete, teamChemistryScore, scoreExplanation, thingsToLookOutFor, insights }
+ *                            (thingsToLookOutFor: team insights, a status message or null;
+ *                             insights: { summary, suggestions } of the team insights)
+ */
+export async function readLatestInsights(storage) {
+  const data = await storage.readRows(TABS.INSIGHTS);
+
+  if (data.length <= 1) {
+    // No data or only headers
+    return { ...EMPTY_INSIGHTS };
+  }
+
+  // Most recent row is the last row in the tab
+  const latestRow = data[data.length - 1];
+  const isNewFormat = latestRow.length >= 8;
+  const scoreExplanation = latestRow[isNewFormat ? 6 : 5] || null;  // Column G (or F legacy)
+  const thingsToLookOutFor = parseThingsToLookOutFor(
+    latestRow[isNewFormat ? 7 : 6],  // Column H (or G legacy)
+    isNewFormat ? latestRow[8] : null // Column I
+  );
+  const structured = thingsToLookOutFor && typeof thingsToLookOutFor === 'object' ? thingsToLookOutFor : null;
+
+  return {
+    hasInsights: !!(scoreExplanation || thingsToLookOutFor),
+    isComplete: !!(scoreExplanation && thingsToLookOutFor),
+    teamChemistryScore: parseChemistryScore(latestRow),
+    scoreExplanation,
+    thingsToLookOutFor,
+    insights: { summary: structured?.sentimentOverview || '', suggestions: structured?.suggestions || [] }
+  };
+}
+
+/**
+ * Read all games stored with the most recent analysis (same timestamp)
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Array|null>} [{ result, yourScore, opponentScore, practicePerformance, teamChemistryScore, skipped }]
+ *                                or null if nothing is stored yet
+ */
+export async function readLatestGameInfo(storage) {
+  const data = await storage.readRows(TABS.INSIGHTS);
+
+  if (data.length <= 1) {
+    return null;
+  }
+
+  const dataRows = data.slice(1);
+  const latestTimestamp = dataRows[dataRows.length - 1][0];
+
+  return dataRows
+    .filter(row => row[0] === latestTimestamp)
+    .map(row => ({
+      result: row[1] !== 'N/A' ? row[1] : null,
+      yourScore: row[2] !== 'N/A' ? parseInt(row[2]) : null,
+      opponentScore: row[3] !== 'N/A' ? parseInt(row[3]) : null,
+      practicePerformance: row[4] !== 'N/A' ? parseInt(row[4]) : null,
+      teamChemistryScore: parseChemistryScore(row),
+      skipped: row[1] === 'N/A'  // If result is N/A, it was skipped
+    }));
+}
+
+/**
+ * Read every stored game (skipped rows left out), oldest first
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Array>} [{ timestamp, result, yourScore, opponentScore, practicePerformance, teamChemistryScore }]
+ */
+export async function readGameHistory(storage) {
+  const data = await storage.readRows(TABS.INSIGHTS);
+  const parseNumber = value => {
+    const number = parseInt(value, 10);
+    return value !== 'N/A' && !Number.isNaN(number) ? number : null;
+  };
+
+  return data.slice(1)
+    .filter(row => row[0] && row[1] && row[1] !== 'N/A')
+    .map(row => ({
+      timestamp: row[0],
+      result: row[1],
+      yourScore: parseNumber(row[2]),
+      opponentScore: parseNumber(row[3]),
+      practicePerformance: parseNumber(row[4]),
+      teamChemistryScore: parseChemistryScore(row)
+    }));
+}
+
+/**
+ * Check that a POST /api/insights body has something to store
+ *
+ * @param {Object} body - Request body
+ * @returns {boolean}
+ */
+export function hasInsightsPayload(body = {}) {
+  const { scoreExplanation, insights, thingsToLookOutFor, gameInfo } = body;
+  const hasGameInfo = gameInfo && (Array.isArray(gameInfo) ? gameInfo.length > 0 : true);
+  return !!(scoreExplanation || insights || thingsToLookOutFor || hasGameInfo);
+}
+
+/**
+ * Append one analysis (one row per game) to the AIInsights tab
+ *
+ * Rewrites the header row first if the tab is new or still in an old format.
+ * If the body still has no analyses (the routes fill them in with
+ * fillMissingAnalyses() first) but game info was submitted, status messages
+ * are stored so the game-info modal does not reopen in a loop.
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} body - { scoreExplanation, insights, gameInfo, thingsToLookOutFor, teamChemistryScore }
+ *                        (thingsToLookOutFor: team insights or a status message, see validateThingsToLookOutFor())
+ * @returns {Promise<number>} Number of rows appended
+ */
+export async function appendInsights(storage, body) {
+  const { scoreExplanation, insights, gameInfo, thingsToLookOutFor, teamChemistryScore } = body;
+
+  let finalScoreExplanation = scoreExplanation;
+  let finalThingsToLookOutFor = thingsToLookOutFor;
+
+  if (!scoreExplanation && !insights && !thingsToLookOutFor) {
+    console.log('⚠️ AI analysis failed but game info exists - using fallback messages');
+    finalScoreExplanation = FALLBACK_SCORE_EXPLANATION;
+    finalThingsToLookOutFor = FALLBACK_THINGS_TO_LOOK_OUT_FOR;
+  }
+
+  // Create or migrate the header row
+  const [currentHeaders] = await storage.readRows(TABS.INSIGHTS);
+  const hasCurrentFormat = currentHeaders &&
+    currentHeaders.length === INSIGHTS_HEADERS.length &&
+    currentHeaders[0] === INSIGHTS_HEADERS[0];
+
+  if (!hasCurrentFormat) {
+    console.log('📝 Adding/updating headers to 9-column format (with structured insights)...');
+    await storage.writeHeader(TABS.INSIGHTS, INSIGHTS_HEADERS);
+  }
+
+  // Handle both single game object and array of games; no games → one N/A row
+  const games = Array.isArray(gameInfo) ? [...gameInfo] : (gameInfo ? [gameInfo] : []);
+  if (games.length === 0) {
+    games.push({ skipped: true });
+  }
+
+  const timestamp = new Date().toISOString();
+  const chemistryScoreValue = parseFloat(teamChemistryScore);
+  const normalizedChemistryScore = !Number.isNaN(chemistryScoreValue)
+    ? Number(chemistryScoreValue.toFixed(1))
+    : 'N/A';
+
+  // Team insights go in twice: readable in column H, exact in column I
+  const structured = finalThingsToLookOutFor && typeof finalThingsToLookOutFor === 'object'
+    ? validateTeamInsights(finalThingsToLookOutFor).insights
+    : null;
+  const thingsText = structured ? formatTeamInsights(structured) : (finalThingsToLookOutFor || '');
+
+  const rows = games.map(game => [
+    timestamp,
+    game && !game.skipped ? game.result : 'N/A',
+    game && !game.skipped ? game.yourScore : 'N/A',
+    game && !game.skipped ? game.opponentScore : 'N/A',
+    game && !game.skipped ? game.practicePerformance : 'N/A',
+    normalizedChemistryScore,
+    finalScoreExplanation || '',
+    thingsText,
+    structured ? JSON.stringify(structured) : ''
+  ]);
+
+  await storage.appendRows(TABS.INSIGHTS, rows);
+  console.log(`✅ ${rows.length} insight row(s) appended (${storage.type})`);
+
+  return rows.length;
+}
@@ -0,0 +1,165 @@
+// @vitest-environment node
+/**
+ * Unit Tests for AI Insights storage across the file-based adapters
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { createSqliteAdapter } from './storage/sqlite';
+import { TABS } from './storage/index';
+import {
+  INSIGHTS_HEADERS,
+  readLatestInsights,
+  readLatestGameInfo,
+  readGameHistory,
+  hasInsightsPayload,
+  validateThingsToLookOutFor,
+  appendInsights,
+} from './insights';
+
+const adapters = {
+  json: dir => createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') }),
+  sqlite: () => createSqliteAdapter({ filePath: ':memory:' }),
+};
+
+Object.entries(adapters).forEach(([type, createAdapter]) => {
+  describe(`${type} storage adapter`, () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-storage-'));
+      storage = createAdapter(dir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should return an empty tab before anything is written', async () => {
+      expect(await storage.readRows(TABS.RESPONSES)).toEqual([]);
+    });
+
+    it('should append rows and return cells as strings', async () => {
+      await storage.appendRows(TABS.RESPONSES, [['Timestamp', 'Q2'], ['10/14/2025 10:00:00', 6]]);
+      await storage.appendRows(TABS.RESPONSES, [['10/15/2025 10:00:00', null]]);
+
+      expect(await storage.readRows(TABS.RESPONSES)).toEqual([
+        ['Timestamp', 'Q2'],
+        ['10/14/2025 10:00:00', '6'],
+        ['10/15/2025 10:00:00', ''],
+      ]);
+    });
+
+    it('should replace only the header row', async () => {
+      await storage.appendRows(TABS.INSIGHTS, [['Old header'], ['data']]);
+      await storage.writeHeader(TABS.INSIGHTS, ['New header']);
+
+      expect(await storage.readRows(TABS.INSIGHTS)).toEqual([['New header'], ['data']]);
+    });
+
+    it('should store and read back insights with one row per game', async () => {
+      await appendInsights(storage, {
+        scoreExplanation: 'Steady week.',
+        thingsToLookOutFor: 'Watch fatigue.',
+        teamChemistryScore: 72.46,
+        gameInfo: [
+          { result: 'Win', yourScore: 3, opponentScore: 1, practicePerformance: 8 },
+          { result: 'Loss', yourScore: 0, opponentScore: 2, practicePerformance: 8 },
+        ],
+      });
+
+      const rows = await storage.readRows(TABS.INSIGHTS);
+      expect(rows[0]).toEqual(INSIGHTS_HEADERS);
+      expect(rows).toHaveLength(3);
+
+      const latest = await readLatestInsights(storage);
+      expect(latest.isComplete).toBe(true);
+      expect(latest.teamChemistryScore).toBe(72.5);
+
+      const games = await readLatestGameInfo(storage);
+      expect(games.map(game => game.result)).toEqual(['Win', 'Loss']);
+      expect(games[0].yourScore).toBe(3);
+    });
+
+    it('should read every stored game, leaving out skipped ones', async () => {
+      await appendInsights(storage, {
+        scoreExplanation: 'Week one.',
+        teamChemistryScore: 64,
+        gameInfo: { result: 'Win', yourScore: 2, opponentScore: 0, practicePerformance: 7 },
+      });
+      await appendInsights(storage, { scoreExplanation: 'Bye week.', gameInfo: { skipped: true } });
+      await appendInsights(storage, {
+        scoreExplanation: 'Week three.',
+        teamChemistryScore: 58,
+        gameInfo: { result: 'Lose', yourScore: 1, opponentScore: 4, practicePerformance: 5 },
+      });
+
+      const games = await readGameHistory(storage);
+      expect(games.map(game => [game.result, game.yourScore, game.opponentScore, game.practicePerformance, game.teamChemistryScore]))
+        .toEqual([['Win', 2, 0, 7, 64], ['Lose', 1, 4, 5, 58]]);
+      expect(games[0].timestamp).toBeTruthy();
+    });
+
+    it('should store team insights as readable text and as JSON', async () => {
+      const thingsToLookOutFor = {
+        sentimentOverview: 'Upbeat after the win.',
+        notes: '',
+        quotes: ['Great practice on Tuesday'],
+        suggestions: [{ topic: 'Recovery', suggestion: 'Add a light session.' }],
+        focusDimensions: ['Energy'],
+      };
+      await appendInsights(storage, { scoreExplanation: 'Steady week.', thingsToLookOutFor, gameInfo: { skipped: true } });
+
+      const [, row] = await storage.readRows(TABS.INSIGHTS);
+      expect(row[7]).toContain('**Team Sentiment Overview:**\nUpbeat after the win.');
+      expect(JSON.parse(row[8])).toEqual(thingsToLookOutFor);
+
+      const latest = await readLatestInsights(storage);
+      expect(latest.thingsToLookOutFor).toEqual(thingsToLookOutFor);
+      expect(latest.insights).toEqual({ summary: 'Upbeat after the win.', suggestions: thingsToLookOutFor.suggestions });
+    });
+
+    it('should read free-text analyses and status messages stored before', async () => {
+      await storage.appendRows(TABS.INSIGHTS, [
+        INSIGHTS_HEADERS.slice(0, 8),
+        ['2025-10-14T10:00:00.000Z', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'Steady.', '**Team Sentiment Overview:**\nCalm, "good vibes".\n\n**Additional Notes:**\nNone.'],
+      ]);
+      expect((await readLatestInsights(storage)).thingsToLookOutFor).toMatchObject({ sentimentOverview: 'Calm, "good vibes".', notes: 'None.', quotes: ['good vibes'] });
+
+      await appendInsights(storage, { scoreExplanation: 'Too few.', thingsToLookOutFor: 'Insufficient responses this week.' });
+      expect((await readLatestInsights(storage)).thingsToLookOutFor).toBe('Insufficient responses this week.');
+    });
+
+    it('should store fallback messages when only game info is submitted', async () => {
+      await appendInsights(storage, { gameInfo: { skipped: true } });
+
+      const latest = await readLatestInsights(storage);
+      expect(latest.scoreExplanation).toContain('temporarily unavailable');
+
+      const [game] = await readLatestGameInfo(storage);
+      expect(game.skipped).toBe(true);
+    });
+  });
+});
+
+describe('hasInsightsPayload', () => {
+  it('should require an analysis or game info', () => {
+    expect(hasInsightsPayload({})).toBe(false);
+    expect(hasInsightsPayload({ gameInfo: [] })).toBe(false);
+    expect(hasInsightsPayload({ scoreExplanation: 'x' })).toBe(true);
+    expect(hasInsightsPayload({ gameInfo: [{ result: 'Win' }] })).toBe(true);
+  });
+});
+
+describe('validateThingsToLookOutFor', () => {
+  it('should accept team insights or a status message', () => {
+    expect(validateThingsToLookOutFor(undefined)).toEqual([]);
+    expect(validateThingsToLookOutFor('Insufficient responses this week.')).toEqual([]);
+    expect(validateThingsToLookOutFor({ sentimentOverview: 'Fine.' })).toEqual([]);
+    expect(validateThingsToLookOutFor({ notes: 'No overview' })).toEqual(['thingsToLookOutFor: sentimentOverview must be a non-empty string']);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Calls the Anthropic Messages API. Needs CLAUDE_API_KEY.
+ *
+ * The Messages API has no JSON mode: for responseFormat 'json' the reply is
+ * started with "{" so the model continues the object instead of writing prose.
+ */
+
+import { postJSON } from './http.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create the Anthropic provider
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Anthropic API key
+ * @returns {Object} LLM provider
+ */
+export function createAnthropicProvider({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('CLAUDE_API_KEY environment variable not set');
+  }
+
+  return {
+    name: 'anthropic',
+
+    async generate({ prompt, model, temperature, maxTokens, timeout, responseFormat = 'text' }) {
+      const prefill = responseFormat === 'json' ? '{' : '';
+      const data = await postJSON(ANTHROPIC_URL, {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      }, {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [
+          { role: 'user', content: prompt },
+          ...(prefill ? [{ role: 'assistant', content: prefill }] : [])
+        ]
+      }, { service: 'Anthropic', timeout });
+
+      const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+
+      return {
+        text: text ? prefill + text : '',
+        model: data.model || model,
+        stopReason: data.stop_reason || null,
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? null,
+          outputTokens: data.usage?.output_tokens ?? null
+        }
+      };
+    }
+  };
+}
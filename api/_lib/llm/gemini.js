@@ -0,0 +1,53 @@
+/**
+ * Gemini LLM Provider
+ *
+ * Calls the Google Generative Language API (generateContent). Needs
+ * GEMINI_API_KEY.
+ */
+
+import { postJSON } from './http.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Create the Gemini provider
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @returns {Object} LLM provider
+ */
+export function createGeminiProvider({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY environment variable not set');
+  }
+
+  return {
+    name: 'gemini',
+
+    async generate({ prompt, model, temperature, maxTokens, timeout, responseFormat = 'text' }) {
+      const data = await postJSON(`${GEMINI_BASE_URL}/${encodeURIComponent(model)}:generateContent`, {
+        // Header rather than ?key= so the key never ends up in request logs
+        'x-goog-api-key': apiKey
+      }, {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+          ...(responseFormat === 'json' ? { responseMimeType: 'application/json' } : {})
+        }
+      }, { service: 'Gemini', timeout });
+
+      const candidate = data.candidates?.[0];
+
+      return {
+        text: (candidate?.content?.parts || []).map(part => part.text || '').join(''),
+        model: data.modelVersion || model,
+        stopReason: candidate?.finishReason || null,
+        usage: {
+          inputTokens: data.usageMetadata?.promptTokenCount ?? null,
+          outputTokens: data.usageMetadata?.candidatesTokenCount ?? null
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * HTTP helpers shared by the LLM providers
+ */
+
+// Timeout for LLM API calls (30 seconds)
+export const LLM_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch with timeout support
+ * @param {string} url - URL to fetch
+ * @param {object} options - Fetch options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithTimeout(url, options = {}, timeout = LLM_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal
+    });
+    clearTimeout(timeoutId);
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout - external service took too long to respond');
+    }
+    throw error;
+  }
+}
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ *
+ * @param {string} url - Endpoint
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {string} options.service - Name used in error messages (e.g. 'Anthropic')
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the provider's error message on a non-2xx status
+ */
+export async function postJSON(url, headers, body, { service, timeout = LLM_TIMEOUT_MS }) {
+  const response = await fetchWithTimeout(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  }, timeout);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`${service} API error:`, errorData);
+    throw new Error(errorData.error?.message || `${service} API error: ${response.status}`);
+  }
+
+  return response.json();
+}
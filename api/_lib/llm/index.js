@@ -0,0 +1,213 @@
+/**
+ * LLM Providers
+ *
+ * Every AI analysis goes through a provider instead of calling one vendor's
+ * API directly, so the model behind each analysis type can change without
+ * touching the routes - including a local model server, or the mock for
+ * tests and offline demos.
+ *
+ * PROVIDERS:
+ * - anthropic          - Anthropic Messages API (CLAUDE_API_KEY)
+ * - gemini             - Google Gemini generateContent (GEMINI_API_KEY)
+ * - openai-compatible  - OpenAI Chat Completions or any server that speaks it
+ *                        (OPENAI_BASE_URL, OPENAI_API_KEY)
+ * - mock               - Deterministic offline stand-in, no key
+ *
+ * CHOOSING PROVIDER AND MODEL:
+ * ANALYSIS_CONFIGS below sets the provider, model and sampling of each
+ * analysis type. For a deployment-wide switch without a code change:
+ * - NGAUGE_LLM_PROVIDER - use this provider for every analysis type
+ * - NGAUGE_LLM_MODEL    - use this model (default: the type's model when the
+ *                         provider is unchanged, else DEFAULT_MODELS)
+ *
+ * PROVIDER INTERFACE:
+ * - name
+ * - generate({ prompt, model, temperature, maxTokens, timeout, responseFormat })
+ *     → Promise<{ text, model, stopReason, usage: { inputTokens, outputTokens } }>
+ *   responseFormat 'json' asks for a single JSON object, with the provider's
+ *   JSON mode where it has one
+ */
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+import { LLM_TIMEOUT_MS } from './http.js';
+
+export const LLM_PROVIDERS = ['anthropic', 'gemini', 'openai-compatible', 'mock'];
+
+// Model used when NGAUGE_LLM_PROVIDER switches a type to another provider
+export const DEFAULT_MODELS = {
+  anthropic: 'claude-3-haiku-20240307',
+  gemini: 'gemini-2.5-flash',
+  'openai-compatible': 'gpt-4o-mini',
+  mock: 'mock-analyst'
+};
+
+/**
+ * Configuration for different analysis types
+ */
+export const ANALYSIS_CONFIGS = {
+  'score-explanation': {
+    provider: 'anthropic',
+    model: 'claude-3-haiku-20240307',
+    temperature: 0.5,  // More deterministic for numerical explanations
+    maxTokens: 1800,   // Room for 3-4 sentence diagnostic depth
+    responseFormat: 'text',
+    description: 'Expert sports psychology analysis of score variance and trends'
+  },
+  'team-insights': {
+    provider: 'anthropic',
+    model: 'claude-3-haiku-20240307',
+    temperature: 0.6,  // Balanced for diagnostic focus with evidence-based insights
+    maxTokens: 2048,
+    responseFormat: 'json', // See api/_lib/structuredInsights.js
+    description: 'Expert sports psychology team chemistry diagnostics'
+  }
+};
+
+export const ANALYSIS_TYPES = Object.keys(ANALYSIS_CONFIGS);
+
+// Tries of a structured analysis before giving up (the first answer plus retries)
+export const STRUCTURED_ATTEMPTS = 2;
+
+/**
+ * Check a provider name
+ * @private
+ */
+function assertKnownProvider(name, source) {
+  if (!LLM_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown ${source} "${name}" (expected ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Provider, model and sampling of an analysis type, after environment overrides
+ *
+ * @param {string} type - One of ANALYSIS_TYPES
+ * @returns {Object} { provider, model, temperature, maxTokens, responseFormat, description }
+ * @throws {Error} If the type or NGAUGE_LLM_PROVIDER is unknown
+ */
+export function resolveAnalysisConfig(type) {
+  const base = ANALYSIS_CONFIGS[type];
+  if (!base) {
+    throw new Error(`Unknown analysis type "${type}" (expected ${ANALYSIS_TYPES.join(', ')})`);
+  }
+  assertKnownProvider(base.provider, `provider for ${type}`);
+
+  const providerOverride = (process.env.NGAUGE_LLM_PROVIDER || '').trim().toLowerCase();
+  if (providerOverride) {
+    assertKnownProvider(providerOverride, 'NGAUGE_LLM_PROVIDER');
+  }
+
+  const provider = providerOverride || base.provider;
+  const model = (process.env.NGAUGE_LLM_MODEL || '').trim() ||
+    (provider === base.provider ? base.model : DEFAULT_MODELS[provider]);
+
+  return { ...base, provider, model };
+}
+
+/**
+ * Create a provider from its environment variables
+ *
+ * @param {string} name - One of LLM_PROVIDERS
+ * @returns {Object} LLM provider
+ * @throws {Error} If the provider is unknown or its credentials are missing
+ */
+export function getLLMProvider(name) {
+  assertKnownProvider(name, 'LLM provider');
+
+  if (name === 'anthropic') {
+    return createAnthropicProvider({ apiKey: process.env.CLAUDE_API_KEY });
+  }
+  if (name === 'gemini') {
+    return createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY });
+  }
+  if (name === 'openai-compatible') {
+    return createOpenAICompatibleProvider({ baseUrl: process.env.OPENAI_BASE_URL, apiKey: process.env.OPENAI_API_KEY });
+  }
+  return createMockProvider();
+}
+
+/**
+ * Problems with the configured providers, for a startup check
+ *
+ * @returns {string[]} One message per analysis type whose provider cannot be used (empty if all can)
+ */
+export function checkLLMConfiguration() {
+  return ANALYSIS_TYPES.flatMap(type => {
+    try {
+      getLLMProvider(resolveAnalysisConfig(type).provider);
+      return [];
+    } catch (error) {
+      return [`${type}: ${error.message}`];
+    }
+  });
+}
+
+/**
+ * Run one analysis
+ *
+ * @param {string} type - One of ANALYSIS_TYPES
+ * @param {string} prompt - Complete prompt
+ * @param {Object} options
+ * @param {Object} options.provider - Provider instance to use instead of the configured one (tests)
+ * @returns {Promise<Object>} { analysis, provider, model }
+ * @throws {Error} If the provider fails or returns no text
+ */
+export async function runAnalysis(type, prompt, { provider = null } = {}) {
+  const resolved = resolveAnalysisConfig(type);
+  const { model, temperature, maxTokens, responseFormat } = resolved;
+  const llm = provider || getLLMProvider(resolved.provider);
+
+  console.log(`📊 Running ${type} analysis with ${llm.name}:`, { model, temperature, maxTokens, responseFormat });
+
+  const result = await llm.generate({ prompt, model, temperature, maxTokens, timeout: LLM_TIMEOUT_MS, responseFormat });
+
+  console.log(`${llm.name} response metadata:`, {
+    model: result.model,
+    stopReason: result.stopReason,
+    inputTokens: result.usage?.inputTokens,
+    outputTokens: result.usage?.outputTokens
+  });
+
+  if (!result.text) {
+    throw new Error(`No analysis generated by ${llm.name}`);
+  }
+
+  return { analysis: result.text, provider: llm.name, model: result.model || model };
+}
+
+/**
+ * Run an analysis whose answer must parse into a structure
+ *
+ * An answer that does not parse is asked for again, with the problems
+ * appended to the prompt, up to STRUCTURED_ATTEMPTS tries in all.
+ *
+ * @param {string} type - One of ANALYSIS_TYPES
+ * @param {string} prompt - Complete prompt
+ * @param {Function} parse - (text) => { value, errors }; value is null when errors is not empty
+ * @param {Object} options - See runAnalysis(), plus maxAttempts
+ * @returns {Promise<Object>} { analysis: parsed value, provider, model, attempts }
+ * @throws {Error} If the provider fails or no answer parses
+ */
+export async function runStructuredAnalysis(type, prompt, parse, { maxAttempts = STRUCTURED_ATTEMPTS, ...options } = {}) {
+  let attemptPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await runAnalysis(type, attemptPrompt, options);
+    const parsed = parse(result.analysis);
+
+    if (parsed.value) {
+      return { ...result, analysis: parsed.value, attempts: attempt };
+    }
+
+    errors = parsed.errors;
+    console.warn(`⚠️ ${type} answer ${attempt}/${maxAttempts} did not validate:`, errors);
+    attemptPrompt = `${prompt}\n\nYour previous reply could not be used: ${errors.join('; ')}.\n` +
+      'Reply again with only the JSON object described above.';
+  }
+
+  throw new Error(`${type} analysis did not return valid output after ${maxAttempts} attempts: ${errors.join('; ')}`);
+}
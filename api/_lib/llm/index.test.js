@@ -0,0 +1,227 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the LLM provider layer
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ANALYSIS_CONFIGS,
+  resolveAnalysisConfig,
+  getLLMProvider,
+  checkLLMConfiguration,
+  runAnalysis,
+  runStructuredAnalysis,
+} from './index';
+import { createMockProvider } from './mock';
+import { createAnthropicProvider } from './anthropic';
+import { createGeminiProvider } from './gemini';
+import { createOpenAICompatibleProvider } from './openaiCompatible';
+
+const env = { ...process.env };
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+beforeEach(() => {
+  delete process.env.NGAUGE_LLM_PROVIDER;
+  delete process.env.NGAUGE_LLM_MODEL;
+  delete process.env.OPENAI_BASE_URL;
+  delete process.env.OPENAI_API_KEY;
+  process.env.CLAUDE_API_KEY = 'test-key';
+});
+
+afterEach(() => {
+  process.env = { ...env };
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('resolveAnalysisConfig', () => {
+  it('should use the provider and model of the analysis type', () => {
+    expect(resolveAnalysisConfig('score-explanation')).toMatchObject({
+      provider: ANALYSIS_CONFIGS['score-explanation'].provider,
+      model: ANALYSIS_CONFIGS['score-explanation'].model,
+      temperature: 0.5,
+    });
+  });
+
+  it('should switch every type to NGAUGE_LLM_PROVIDER with its default model', () => {
+    process.env.NGAUGE_LLM_PROVIDER = 'Mock';
+    expect(resolveAnalysisConfig('team-insights')).toMatchObject({ provider: 'mock', model: 'mock-analyst', maxTokens: 2048 });
+
+    process.env.NGAUGE_LLM_MODEL = 'mock-large';
+    expect(resolveAnalysisConfig('team-insights').model).toBe('mock-large');
+  });
+
+  it('should reject unknown types and providers', () => {
+    expect(() => resolveAnalysisConfig('poetry')).toThrow(/Unknown analysis type "poetry"/);
+
+    process.env.NGAUGE_LLM_PROVIDER = 'skynet';
+    expect(() => resolveAnalysisConfig('team-insights')).toThrow(/Unknown NGAUGE_LLM_PROVIDER "skynet"/);
+  });
+});
+
+describe('checkLLMConfiguration', () => {
+  it('should report analysis types whose provider has no credentials', () => {
+    expect(checkLLMConfiguration()).toEqual([]);
+
+    delete process.env.CLAUDE_API_KEY;
+    expect(checkLLMConfiguration()).toEqual([
+      'score-explanation: CLAUDE_API_KEY environment variable not set',
+      'team-insights: CLAUDE_API_KEY environment variable not set',
+    ]);
+
+    process.env.NGAUGE_LLM_PROVIDER = 'mock';
+    expect(checkLLMConfiguration()).toEqual([]);
+  });
+
+  it('should let a local OpenAI-compatible server run without a key', () => {
+    expect(() => getLLMProvider('openai-compatible')).toThrow(/OPENAI_API_KEY/);
+
+    process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+    expect(getLLMProvider('openai-compatible').name).toBe('openai-compatible');
+  });
+});
+
+describe('runAnalysis', () => {
+  it('should send the prompt with the configured sampling and return the text', async () => {
+    const provider = createMockProvider({ respond: () => 'Trust is carrying the team.' });
+
+    const result = await runAnalysis('score-explanation', 'Explain this week', { provider });
+
+    expect(result).toEqual({ analysis: 'Trust is carrying the team.', provider: 'mock', model: ANALYSIS_CONFIGS['score-explanation'].model });
+    expect(provider.calls).toEqual([
+      { prompt: 'Explain this week', model: ANALYSIS_CONFIGS['score-explanation'].model, temperature: 0.5, maxTokens: 1800, responseFormat: 'text' },
+    ]);
+  });
+
+  it('should fail when the provider returns no text', async () => {
+    const provider = createMockProvider({ respond: () => '' });
+    await expect(runAnalysis('team-insights', 'Summarize', { provider })).rejects.toThrow('No analysis generated by mock');
+  });
+
+  it('should give the same mock answer for the same prompt', async () => {
+    process.env.NGAUGE_LLM_PROVIDER = 'mock';
+
+    const first = await runAnalysis('score-explanation', 'Summarize the week');
+    const second = await runAnalysis('score-explanation', 'Summarize the week');
+    const other = await runAnalysis('score-explanation', 'Summarize another week');
+
+    expect(first.analysis).toBe(second.analysis);
+    expect(first.analysis).not.toBe(other.analysis);
+    expect(first.analysis).toMatch(/^\[mock-analyst\] Mock analysis of a 18-character prompt/);
+
+    // team-insights asks for JSON
+    const insights = JSON.parse((await runAnalysis('team-insights', 'Summarize the week')).analysis);
+    expect(insights).toMatchObject({ sentimentOverview: expect.stringContaining('Mock analysis'), quotes: [], suggestions: [] });
+  });
+});
+
+describe('runStructuredAnalysis', () => {
+  const parseNumber = text => (/^\d+$/.test(text)
+    ? { value: Number(text), errors: [] }
+    : { value: null, errors: ['not a number'] });
+
+  it('should ask again with the problems when an answer does not parse', async () => {
+    const provider = createMockProvider({ respond: (prompt, model, { call }) => (call === 1 ? 'forty-two' : '42') });
+
+    const result = await runStructuredAnalysis('team-insights', 'Count', parseNumber, { provider });
+
+    expect(result).toMatchObject({ analysis: 42, attempts: 2, provider: 'mock' });
+    expect(provider.calls[0].responseFormat).toBe('json');
+    expect(provider.calls[1].prompt).toContain('Your previous reply could not be used: not a number.');
+  });
+
+  it('should give up after the last attempt', async () => {
+    const provider = createMockProvider({ respond: () => 'none' });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(runStructuredAnalysis('team-insights', 'Count', parseNumber, { provider }))
+      .rejects.toThrow('team-insights analysis did not return valid output after 2 attempts: not a number');
+    expect(provider.calls).toHaveLength(2);
+  });
+});
+
+describe('HTTP providers', () => {
+  const request = { prompt: 'Hello', model: 'some-model', temperature: 0.4, maxTokens: 100 };
+
+  it('should call the Anthropic Messages API', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({
+      model: 'some-model',
+      content: [{ type: 'text', text: 'Hi' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 3, output_tokens: 1 },
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await createAnthropicProvider({ apiKey: 'a-key' }).generate(request);
+
+    expect(result).toEqual({ text: 'Hi', model: 'some-model', stopReason: 'end_turn', usage: { inputTokens: 3, outputTokens: 1 } });
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(options.headers['x-api-key']).toBe('a-key');
+    expect(JSON.parse(options.body)).toEqual({
+      model: 'some-model', max_tokens: 100, temperature: 0.4, messages: [{ role: 'user', content: 'Hello' }],
+    });
+  });
+
+  it('should call Gemini generateContent with the key in a header', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({
+      candidates: [{ content: { parts: [{ text: 'Hi' }, { text: ' there' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2 },
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await createGeminiProvider({ apiKey: 'g-key' }).generate(request);
+
+    expect(result).toEqual({ text: 'Hi there', model: 'some-model', stopReason: 'STOP', usage: { inputTokens: 3, outputTokens: 2 } });
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/some-model:generateContent');
+    expect(options.headers['x-goog-api-key']).toBe('g-key');
+    expect(JSON.parse(options.body).generationConfig).toEqual({ temperature: 0.4, maxOutputTokens: 100 });
+  });
+
+  it('should request JSON in each provider\'s own way', async () => {
+    const fetchMock = vi.fn(async url => jsonResponse(url.includes('anthropic')
+      ? { content: [{ type: 'text', text: '"a": 1}' }] }
+      : { candidates: [], choices: [] }));
+    vi.stubGlobal('fetch', fetchMock);
+    const jsonRequest = { ...request, responseFormat: 'json' };
+
+    // Anthropic: the reply is started with "{" and the text continues it
+    const result = await createAnthropicProvider({ apiKey: 'a-key' }).generate(jsonRequest);
+    expect(result.text).toBe('{"a": 1}');
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).messages.at(-1)).toEqual({ role: 'assistant', content: '{' });
+
+    await createGeminiProvider({ apiKey: 'g-key' }).generate(jsonRequest);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).generationConfig.responseMimeType).toBe('application/json');
+
+    await createOpenAICompatibleProvider({ apiKey: 'o-key' }).generate(jsonRequest);
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body).response_format).toEqual({ type: 'json_object' });
+  });
+
+  it('should call a local OpenAI-compatible server without a bearer token', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({
+      choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 3, completion_tokens: 1 },
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await createOpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/' }).generate(request);
+
+    expect(result.text).toBe('Hi');
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(options.headers.Authorization).toBeUndefined();
+  });
+
+  it('should surface the provider error message', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ error: { message: 'model not found' } }, 404)));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(createOpenAICompatibleProvider({ apiKey: 'o-key' }).generate(request)).rejects.toThrow('model not found');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic stand-in for tests, offline demos and CI: no network, no
+ * key, and the same prompt always gets the same answer. Every call is kept
+ * in `calls` so tests can check the prompt that would have been sent.
+ * JSON requests get a team-insights object (see ../structuredInsights.js)
+ * carrying the same text.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Default answer: names the prompt by size and checksum
+ * @private
+ */
+function describePrompt(prompt, model, { responseFormat = 'text' } = {}) {
+  const checksum = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+  const text = `[${model}] Mock analysis of a ${prompt.length}-character prompt (checksum ${checksum}). ` +
+    'Set NGAUGE_LLM_PROVIDER to a real provider for AI analysis.';
+
+  return responseFormat === 'json'
+    ? JSON.stringify({ sentimentOverview: text, notes: '', quotes: [], suggestions: [], focusDimensions: [] })
+    : text;
+}
+
+/**
+ * Rough token count (whitespace-separated words)
+ * @private
+ */
+function countWords(text) {
+  return (String(text).match(/\S+/g) || []).length;
+}
+
+/**
+ * Create the mock provider
+ *
+ * @param {Object} options
+ * @param {Function} options.respond - (prompt, model, { responseFormat, call }) => text, call counting from 1; defaults to a checksum of the prompt
+ * @returns {Object} LLM provider, plus `calls`: [{ prompt, model, temperature, maxTokens, responseFormat }]
+ */
+export function createMockProvider({ respond = describePrompt } = {}) {
+  const calls = [];
+
+  return {
+    name: 'mock',
+    calls,
+
+    async generate({ prompt, model, temperature, maxTokens, responseFormat = 'text' }) {
+      calls.push({ prompt, model, temperature, maxTokens, responseFormat });
+      const text = respond(prompt, model, { responseFormat, call: calls.length });
+
+      return {
+        text,
+        model,
+        stopReason: 'end_turn',
+        usage: { inputTokens: countWords(prompt), outputTokens: countWords(text) }
+      };
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ *
+ * Calls any server that speaks the OpenAI Chat Completions API: OpenAI
+ * itself, or a local model server (Ollama, llama.cpp, vLLM, LM Studio) so
+ * open-text answers never leave the building.
+ *
+ * OPENAI_BASE_URL picks the server (default https://api.openai.com/v1, e.g.
+ * http://localhost:11434/v1 for Ollama). OPENAI_API_KEY is sent as a bearer
+ * token when set; local servers usually do not need one.
+ */
+
+import { postJSON } from './http.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Create the OpenAI-compatible provider
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, without /chat/completions
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @returns {Object} LLM provider
+ */
+export function createOpenAICompatibleProvider({ baseUrl = DEFAULT_OPENAI_BASE_URL, apiKey = '' } = {}) {
+  const root = (baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+
+  // Only the hosted API is known to need a key
+  if (!apiKey && root === DEFAULT_OPENAI_BASE_URL) {
+    throw new Error('OPENAI_API_KEY environment variable not set (or point OPENAI_BASE_URL at a local model server)');
+  }
+
+  return {
+    name: 'openai-compatible',
+
+    async generate({ prompt, model, temperature, maxTokens, timeout, responseFormat = 'text' }) {
+      const data = await postJSON(`${root}/chat/completions`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+      }, { service: 'OpenAI-compatible', timeout });
+
+      const choice = data.choices?.[0];
+
+      return {
+        text: choice?.message?.content || '',
+        model: data.model || model,
+        stopReason: choice?.finish_reason || null,
+        usage: {
+          inputTokens: data.usage?.prompt_tokens ?? null,
+          outputTokens: data.usage?.completion_tokens ?? null
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Chemistry vs Performance
+ *
+ * Backs GET /api/performance in both runtimes: relates the season's weekly
+ * chemistry scores to the games and practice ratings stored in the
+ * AIInsights tab (see utils/performance.js for the figures).
+ *
+ * Games are matched to survey weeks with the same week settings as the
+ * season history (VITE_WEEK_START_DAY, VITE_SURVEY_TIMEZONE). Only team-level
+ * aggregates are returned, so the route stays open in privacy mode.
+ */
+
+import { TABS } from './storage/index.js';
+import { computeSeasonHistory, getSurveyWeekOptions } from './history.js';
+import { readGameHistory } from './insights.js';
+import { readTeamSettings } from './settings.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { getSurveyWeek } from '../../src/utils/surveyWeeks.js';
+import { getDimensionNames } from '../../src/utils/surveySchema.js';
+import { buildPerformanceAnalysis } from '../../src/utils/performance.js';
+
+/**
+ * Compute the Chemistry vs Performance analysis from the stored data
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Output of buildPerformanceAnalysis()
+ */
+export async function computePerformanceAnalysis(storage) {
+  const schema = loadSurveySchema();
+  const [rows, games, settings] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readGameHistory(storage),
+    readTeamSettings(storage)
+  ]);
+
+  const history = computeSeasonHistory(rows, schema, settings);
+  const weekOptions = getSurveyWeekOptions();
+
+  // Games are saved during the week they were analysed with
+  const datedGames = games.map(game => ({
+    ...game,
+    weekId: getSurveyWeek(game.timestamp, weekOptions)?.weekId || null
+  }));
+
+  return buildPerformanceAnalysis(datedGames, history.weeks, getDimensionNames(schema));
+}
@@ -0,0 +1,86 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the Chemistry vs Performance endpoint data
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import { INSIGHTS_HEADERS } from './insights';
+import { saveTeamSettings } from './settings';
+import { computePerformanceAnalysis } from './performance';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'dimension', header: 'Trust', dimension: 'Trust' },
+    { index: 2, role: 'dimension', header: 'Energy', dimension: 'Energy' },
+  ],
+};
+
+const responses = [
+  ['Timestamp', 'Trust', 'Energy'],
+  ['10/07/2025 18:00:00', '7', '7'],
+  ['10/14/2025 18:00:00', '4', '4'],
+  ['10/21/2025 18:00:00', '1', '4'],
+];
+
+// Analyses saved on the Thursday of each survey week
+const insights = [
+  INSIGHTS_HEADERS,
+  ['2025-10-09T20:00:00.000Z', 'Win', '4', '1', '9', '100', 'x', 'y'],
+  ['2025-10-16T20:00:00.000Z', 'Tie', '2', '2', '6', '50', 'x', 'y'],
+  ['2025-10-23T20:00:00.000Z', 'Lose', '0', '3', '3', '25', 'x', 'y'],
+  ['2025-10-23T20:00:00.000Z', 'N/A', 'N/A', 'N/A', 'N/A', '25', 'x', 'y'],
+];
+
+describe('computePerformanceAnalysis', () => {
+  let dir;
+  let storage;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-performance-'));
+    fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify(schema));
+    process.env.SURVEY_SCHEMA_PATH = path.join(dir, 'schema.json');
+    process.env.VITE_WEEK_START_DAY = '1';
+    process.env.VITE_SURVEY_TIMEZONE = 'UTC';
+    process.env.VITE_MIN_RESPONSES = '1';
+
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+    await storage.appendRows(TABS.RESPONSES, responses);
+    await storage.appendRows(TABS.INSIGHTS, insights);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should match each stored game to its survey week', async () => {
+    const analysis = await computePerformanceAnalysis(storage);
+
+    expect(analysis.gameCount).toBe(3);
+    expect(analysis.games.map(game => [game.weekId, game.chemistry, game.margin])).toEqual([
+      ['2025-10-06', 100, 3],
+      ['2025-10-13', 50, 0],
+      ['2025-10-20', 25, -3],
+    ]);
+    expect(analysis.seasonMedian).toBe(50);
+    expect(analysis.correlations.chemistryVsMargin.r).toBeGreaterThan(0.9);
+    expect(analysis.practiceByDimension.map(dimension => dimension.name)).toEqual(['Trust', 'Energy']);
+  });
+
+  it('should use the week score under the current dimension weights', async () => {
+    await saveTeamSettings(storage, { dimensionWeights: { Trust: 3 } });
+    const analysis = await computePerformanceAnalysis(storage);
+
+    // Last week: (0 * 3 + 50) / 4
+    expect(analysis.games[2].chemistry).toBe(12.5);
+  });
+});
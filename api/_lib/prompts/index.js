@@ -0,0 +1,45 @@
+/**
+ * Prompt Templates
+ *
+ * Every prompt sent to an LLM is rendered here on the server from structured
+ * data; the browser never supplies prompt text.
+ *
+ * VERSIONING:
+ * A released template is never edited. To change the wording of an analysis,
+ * add the next version next to the old one and point CURRENT_PROMPT_VERSIONS
+ * at it. Each analysis reports the version that produced it
+ * ("score-explanation@v1"), so results can be compared across changes.
+ */
+
+import { SCORE_EXPLANATION_TEMPLATES } from './scoreExplanation.js';
+import { TEAM_INSIGHTS_TEMPLATES } from './teamInsights.js';
+
+// Templates per analysis type (see ANALYSIS_CONFIGS in ../llm/index.js), by version
+export const PROMPT_TEMPLATES = {
+  'score-explanation': SCORE_EXPLANATION_TEMPLATES,
+  'team-insights': TEAM_INSIGHTS_TEMPLATES
+};
+
+// Version rendered for new analyses
+export const CURRENT_PROMPT_VERSIONS = {
+  'score-explanation': 'v1',
+  'team-insights': 'v3'
+};
+
+/**
+ * Render the prompt of an analysis type
+ *
+ * @param {string} type - Analysis type
+ * @param {Object} context - Data the template needs (see the template's JSDoc)
+ * @param {string} version - Template version (default: CURRENT_PROMPT_VERSIONS)
+ * @returns {Object} { prompt, promptVersion }
+ * @throws {Error} If there is no such template
+ */
+export function renderPrompt(type, context, version = CURRENT_PROMPT_VERSIONS[type]) {
+  const template = PROMPT_TEMPLATES[type]?.[version];
+  if (!template) {
+    throw new Error(`Unknown prompt template "${type}@${version}"`);
+  }
+
+  return { prompt: template(context), promptVersion: `${type}@${version}` };
+}
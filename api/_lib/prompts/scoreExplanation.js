@@ -0,0 +1,120 @@
+/**
+ * Score Explanation Prompt Templates
+ *
+ * Two-sentence explanation of a survey week's team score against the season,
+ * with the week's games, agreement, participation and forecast as context.
+ */
+
+/**
+ * Game results that mean no competitive game was played
+ * (the game-info form sends "No Game"; older rows say "No competitive game")
+ * @private
+ */
+const NO_GAME_RESULTS = ['No Game', 'No competitive game'];
+
+/**
+ * Version 1
+ *
+ * @param {Object} context
+ * @param {number} context.weeklyScore - The week's team score
+ * @param {number} context.seasonAverage - Season average team score
+ * @param {Array<Object>} context.games - [{ result, yourScore, opponentScore, practicePerformance, skipped }]
+ * @param {Array<string>} context.dimensionNames - Dimensions declared by the survey schema
+ * @param {Object|null} context.forecast - Next survey week's projection ({ team: { forecast, lower, upper, confidenceLevel } })
+ * @param {Array<Object>} context.agreement - The week's dimensions ([{ name, average, agreement: { index, stdDev, level } }])
+ * @param {Object|null} context.participation - Recent response rates, oldest first
+ *                                             ({ minParticipation, weeks: [{ weekId, responseCount, rosterSize, rate, low }] })
+ * @returns {string} Prompt text
+ */
+function renderScoreExplanationV1({
+  weeklyScore,
+  seasonAverage,
+  games = [],
+  dimensionNames = [],
+  forecast = null,
+  agreement = [],
+  participation = null
+}) {
+  // Game/practice section (skipped games are left out)
+  const validGames = games.filter(game => game && !game.skipped);
+  let gameInfoSection = '';
+  if (validGames.length > 0) {
+    const gameLines = validGames.map((game, index) => {
+      const gameNum = validGames.length > 1 ? `Game ${index + 1}: ` : '';
+      const scoreInfo = NO_GAME_RESULTS.includes(game.result)
+        ? 'No competitive game'
+        : `${game.result} (${game.yourScore}-${game.opponentScore})`;
+      return `- ${gameNum}${scoreInfo}`;
+    }).join('\n');
+
+    // All games of a week share one practice rating
+    const practiceRating = validGames[0].practicePerformance;
+
+    gameInfoSection = `
+**Game/Practice Context:**
+${gameLines}${typeof practiceRating === 'number' ? `\n- Practice Performance Rating: ${practiceRating}/10` : ''}
+`;
+  }
+
+  // Projection of next week's score (Holt's linear smoothing over the season)
+  const forecastLine = forecast?.team
+    ? `\n- Next Week Forecast: ${forecast.team.forecast.toFixed(2)} (${Math.round(forecast.team.confidenceLevel * 100)}% prediction interval ${forecast.team.lower.toFixed(2)}-${forecast.team.upper.toFixed(2)})`
+    : '';
+
+  // Within-team agreement per dimension, so the analysis can speak to splits and not just levels
+  const agreedDimensions = (agreement || []).filter(dimension => dimension?.agreement && typeof dimension.average === 'number');
+  const splitDimensions = agreedDimensions.filter(dimension => dimension.agreement.level === 'low');
+  let agreementSection = '';
+  if (agreedDimensions.length > 0) {
+    const agreementLines = agreedDimensions.map(dimension =>
+      `- ${dimension.name}: average ${dimension.average.toFixed(1)}, agreement ${dimension.agreement.index.toFixed(2)} (${dimension.agreement.level}, SD ${dimension.agreement.stdDev.toFixed(1)})`
+    ).join('\n');
+
+    agreementSection = `
+**Within-Team Agreement (1 = everyone answered alike, 0 = team split between the extremes):**
+${agreementLines}
+`;
+  }
+
+  // Response rate against the roster, so a score from a thin turnout is read as such
+  const participationWeeks = (participation?.weeks || []).filter(week => week && typeof week.rate === 'number');
+  const currentParticipation = participationWeeks[participationWeeks.length - 1] || null;
+  let participationSection = '';
+  if (participationWeeks.length > 0) {
+    const participationLines = participationWeeks.map(week =>
+      `- Week of ${week.weekId}: ${week.responseCount} of ${week.rosterSize} players (${Math.round(week.rate * 100)}%)${week.low ? ' - low' : ''}`
+    ).join('\n');
+
+    participationSection = `
+**Participation (responses / roster, warning below ${Math.round((participation.minParticipation ?? 0) * 100)}%):**
+${participationLines}
+`;
+  }
+
+  // Name the factors the survey actually measures (from the survey schema)
+  const factorExamples = dimensionNames.length > 0
+    ? dimensionNames.map(name => name.toLowerCase()).join(', ')
+    : 'role clarity, trust, collective efficacy';
+
+  return `You are an expert sports psychologist. Provide a brief 2-sentence analysis.
+
+**Data:**
+- Weekly Score: ${weeklyScore.toFixed(2)}
+- Season Average: ${seasonAverage.toFixed(2)}${forecastLine}${gameInfoSection}${agreementSection}${participationSection}
+
+**Task:**
+Write exactly 2 concise sentences:
+1. Diagnose the team's cohesion level and key psychological factor (e.g., ${factorExamples})${validGames.length > 0 ? ', considering the game result(s) and practice performance and their trends' : ''}
+2. Discuss the most important psychological factor(s) that are most likely to impact the team's performance in the upcoming game but do not diagnose just explain.${forecastLine ? ' Use the forecast to frame where the team is heading.' : ''}${splitDimensions.length > 0 ? `\nThe team is split on ${splitDimensions.map(dimension => dimension.name).join(', ')}: name that divide in the group rather than treating the average as shared.` : ''}${currentParticipation?.low ? `\nOnly ${Math.round(currentParticipation.rate * 100)}% of the roster responded this week: say the score may not represent the whole team.` : ''}
+
+**Rules:**
+Be direct and specific. No JSON formatting.
+Each sentence must be <= 30 words. Do not repeat numbers
+Do not add extra sections, bullets, or markdown beyond what is shown
+If multiple games, reference the overall trend; do not summarize each game separately; reference practice rating once
+`;
+}
+
+export const SCORE_EXPLANATION_TEMPLATES = {
+  v1: renderScoreExplanationV1
+};
@@ -0,0 +1,176 @@
+/**
+ * Team Insights Prompt Templates
+ *
+ * Analysis of the open-text answers of one survey week. Built on the server
+ * from the stored responses, so the answers reach the model exactly as the
+ * players wrote them - apart from the personal information masked by
+ * ../redaction.js.
+ */
+
+// Answers shorter than this ("ok", "-") are left out of every version
+const MIN_ANSWER_LENGTH = 3;
+
+/**
+ * Whether an open-text answer is included in the prompt
+ *
+ * @param {string} answer - Open-text answer
+ * @returns {boolean}
+ */
+export function isPromptedAnswer(answer) {
+  return typeof answer === 'string' && answer.trim().length >= MIN_ANSWER_LENGTH;
+}
+
+/**
+ * The "Player Responses" section shared by every version
+ * @private
+ */
+function buildResponsesSection(responses, { labelled = true } = {}) {
+  // Collect non-blank answers per open-text question, in survey schema order
+  const questions = new Map();
+
+  responses.forEach((player, index) => {
+    const playerLabel = player.name || `Player ${index + 1}`;
+
+    (player.openText || []).forEach(({ key, label, answer }) => {
+      if (!questions.has(key)) {
+        questions.set(key, { label, answers: [] });
+      }
+      if (isPromptedAnswer(answer)) {
+        questions.get(key).answers.push(labelled ? `${playerLabel}: "${answer}"` : `- "${answer}"`);
+      }
+    });
+  });
+
+  // Build the responses section
+  const answeredQuestions = [...questions.values()].filter(question => question.answers.length > 0);
+
+  // If no responses at all, return a message
+  return answeredQuestions.length > 0
+    ? answeredQuestions
+      .map(question => `**Question: "${question.label}"**\n${question.answers.join('\n')}`)
+      .join('\n\n')
+    : 'No open-ended responses provided this week.';
+}
+
+/**
+ * Version 1: sentiment overview and additional notes, with quotes, as text
+ *
+ * @param {Object} context
+ * @param {Array} context.responses - Response objects from transformData() (uses `openText`)
+ * @returns {string} Prompt text
+ */
+function renderTeamInsightsV1({ responses }) {
+  const responsesSection = buildResponsesSection(responses);
+
+  return `You are an expert sports psychologist analyzing team sentiment from player feedback.
+
+**Player Responses:**
+${responsesSection}
+
+**Task:**
+Provide a brief analysis in TWO sections:
+
+1. **Team Sentiment Overview:** - Aggregate how the team is feeling about the week. Include specific player quotes using " " marks as evidence.
+
+2. **Additional Notes** - Summarize any additional comments or concerns. Include specific player quotes using " " marks.
+
+**Rules:**
+- Your commentary (excluding quotes) must be MAX 50 words total across both sections
+- Always include actual player quotes with " " marks to support your analysis
+- Be concise and direct
+- If a section has no responses, write "No responses provided."
+- No JSON formatting
+- Please never include the players names
+
+Format your response exactly like this:
+
+**Team Sentiment Overview:**
+[Your brief analysis with quotes]
+
+**Additional Notes:**
+[Your brief analysis with quotes]`;
+}
+
+/**
+ * Version 2: the same analysis as a JSON object, plus suggestions and the
+ * dimensions to focus on (see ../structuredInsights.js)
+ *
+ * @param {Object} context
+ * @param {Array} context.responses - Response objects from transformData() (uses `openText`)
+ * @param {Array<string>} context.dimensionNames - Dimensions declared by the survey schema
+ * @returns {string} Prompt text
+ */
+function renderTeamInsightsV2({ responses, dimensionNames = [] }) {
+  const responsesSection = buildResponsesSection(responses);
+
+  return `You are an expert sports psychologist analyzing team sentiment from player feedback.
+
+**Player Responses:**
+${responsesSection}
+
+**Survey Dimensions:** ${dimensionNames.length > 0 ? dimensionNames.join(', ') : 'none declared'}
+
+**Task:**
+Analyze how the team is feeling about the week and answer with ONE JSON object, exactly these keys:
+
+{
+  "sentimentOverview": "How the team is feeling about the week (max 35 words)",
+  "notes": "Other comments or concerns (max 25 words), or "" if there are none",
+  "quotes": ["Player quotes that support the analysis, copied word for word (at most 4)"],
+  "suggestions": [{ "topic": "2-4 word topic", "suggestion": "One concrete action for the coaching staff (max 25 words)" }],
+  "focusDimensions": ["Survey dimensions to watch next week, from the list above"]
+}
+
+**Rules:**
+- Output only the JSON object: no markdown, no code fences, no text before or after it
+- Give 1-3 suggestions, each grounded in the responses
+- Quotes must be copied from the responses exactly, without the player labels
+- Never include the players' names
+- If there are no responses, set "sentimentOverview" to "No responses provided." and use "" and [] for the rest`;
+}
+
+/**
+ * Version 3: version 2 without a label on each answer ("Response 4: ..."),
+ * which tied quotes to a row of the sheet, and with masked personal
+ * information ([name], [email], ...) kept as it is
+ *
+ * @param {Object} context
+ * @param {Array} context.responses - Response objects from transformData(), open text redacted (uses `openText`)
+ * @param {Array<string>} context.dimensionNames - Dimensions declared by the survey schema
+ * @returns {string} Prompt text
+ */
+function renderTeamInsightsV3({ responses, dimensionNames = [] }) {
+  const responsesSection = buildResponsesSection(responses, { labelled: false });
+
+  return `You are an expert sports psychologist analyzing team sentiment from player feedback.
+
+**Player Responses (one answer per line, anonymous):**
+${responsesSection}
+
+**Survey Dimensions:** ${dimensionNames.length > 0 ? dimensionNames.join(', ') : 'none declared'}
+
+**Task:**
+Analyze how the team is feeling about the week and answer with ONE JSON object, exactly these keys:
+
+{
+  "sentimentOverview": "How the team is feeling about the week (max 35 words)",
+  "notes": "Other comments or concerns (max 25 words), or "" if there are none",
+  "quotes": ["Player quotes that support the analysis, copied word for word (at most 4)"],
+  "suggestions": [{ "topic": "2-4 word topic", "suggestion": "One concrete action for the coaching staff (max 25 words)" }],
+  "focusDimensions": ["Survey dimensions to watch next week, from the list above"]
+}
+
+**Rules:**
+- Output only the JSON object: no markdown, no code fences, no text before or after it
+- Give 1-3 suggestions, each grounded in the responses
+- Quotes must be copied from the responses exactly
+- Personal details are masked as [name], [email], [link], [phone], [handle] and [number]: keep the masks as they are and never guess what they hide
+- Never identify or single out a player
+- If there are no responses, set "sentimentOverview" to "No responses provided." and use "" and [] for the rest`;
+}
+
+export const TEAM_INSIGHTS_TEMPLATES = {
+  v1: renderTeamInsightsV1,
+  v2: renderTeamInsightsV2,
+  v3: renderTeamInsightsV3
+};
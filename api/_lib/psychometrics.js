@@ -0,0 +1,32 @@
+/**
+ * Survey Reliability Diagnostics
+ *
+ * Backs the admin-only GET /api/reliability in both runtimes: Cronbach's
+ * alpha, corrected item-total correlations and alpha-if-item-deleted for the
+ * season and for each survey week, from the raw ratings in the
+ * Weekly-Chemistry rows (see utils/psychometrics.js).
+ *
+ * Weeks are grouped with the same settings as the season history, and weeks
+ * below VITE_MIN_RESPONSES are suppressed there too.
+ */
+
+import { TABS } from './storage/index.js';
+import { getSurveyWeekOptions, getMinResponses } from './history.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { buildReliabilityReport } from '../../src/utils/psychometrics.js';
+
+/**
+ * Compute the reliability report from the stored responses
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Output of buildReliabilityReport()
+ * @throws {Error} code SURVEY_SCHEMA_MISMATCH if the schema does not match the sheet
+ */
+export async function computeReliabilityDiagnostics(storage) {
+  const rows = await storage.readRows(TABS.RESPONSES);
+
+  return buildReliabilityReport(rows, loadSurveySchema(), {
+    weekOptions: getSurveyWeekOptions(),
+    minResponses: getMinResponses()
+  });
+}
@@ -0,0 +1,196 @@
+/**
+ * Open-Text Redaction
+ *
+ * Masks personal information in the players' open-text answers before they
+ * are put into an LLM prompt (see analysis.js). Prompts are otherwise built
+ * from numbers, schema dimension names and validated game results, so the
+ * answers are the only free text that can leave the server.
+ *
+ * MASKED:
+ * - name:   teammate and coach names from the team setting `rosterNames`
+ *           (full names in any case; each part of them only when capitalised,
+ *           so "Sam Will" leaves "we will win" alone)
+ * - email:  email addresses
+ * - link:   URLs
+ * - phone:  phone numbers and other runs of 7+ digits
+ * - handle: social media handles (@name)
+ * - number: jersey numbers (#23) and 5-6 digit ID numbers
+ *
+ * AUDIT TRAIL (RedactionAudit tab):
+ * Row 1: Headers [Timestamp | Analysis | Week | Prompt Version | Answers Sent | Answers Redacted | Names | Emails | Links | Phones | Handles | Numbers]
+ * Row 2+: One row per analysis that sent open text to an LLM. Only counts are
+ *         kept - never the masked values.
+ */
+
+import { TABS } from './storage/index.js';
+
+export const REDACTION_TYPES = ['name', 'email', 'link', 'phone', 'handle', 'number'];
+
+export const REDACTION_AUDIT_HEADERS = [
+  'Timestamp',
+  'Analysis',
+  'Week',
+  'Prompt Version',
+  'Answers Sent',
+  'Answers Redacted',
+  'Names',
+  'Emails',
+  'Links',
+  'Phones',
+  'Handles',
+  'Numbers'
+];
+
+// Identifier patterns, applied in order (an email must go before its @handle part)
+const IDENTIFIER_PATTERNS = [
+  ['email', /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu],
+  ['link', /\b(?:https?:\/\/|www\.)[^\s]*[^\s.,;:!?)"']/giu],
+  ['phone', /(?<![\p{L}\p{N}])\+?\(?\d(?:[\s().-]{0,2}\d){6,14}(?![\p{L}\p{N}])/gu],
+  ['handle', /(?<![\p{L}\p{N}_])@[\p{L}\p{N}_][\p{L}\p{N}_.]*[\p{L}\p{N}_]/gu],
+  ['number', /#\d{1,3}\b|(?<![\p{L}\p{N}])\d{5,6}(?![\p{L}\p{N}])/gu]
+];
+
+// Name parts shorter than this are too ambiguous to mask on their own
+const MIN_NAME_PART_LENGTH = 2;
+
+// Titles in a listed name ("Coach Lee") that are not masked on their own
+const NAME_TITLES = new Set(['coach', 'captain', 'mr', 'mrs', 'ms', 'miss', 'dr']);
+
+/**
+ * Zero count per redaction type
+ * @private
+ */
+function emptyCounts() {
+  return Object.fromEntries(REDACTION_TYPES.map(type => [type, 0]));
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A whole-word pattern for a list of names, longest first
+ * @private
+ */
+function buildWordPattern(variants, flags) {
+  if (variants.size === 0) return null;
+
+  // Longest first, so "Jordan Smith" is masked once rather than as two parts
+  const alternatives = [...variants]
+    .sort((a, b) => b.length - a.length)
+    .map(variant => escapeRegExp(variant).replace(/ /g, '\\s+'));
+
+  // Not inside a word, nor inside a mask already applied ("[link]")
+  return new RegExp(`(?<![\\p{L}\\p{N}_\\[])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, flags);
+}
+
+/**
+ * Patterns matching every configured name: full names in any case, and
+ * single name parts only when capitalised - a part on its own is often an
+ * ordinary word ("Will", "Grace", "Hunter")
+ * @private
+ */
+function buildNamePatterns(names) {
+  const fullNames = new Set();
+  const parts = new Set();
+  names.forEach(name => {
+    const fullName = String(name ?? '').trim().replace(/\s+/g, ' ');
+    if (!fullName) return;
+
+    const nameParts = fullName.split(/[\s-]+/);
+    if (nameParts.length > 1) fullNames.add(fullName);
+    nameParts
+      .filter(part => part.length >= MIN_NAME_PART_LENGTH && !NAME_TITLES.has(part.toLowerCase().replace(/\.$/, '')))
+      .forEach(part => parts.add(part.charAt(0).toLocaleUpperCase() + part.slice(1)));
+  });
+
+  return [buildWordPattern(fullNames, 'giu'), buildWordPattern(parts, 'gu')].filter(Boolean);
+}
+
+/**
+ * Create a redactor for a team's roster names
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.names - Teammate and coach names to mask
+ * @returns {Function} (text) => { text, counts: { [type]: number } } - masks each match as [type]
+ */
+export function createRedactor({ names = [] } = {}) {
+  // Identifiers first, so a name inside an email address counts as the email
+  const patterns = [
+    ...IDENTIFIER_PATTERNS,
+    ...buildNamePatterns(names).map(pattern => ['name', pattern])
+  ];
+
+  return (text) => {
+    const counts = emptyCounts();
+    const redacted = patterns.reduce((current, [type, pattern]) => current.replace(pattern, () => {
+      counts[type]++;
+      return `[${type}]`;
+    }), String(text ?? ''));
+
+    return { text: redacted, counts };
+  };
+}
+
+/**
+ * Redact the open-text answers of a week's responses
+ *
+ * @param {Array} responses - Response objects from transformData() (uses `openText`)
+ * @param {Object} options - See createRedactor()
+ * @returns {Object} { responses: copies with redacted answers, answers: non-blank answers,
+ *                     redactedAnswers: answers with at least one mask, counts: { [type]: number } }
+ */
+export function redactResponses(responses, options = {}) {
+  const redact = createRedactor(options);
+  const counts = emptyCounts();
+  let answers = 0;
+  let redactedAnswers = 0;
+
+  const redactedResponses = responses.map(response => ({
+    ...response,
+    openText: (response.openText || []).map(item => {
+      if (!item.answer || !item.answer.trim()) return item;
+
+      const { text, counts: answerCounts } = redact(item.answer);
+      const masks = Object.values(answerCounts).reduce((sum, count) => sum + count, 0);
+      REDACTION_TYPES.forEach(type => { counts[type] += answerCounts[type]; });
+      answers++;
+      if (masks > 0) redactedAnswers++;
+
+      return { ...item, answer: text };
+    })
+  }));
+
+  return { responses: redactedResponses, answers, redactedAnswers, counts };
+}
+
+/**
+ * Record the redaction of one analysis in the RedactionAudit tab
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} entry - { type, weekId, promptVersion, answers, redactedAnswers, counts } (see redactResponses())
+ * @returns {Promise<void>}
+ */
+export async function appendRedactionAudit(storage, { type, weekId, promptVersion, answers, redactedAnswers, counts }) {
+  const [currentHeaders] = await storage.readRows(TABS.REDACTION_AUDIT);
+  if (!currentHeaders || currentHeaders.length !== REDACTION_AUDIT_HEADERS.length) {
+    await storage.writeHeader(TABS.REDACTION_AUDIT, REDACTION_AUDIT_HEADERS);
+  }
+
+  await storage.appendRows(TABS.REDACTION_AUDIT, [[
+    new Date().toISOString(),
+    type,
+    weekId,
+    promptVersion,
+    answers,
+    redactedAnswers,
+    ...REDACTION_TYPES.map(redactionType => counts[redactionType])
+  ]]);
+
+  const total = REDACTION_TYPES.reduce((sum, redactionType) => sum + counts[redactionType], 0);
+  console.log(`🕶️ ${type} (week ${weekId}): ${total} item(s) masked in ${redactedAnswers} of ${answers} answer(s) (${storage.type})`);
+}
@@ -0,0 +1,92 @@
+// @vitest-environment node
+/**
+ * Unit Tests for open-text redaction
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import { createRedactor, redactResponses, appendRedactionAudit, REDACTION_AUDIT_HEADERS } from './redaction';
+
+const names = ['Jordan Smith', 'Coach Lee'];
+
+describe('createRedactor', () => {
+  const redact = createRedactor({ names });
+
+  it('should mask roster names, their parts and possessives', () => {
+    expect(redact("jordan smith and Jordan were late, Smith's pass was great")).toEqual({
+      text: "[name] and [name] were late, [name]'s pass was great",
+      counts: { name: 3, email: 0, link: 0, phone: 0, handle: 0, number: 0 },
+    });
+  });
+
+  it('should only mask a single name part when it is capitalised', () => {
+    const redactWill = createRedactor({ names: ['Sam Will', 'grace'] });
+
+    expect(redactWill('We will win, Will and Sam were late. By grace, Grace scored').text)
+      .toBe('We will win, [name] and [name] were late. By grace, [name] scored');
+    expect(redactWill('sam will was late').text).toBe('[name] was late');
+  });
+
+  it('should leave titles and other words alone', () => {
+    expect(redact('The coach said Lee was right, Leeds won').text).toBe('The coach said [name] was right, Leeds won');
+  });
+
+  it('should mask emails, links, phone numbers, handles and ID numbers', () => {
+    const { text, counts } = redact('Mail jo.smith@uni.edu, call (555) 123-4567, see https://insta.com/x, or @jsmith. #23 has ID 123456');
+
+    expect(text).toBe('Mail [email], call [phone], see [link], or [handle]. [number] has ID [number]');
+    expect(counts).toEqual({ name: 0, email: 1, link: 1, phone: 1, handle: 1, number: 2 });
+  });
+
+  it('should keep scores, dates and years', () => {
+    expect(redact('Won 3-1 on 10/14/2025, best game of 2025').text).toBe('Won 3-1 on 10/14/2025, best game of 2025');
+  });
+
+  it('should work without roster names', () => {
+    expect(createRedactor()('Jordan was great').text).toBe('Jordan was great');
+  });
+});
+
+describe('redactResponses', () => {
+  it('should redact every answer and total the counts', () => {
+    const responses = [
+      { name: 'Response 1', openText: [{ key: 'q1', label: 'Week?', answer: 'Jordan Smith carried us' }, { key: 'q2', label: 'Else?', answer: '' }] },
+      { name: 'Response 2', openText: [{ key: 'q1', label: 'Week?', answer: 'Good week' }] },
+    ];
+
+    const result = redactResponses(responses, { names });
+
+    expect(result.responses[0].openText[0].answer).toBe('[name] carried us');
+    expect(result.responses[1].openText[0].answer).toBe('Good week');
+    expect(result).toMatchObject({ answers: 2, redactedAnswers: 1, counts: { name: 1, email: 0 } });
+    // The stored responses are not changed
+    expect(responses[0].openText[0].answer).toBe('Jordan Smith carried us');
+  });
+});
+
+describe('appendRedactionAudit', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-redaction-'));
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should record counts only', async () => {
+    const counts = { name: 2, email: 1, link: 0, phone: 0, handle: 0, number: 0 };
+    await appendRedactionAudit(storage, { type: 'team-insights', weekId: '2025-10-13', promptVersion: 'team-insights@v3', answers: 5, redactedAnswers: 2, counts });
+
+    const rows = await storage.readRows(TABS.REDACTION_AUDIT);
+    expect(rows[0]).toEqual(REDACTION_AUDIT_HEADERS);
+    expect(rows[1].slice(1)).toEqual(['team-insights', '2025-10-13', 'team-insights@v3', '5', '2', '2', '1', '0', '0', '0', '0']);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Careless-Response Review
+ *
+ * Backs the admin-only GET /api/response-quality in both runtimes: the
+ * responses flagged for straight-lining, low variance, open text that
+ * contradicts the ratings, or speeding (see utils/responseQuality.js), with
+ * per-week counts. Flags are listed by sheet row and timestamp, never with
+ * the open text itself.
+ *
+ * Every stored response is assessed, whether or not the team currently
+ * excludes flagged ones from the scores (`excludeFlaggedResponses`).
+ *
+ * In privacy mode (see summary.js) only the counts are returned: no row,
+ * timestamp or score of an individual response.
+ */
+
+import { TABS } from './storage/index.js';
+import { groupRowsByWeek } from './history.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { readTeamSettings } from './settings.js';
+import { isPrivacyMode } from './summary.js';
+import { buildResponseQualityReport } from '../../src/utils/responseQuality.js';
+
+/**
+ * Compute the careless-response review from the stored responses
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Output of buildResponseQualityReport() plus the team's excludeFlaggedResponses
+ *                            and privacyMode (no `responses` list when true)
+ * @throws {Error} code SURVEY_SCHEMA_MISMATCH if the schema does not match the sheet
+ */
+export async function computeResponseQualityReport(storage) {
+  const [rows, settings] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readTeamSettings(storage)
+  ]);
+
+  const report = buildResponseQualityReport(groupRowsByWeek(rows, loadSurveySchema()));
+  const excludeFlaggedResponses = settings.excludeFlaggedResponses === true;
+
+  if (isPrivacyMode()) {
+    // Per-week flag counts only
+    return {
+      responseCount: report.responseCount,
+      flaggedCount: report.flaggedCount,
+      flagCounts: report.flagCounts,
+      weeks: report.weeks,
+      excludeFlaggedResponses,
+      privacyMode: true
+    };
+  }
+
+  return { ...report, excludeFlaggedResponses, privacyMode: false };
+}
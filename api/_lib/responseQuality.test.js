@@ -0,0 +1,70 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the careless-response review
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import { computeResponseQualityReport } from './responseQuality';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'dimension', dimension: 'Trust', header: 'Trust' },
+    { index: 2, role: 'dimension', dimension: 'Energy', header: 'Energy' },
+    { index: 3, role: 'dimension', dimension: 'Clarity', header: 'Clarity' },
+    { index: 4, role: 'dimension', dimension: 'Roles', header: 'Roles' },
+  ],
+};
+
+const rows = [
+  ['Timestamp', 'Trust', 'Energy', 'Clarity', 'Roles'],
+  ['10/14/2025 18:00:00', '7', '7', '7', '7'],
+  ['10/14/2025 18:05:00', '6', '3', '5', '2'],
+];
+
+describe('computeResponseQualityReport', () => {
+  let dir;
+  let storage;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-response-quality-'));
+    fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify(schema));
+    process.env.SURVEY_SCHEMA_PATH = path.join(dir, 'schema.json');
+    process.env.VITE_WEEK_START_DAY = '1';
+    process.env.VITE_SURVEY_TIMEZONE = 'UTC';
+    delete process.env.NGAUGE_PRIVACY_MODE;
+
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+    await storage.appendRows(TABS.RESPONSES, rows);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list the flagged responses', async () => {
+    const report = await computeResponseQualityReport(storage);
+
+    expect(report).toMatchObject({ privacyMode: false, responseCount: 2, flaggedCount: 1, excludeFlaggedResponses: false });
+    expect(report.responses).toHaveLength(1);
+    expect(report.responses[0]).toMatchObject({ row: 2, weekId: '2025-10-13', timestamp: '10/14/2025 18:00:00' });
+  });
+
+  it('should return per-week counts only in privacy mode', async () => {
+    process.env.NGAUGE_PRIVACY_MODE = 'true';
+    const report = await computeResponseQualityReport(storage);
+
+    expect(report).toMatchObject({ privacyMode: true, responseCount: 2, flaggedCount: 1 });
+    expect(report.weeks).toEqual([{ weekId: '2025-10-13', responseCount: 2, flaggedCount: 1 }]);
+    expect(report).not.toHaveProperty('responses');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Route Errors
+ *
+ * The error response shared by the data routes of both runtimes (server.js
+ * and the Vercel functions in api/).
+ *
+ * RESPONSES:
+ * - 422 with code SURVEY_SCHEMA_MISMATCH: the survey schema does not match the
+ *   sheet - a configuration problem staff need to see verbatim
+ * - 403 / 404: passed through from the storage backend (e.g. the sheet is not
+ *   shared with the service account, or does not exist)
+ * - 500: anything else; the message is only included when NODE_ENV is
+ *   'development' (raw errors can carry Google API details and file paths)
+ */
+
+import { SCHEMA_MISMATCH_CODE } from '../../src/utils/surveySchema.js';
+
+/**
+ * Log a failed data route and send its error response
+ *
+ * @param {Object} res - Express / Vercel response
+ * @param {Error} error - The error thrown by the route
+ * @param {string} label - What the route computes, e.g. 'season history'
+ * @returns {Object} The response, so handlers can `return sendRouteError(...)`
+ */
+export function sendRouteError(res, error, label) {
+  console.error(`Error computing ${label}:`, error);
+
+  if (error.code === SCHEMA_MISMATCH_CODE) {
+    return res.status(422).json({
+      success: false,
+      error: 'Survey schema mismatch',
+      code: SCHEMA_MISMATCH_CODE,
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  const statusCode = error.code === 403 ? 403 :
+                     error.code === 404 ? 404 : 500;
+
+  return res.status(statusCode).json({
+    success: false,
+    error: `Failed to compute ${label}`,
+    message: process.env.NODE_ENV === 'development'
+      ? error.message
+      : 'Unable to process your request'
+  });
+}
@@ -0,0 +1,62 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the shared route error response
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sendRouteError } from './routeErrors';
+import { SCHEMA_MISMATCH_CODE } from '../../src/utils/surveySchema';
+
+function createResponse() {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+}
+
+describe('sendRouteError', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (originalEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = originalEnv;
+    vi.restoreAllMocks();
+  });
+
+  it('should send schema mismatches verbatim with 422', () => {
+    const res = createResponse();
+    const error = Object.assign(new Error('Survey schema does not match'), { code: SCHEMA_MISMATCH_CODE, details: ['Column 2'] });
+
+    sendRouteError(res, error, 'season history');
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Survey schema mismatch',
+      code: SCHEMA_MISMATCH_CODE,
+      message: 'Survey schema does not match',
+      details: ['Column 2'],
+    });
+  });
+
+  it('should pass storage 403s through and hide messages outside development', () => {
+    // An unset NODE_ENV (Vercel functions) is not development
+    delete process.env.NODE_ENV;
+    const res = createResponse();
+
+    sendRouteError(res, Object.assign(new Error('The caller does not have permission'), { code: 403 }), 'summary');
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    sendRouteError(res, new Error('boom'), 'summary');
+    expect(res.status).toHaveBeenLastCalledWith(500);
+    expect(res.json).toHaveBeenLastCalledWith({
+      success: false,
+      error: 'Failed to compute summary',
+      message: 'Unable to process your request',
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Rule-Based Analysis
+ *
+ * Deterministic Score Analysis and Things to Look Out For, written from the
+ * survey numbers and simple keyword counts - no LLM involved. Used
+ * automatically when the configured provider fails, and for every analysis
+ * when the team setting `analysisMode` is 'rules' (see analysis.js).
+ *
+ * INPUTS:
+ * - Score analysis: the week from the season history (team score, dimension
+ *   averages, week-over-week comparisons, agreement, participation), the
+ *   season average and the week's games
+ * - Team insights: the week's open-text answers (tone per answer from
+ *   scoreTextSentiment(), most frequent terms) and the week's dimensions
+ *
+ * The results have the shape of the LLM analyses: text for score-explanation,
+ * team insights (see structuredInsights.js) for team-insights.
+ */
+
+import { validateTeamInsights } from './structuredInsights.js';
+import { scoreTextSentiment } from '../../src/utils/responseQuality.js';
+import { REDACTION_TYPES } from './redaction.js';
+
+// How analyses are produced (team setting `analysisMode`)
+// - ai:    the configured LLM provider, falling back to the rules when it fails
+// - rules: always the rules, the LLM is never called
+export const ANALYSIS_MODES = ['ai', 'rules'];
+export const DEFAULT_ANALYSIS_MODE = 'ai';
+
+// Reported instead of a prompt version, so rule-based results can be told apart
+export const RULE_BASED_VERSION = 'rules@v1';
+
+// Team score within this many points of the season average reads as "in line"
+const STEADY_MARGIN = 1;
+
+// Terms must appear in this many answers to be reported
+const MIN_TERM_ANSWERS = 2;
+const MAX_TERMS = 3;
+const MAX_FOCUS_DIMENSIONS = 3;
+
+// Game results that mean no competitive game was played (see prompts/scoreExplanation.js)
+const NO_GAME_RESULTS = ['No Game', 'No competitive game'];
+
+const RESULT_NOUNS = {
+  Win: ['win', 'wins'],
+  Lose: ['loss', 'losses'],
+  Tie: ['tie', 'ties']
+};
+
+// Masks left in redacted answers ("[name]"), which are not terms
+const MASK_PATTERN = new RegExp(`\\[(?:${REDACTION_TYPES.join('|')})\\]`, 'g');
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', "didn't", 'does', 'doing', "don't",
+  'each', 'even', 'feel', 'felt', 'from', 'going', 'have', 'into', 'just', 'like', 'more', 'most', 'much',
+  'only', 'other', 'really', 'some', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they',
+  'thing', 'things', 'think', 'this', 'very', 'want', 'week', 'well', 'were', 'what', 'when', 'which',
+  'while', 'will', 'with', 'would', 'your'
+]);
+
+/**
+ * Format a 0-100 score
+ * @private
+ */
+function formatScore(value) {
+  return value.toFixed(1);
+}
+
+/**
+ * Reported dimensions of a week, weakest first
+ * @private
+ */
+function rankDimensions(dimensions = []) {
+  return dimensions
+    .filter(dimension => !dimension.suppressed && typeof dimension.average === 'number')
+    .sort((a, b) => a.average - b.average);
+}
+
+/**
+ * The dimension that moved most since the previous reported week
+ * @private
+ */
+function findBiggestMover(dimensions) {
+  return dimensions
+    .filter(dimension => typeof dimension.comparison?.change === 'number' && dimension.comparison.change !== 0)
+    .sort((a, b) => Math.abs(b.comparison.change) - Math.abs(a.comparison.change))[0] || null;
+}
+
+/**
+ * One sentence on the week's games and practice
+ * @private
+ */
+function describeGames(games = []) {
+  const played = games.filter(game => game && !game.skipped);
+  if (played.length === 0) return null;
+
+  const competitive = played.filter(game => !NO_GAME_RESULTS.includes(game.result));
+  const counts = Object.entries(RESULT_NOUNS)
+    .map(([result, nouns]) => [nouns, competitive.filter(game => game.result === result).length])
+    .filter(([, count]) => count > 0)
+    .map(([[singular, plural], count]) => `${count} ${count === 1 ? singular : plural}`);
+
+  const results = competitive.length > 0
+    ? `Games this week: ${counts.join(', ')} (${competitive.map(game => `${game.yourScore}-${game.opponentScore}`).join(', ')})`
+    : 'No competitive game this week';
+  // All games of a week share one practice rating
+  const practice = played[0].practicePerformance;
+
+  return `${results}${typeof practice === 'number' ? `, practice rated ${practice}/10` : ''}.`;
+}
+
+/**
+ * Score Analysis of one reported week
+ *
+ * @param {Object} context
+ * @param {Object} context.week - The week from the season history (see buildSeasonHistory())
+ * @param {number|null} context.seasonAverage - Season average team score
+ * @param {Array<Object>} context.games - [{ result, yourScore, opponentScore, practicePerformance, skipped }]
+ * @returns {string} A short paragraph
+ */
+export function writeRuleBasedScoreExplanation({ week, seasonAverage = null, games = [] }) {
+  const sentences = [];
+  const score = week.teamScore;
+
+  // Team score against the season and the previous reported week
+  let level = `The team scored ${formatScore(score)} this week`;
+  if (typeof seasonAverage === 'number') {
+    const difference = score - seasonAverage;
+    level += Math.abs(difference) < STEADY_MARGIN
+      ? `, in line with the season average of ${formatScore(seasonAverage)}`
+      : `, ${formatScore(Math.abs(difference))} ${difference > 0 ? 'above' : 'below'} the season average of ${formatScore(seasonAverage)}`;
+  }
+  const teamChange = week.teamComparison?.change;
+  if (typeof teamChange === 'number') {
+    level += teamChange === 0
+      ? ' and unchanged from the previous week'
+      : ` and ${teamChange > 0 ? 'up' : 'down'} ${formatScore(Math.abs(teamChange))} from the previous week${week.teamComparison.significant ? ' (a significant change)' : ''}`;
+  }
+  sentences.push(`${level}.`);
+
+  // Strongest and weakest dimensions
+  const ranked = rankDimensions(week.dimensions);
+  if (ranked.length > 1) {
+    const weakest = ranked[0];
+    const strongest = ranked[ranked.length - 1];
+    sentences.push(`${strongest.name} is the strongest dimension (${formatScore(strongest.average)}) and ${weakest.name} the weakest (${formatScore(weakest.average)}).`);
+  } else if (ranked.length === 1) {
+    sentences.push(`${ranked[0].name} averages ${formatScore(ranked[0].average)}.`);
+  }
+
+  // Biggest week-over-week move
+  const mover = findBiggestMover(ranked);
+  if (mover) {
+    const { change, significant } = mover.comparison;
+    sentences.push(`${mover.name} ${change > 0 ? 'rose' : 'fell'} ${formatScore(Math.abs(change))} points since the previous week${significant ? ', a significant change' : ''}.`);
+  }
+
+  const gamesSentence = describeGames(games);
+  if (gamesSentence) sentences.push(gamesSentence);
+
+  // Splits and thin turnout change how the numbers should be read
+  const split = ranked.filter(dimension => dimension.agreement?.level === 'low');
+  if (split.length > 0) {
+    sentences.push(`The team is split on ${split.map(dimension => dimension.name).join(', ')}, so the average hides players at both ends of the scale.`);
+  }
+  if (week.participation?.low) {
+    sentences.push(`Only ${Math.round(week.participation.rate * 100)}% of the roster responded, so the score may not represent the whole team.`);
+  }
+
+  // What to watch next: a falling dimension first, otherwise the weakest
+  const watch = mover && mover.comparison.change < 0 ? mover : ranked[0];
+  if (watch) {
+    sentences.push(`Watch ${watch.name} heading into the next game.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Keyword statistics of open-text answers
+ *
+ * @param {Array<string>} answers - Non-blank answers, redacted or not (masks are not counted as terms)
+ * @returns {Object} { positive, negative, neutral, tones: number[] (one per answer),
+ *                     terms: [{ term, answers }] (most frequent first) }
+ */
+export function summarizeOpenText(answers) {
+  const tones = answers.map(answer => scoreTextSentiment(answer));
+
+  // Count each term once per answer, so one long answer cannot dominate
+  const termCounts = new Map();
+  answers.forEach(answer => {
+    const words = new Set(answer.replace(MASK_PATTERN, ' ').toLowerCase().replace(/’/g, "'").match(/[a-z']{4,}/g) || []);
+    words.forEach(word => {
+      if (!STOP_WORDS.has(word)) termCounts.set(word, (termCounts.get(word) || 0) + 1);
+    });
+  });
+
+  return {
+    positive: tones.filter(tone => tone > 0).length,
+    negative: tones.filter(tone => tone < 0).length,
+    neutral: tones.filter(tone => tone === 0).length,
+    tones,
+    terms: [...termCounts.entries()]
+      .filter(([, count]) => count >= MIN_TERM_ANSWERS)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, MAX_TERMS)
+      .map(([term, count]) => ({ term, answers: count }))
+  };
+}
+
+/**
+ * Things to Look Out For of one week
+ *
+ * @param {Object} context
+ * @param {Array} context.responses - The week's responses (uses `openText`)
+ * @param {Array<Object>} context.dimensions - The week's dimensions from the season history
+ * @returns {Object} Team insights (see structuredInsights.js)
+ */
+export function writeRuleBasedTeamInsights({ responses = [], dimensions = [] }) {
+  const answers = responses
+    .flatMap(response => (response.openText || []).map(({ answer }) => String(answer ?? '').trim()))
+    .filter(answer => answer.length >= 3);
+  const stats = summarizeOpenText(answers);
+
+  let sentimentOverview = 'No responses provided.';
+  let notes = '';
+  if (answers.length > 0) {
+    const mood = stats.positive > stats.negative ? 'Mostly positive'
+      : stats.negative > stats.positive ? 'Mostly negative'
+        : 'Mixed';
+    sentimentOverview = `${mood}: of ${answers.length} written answer(s), ${stats.positive} read positive, ${stats.negative} negative and ${stats.neutral} neutral (keyword count).`;
+    if (stats.terms.length > 0) {
+      notes = `Most mentioned: ${stats.terms.map(({ term, answers: count }) => `"${term}" (${count} answers)`).join(', ')}.`;
+    }
+  }
+
+  // The two most negative answers and the most positive one, as evidence
+  const byTone = answers.map((answer, index) => ({ answer, tone: stats.tones[index] }));
+  const quotes = [
+    ...byTone.filter(item => item.tone < 0).sort((a, b) => a.tone - b.tone).slice(0, 2),
+    ...byTone.filter(item => item.tone > 0).sort((a, b) => b.tone - a.tone).slice(0, 1)
+  ].map(item => item.answer);
+
+  const ranked = rankDimensions(dimensions);
+  const weakest = ranked[0] || null;
+  const falling = ranked
+    .filter(dimension => dimension.comparison?.significant && dimension.comparison.change < 0)
+    .sort((a, b) => a.comparison.change - b.comparison.change);
+  const split = ranked.filter(dimension => dimension.agreement?.level === 'low');
+
+  const suggestions = [];
+  if (weakest && ranked.length > 1) {
+    suggestions.push({
+      topic: weakest.name,
+      suggestion: `Lowest-rated dimension this week (${formatScore(weakest.average)}). Plan one session activity that targets it.`
+    });
+  }
+  falling.filter(dimension => dimension !== weakest).forEach(dimension => suggestions.push({
+    topic: dimension.name,
+    suggestion: `Down ${formatScore(Math.abs(dimension.comparison.change))} points since the previous week. Ask the players what changed.`
+  }));
+  split.filter(dimension => dimension !== weakest && !falling.includes(dimension)).forEach(dimension => suggestions.push({
+    topic: dimension.name,
+    suggestion: 'The team is split on this dimension. Check in with players at both ends of the scale.'
+  }));
+  if (stats.negative > 0) {
+    suggestions.push({
+      topic: 'Player concerns',
+      suggestion: `${stats.negative} written answer(s) read negative. Follow up with the group or one-on-one.`
+    });
+  }
+
+  const focusDimensions = [...new Set([weakest, ...falling, ...split].filter(Boolean).map(dimension => dimension.name))]
+    .slice(0, MAX_FOCUS_DIMENSIONS);
+
+  return validateTeamInsights({ sentimentOverview, notes, quotes, suggestions, focusDimensions }).insights;
+}
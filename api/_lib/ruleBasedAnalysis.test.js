@@ -0,0 +1,121 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the rule-based analysis
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  writeRuleBasedScoreExplanation,
+  writeRuleBasedTeamInsights,
+  summarizeOpenText,
+} from './ruleBasedAnalysis';
+
+const dimensions = [
+  { name: 'Trust', average: 78, suppressed: false, agreement: { level: 'high' }, comparison: { change: 2, significant: false } },
+  { name: 'Energy', average: 41.5, suppressed: false, agreement: { level: 'low' }, comparison: { change: -12, significant: true } },
+  { name: 'Clarity', average: 60, suppressed: false, agreement: { level: 'moderate' }, comparison: null },
+  { name: 'Hidden', average: null, suppressed: true, agreement: null, comparison: null },
+];
+
+const week = {
+  weekId: '2025-10-13',
+  teamScore: 62.4,
+  teamComparison: { change: -3.1, significant: false },
+  participation: { rate: 0.5, low: true },
+  dimensions,
+};
+
+const respond = (...answers) => answers.map(answer => ({ openText: [{ key: 'weekReflection', label: 'How was the week?', answer }] }));
+
+describe('writeRuleBasedScoreExplanation', () => {
+  it('should describe the score, the dimensions, the games and what to watch', () => {
+    const text = writeRuleBasedScoreExplanation({
+      week,
+      seasonAverage: 58,
+      games: [
+        { result: 'Win', yourScore: 3, opponentScore: 1, practicePerformance: 8, skipped: false },
+        { result: 'Lose', yourScore: 0, opponentScore: 2, practicePerformance: 8, skipped: false },
+      ],
+    });
+
+    expect(text).toBe(
+      'The team scored 62.4 this week, 4.4 above the season average of 58.0 and down 3.1 from the previous week. ' +
+      'Trust is the strongest dimension (78.0) and Energy the weakest (41.5). ' +
+      'Energy fell 12.0 points since the previous week, a significant change. ' +
+      'Games this week: 1 win, 1 loss (3-1, 0-2), practice rated 8/10. ' +
+      'The team is split on Energy, so the average hides players at both ends of the scale. ' +
+      'Only 50% of the roster responded, so the score may not represent the whole team. ' +
+      'Watch Energy heading into the next game.'
+    );
+  });
+
+  it('should cope with a first week and no games', () => {
+    const text = writeRuleBasedScoreExplanation({
+      week: { teamScore: 50, teamComparison: null, participation: null, dimensions: [dimensions[0]] },
+      seasonAverage: 50,
+      games: [{ skipped: true }],
+    });
+
+    expect(text).toBe('The team scored 50.0 this week, in line with the season average of 50.0. Trust averages 78.0. ' +
+      'Trust rose 2.0 points since the previous week. Watch Trust heading into the next game.');
+  });
+
+  it('should be deterministic', () => {
+    expect(writeRuleBasedScoreExplanation({ week, seasonAverage: 58 })).toBe(writeRuleBasedScoreExplanation({ week, seasonAverage: 58 }));
+  });
+});
+
+describe('summarizeOpenText', () => {
+  it('should count tones and terms once per answer', () => {
+    const stats = summarizeOpenText([
+      'Great practice, great practice',
+      'Drills felt frustrating',
+      'Practice drills ran long',
+    ]);
+
+    expect(stats).toMatchObject({ positive: 1, negative: 1, neutral: 1, tones: [2, -1, 0] });
+    expect(stats.terms).toEqual([{ term: 'drills', answers: 2 }, { term: 'practice', answers: 2 }]);
+  });
+
+  it('should not count redaction masks as terms', () => {
+    const stats = summarizeOpenText([
+      '[name] ran the drills',
+      'Passing to [name] in drills',
+      'Call [name] at [phone] about [number]',
+    ]);
+
+    expect(stats.terms).toEqual([{ term: 'drills', answers: 2 }]);
+  });
+});
+
+describe('writeRuleBasedTeamInsights', () => {
+  it('should build team insights from the answers and dimensions', () => {
+    const insights = writeRuleBasedTeamInsights({
+      responses: respond('Great practice on Tuesday', 'Felt isolated at practice, frustrating', 'ok', 'Long bus ride'),
+      dimensions,
+    });
+
+    expect(insights).toEqual({
+      sentimentOverview: 'Mixed: of 3 written answer(s), 1 read positive, 1 negative and 1 neutral (keyword count).',
+      notes: 'Most mentioned: "practice" (2 answers).',
+      quotes: ['Felt isolated at practice, frustrating', 'Great practice on Tuesday'],
+      suggestions: [
+        { topic: 'Energy', suggestion: 'Lowest-rated dimension this week (41.5). Plan one session activity that targets it.' },
+        { topic: 'Player concerns', suggestion: '1 written answer(s) read negative. Follow up with the group or one-on-one.' },
+      ],
+      focusDimensions: ['Energy'],
+    });
+  });
+
+  it('should say when nobody wrote anything', () => {
+    const insights = writeRuleBasedTeamInsights({ responses: respond('', ' '), dimensions: [] });
+
+    expect(insights).toEqual({
+      sentimentOverview: 'No responses provided.',
+      notes: '',
+      quotes: [],
+      suggestions: [],
+      focusDimensions: [],
+    });
+  });
+});
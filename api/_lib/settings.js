@@ -0,0 +1,237 @@
+/**
+ * Team Settings
+ *
+ * Reads and writes the TeamSettings tab through the configured storage
+ * adapter. Used by /api/settings and by every route that computes scores.
+ *
+ * TAB STRUCTURE (TeamSettings):
+ * Row 1: Headers [Setting | Value | Updated At]
+ * Row 2+: One row per change, Value is JSON. The latest row of a setting wins,
+ *         so the tab doubles as a log of who-changed-what-when.
+ *
+ * SETTINGS:
+ * - dimensionWeights: { [dimensionName]: weight } - weight of each dimension in
+ *   the composite chemistry score (0-10, dimensions not listed weigh 1)
+ * - imputationPolicy: how missing answers are handled - 'exclude' (default),
+ *   'person-mean' or 'item-mean' (see utils/surveyResponses.js)
+ * - excludeFlaggedResponses: true leaves responses flagged as careless out of
+ *   every score (see utils/responseQuality.js)
+ * - roster: { size, positionGroups: { [group]: players } } - players on the
+ *   team, for the weekly response rate (size null = not tracked). Group
+ *   counts are optional and must add up to the size.
+ * - rosterNames: teammate and coach names, masked in open-text answers before
+ *   they are sent to an AI provider (see redaction.js)
+ * - analysisMode: how Score Analysis and Things to Look Out For are written -
+ *   'ai' (default; the configured LLM, with the rule-based analysis as the
+ *   fallback) or 'rules' (rule-based only, nothing is sent to an LLM; see
+ *   ruleBasedAnalysis.js)
+ */
+
+import { TABS } from './storage/index.js';
+import { getEffectiveWeights } from '../../src/utils/calculations.js';
+import { IMPUTATION_POLICIES, DEFAULT_IMPUTATION_POLICY } from '../../src/utils/surveyResponses.js';
+import { ANALYSIS_MODES, DEFAULT_ANALYSIS_MODE } from './ruleBasedAnalysis.js';
+
+export const SETTINGS_HEADERS = ['Setting', 'Value', 'Updated At'];
+
+export const DEFAULT_TEAM_SETTINGS = {
+  dimensionWeights: {},
+  imputationPolicy: DEFAULT_IMPUTATION_POLICY,
+  excludeFlaggedResponses: false,
+  roster: { size: null, positionGroups: {} },
+  rosterNames: [],
+  analysisMode: DEFAULT_ANALYSIS_MODE
+};
+
+const MAX_DIMENSION_WEIGHT = 10;
+const MAX_ROSTER_SIZE = 500;
+const MAX_GROUP_NAME_LENGTH = 40;
+const MAX_PERSON_NAME_LENGTH = 60;
+
+/**
+ * Validate the roster setting
+ * @private
+ */
+function validateRoster(roster) {
+  if (!roster || typeof roster !== 'object' || Array.isArray(roster)) {
+    return ['roster must be an object of { size, positionGroups }'];
+  }
+
+  const errors = [];
+  const { size = null, positionGroups = {} } = roster;
+
+  if (size !== null && (!Number.isInteger(size) || size < 1 || size > MAX_ROSTER_SIZE)) {
+    errors.push(`roster.size must be a whole number from 1 to ${MAX_ROSTER_SIZE}, or null`);
+  }
+
+  if (!positionGroups || typeof positionGroups !== 'object' || Array.isArray(positionGroups)) {
+    errors.push('roster.positionGroups must be an object of { group: players }');
+    return errors;
+  }
+
+  const groups = Object.entries(positionGroups);
+  groups.forEach(([name, count]) => {
+    if (!name.trim() || name.length > MAX_GROUP_NAME_LENGTH) {
+      errors.push(`Position group names must be 1 to ${MAX_GROUP_NAME_LENGTH} characters`);
+    } else if (!Number.isInteger(count) || count < 0) {
+      errors.push(`Players in "${name}" must be a whole number of 0 or more`);
+    }
+  });
+
+  if (groups.length > 0 && errors.length === 0) {
+    const total = groups.reduce((sum, [, count]) => sum + count, 0);
+    if (size === null) {
+      errors.push('roster.size is required when position groups are set');
+    } else if (total !== size) {
+      errors.push(`Position groups add up to ${total} players but the roster size is ${size}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the rosterNames setting
+ * @private
+ */
+function validateRosterNames(names) {
+  if (!Array.isArray(names)) {
+    return ['rosterNames must be a list of names'];
+  }
+  if (names.length > MAX_ROSTER_SIZE) {
+    return [`rosterNames can list at most ${MAX_ROSTER_SIZE} names`];
+  }
+  if (names.some(name => typeof name !== 'string' || !name.trim() || name.length > MAX_PERSON_NAME_LENGTH)) {
+    return [`Each name in rosterNames must be 1 to ${MAX_PERSON_NAME_LENGTH} characters`];
+  }
+  return [];
+}
+
+/**
+ * Read the current team settings
+ *
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<Object>} Settings (defaults for anything never saved)
+ */
+export async function readTeamSettings(storage) {
+  const rows = await storage.readRows(TABS.SETTINGS);
+  const settings = { ...DEFAULT_TEAM_SETTINGS };
+
+  rows.slice(1).forEach(([key, value]) => {
+    if (!(key in DEFAULT_TEAM_SETTINGS)) return;
+
+    try {
+      settings[key] = JSON.parse(value);
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable team setting "${key}":`, error.message);
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Validate a settings update
+ *
+ * @param {Object} updates - { dimensionWeights, imputationPolicy, excludeFlaggedResponses, roster, rosterNames, analysisMode }
+ * @param {Array<string>} dimensionNames - Dimensions declared by the survey schema
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateTeamSettings(updates, dimensionNames) {
+  const errors = [];
+
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return ['Settings must be an object'];
+  }
+
+  Object.keys(updates).forEach(key => {
+    if (!(key in DEFAULT_TEAM_SETTINGS)) {
+      errors.push(`Unknown setting "${key}"`);
+    }
+  });
+
+  if (updates.imputationPolicy !== undefined && !IMPUTATION_POLICIES.includes(updates.imputationPolicy)) {
+    errors.push(`imputationPolicy must be one of: ${IMPUTATION_POLICIES.join(', ')}`);
+  }
+
+  if (updates.excludeFlaggedResponses !== undefined && typeof updates.excludeFlaggedResponses !== 'boolean') {
+    errors.push('excludeFlaggedResponses must be true or false');
+  }
+
+  if (updates.rosterNames !== undefined) {
+    errors.push(...validateRosterNames(updates.rosterNames));
+  }
+
+  if (updates.analysisMode !== undefined && !ANALYSIS_MODES.includes(updates.analysisMode)) {
+    errors.push(`analysisMode must be one of: ${ANALYSIS_MODES.join(', ')}`);
+  }
+
+  if (updates.roster !== undefined) {
+    errors.push(...validateRoster(updates.roster));
+  }
+
+  const weights = updates.dimensionWeights;
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      errors.push('dimensionWeights must be an object of { dimension: weight }');
+      return errors;
+    }
+
+    Object.entries(weights).forEach(([name, weight]) => {
+      if (!dimensionNames.includes(name)) {
+        errors.push(`"${name}" is not a dimension in the survey schema`);
+      } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_DIMENSION_WEIGHT) {
+        errors.push(`Weight for "${name}" must be a number from 0 to ${MAX_DIMENSION_WEIGHT}`);
+      }
+    });
+
+    // Dimensions not listed weigh 1, so only an all-zero weighting is unusable
+    if (dimensionNames.every(name => weights[name] === 0)) {
+      errors.push('At least one dimension needs a weight above 0');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Append changed settings to the TeamSettings tab
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} updates - Validated settings to store
+ * @returns {Promise<Object>} The settings after the update
+ */
+export async function saveTeamSettings(storage, updates) {
+  const [currentHeaders] = await storage.readRows(TABS.SETTINGS);
+  if (!currentHeaders || currentHeaders[0] !== SETTINGS_HEADERS[0]) {
+    await storage.writeHeader(TABS.SETTINGS, SETTINGS_HEADERS);
+  }
+
+  const timestamp = new Date().toISOString();
+  const rows = Object.entries(updates).map(([key, value]) => [key, JSON.stringify(value), timestamp]);
+
+  await storage.appendRows(TABS.SETTINGS, rows);
+  console.log(`⚙️ Team settings updated: ${Object.keys(updates).join(', ')} (${storage.type})`);
+
+  return readTeamSettings(storage);
+}
+
+/**
+ * Response body for GET/PUT /api/settings
+ *
+ * @param {Object} settings - Team settings
+ * @param {Array<string>} dimensionNames - Dimensions declared by the survey schema
+ * @param {Object} options
+ * @param {boolean} options.admin - Admin session: include the roster names (null otherwise)
+ * @returns {Object} { settings, dimensionNames, effectiveWeights: [{ name, weight, share }], imputationPolicies,
+ *                   analysisModes }
+ */
+export function describeTeamSettings(settings, dimensionNames, { admin = false } = {}) {
+  return {
+    settings: { ...settings, rosterNames: admin ? settings.rosterNames : null },
+    dimensionNames,
+    effectiveWeights: getEffectiveWeights(dimensionNames, settings.dimensionWeights),
+    imputationPolicies: IMPUTATION_POLICIES,
+    analysisModes: ANALYSIS_MODES
+  };
+}
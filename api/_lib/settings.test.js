@@ -0,0 +1,128 @@
+// @vitest-environment node
+/**
+ * Unit Tests for team settings storage and validation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import {
+  SETTINGS_HEADERS,
+  readTeamSettings,
+  validateTeamSettings,
+  saveTeamSettings,
+  describeTeamSettings,
+} from './settings';
+
+const dimensionNames = ['Trust', 'Energy'];
+
+describe('team settings', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-settings-'));
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return defaults before anything is saved', async () => {
+    expect(await readTeamSettings(storage)).toEqual({
+      dimensionWeights: {},
+      imputationPolicy: 'exclude',
+      excludeFlaggedResponses: false,
+      roster: { size: null, positionGroups: {} },
+      rosterNames: [],
+      analysisMode: 'ai'
+    });
+  });
+
+  it('should keep every change and read the latest one', async () => {
+    await saveTeamSettings(storage, { dimensionWeights: { Trust: 2 } });
+    const settings = await saveTeamSettings(storage, { dimensionWeights: { Trust: 1.5, Energy: 0.5 } });
+
+    expect(settings.dimensionWeights).toEqual({ Trust: 1.5, Energy: 0.5 });
+
+    const rows = await storage.readRows(TABS.SETTINGS);
+    expect(rows[0]).toEqual(SETTINGS_HEADERS);
+    expect(rows).toHaveLength(3);
+  });
+
+  it('should accept weights for schema dimensions', () => {
+    expect(validateTeamSettings({ dimensionWeights: { Trust: 2, Energy: 0 } }, dimensionNames)).toEqual([]);
+  });
+
+  it('should reject unknown dimensions, bad weights and unknown settings', () => {
+    const errors = validateTeamSettings({ dimensionWeights: { Trust: -1, Speed: 2 }, theme: 'dark' }, dimensionNames);
+
+    expect(errors).toHaveLength(3);
+    expect(errors.join(' ')).toMatch(/Unknown setting "theme"/);
+    expect(errors.join(' ')).toMatch(/"Speed" is not a dimension/);
+    expect(errors.join(' ')).toMatch(/Weight for "Trust"/);
+  });
+
+  it('should accept a known imputation policy and reject others', () => {
+    expect(validateTeamSettings({ imputationPolicy: 'item-mean' }, dimensionNames)).toEqual([]);
+    expect(validateTeamSettings({ imputationPolicy: 'zero' }, dimensionNames)).toEqual([
+      'imputationPolicy must be one of: exclude, person-mean, item-mean'
+    ]);
+  });
+
+  it('should accept a list of roster names and reject anything else', () => {
+    expect(validateTeamSettings({ rosterNames: ['Jordan Smith', 'Coach Lee'] }, dimensionNames)).toEqual([]);
+    expect(validateTeamSettings({ rosterNames: 'Jordan Smith' }, dimensionNames)).toEqual([
+      'rosterNames must be a list of names'
+    ]);
+    expect(validateTeamSettings({ rosterNames: ['Jordan', ' '] }, dimensionNames)).toEqual([
+      'Each name in rosterNames must be 1 to 60 characters'
+    ]);
+  });
+
+  it('should accept a known analysis mode and reject others', () => {
+    expect(validateTeamSettings({ analysisMode: 'rules' }, dimensionNames)).toEqual([]);
+    expect(validateTeamSettings({ analysisMode: 'none' }, dimensionNames)).toEqual([
+      'analysisMode must be one of: ai, rules'
+    ]);
+  });
+
+  it('should accept a roster whose position groups add up to its size', () => {
+    expect(validateTeamSettings({ roster: { size: 20, positionGroups: {} } }, dimensionNames)).toEqual([]);
+    expect(validateTeamSettings({ roster: { size: 20, positionGroups: { Forwards: 12, Defense: 8 } } }, dimensionNames)).toEqual([]);
+    expect(validateTeamSettings({ roster: { size: null, positionGroups: {} } }, dimensionNames)).toEqual([]);
+  });
+
+  it('should reject an unusable roster', () => {
+    expect(validateTeamSettings({ roster: { size: 0 } }, dimensionNames)).toEqual([
+      'roster.size must be a whole number from 1 to 500, or null'
+    ]);
+    expect(validateTeamSettings({ roster: { size: 20, positionGroups: { Forwards: 12, Defense: 6 } } }, dimensionNames)).toEqual([
+      'Position groups add up to 18 players but the roster size is 20'
+    ]);
+    expect(validateTeamSettings({ roster: { size: null, positionGroups: { Forwards: 12 } } }, dimensionNames)).toEqual([
+      'roster.size is required when position groups are set'
+    ]);
+    expect(validateTeamSettings({ roster: { size: 20, positionGroups: { Forwards: 2.5 } } }, dimensionNames)).toEqual([
+      'Players in "Forwards" must be a whole number of 0 or more'
+    ]);
+  });
+
+  it('should reject a weighting where every dimension is zero', () => {
+    const errors = validateTeamSettings({ dimensionWeights: { Trust: 0, Energy: 0 } }, dimensionNames);
+    expect(errors).toEqual(['At least one dimension needs a weight above 0']);
+  });
+});
+
+describe('describeTeamSettings', () => {
+  it('should only describe the roster names to admin sessions', () => {
+    const settings = { dimensionWeights: {}, rosterNames: ['Jordan Smith'] };
+
+    expect(describeTeamSettings(settings, dimensionNames).settings.rosterNames).toBeNull();
+    expect(describeTeamSettings(settings, dimensionNames, { admin: true }).settings.rosterNames).toEqual(['Jordan Smith']);
+  });
+});
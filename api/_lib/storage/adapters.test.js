@@ -0,0 +1,111 @@
+// @vitest-environment node
+/**
+ * Contract Tests shared by the local storage adapters
+ *
+ * Every adapter must behave like a Google Sheets tab: row 0 is the header,
+ * cells come back as strings ('' for empty) and data survives a reopen.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './jsonFile';
+import { createSqliteAdapter } from './sqlite';
+import { TABS } from './index';
+
+describe.each([
+  ['json', createJsonFileAdapter, 'ngauge.json'],
+  ['sqlite', createSqliteAdapter, 'ngauge.sqlite'],
+])('%s storage adapter', (type, createAdapter, fileName) => {
+  let dir;
+  let filePath;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), `ngauge-storage-${type}-`));
+    filePath = path.join(dir, fileName);
+    storage = createAdapter({ filePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should report its type', () => {
+    expect(storage.type).toBe(type);
+  });
+
+  it('should read an empty tab as no rows', async () => {
+    expect(await storage.readRows(TABS.RESPONSES)).toEqual([]);
+  });
+
+  it('should append rows in order with cells stored as strings', async () => {
+    await storage.appendRows(TABS.RESPONSES, [['Timestamp', 'Trust']]);
+    await storage.appendRows(TABS.RESPONSES, [['10/14/2025 18:00:00', 7], ['10/15/2025 18:00:00', null]]);
+
+    expect(await storage.readRows(TABS.RESPONSES)).toEqual([
+      ['Timestamp', 'Trust'],
+      ['10/14/2025 18:00:00', '7'],
+      ['10/15/2025 18:00:00', ''],
+    ]);
+  });
+
+  it('should write the header into an empty tab', async () => {
+    await storage.writeHeader(TABS.SETTINGS, ['Setting', 'Value', 'Updated At']);
+    await storage.appendRows(TABS.SETTINGS, [['analysisMode', '"rules"', '2025-10-14T18:00:00.000Z']]);
+
+    expect(await storage.readRows(TABS.SETTINGS)).toEqual([
+      ['Setting', 'Value', 'Updated At'],
+      ['analysisMode', '"rules"', '2025-10-14T18:00:00.000Z'],
+    ]);
+  });
+
+  it('should replace the header and keep the data rows', async () => {
+    await storage.appendRows(TABS.INSIGHTS, [['Timestamp', 'Summary'], ['2025-10-14', 'Good week']]);
+    await storage.writeHeader(TABS.INSIGHTS, ['Timestamp', 'Summary', 'Prompt Version']);
+
+    expect(await storage.readRows(TABS.INSIGHTS)).toEqual([
+      ['Timestamp', 'Summary', 'Prompt Version'],
+      ['2025-10-14', 'Good week'],
+    ]);
+  });
+
+  it('should keep tabs separate', async () => {
+    await storage.appendRows(TABS.RESPONSES, [['Timestamp']]);
+
+    expect(await storage.readRows(TABS.INSIGHTS)).toEqual([]);
+  });
+
+  it('should keep the data when the store is reopened', async () => {
+    await storage.appendRows(TABS.RESPONSES, [['Timestamp', 'Trust'], ['10/14/2025 18:00:00', '7']]);
+    await storage.writeHeader(TABS.SETTINGS, ['Setting', 'Value', 'Updated At']);
+
+    const reopened = createAdapter({ filePath });
+
+    expect(await reopened.readRows(TABS.RESPONSES)).toEqual([['Timestamp', 'Trust'], ['10/14/2025 18:00:00', '7']]);
+    expect(await reopened.readRows(TABS.SETTINGS)).toEqual([['Setting', 'Value', 'Updated At']]);
+  });
+});
+
+describe('getStorageAdapter', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    vi.doUnmock('better-sqlite3');
+    vi.resetModules();
+  });
+
+  it('should explain how to get sqlite support when better-sqlite3 is not installed', async () => {
+    process.env.NGAUGE_STORAGE = 'sqlite';
+    process.env.NGAUGE_STORAGE_PATH = path.join(os.tmpdir(), 'ngauge-missing.sqlite');
+    vi.resetModules();
+    vi.doMock('better-sqlite3', () => {
+      throw new Error("Cannot find package 'better-sqlite3'");
+    });
+    const { getStorageAdapter } = await import('./index');
+
+    await expect(getStorageAdapter()).rejects.toThrow('Install better-sqlite3 to use NGAUGE_STORAGE=sqlite');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Google Sheets Storage Adapter
+ *
+ * Today's behaviour: every tab is a Google Sheets tab in VITE_GOOGLE_SHEET_ID,
+ * accessed with a service account.
+ *
+ * Credentials come from GOOGLE_CREDENTIALS_BASE64 (Vercel) or the JSON file
+ * at VITE_GOOGLE_CREDENTIALS_PATH (Express server).
+ */
+
+import fs from 'fs';
+import { google } from 'googleapis';
+
+// Timeout for Google Sheets API calls (30 seconds)
+const API_TIMEOUT = 30000;
+
+/**
+ * Load the service account credentials
+ * @returns {Object} Parsed credentials JSON
+ */
+export function getGoogleCredentials() {
+  const credsBase64 = process.env.GOOGLE_CREDENTIALS_BASE64;
+
+  if (credsBase64) {
+    try {
+      const credsJson = Buffer.from(credsBase64, 'base64').toString('utf-8');
+      return JSON.parse(credsJson);
+    } catch (error) {
+      throw new Error('Failed to parse Google credentials: ' + error.message);
+    }
+  }
+
+  const credentialsPath = process.env.VITE_GOOGLE_CREDENTIALS_PATH;
+
+  if (!credentialsPath) {
+    throw new Error('GOOGLE_CREDENTIALS_BASE64 or VITE_GOOGLE_CREDENTIALS_PATH must be set');
+  }
+  if (!fs.existsSync(credentialsPath)) {
+    throw new Error(`Credentials file not found: ${credentialsPath}`);
+  }
+
+  return JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+}
+
+/**
+ * Reject if a Sheets call takes longer than API_TIMEOUT
+ * @private
+ */
+function withTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Google Sheets API timeout')), API_TIMEOUT)
+    )
+  ]);
+}
+
+/**
+ * Sheets answers 400 "Unable to parse range" for a tab that does not exist
+ * @private
+ */
+function isMissingTabError(error) {
+  return error.code === 400 || error.message?.includes('Unable to parse range');
+}
+
+/**
+ * Create the Google Sheets adapter
+ *
+ * @param {Object} options
+ * @param {string} options.sheetId - Spreadsheet ID (defaults to VITE_GOOGLE_SHEET_ID)
+ * @returns {Object} Storage adapter
+ */
+export function createGoogleSheetsAdapter({ sheetId = process.env.VITE_GOOGLE_SHEET_ID } = {}) {
+  let clientPromise = null;
+
+  async function getSheets() {
+    if (!sheetId) {
+      throw new Error('VITE_GOOGLE_SHEET_ID environment variable not set');
+    }
+
+    if (!clientPromise) {
+      const auth = new google.auth.GoogleAuth({
+        credentials: getGoogleCredentials(),
+        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+      });
+
+      clientPromise = auth.getClient()
+        .then(authClient => google.sheets({ version: 'v4', auth: authClient }))
+        .catch(error => {
+          clientPromise = null;
+          throw error;
+        });
+    }
+
+    return clientPromise;
+  }
+
+  async function addTab(sheets, tab) {
+    console.log(`⚠️ Sheet "${tab}" does not exist, creating...`);
+    await withTimeout(sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      resource: {
+        requests: [{ addSheet: { properties: { title: tab } } }]
+      }
+    }));
+  }
+
+  return {
+    type: 'google-sheets',
+
+    async readRows(tab) {
+      const sheets = await getSheets();
+
+      try {
+        const response = await withTimeout(sheets.spreadsheets.values.get({
+          spreadsheetId: sheetId,
+          range: tab,
+        }));
+        return response.data.values || [];
+      } catch (error) {
+        if (isMissingTabError(error)) {
+          return [];
+        }
+        throw error;
+      }
+    },
+
+    async writeHeader(tab, header) {
+      const sheets = await getSheets();
+      const update = () => withTimeout(sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${tab}!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: [header] }
+      }));
+
+      try {
+        await update();
+      } catch (error) {
+        if (!isMissingTabError(error)) throw error;
+        await addTab(sheets, tab);
+        await update();
+      }
+    },
+
+    async appendRows(tab, rows) {
+      const sheets = await getSheets();
+      const append = () => withTimeout(sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: tab,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: { values: rows }
+      }));
+
+      try {
+        await append();
+      } catch (error) {
+        if (!isMissingTabError(error)) throw error;
+        await addTab(sheets, tab);
+        await append();
+      }
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Storage Adapters
+ *
+ * Every data route reads and writes through a storage adapter instead of
+ * calling googleapis directly, so NGauge can run without a Google service
+ * account (offline demos, self-hosting, integration tests).
+ *
+ * SELECTING AN ADAPTER (environment variables):
+ * - NGAUGE_STORAGE=google-sheets (default) - today's Google Sheets behaviour
+ * - NGAUGE_STORAGE=json                    - local JSON file
+ * - NGAUGE_STORAGE=sqlite                  - local SQLite database
+ *                                            (needs the optional better-sqlite3 package)
+ * - NGAUGE_STORAGE_PATH                    - file for json/sqlite
+ *                                            (default data/ngauge.json or data/ngauge.sqlite)
+ *
+ * ADAPTER INTERFACE (all methods async):
+ * - readRows(tab)           → Array<Array<string>> including the header row ([] if the tab is missing)
+ * - writeHeader(tab, cells) → Replace row 1 of the tab (creating the tab if needed)
+ * - appendRows(tab, rows)   → Append rows after the last row (creating the tab if needed)
+ *
+ * Tabs mirror the Google Sheets tabs, so data can move between adapters
+ * by copying rows.
+ */
+
+import { createGoogleSheetsAdapter } from './googleSheets.js';
+import { createJsonFileAdapter } from './jsonFile.js';
+
+export const STORAGE_TYPES = ['google-sheets', 'json', 'sqlite'];
+
+/**
+ * Tab names shared by every adapter
+ */
+export const TABS = {
+  RESPONSES: 'Weekly-Chemistry',
+  INSIGHTS: 'AIInsights',
+  SETTINGS: 'TeamSettings',
+  REDACTION_AUDIT: 'RedactionAudit'
+};
+
+const DEFAULT_PATHS = {
+  json: 'data/ngauge.json',
+  sqlite: 'data/ngauge.sqlite'
+};
+
+// One adapter per process; rebuilt if the configuration changes
+let cachedAdapter = null;
+let cachedKey = null;
+
+/**
+ * Storage type selected by NGAUGE_STORAGE
+ * @returns {string} One of STORAGE_TYPES
+ */
+export function getStorageType() {
+  const type = (process.env.NGAUGE_STORAGE || 'google-sheets').trim().toLowerCase();
+
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown NGAUGE_STORAGE "${type}" (expected ${STORAGE_TYPES.join(', ')})`);
+  }
+
+  return type;
+}
+
+/**
+ * Get the configured storage adapter
+ * @returns {Promise<Object>} Storage adapter
+ */
+export async function getStorageAdapter() {
+  const type = getStorageType();
+  const filePath = process.env.NGAUGE_STORAGE_PATH || DEFAULT_PATHS[type];
+  const key = `${type}:${filePath || ''}`;
+
+  if (cachedAdapter && cachedKey === key) {
+    return cachedAdapter;
+  }
+
+  if (type === 'google-sheets') {
+    cachedAdapter = createGoogleSheetsAdapter();
+  } else if (type === 'json') {
+    cachedAdapter = createJsonFileAdapter({ filePath });
+  } else {
+    // Loaded on demand so Sheets deployments never need the native module
+    // (better-sqlite3 is an optional dependency)
+    let createSqliteAdapter;
+    try {
+      ({ createSqliteAdapter } = await import('./sqlite.js'));
+    } catch (error) {
+      throw new Error(`Install better-sqlite3 to use NGAUGE_STORAGE=sqlite (npm install better-sqlite3): ${error.message}`);
+    }
+    cachedAdapter = createSqliteAdapter({ filePath });
+  }
+
+  cachedKey = key;
+  console.log(`🗄️  Storage adapter: ${type}${filePath ? ` (${filePath})` : ''}`);
+  return cachedAdapter;
+}
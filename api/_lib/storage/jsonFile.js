@@ -0,0 +1,77 @@
+/**
+ * JSON File Storage Adapter
+ *
+ * Keeps every tab as an array of rows in one local JSON file:
+ *   { "tabs": { "Weekly-Chemistry": [[header...], [row...]], "AIInsights": [...] } }
+ *
+ * Intended for offline demos, local development and integration tests.
+ * The file is re-read on every call, so it can be edited or replaced while
+ * the server runs. Not suitable for Vercel (read-only filesystem).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Store cells the way Google Sheets returns them (strings, '' for empty)
+ * @param {Array} row - Row of cell values
+ * @returns {Array<string>}
+ */
+export function normalizeCells(row) {
+  return row.map(cell => (cell === null || cell === undefined ? '' : String(cell)));
+}
+
+/**
+ * Create the JSON file adapter
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Location of the JSON file (created on first write)
+ * @returns {Object} Storage adapter
+ */
+export function createJsonFileAdapter({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+
+  function load() {
+    if (!fs.existsSync(resolvedPath)) {
+      return { tabs: {} };
+    }
+
+    try {
+      const contents = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      return { tabs: {}, ...contents };
+    } catch (error) {
+      throw new Error(`Failed to parse storage file ${resolvedPath}: ${error.message}`);
+    }
+  }
+
+  function save(store) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves half a file behind
+    const tempPath = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2));
+    fs.renameSync(tempPath, resolvedPath);
+  }
+
+  return {
+    type: 'json',
+    filePath: resolvedPath,
+
+    async readRows(tab) {
+      return load().tabs[tab] || [];
+    },
+
+    async writeHeader(tab, header) {
+      const store = load();
+      const rows = store.tabs[tab] || [];
+      store.tabs[tab] = [normalizeCells(header), ...rows.slice(1)];
+      save(store);
+    },
+
+    async appendRows(tab, rows) {
+      const store = load();
+      store.tabs[tab] = [...(store.tabs[tab] || []), ...rows.map(normalizeCells)];
+      save(store);
+    }
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Keeps every tab in a local SQLite database (better-sqlite3), one table row
+ * per sheet row. Row 0 of a tab is its header, matching the Sheets layout.
+ *
+ * Intended for self-hosted installs without a Google service account.
+ * Not suitable for Vercel (read-only filesystem).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { normalizeCells } from './jsonFile.js';
+
+/**
+ * Create the SQLite adapter
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Database file (created if missing), or ':memory:'
+ * @returns {Object} Storage adapter
+ */
+export function createSqliteAdapter({ filePath }) {
+  const resolvedPath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+
+  if (resolvedPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const db = new Database(resolvedPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sheet_rows (
+      tab TEXT NOT NULL,
+      row_index INTEGER NOT NULL,
+      cells TEXT NOT NULL,
+      PRIMARY KEY (tab, row_index)
+    )
+  `);
+
+  const selectRows = db.prepare('SELECT cells FROM sheet_rows WHERE tab = ? ORDER BY row_index');
+  const selectNextIndex = db.prepare('SELECT COALESCE(MAX(row_index) + 1, 0) AS next FROM sheet_rows WHERE tab = ?');
+  const upsertRow = db.prepare(`
+    INSERT INTO sheet_rows (tab, row_index, cells) VALUES (?, ?, ?)
+    ON CONFLICT (tab, row_index) DO UPDATE SET cells = excluded.cells
+  `);
+
+  // Append in one transaction so concurrent readers never see a partial batch
+  const appendTransaction = db.transaction((tab, rows) => {
+    let next = selectNextIndex.get(tab).next;
+    rows.forEach(row => {
+      upsertRow.run(tab, next, JSON.stringify(normalizeCells(row)));
+      next += 1;
+    });
+  });
+
+  return {
+    type: 'sqlite',
+    filePath: resolvedPath,
+
+    async readRows(tab) {
+      return selectRows.all(tab).map(row => JSON.parse(row.cells));
+    },
+
+    async writeHeader(tab, header) {
+      upsertRow.run(tab, 0, JSON.stringify(normalizeCells(header)));
+    },
+
+    async appendRows(tab, rows) {
+      appendTransaction(tab, rows);
+    }
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * Live Aggregate Stream (Server-Sent Events)
+ *
+ * Backs GET /api/stream in both runtimes. A single watcher per process polls
+ * the response store (see storage/index.js) and, whenever the Weekly-Chemistry
+ * rows or the team settings change, pushes the recomputed season aggregates
+ * to every connected dashboard. The store is read once per interval however
+ * many dashboards are open.
+ *
+ * EVENTS:
+ * - aggregates: { version, rowCount, weeks, seasonAverage, latestWeekId, weekCount, timestamp }
+ *               (same shape as GET /api/history plus a change fingerprint)
+ *
+ * CONFIGURATION:
+ * - NGAUGE_STREAM_INTERVAL_MS: How often the store is checked (default 10000, minimum 1000)
+ *
+ * RECONNECTS:
+ * Every new connection is sent the last payload straight away. The watcher
+ * stops with the last connection but keeps that payload, and a connection
+ * opened within one interval of the last read reuses it instead of reading
+ * the store again. On Vercel, where each stream closes after a few seconds
+ * (see api/stream.js), a dashboard therefore causes about one full read per
+ * interval per warm function instance rather than one per reconnect.
+ */
+
+import crypto from 'crypto';
+import { getStorageAdapter, TABS } from './storage/index.js';
+import { computeSeasonHistory } from './history.js';
+import { readTeamSettings } from './settings.js';
+
+const DEFAULT_WATCH_INTERVAL_MS = 10000;
+const MIN_WATCH_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+const DEFAULT_RETRY_MS = 5000;
+
+const subscribers = new Set();
+let watchTimer = null;
+let checking = false;
+let lastVersion = null;
+let lastPayload = null;
+let lastCheckedAt = 0;
+
+/**
+ * Interval between store checks
+ * @returns {number} Milliseconds
+ */
+export function getWatchInterval() {
+  const interval = parseInt(process.env.NGAUGE_STREAM_INTERVAL_MS, 10);
+  return interval >= MIN_WATCH_INTERVAL_MS ? interval : DEFAULT_WATCH_INTERVAL_MS;
+}
+
+/**
+ * Fingerprint of the stored rows, so edits are detected as well as new rows
+ * @private
+ */
+function fingerprintRows(rows) {
+  return crypto.createHash('sha1').update(JSON.stringify(rows)).digest('hex');
+}
+
+/**
+ * Build the pushed payload from raw rows
+ *
+ * @param {Array<Array>} rows - Weekly-Chemistry rows including the header
+ * @param {Object} settings - Team settings (dimension weights)
+ * @returns {Object} Aggregates payload
+ */
+export function buildAggregatesPayload(rows, settings) {
+  const history = computeSeasonHistory(rows, undefined, settings);
+
+  return {
+    version: fingerprintRows([rows, settings]),
+    rowCount: Math.max(rows.length - 1, 0),
+    ...history,
+    weekCount: history.weeks.length,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Read the store and broadcast if the rows changed
+ * @private
+ */
+async function checkForChanges() {
+  // Skip if the previous read is still running (slow Sheets API)
+  if (checking) return;
+  checking = true;
+
+  try {
+    const storage = await getStorageAdapter();
+    const [rows, settings] = await Promise.all([
+      storage.readRows(TABS.RESPONSES),
+      readTeamSettings(storage)
+    ]);
+    // New weights rescore every week, so they count as a change too
+    const version = fingerprintRows([rows, settings]);
+    lastCheckedAt = Date.now();
+
+    if (version !== lastVersion) {
+      lastVersion = version;
+      lastPayload = buildAggregatesPayload(rows, settings);
+      console.log(`📡 Responses changed (${lastPayload.rowCount} rows) - pushing to ${subscribers.size} dashboard(s)`);
+      subscribers.forEach(send => send('aggregates', lastPayload));
+    }
+  } catch (error) {
+    console.error('❌ Stream watcher could not refresh aggregates:', error.message);
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Register a subscriber; starts the watcher for the first one
+ *
+ * @param {Function} send - (eventName, data) => void
+ * @returns {Function} Unsubscribe function (stops the watcher after the last one)
+ */
+export function subscribe(send) {
+  subscribers.add(send);
+
+  // New and reconnecting dashboards get the current state straight away
+  if (lastPayload) {
+    send('aggregates', lastPayload);
+  }
+
+  if (!watchTimer) {
+    const interval = getWatchInterval();
+    watchTimer = setInterval(checkForChanges, interval);
+
+    // A reconnect within one interval of the last read reuses it
+    if (!lastPayload || Date.now() - lastCheckedAt >= interval) {
+      checkForChanges();
+    }
+  }
+
+  return () => {
+    subscribers.delete(send);
+
+    // The last payload is kept for the next connection
+    if (subscribers.size === 0 && watchTimer) {
+      clearInterval(watchTimer);
+      watchTimer = null;
+    }
+  };
+}
+
+/**
+ * Serve an SSE connection
+ *
+ * @param {Object} req - Node/Express request
+ * @param {Object} res - Node/Express response
+ * @param {Object} options
+ * @param {number|null} options.maxDurationMs - Close after this long (serverless limits);
+ *                                              the browser reconnects automatically
+ * @param {number} options.retryMs - Reconnect delay suggested to the browser
+ * @returns {Promise<void>} Resolves when the connection closes
+ */
+export function handleStreamRequest(req, res, { maxDurationMs = null, retryMs = DEFAULT_RETRY_MS } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'  // Disable proxy buffering (nginx)
+  });
+  res.write(`retry: ${retryMs}\n\n`);
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribe(send);
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+  const closeTimer = maxDurationMs ? setTimeout(() => res.end(), maxDurationMs) : null;
+
+  return new Promise(resolve => {
+    // 'close' fires when the browser disconnects or the stream is ended
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (closeTimer) clearTimeout(closeTimer);
+      unsubscribe();
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,157 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the live aggregate stream
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'dimension', header: 'Trust', dimension: 'Trust' },
+    { index: 2, role: 'dimension', header: 'Energy', dimension: 'Energy' },
+  ],
+};
+
+const rows = [
+  ['Timestamp', 'Trust', 'Energy'],
+  ['10/07/2025 18:00:00', '4', '4'],
+  ['10/14/2025 18:00:00', '7', '4'],
+];
+
+/**
+ * Minimal SSE response: records writes and emits 'close' when ended
+ */
+function createStreamResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writeHead = vi.fn();
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => res.emit('close');
+  return res;
+}
+
+describe('stream', () => {
+  let dir;
+  let stream;
+  let storage;
+  let TABS;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-stream-'));
+    fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify(schema));
+    process.env.SURVEY_SCHEMA_PATH = path.join(dir, 'schema.json');
+    process.env.NGAUGE_STORAGE = 'json';
+    process.env.NGAUGE_STORAGE_PATH = path.join(dir, 'ngauge.json');
+    process.env.NGAUGE_STREAM_INTERVAL_MS = '1000';
+    process.env.VITE_SURVEY_TIMEZONE = 'UTC';
+    process.env.VITE_MIN_RESPONSES = '1';
+
+    // The watcher keeps its last payload between connections; start each test afresh
+    vi.resetModules();
+    stream = await import('./stream');
+    const storageModule = await import('./storage/index');
+    TABS = storageModule.TABS;
+    storage = await storageModule.getStorageAdapter();
+    await storage.appendRows(TABS.RESPONSES, rows);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('buildAggregatesPayload', () => {
+    it('should build the season history with a row count', () => {
+      const payload = stream.buildAggregatesPayload(rows, {});
+
+      expect(payload.rowCount).toBe(2);
+      expect(payload.weekCount).toBe(2);
+      expect(payload.weeks.map(week => week.weekId)).toEqual(['2025-10-06', '2025-10-13']);
+      expect(payload.latestWeekId).toBe('2025-10-13');
+      expect(payload.version).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('should change the version when a row is edited or the settings change', () => {
+      const { version } = stream.buildAggregatesPayload(rows, {});
+      const edited = [rows[0], rows[1], ['10/14/2025 18:00:00', '6', '4']];
+
+      expect(stream.buildAggregatesPayload(rows, {}).version).toBe(version);
+      expect(stream.buildAggregatesPayload(edited, {}).version).not.toBe(version);
+      expect(stream.buildAggregatesPayload(rows, { dimensionWeights: { Trust: 2 } }).version).not.toBe(version);
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should push the aggregates once, then only when the rows change', async () => {
+      const send = vi.fn();
+      const unsubscribe = stream.subscribe(send);
+
+      await vi.advanceTimersByTimeAsync(0);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenLastCalledWith('aggregates', expect.objectContaining({ rowCount: 2 }));
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(send).toHaveBeenCalledTimes(1);
+
+      await storage.appendRows(TABS.RESPONSES, [['10/15/2025 18:00:00', '5', '5']]);
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send).toHaveBeenLastCalledWith('aggregates', expect.objectContaining({ rowCount: 3 }));
+
+      unsubscribe();
+    });
+
+    it('should reuse the last read for a reconnect within one interval', async () => {
+      const first = vi.fn();
+      const unsubscribeFirst = stream.subscribe(first);
+      await vi.advanceTimersByTimeAsync(0);
+      unsubscribeFirst();
+      const [, payload] = first.mock.calls[0];
+
+      const readRows = vi.spyOn(storage, 'readRows');
+      const second = vi.fn();
+      const unsubscribe = stream.subscribe(second);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(second).toHaveBeenCalledWith('aggregates', payload);
+      expect(readRows).not.toHaveBeenCalled();
+
+      // The watcher resumes reading on its interval
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(readRows).toHaveBeenCalled();
+
+      unsubscribe();
+    });
+  });
+
+  describe('handleStreamRequest', () => {
+    it('should send SSE events and close after maxDurationMs', async () => {
+      const res = createStreamResponse();
+      const closed = stream.handleStreamRequest({}, res, { maxDurationMs: 8000, retryMs: 1000 });
+
+      await vi.advanceTimersByTimeAsync(0);
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(res.chunks[0]).toBe('retry: 1000\n\n');
+
+      const [event, data] = res.chunks[1].split('\n');
+      expect(event).toBe('event: aggregates');
+      expect(JSON.parse(data.replace(/^data: /, ''))).toMatchObject({ rowCount: 2, weekCount: 2 });
+
+      await vi.advanceTimersByTimeAsync(8000);
+      await expect(closed).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Structured Team Insights
+ *
+ * The team-insights analysis ("Things to look out for") is requested from the
+ * model as JSON and checked here before anything is returned or stored, so
+ * the dashboard works with fields instead of parsing free text.
+ *
+ * TEAM INSIGHTS SHAPE:
+ * {
+ *   sentimentOverview: string (required) - how the team feels about the week,
+ *   notes: string - other comments or concerns ('' if none),
+ *   quotes: string[] - player quotes backing the analysis, verbatim (at most 4),
+ *   suggestions: [{ topic, suggestion }] - actions for the coaching staff,
+ *   focusDimensions: string[] - survey dimensions to watch (schema names)
+ * }
+ *
+ * REPAIR:
+ * Small slips are fixed instead of failing: code fences or prose around the
+ * object, trailing commas, surrounding quote marks, a single string where a
+ * list was asked for, overlong lists, unusable suggestions, dimension
+ * names that are not in the survey and quotes that do not appear in the
+ * answers the model was given (a quote under minQuoteWords words must be a
+ * whole answer, so a stray word or two cannot pass as a player's words). Anything else is an error, and the
+ * analysis is asked for again (see runStructuredAnalysis() in llm/index.js).
+ */
+
+export const TEAM_INSIGHTS_LIMITS = {
+  maxTextLength: 600,
+  // Matches the "at most 4" asked for by every team-insights prompt version
+  maxQuotes: 4,
+  maxSuggestions: 4,
+  // Words a quote needs to count as part of an answer; shorter ones must be a whole answer
+  minQuoteWords: 3
+};
+
+/**
+ * Trimmed string, capped at maxTextLength ('' for anything else)
+ * @private
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, TEAM_INSIGHTS_LIMITS.maxTextLength) : '';
+}
+
+/**
+ * A list of strings from a list or a single string
+ * @private
+ */
+function toList(value) {
+  if (typeof value === 'string') return [value];
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Text as compared for quotes: straight quote marks, single spaces, lower case
+ * @private
+ */
+function normalizeQuoteText(text) {
+  return text.replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Pull the JSON object out of a model reply
+ *
+ * @param {string} text - Model output
+ * @returns {Object|null} The parsed object, or null if there is none
+ */
+export function extractJSONObject(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  const candidate = text.slice(start, end + 1);
+  for (const source of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+    try {
+      const value = JSON.parse(source);
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch {
+      // Try the next repair
+    }
+  }
+  return null;
+}
+
+/**
+ * Check and normalize a team insights object
+ *
+ * @param {Object} value - Candidate object
+ * @param {Object} options
+ * @param {Array<string>|null} options.dimensionNames - Survey dimensions; focusDimensions are matched against them
+ *                                                      (case-insensitive) when given
+ * @param {Array<string>|null} options.sourceAnswers - Answers the model was given (redacted); quotes that are not
+ *                                                     part of one of them (or, under minQuoteWords words,
+ *                                                     all of one) are dropped when given
+ * @returns {Object} { insights, errors } - insights is null when errors is not empty
+ */
+export function validateTeamInsights(value, { dimensionNames = null, sourceAnswers = null } = {}) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { insights: null, errors: ['The analysis must be a JSON object'] };
+  }
+
+  const errors = [];
+  const sentimentOverview = cleanText(value.sentimentOverview);
+  if (!sentimentOverview) {
+    errors.push('sentimentOverview must be a non-empty string');
+  }
+
+  // An invented quote would be shown as a player's words
+  const sources = sourceAnswers ? sourceAnswers.map(answer => normalizeQuoteText(String(answer ?? ''))) : null;
+  const isQuoted = quote => {
+    const text = normalizeQuoteText(quote).replace(/(?:\.\.\.|…)$/, '').trim();
+    const partialAllowed = text.split(' ').length >= TEAM_INSIGHTS_LIMITS.minQuoteWords;
+    return sources.some(source => source === text || (partialAllowed && source.includes(text)));
+  };
+  const quotes = [...new Set(toList(value.quotes)
+    .map(quote => cleanText(quote).replace(/^["“”']+|["“”']+$/g, '').trim())
+    .filter(Boolean))]
+    .filter(quote => !sources || isQuoted(quote))
+    .slice(0, TEAM_INSIGHTS_LIMITS.maxQuotes);
+
+  const suggestions = (Array.isArray(value.suggestions) ? value.suggestions : [])
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({ topic: cleanText(item.topic), suggestion: cleanText(item.suggestion) }))
+    .filter(item => item.topic && item.suggestion)
+    .slice(0, TEAM_INSIGHTS_LIMITS.maxSuggestions);
+
+  const known = dimensionNames ? new Map(dimensionNames.map(name => [name.toLowerCase(), name])) : null;
+  const focusDimensions = [...new Set(toList(value.focusDimensions)
+    .map(name => cleanText(name))
+    .map(name => (known ? known.get(name.toLowerCase()) : name) || null)
+    .filter(Boolean))];
+
+  if (errors.length > 0) {
+    return { insights: null, errors };
+  }
+
+  return {
+    insights: { sentimentOverview, notes: cleanText(value.notes), quotes, suggestions, focusDimensions },
+    errors
+  };
+}
+
+/**
+ * Parse a model reply into team insights
+ *
+ * @param {string} text - Model output
+ * @param {Object} options - See validateTeamInsights()
+ * @returns {Object} { insights, errors }
+ */
+export function parseTeamInsights(text, options = {}) {
+  const value = extractJSONObject(text);
+  if (!value) {
+    return { insights: null, errors: ['The reply does not contain a JSON object'] };
+  }
+  return validateTeamInsights(value, options);
+}
+
+/**
+ * Readable text of team insights (the "Things to Look Out For" cell of the
+ * AIInsights tab, for people reading the sheet)
+ *
+ * @param {Object} insights - Team insights
+ * @returns {string}
+ */
+export function formatTeamInsights(insights) {
+  const sections = [
+    `**Team Sentiment Overview:**\n${insights.sentimentOverview}`,
+    ...insights.quotes.map(quote => `"${quote}"`),
+    `\n**Additional Notes:**\n${insights.notes || 'No responses provided.'}`
+  ];
+
+  if (insights.suggestions.length > 0) {
+    sections.push(`\n**Suggestions:**\n${insights.suggestions.map(item => `- ${item.topic}: ${item.suggestion}`).join('\n')}`);
+  }
+  if (insights.focusDimensions.length > 0) {
+    sections.push(`\n**Focus Dimensions:** ${insights.focusDimensions.join(', ')}`);
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * Team insights from free text stored before analyses were structured
+ * ("**Team Sentiment Overview:** ... **Additional Notes:** ...")
+ *
+ * @param {string} text - Stored analysis text
+ * @returns {Object|null} Team insights, or null if the text has no sections (a status message)
+ */
+export function parseLegacyTeamInsights(text) {
+  if (typeof text !== 'string') return null;
+
+  const overview = text.match(/\*\*Team Sentiment Overview:?\*\*:?([\s\S]*?)(?=\*\*Additional Notes|$)/i);
+  const notes = text.match(/\*\*Additional Notes:?\*\*:?([\s\S]*?)(?=\n\s*\*\*|$)/i);
+  if (!overview && !notes) return null;
+
+  const quotes = [...text.matchAll(/["“]([^"“”]{3,})["”]/g)].map(match => match[1]);
+
+  return validateTeamInsights({
+    sentimentOverview: overview?.[1] || 'No responses provided.',
+    notes: notes?.[1] || '',
+    quotes,
+    suggestions: [],
+    focusDimensions: []
+  }).insights;
+}
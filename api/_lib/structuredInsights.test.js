@@ -0,0 +1,125 @@
+// @vitest-environment node
+/**
+ * Unit Tests for structured team insights
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TEAM_INSIGHTS_LIMITS,
+  extractJSONObject,
+  validateTeamInsights,
+  parseTeamInsights,
+  formatTeamInsights,
+  parseLegacyTeamInsights,
+} from './structuredInsights';
+
+const insights = {
+  sentimentOverview: 'Confident after the win, tired legs.',
+  notes: 'Some players felt left out of drills.',
+  quotes: ['Great practice on Tuesday'],
+  suggestions: [{ topic: 'Drill rotation', suggestion: 'Rotate drill groups so everyone gets reps.' }],
+  focusDimensions: ['Trust'],
+};
+
+describe('extractJSONObject', () => {
+  it('should find the object around fences, prose and trailing commas', () => {
+    expect(extractJSONObject('```json\n{"a": [1, 2,],}\n```')).toEqual({ a: [1, 2] });
+    expect(extractJSONObject('Here you go: {"a": 1} Hope that helps')).toEqual({ a: 1 });
+  });
+
+  it('should return null without an object', () => {
+    expect(extractJSONObject('No JSON here')).toBeNull();
+    expect(extractJSONObject('[1, 2]')).toBeNull();
+    expect(extractJSONObject('{"a": }')).toBeNull();
+  });
+});
+
+describe('validateTeamInsights', () => {
+  it('should accept a complete object', () => {
+    expect(validateTeamInsights(insights, { dimensionNames: ['Trust', 'Energy'] })).toEqual({ insights, errors: [] });
+  });
+
+  it('should repair small slips', () => {
+    const { insights: repaired } = validateTeamInsights({
+      sentimentOverview: '  Upbeat week.  ',
+      quotes: '"Great practice on Tuesday"',
+      suggestions: [{ topic: 'Energy' }, 'Rest more', { topic: 'Recovery', suggestion: 'Add a light session.' }],
+      focusDimensions: ['energy', 'Morale'],
+    }, { dimensionNames: ['Trust', 'Energy'] });
+
+    expect(repaired).toEqual({
+      sentimentOverview: 'Upbeat week.',
+      notes: '',
+      quotes: ['Great practice on Tuesday'],
+      suggestions: [{ topic: 'Recovery', suggestion: 'Add a light session.' }],
+      focusDimensions: ['Energy'],
+    });
+  });
+
+  it('should cap lists and text', () => {
+    const { insights: capped } = validateTeamInsights({
+      sentimentOverview: 'x'.repeat(1000),
+      quotes: Array.from({ length: 10 }, (_, index) => `Quote ${index}`),
+    });
+
+    expect(capped.sentimentOverview).toHaveLength(TEAM_INSIGHTS_LIMITS.maxTextLength);
+    expect(capped.quotes).toHaveLength(TEAM_INSIGHTS_LIMITS.maxQuotes);
+  });
+
+  it('should drop quotes that are not in the source answers', () => {
+    const { insights: checked } = validateTeamInsights({
+      sentimentOverview: 'Mixed.',
+      quotes: ['“Great practice on Tuesday”', 'drills ran long...', 'We need a new coach', '[name] carried us'],
+    }, { sourceAnswers: ['Great practice on  Tuesday, thanks [name]', 'Drills ran long', '[name] carried us'] });
+
+    expect(checked.quotes).toEqual(['Great practice on Tuesday', 'drills ran long...', '[name] carried us']);
+  });
+
+  it('should only accept a quote of a word or two when it is a whole answer', () => {
+    const { insights: checked } = validateTeamInsights({
+      sentimentOverview: 'Mixed.',
+      quotes: ['practice', 'on Tuesday', 'Loved it', 'practice on Tuesday'],
+    }, { sourceAnswers: ['Great practice on Tuesday', 'Loved it'] });
+
+    expect(checked.quotes).toEqual(['Loved it', 'practice on Tuesday']);
+  });
+
+  it('should reject an object without a sentiment overview', () => {
+    expect(validateTeamInsights({ notes: 'Only notes' })).toEqual({
+      insights: null,
+      errors: ['sentimentOverview must be a non-empty string'],
+    });
+    expect(parseTeamInsights('**Team Sentiment Overview:** fine').errors).toEqual(['The reply does not contain a JSON object']);
+  });
+});
+
+describe('formatTeamInsights', () => {
+  it('should write readable sections that read back', () => {
+    const text = formatTeamInsights(insights);
+
+    expect(text).toContain('**Team Sentiment Overview:**\nConfident after the win, tired legs.');
+    expect(text).toContain('- Drill rotation: Rotate drill groups so everyone gets reps.');
+    expect(parseLegacyTeamInsights(text)).toMatchObject({
+      sentimentOverview: expect.stringContaining('Confident after the win'),
+      quotes: ['Great practice on Tuesday'],
+    });
+  });
+});
+
+describe('parseLegacyTeamInsights', () => {
+  it('should split stored free text into sections', () => {
+    const text = '**Team Sentiment Overview:**\nPositive, "loved the scrimmage".\n\n**Additional Notes:**\nNo responses provided.';
+
+    expect(parseLegacyTeamInsights(text)).toEqual({
+      sentimentOverview: 'Positive, "loved the scrimmage".',
+      notes: 'No responses provided.',
+      quotes: ['loved the scrimmage'],
+      suggestions: [],
+      focusDimensions: [],
+    });
+  });
+
+  it('should leave status messages alone', () => {
+    expect(parseLegacyTeamInsights('Insufficient responses this week.')).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Aggregate Summary & Privacy Mode
+ *
+ * Backs GET /api/summary in both runtimes: everything the dashboard shows,
+ * computed on the server from the stored Weekly-Chemistry responses.
+ *
+ * PRIVACY MODE (NGAUGE_PRIVACY_MODE=true):
+ * - GET /api/sheets is refused, so no individual response reaches the browser
+ * - The dashboard runs entirely off GET /api/summary
+ * - Open text only leaves the server after AI analysis: POST /api/analyze
+ *   builds every prompt from the stored answers (see analysis.js)
+ *
+ * SUMMARY SHAPE:
+ * {
+ *   privacyMode, dimensionNames, minResponses, confidenceLevel, significanceLevel,
+ *   weights: [{ name, weight, share }] (effective dimension weights from team settings),
+ *   imputationPolicy: how missing answers are handled (team setting),
+ *   excludeFlaggedResponses: whether careless responses are left out (team setting),
+ *   roster: { size, positionGroups } (team setting), minParticipation: response-rate warning level,
+ *   rosterNames: names masked before open text reaches an AI provider (team setting; admin sessions only, else null),
+ *   rosterNameCount: how many names are masked,
+ *   analysisMode: 'ai' or 'rules' (team setting),
+ *   currentWeek: latest week of the history (team score, dimension averages,
+ *                confidence intervals, week-over-week tests, response counts) or null,
+ *   history: { weeks, seasonAverage, latestWeekId, minResponses, confidenceLevel, significanceLevel, weights,
+ *              rosterSize, minParticipation, forecast, imputationPolicy, excludeFlaggedResponses,
+ *              weekStartDay, timeZone } (each week carries its `participation`),
+ *   analysedText: { scoreExplanation, thingsToLookOutFor } (latest stored AI analysis)
+ * }
+ * Weeks below the minimum response count come back `suppressed`, with null
+ * scores (see utils/seasonHistory.js).
+ */
+
+import { TABS } from './storage/index.js';
+import { computeSeasonHistory } from './history.js';
+import { loadSurveySchema } from './surveySchema.js';
+import { readLatestInsights } from './insights.js';
+import { readTeamSettings } from './settings.js';
+import { getDimensionNames } from '../../src/utils/surveySchema.js';
+
+// Error code returned by routes that would expose individual responses
+export const PRIVACY_MODE_CODE = 'PRIVACY_MODE_ENABLED';
+
+/**
+ * Whether the backend is running in aggregate-only privacy mode
+ * @returns {boolean}
+ */
+export function isPrivacyMode() {
+  return ['true', '1', 'yes'].includes(String(process.env.NGAUGE_PRIVACY_MODE || '').trim().toLowerCase());
+}
+
+/**
+ * Response body for routes that are closed in privacy mode
+ * @returns {Object}
+ */
+export function privacyModeError() {
+  return {
+    success: false,
+    error: 'Individual responses are not available',
+    code: PRIVACY_MODE_CODE,
+    message: 'Privacy mode is on - use /api/summary for team aggregates'
+  };
+}
+
+/**
+ * Compute the dashboard summary from the stored data
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options
+ * @param {boolean} options.admin - Admin session: include the roster names
+ * @returns {Promise<Object>} Summary (see SUMMARY SHAPE above)
+ */
+export async function computeSummary(storage, { admin = false } = {}) {
+  const schema = loadSurveySchema();
+  const [rows, insights, settings] = await Promise.all([
+    storage.readRows(TABS.RESPONSES),
+    readLatestInsights(storage),
+    readTeamSettings(storage)
+  ]);
+
+  const history = computeSeasonHistory(rows, schema, settings);
+  const currentWeek = history.weeks.find(week => week.weekId === history.latestWeekId) || null;
+
+  return {
+    privacyMode: isPrivacyMode(),
+    dimensionNames: getDimensionNames(schema),
+    minResponses: history.minResponses,
+    confidenceLevel: history.confidenceLevel,
+    significanceLevel: history.significanceLevel,
+    weights: history.weights,
+    imputationPolicy: history.imputationPolicy,
+    excludeFlaggedResponses: history.excludeFlaggedResponses,
+    roster: settings.roster,
+    // Real player and coach names - only admins, who edit them, need the list
+    rosterNames: admin ? settings.rosterNames : null,
+    rosterNameCount: settings.rosterNames.length,
+    minParticipation: history.minParticipation,
+    analysisMode: settings.analysisMode,
+    currentWeek,
+    history,
+    analysedText: {
+      scoreExplanation: insights.scoreExplanation,
+      thingsToLookOutFor: insights.thingsToLookOutFor
+    }
+  };
+}
@@ -0,0 +1,152 @@
+// @vitest-environment node
+/**
+ * Unit Tests for the aggregate summary and privacy mode
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonFileAdapter } from './storage/jsonFile';
+import { TABS } from './storage/index';
+import { appendInsights } from './insights';
+import { saveTeamSettings } from './settings';
+import { isPrivacyMode, computeSummary } from './summary';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'open-text', key: 'weekReflection', label: 'How do you feel the week went?' },
+    { index: 2, role: 'dimension', header: 'Trust', dimension: 'Trust' },
+    { index: 3, role: 'dimension', header: 'Energy', dimension: 'Energy' },
+  ],
+};
+
+const rows = [
+  ['Timestamp', 'How do you feel the week went?', 'Trust', 'Energy'],
+  ['10/07/2025 18:00:00', 'Tough week', '4', '4'],
+  ['10/14/2025 18:00:00', 'Great practice on Tuesday', '7', '4'],
+  ['10/15/2025 18:00:00', 'Felt left out of drills', '4', '1'],
+];
+
+describe('summary', () => {
+  let dir;
+  let storage;
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngauge-summary-'));
+    fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify(schema));
+    process.env.SURVEY_SCHEMA_PATH = path.join(dir, 'schema.json');
+    process.env.VITE_WEEK_START_DAY = '1';
+    process.env.VITE_SURVEY_TIMEZONE = 'UTC';
+    process.env.VITE_MIN_RESPONSES = '1';
+
+    storage = createJsonFileAdapter({ filePath: path.join(dir, 'ngauge.json') });
+    await storage.appendRows(TABS.RESPONSES, rows);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read privacy mode from NGAUGE_PRIVACY_MODE', () => {
+    delete process.env.NGAUGE_PRIVACY_MODE;
+    expect(isPrivacyMode()).toBe(false);
+
+    process.env.NGAUGE_PRIVACY_MODE = 'true';
+    expect(isPrivacyMode()).toBe(true);
+  });
+
+  it('should summarize the latest week with response counts and confidence intervals', async () => {
+    const summary = await computeSummary(storage);
+
+    expect(summary.dimensionNames).toEqual(['Trust', 'Energy']);
+    expect(summary.currentWeek.weekId).toBe('2025-10-13');
+    expect(summary.currentWeek.responseCount).toBe(2);
+    expect(summary.currentWeek.teamScore).toBe(50);
+    expect(summary.currentWeek.teamConfidenceInterval).not.toBeNull();
+    expect(summary.currentWeek.dimensions.map(dimension => dimension.average)).toEqual([75, 25]);
+    expect(summary.history.weeks).toHaveLength(2);
+  });
+
+  it('should fall back to UTC weeks for an unknown timezone', async () => {
+    process.env.VITE_SURVEY_TIMEZONE = 'Mars/Olympus_Mons';
+    const summary = await computeSummary(storage);
+
+    expect(summary.history.timeZone).toBe('UTC');
+    expect(summary.currentWeek.weekId).toBe('2025-10-13');
+  });
+
+  it('should compute intervals at the configured confidence level', async () => {
+    const defaultSummary = await computeSummary(storage);
+    process.env.VITE_CONFIDENCE_LEVEL = '0.8';
+    const summary = await computeSummary(storage);
+
+    expect(defaultSummary.confidenceLevel).toBe(0.95);
+    expect(summary.confidenceLevel).toBe(0.8);
+    expect(summary.currentWeek.teamConfidenceInterval.marginOfError)
+      .toBeLessThan(defaultSummary.currentWeek.teamConfidenceInterval.marginOfError);
+  });
+
+  it('should rescore every week with the saved dimension weights', async () => {
+    await saveTeamSettings(storage, { dimensionWeights: { Trust: 3 } });
+    const summary = await computeSummary(storage);
+
+    // Latest week responses: (100 * 3 + 50) / 4 = 87.5 and (50 * 3 + 0) / 4 = 37.5
+    expect(summary.currentWeek.teamScore).toBe(62.5);
+    expect(summary.history.weeks[0].teamScore).toBe(50);
+    expect(summary.weights).toEqual([
+      { name: 'Trust', weight: 3, share: 75 },
+      { name: 'Energy', weight: 1, share: 25 },
+    ]);
+  });
+
+  it('should never include open-text answers that were not analysed', async () => {
+    const summary = await computeSummary(storage);
+    const body = JSON.stringify(summary);
+
+    expect(body).not.toContain('Great practice');
+    expect(body).not.toContain('Felt left out');
+    expect(summary.analysedText).toEqual({ scoreExplanation: null, thingsToLookOutFor: null });
+  });
+
+  it('should only return the roster names to admin sessions', async () => {
+    await saveTeamSettings(storage, { rosterNames: ['Jordan Smith', 'Coach Lee'] });
+
+    const summary = await computeSummary(storage);
+    expect(summary.rosterNames).toBeNull();
+    expect(summary.rosterNameCount).toBe(2);
+    expect(JSON.stringify(summary)).not.toContain('Jordan');
+
+    const adminSummary = await computeSummary(storage, { admin: true });
+    expect(adminSummary.rosterNames).toEqual(['Jordan Smith', 'Coach Lee']);
+  });
+
+  it('should return the latest analysed text', async () => {
+    await appendInsights(storage, { scoreExplanation: 'Trust carried the week.', thingsToLookOutFor: 'Watch drill inclusion.' });
+
+    const summary = await computeSummary(storage);
+    expect(summary.analysedText).toEqual({
+      scoreExplanation: 'Trust carried the week.',
+      thingsToLookOutFor: 'Watch drill inclusion.',
+    });
+  });
+
+  it('should suppress weeks below the minimum response count', async () => {
+    process.env.VITE_MIN_RESPONSES = '2';
+    const summary = await computeSummary(storage);
+    const [firstWeek, latestWeek] = summary.history.weeks;
+
+    expect(summary.minResponses).toBe(2);
+    expect(firstWeek.suppressed).toBe(true);
+    expect(firstWeek.teamScore).toBeNull();
+    expect(firstWeek.dimensions.every(dimension => dimension.average === null)).toBe(true);
+    expect(latestWeek.suppressed).toBe(false);
+    // The suppressed week does not leak through the season average
+    expect(summary.history.seasonAverage).toBe(latestWeek.teamScore);
+  });
+});
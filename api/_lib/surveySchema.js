@@ -0,0 +1,49 @@
+/**
+ * Survey Schema Loader
+ *
+ * Reads the survey-schema definition that tells both runtimes how the
+ * Weekly-Chemistry columns map to dimensions, scales and open-text answers.
+ *
+ * Location: config/survey-schema.json, or the file named by SURVEY_SCHEMA_PATH.
+ * The file is re-read on every call so an edited schema takes effect without
+ * a server restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertValidSurveySchema } from '../../src/utils/surveySchema.js';
+
+const DEFAULT_SCHEMA_PATH = fileURLToPath(new URL('../../config/survey-schema.json', import.meta.url));
+
+/**
+ * Resolve the schema file location
+ * @returns {string} Absolute path
+ */
+export function getSurveySchemaPath() {
+  return process.env.SURVEY_SCHEMA_PATH
+    ? path.resolve(process.env.SURVEY_SCHEMA_PATH)
+    : DEFAULT_SCHEMA_PATH;
+}
+
+/**
+ * Load and validate the survey schema
+ * @returns {Object} Parsed schema
+ * @throws {Error} If the file is missing, not JSON, or structurally invalid
+ */
+export function loadSurveySchema() {
+  const schemaPath = getSurveySchemaPath();
+
+  if (!fs.existsSync(schemaPath)) {
+    throw new Error(`Survey schema not found: ${schemaPath}`);
+  }
+
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (error) {
+    throw new Error('Failed to parse survey schema: ' + error.message);
+  }
+
+  return assertValidSurveySchema(schema);
+}
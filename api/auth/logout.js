@@ -8,6 +8,8 @@
  * - Stateless design (no server-side session invalidation needed)
  */
 
+import { buildSessionCookie } from '../_lib/auth.js';
+
 /**
  * Main handler function
  */
@@ -22,15 +24,7 @@ export default async function handler(req, res) {
 
   try {
     // Clear cookie by setting Max-Age to 0
-    const isProduction = process.env.NODE_ENV === 'production';
-    const cookieOptions = [
-      'ngauge_session=',
-      'Max-Age=0',
-      'Path=/',
-      'HttpOnly',
-      'SameSite=Strict',
-      isProduction ? 'Secure' : ''
-    ].filter(Boolean).join('; ');
+    const cookieOptions = buildSessionCookie('', 0);
 
     res.setHeader('Set-Cookie', cookieOptions);
 
@@ -10,68 +10,12 @@
  * - Constant-time password comparison
  */
 
-import crypto from 'crypto';
-
-// Session configuration
-const SESSION_EXPIRY_DAYS = parseInt(process.env.SESSION_EXPIRY_DAYS || '7', 10);
-const SESSION_EXPIRY_MS = SESSION_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
-
-/**
- * Get or generate session secret key
- */
-function getSessionSecret() {
-  const secret = process.env.SESSION_SECRET_KEY;
-  if (secret) return secret;
-
-  // Auto-generate secret if not provided (not recommended for production)
-  console.warn('⚠️  SESSION_SECRET_KEY not set, using auto-generated secret');
-  return crypto.randomBytes(32).toString('hex');
-}
-
-/**
- * Generate signed session token
- */
-function generateSessionToken() {
-  const secret = getSessionSecret();
-  const timestamp = Date.now();
-  const expiry = timestamp + SESSION_EXPIRY_MS;
-
-  // Create payload
-  const payload = `${timestamp}:${expiry}`;
-
-  // Sign with HMAC-SHA256
-  const signature = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-
-  // Combine payload + signature
-  const token = `${payload}:${signature}`;
-
-  // Base64 encode for cookie storage
-  return Buffer.from(token).toString('base64');
-}
-
-/**
- * Constant-time string comparison (prevents timing attacks)
- */
-function constantTimeCompare(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') {
-    return false;
-  }
-
-  const aLen = Buffer.byteLength(a);
-  const bLen = Buffer.byteLength(b);
-
-  // Always compare full length to prevent early exit timing leak
-  const bufA = Buffer.alloc(Math.max(aLen, bLen), 0);
-  const bufB = Buffer.alloc(Math.max(aLen, bLen), 0);
-
-  bufA.write(a);
-  bufB.write(b);
-
-  return crypto.timingSafeEqual(bufA, bufB) && aLen === bLen;
-}
+import {
+  SESSION_EXPIRY_MS,
+  generateSessionToken,
+  resolvePasswordRole,
+  buildSessionCookie
+} from '../_lib/auth.js';
 
 /**
  * In-memory rate limiting (per IP)
@@ -162,10 +106,10 @@ export default async function handler(req, res) {
       });
     }
 
-    // Verify password (constant-time comparison)
-    const isValid = constantTimeCompare(password, masterPassword);
+    // Verify password (constant-time comparison); the admin password signs in as admin
+    const role = resolvePasswordRole(password);
 
-    if (!isValid) {
+    if (!role) {
       return res.status(401).json({
         success: false,
         error: 'Invalid password',
@@ -174,24 +118,17 @@ export default async function handler(req, res) {
     }
 
     // Generate session token
-    const sessionToken = generateSessionToken();
+    const sessionToken = generateSessionToken(role);
 
     // Set HTTP-only cookie
-    const isProduction = process.env.NODE_ENV === 'production';
-    const cookieOptions = [
-      `ngauge_session=${sessionToken}`,
-      `Max-Age=${SESSION_EXPIRY_MS / 1000}`, // Convert to seconds
-      'Path=/',
-      'HttpOnly',
-      'SameSite=Strict',
-      isProduction ? 'Secure' : '' // HTTPS only in production
-    ].filter(Boolean).join('; ');
+    const cookieOptions = buildSessionCookie(sessionToken, SESSION_EXPIRY_MS / 1000);
 
     res.setHeader('Set-Cookie', cookieOptions);
 
     return res.status(200).json({
       success: true,
       message: 'Authentication successful',
+      role,
       expiresIn: SESSION_EXPIRY_MS
     });
 
@@ -0,0 +1,47 @@
+/**
+ * Vercel Serverless Function: /api/data-quality
+ *
+ * Data-quality report: rejected rows and rating cells with the reason, and
+ * each dimension's valid-n (see api/_lib/dataQuality.js).
+ *
+ * SECURITY:
+ * - Admin only: requires a session signed in with NGAUGE_ADMIN_PASSWORD
+ * - Lists sheet row numbers and rejected cell values, never open text
+ * - Privacy mode: row numbers and reasons only, no timestamps or cell values
+ */
+
+import { requireAdmin } from './_lib/auth.js';
+import { computeDataQualityReport } from './_lib/dataQuality.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Sends 401 without a session, 403 for a staff session
+  if (!requireAdmin(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const report = await computeDataQualityReport(storage);
+
+    return res.status(200).json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'data-quality report');
+  }
+}
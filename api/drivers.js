@@ -0,0 +1,47 @@
+/**
+ * Vercel Serverless Function: /api/drivers
+ *
+ * Driver analysis: which dimensions move together (across responses and
+ * across weeks) and how each week's score change splits into per-dimension
+ * contributions (see api/_lib/drivers.js).
+ *
+ * SECURITY:
+ * - Requires a valid session cookie
+ * - Correlations and weekly aggregates only, so it stays open in privacy mode
+ */
+
+import { requireSession } from './_lib/auth.js';
+import { computeDriverAnalysis } from './_lib/drivers.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const analysis = await computeDriverAnalysis(storage);
+
+    return res.status(200).json({
+      success: true,
+      ...analysis,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'driver analysis');
+  }
+}
@@ -4,6 +4,8 @@
  * Health check endpoint for monitoring service status
  */
 
+import { checkLLMConfiguration } from './_lib/llm/index.js';
+
 export default async function handler(req, res) {
   // Only allow GET requests
   if (req.method !== 'GET') {
@@ -20,7 +22,8 @@ export default async function handler(req, res) {
     version: '1.0.0',
     checks: {
       sheetId: !!process.env.VITE_GOOGLE_SHEET_ID,
-      geminiKey: !!process.env.GEMINI_API_KEY,
+      // Every analysis type has a provider with credentials (see _lib/llm/index.js)
+      llmProviders: checkLLMConfiguration().length === 0,
       credentials: !!process.env.GOOGLE_CREDENTIALS_BASE64,
     }
   };
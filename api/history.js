@@ -0,0 +1,54 @@
+/**
+ * Vercel Serverless Function: /api/history
+ *
+ * Computes the full per-week season history from the stored
+ * Weekly-Chemistry responses: team score and the dimension averages
+ * for every survey week, plus the season average.
+ *
+ * SECURITY:
+ * - Requires a valid session cookie
+ * - Credentials never exposed to frontend
+ */
+
+import { requireSession } from './_lib/auth.js';
+import { computeSeasonHistory } from './_lib/history.js';
+import { readTeamSettings } from './_lib/settings.js';
+import { getStorageAdapter, TABS } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const [rows, settings] = await Promise.all([
+      storage.readRows(TABS.RESPONSES),
+      readTeamSettings(storage)
+    ]);
+
+    const history = computeSeasonHistory(rows, undefined, settings);
+
+    return res.status(200).json({
+      success: true,
+      ...history,
+      weekCount: history.weeks.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'season history');
+  }
+}
@@ -1,266 +1,35 @@
 /**
  * Vercel Serverless Function: /api/insights
  *
- * Manages AI-generated insights storage in Google Sheets
- * - GET: Fetches stored insights from "AIInsights" sheet
- * - POST: Saves new insights to "AIInsights" sheet
+ * Manages AI-generated insights storage through the configured storage adapter
+ * (Google Sheets "AIInsights" tab by default)
+ * - GET: Fetches the most recent stored insights
+ * - POST: Appends new insights (one row per game); analyses missing from the
+ *   body (the AI call failed) are written by the rule-based analysis
  *
- * SHEET STRUCTURE (AIInsights):
- * Row 1: Headers [Timestamp | Game Result | Your Score | Opponent Score | Practice Performance (1-10) | Team Chemistry Score | Score Explanation | Things to Look Out For]
- * Row 2+: Data rows with game info, overall team chemistry score, and AI analyses (one row per analysis)
+ * TAB STRUCTURE (AIInsights):
+ * Row 1: Headers [Timestamp | Game Result | Your Score | Opponent Score | Practice Performance (1-10) | Team Chemistry Score | Score Explanation | Things to Look Out For | Structured Insights (JSON)]
+ * Row 2+: Data rows with game info, overall team chemistry score, and AI analyses
  */
 
-import { google } from 'googleapis';
-
-const API_TIMEOUT = 30000;
-
-/**
- * Parse Google Cloud credentials from environment variable
- */
-function getCredentials() {
-  const credsBase64 = process.env.GOOGLE_CREDENTIALS_BASE64;
-
-  if (!credsBase64) {
-    throw new Error('GOOGLE_CREDENTIALS_BASE64 environment variable not set');
-  }
-
-  try {
-    const credsJson = Buffer.from(credsBase64, 'base64').toString('utf-8');
-    return JSON.parse(credsJson);
-  } catch (error) {
-    throw new Error('Failed to parse Google credentials: ' + error.message);
-  }
-}
-
-/**
- * Get authenticated sheets client
- */
-async function getSheetsClient() {
-  const credentials = getCredentials();
-
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
-
-  const authClient = await auth.getClient();
-  return google.sheets({ version: 'v4', auth: authClient });
-}
-
-/**
- * Fetch insights from Google Sheets
- */
-async function fetchInsights(sheets, sheetId) {
-  try {
-    const response = await Promise.race([
-      sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: 'AIInsights!A:H',  // Read all 8 columns (includes Team Chemistry Score)
-      }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Google Sheets API timeout')), API_TIMEOUT)
-      )
-    ]);
-
-    const data = response.data.values;
-
-    if (!data || data.length <= 1) {
-      // No data or only headers - return empty insights
-      return {
-        hasInsights: false,
-        isComplete: false,
-        teamChemistryScore: null,
-        scoreExplanation: null,
-        thingsToLookOutFor: null,
-        insights: { summary: '', suggestions: [] }
-      };
-    }
-
-    // Parse the stored insights
-    // Format (new): Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For
-    const rows = data.slice(1); // Skip headers
-
-    // Get the most recent row (last row in the sheet)
-    const latestRow = rows[rows.length - 1];
-
-    // Support both legacy 7-column rows and new 8-column rows
-    const isNewFormat = latestRow.length >= 8;
-    const teamChemistryScore = isNewFormat && latestRow[5] !== 'N/A'
-      ? parseFloat(latestRow[5])
-      : null;
-    const scoreExplanation = latestRow[isNewFormat ? 6 : 5] || null;  // Column G (or F legacy)
-    const thingsToLookOutFor = latestRow[isNewFormat ? 7 : 6] || null; // Column H (or G legacy)
-
-    // Check if BOTH fields are complete (not just one)
-    const isComplete = !!(scoreExplanation && thingsToLookOutFor);
-
-    return {
-      hasInsights: !!(scoreExplanation || thingsToLookOutFor),
-      isComplete,  // NEW: Both fields must be present
-      teamChemistryScore,
-      scoreExplanation,
-      thingsToLookOutFor,
-      insights: { summary: '', suggestions: [] }
-    };
-
-  } catch (error) {
-    if (error.code === 400 || error.message?.includes('Unable to parse range')) {
-      // Sheet doesn't exist yet
-      return {
-        hasInsights: false,
-        isComplete: false,
-        teamChemistryScore: null,
-        scoreExplanation: null,
-        thingsToLookOutFor: null,
-        insights: { summary: '', suggestions: [] }
-      };
-    }
-    throw error;
-  }
-}
-
-/**
- * Save insights to Google Sheets (8-column format with Team Chemistry Score)
- */
-async function saveInsights(sheets, sheetId, scoreExplanation, insights, gameInfo, thingsToLookOutFor, teamChemistryScore) {
-  const timestamp = new Date().toISOString();
-
-  console.log('🔥🔥🔥 saveInsights (8-column format) called with:', {
-    timestamp,
-    gameInfo,
-    scoreExplanationLength: scoreExplanation?.length || 0,
-    thingsToLookOutForLength: thingsToLookOutFor?.length || 0,
-    teamChemistryScore
-  });
-
-  // Check current sheet structure
-  let currentHeaders = null;
-  let needsMigration = false;
-
-  try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: 'AIInsights!A1:H1',
-    });
-    currentHeaders = response.data.values?.[0] || null;
-
-    // Check if we have the correct format
-    const expectedFirstColumn = 'Timestamp';
-    if (currentHeaders && currentHeaders[0] !== expectedFirstColumn) {
-      console.log('📋 Detected old format (first column: "' + currentHeaders[0] + '"), migrating to new format...');
-      needsMigration = true;
-    } else if (currentHeaders && currentHeaders.length === 7 && currentHeaders[0] === expectedFirstColumn) {
-      console.log('📋 Sheet already has correct 8-column format');
-    } else {
-      // Headers exist but incomplete
-      needsMigration = true;
-    }
-  } catch (error) {
-    // Sheet doesn't exist
-    if (error.code === 400) {
-      console.log('⚠️ Sheet does not exist, creating...');
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: sheetId,
-        resource: {
-          requests: [{
-            addSheet: {
-              properties: {
-                title: 'AIInsights'
-              }
-            }
-          }]
-        }
-      });
-    }
-  }
-
-  // If we need to migrate or create new headers
-  if (!currentHeaders || needsMigration) {
-    console.log('📝 Adding/updating headers to 8-column format (with Team Chemistry Score)...');
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: sheetId,
-      range: 'AIInsights!A1',
-      valueInputOption: 'RAW',
-      resource: {
-        values: [[
-          'Timestamp',
-          'Game Result',
-          'Your Score',
-          'Opponent Score',
-          'Practice Performance (1-10)',
-          'Team Chemistry Score',
-          'Score Explanation',
-          'Things to Look Out For'
-        ]]
-      }
-    });
-    console.log('✅ Headers updated to 8-column format');
-  }
-
-  // Prepare rows to write - each analysis creates ONE row with all data
-  const rows = [];
-
-  // Create a single row with timestamp, game info, and all AI analyses
-  console.log('🔍 DEBUG - Building row with:', {
-    scoreExplanationLength: scoreExplanation?.length || 0,
-    thingsToLookOutForLength: thingsToLookOutFor?.length || 0,
-    thingsToLookOutForPreview: thingsToLookOutFor ? thingsToLookOutFor.substring(0, 100) : 'NULL/UNDEFINED',
-    teamChemistryScore
-  });
-
-  const chemistryScoreValue = parseFloat(teamChemistryScore);
-  const normalizedChemistryScore = !Number.isNaN(chemistryScoreValue)
-    ? Number(chemistryScoreValue.toFixed(1))
-    : 'N/A';
-
-  const row = [
-    timestamp,
-    gameInfo && !gameInfo.skipped ? gameInfo.result : 'N/A',
-    gameInfo && !gameInfo.skipped ? gameInfo.yourScore : 'N/A',
-    gameInfo && !gameInfo.skipped ? gameInfo.opponentScore : 'N/A',
-    gameInfo && !gameInfo.skipped ? gameInfo.practicePerformance : 'N/A',
-    normalizedChemistryScore,
-    scoreExplanation || '',
-    thingsToLookOutFor || ''
-  ];
-
-  rows.push(row);
-
-  console.log('🔥🔥🔥 NEW FORMAT - Prepared rows to append:', JSON.stringify(rows, null, 2));
-
-  // Append the rows
-  if (rows.length > 0) {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: sheetId,
-      range: 'AIInsights!A:H',
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      resource: {
-        values: rows
-      }
-    });
-    console.log('✅ Rows appended to sheet successfully');
-  }
-
-  return { success: true };
-}
+import { requireSession } from './_lib/auth.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { readLatestInsights, hasInsightsPayload, validateThingsToLookOutFor, appendInsights } from './_lib/insights.js';
+import { fillMissingAnalyses } from './_lib/analysis.js';
 
 /**
  * Main handler function
  */
 export default async function handler(req, res) {
-  try {
-    const SHEET_ID = process.env.VITE_GOOGLE_SHEET_ID;
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
 
-    if (!SHEET_ID) {
-      throw new Error('VITE_GOOGLE_SHEET_ID environment variable not set');
-    }
-
-    const sheets = await getSheetsClient();
+  try {
+    const storage = await getStorageAdapter();
 
     // GET: Fetch existing insights
     if (req.method === 'GET') {
-      const result = await fetchInsights(sheets, SHEET_ID);
+      const result = await readLatestInsights(storage);
       return res.status(200).json({
         success: true,
         ...result,
@@ -281,24 +50,23 @@ export default async function handler(req, res) {
         teamChemistryScore
       });
 
-      if (!scoreExplanation && !insights && !thingsToLookOutFor) {
+      if (!hasInsightsPayload(req.body)) {
         return res.status(400).json({
           success: false,
-          error: 'At least one of scoreExplanation, insights, or thingsToLookOutFor is required'
+          error: 'At least one of scoreExplanation, insights, thingsToLookOutFor, or gameInfo is required'
         });
       }
 
-      console.log('📝 Calling saveInsights with gameInfo:', gameInfo);
-      await saveInsights(
-        sheets,
-        SHEET_ID,
-        scoreExplanation,
-        insights,
-        gameInfo,
-        thingsToLookOutFor,
-        teamChemistryScore
-      );
-      console.log('✅ saveInsights completed');
+      const payloadErrors = validateThingsToLookOutFor(thingsToLookOutFor);
+      if (payloadErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: payloadErrors
+        });
+      }
+
+      await appendInsights(storage, await fillMissingAnalyses(storage, req.body));
 
       return res.status(200).json({
         success: true,
@@ -1,51 +1,22 @@
 /**
  * Vercel Serverless Function: /api/insights/latest-game-info
  *
- * Fetches the most recent game info from AIInsights sheet
- * Returns: { gameInfo: { result, yourScore, opponentScore, practicePerformance, skipped } }
+ * Fetches all games stored with the most recent analysis (same timestamp)
+ * from the configured storage adapter
+ * Returns: { gameInfo: [{ result, yourScore, opponentScore, practicePerformance, teamChemistryScore, skipped }, ...] }
  */
 
-import { google } from 'googleapis';
-
-const API_TIMEOUT = 30000;
-
-/**
- * Parse Google Cloud credentials from environment variable
- */
-function getCredentials() {
-  const credsBase64 = process.env.GOOGLE_CREDENTIALS_BASE64;
-
-  if (!credsBase64) {
-    throw new Error('GOOGLE_CREDENTIALS_BASE64 environment variable not set');
-  }
-
-  try {
-    const credsJson = Buffer.from(credsBase64, 'base64').toString('utf-8');
-    return JSON.parse(credsJson);
-  } catch (error) {
-    throw new Error('Failed to parse Google credentials: ' + error.message);
-  }
-}
-
-/**
- * Get authenticated sheets client
- */
-async function getSheetsClient() {
-  const credentials = getCredentials();
-
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-  });
-
-  const authClient = await auth.getClient();
-  return google.sheets({ version: 'v4', auth: authClient });
-}
+import { requireSession } from '../_lib/auth.js';
+import { getStorageAdapter } from '../_lib/storage/index.js';
+import { readLatestGameInfo } from '../_lib/insights.js';
 
 /**
  * Main handler function
  */
 export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
   // Only allow GET requests
   if (req.method !== 'GET') {
     return res.status(405).json({
@@ -56,72 +27,25 @@ export default async function handler(req, res) {
   }
 
   try {
-    const SHEET_ID = process.env.VITE_GOOGLE_SHEET_ID;
-
-    if (!SHEET_ID) {
-      throw new Error('VITE_GOOGLE_SHEET_ID environment variable not set');
+    const storage = await getStorageAdapter();
+    const gameInfo = await readLatestGameInfo(storage);
+
+    if (!gameInfo) {
+      // No data or only headers
+      return res.status(404).json({
+        success: false,
+        error: 'No game info found',
+        message: 'AIInsights is empty or only contains headers'
+      });
     }
 
-    const sheets = await getSheetsClient();
-
-    // Fetch AIInsights sheet data
-    try {
-      const response = await Promise.race([
-        sheets.spreadsheets.values.get({
-          spreadsheetId: SHEET_ID,
-          range: 'AIInsights!A:H',  // Read all 8 columns (includes Team Chemistry Score)
-        }),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Google Sheets API timeout')), API_TIMEOUT)
-        )
-      ]);
-
-      const data = response.data.values;
-
-      if (!data || data.length <= 1) {
-        // No data or only headers
-        return res.status(404).json({
-          success: false,
-          error: 'No game info found',
-          message: 'AIInsights sheet is empty or only contains headers'
-        });
-      }
+    console.log('📋 Latest game info retrieved:', gameInfo.length, 'game(s)');
 
-      // Get the most recent row (last row in the sheet)
-      const latestRow = data[data.length - 1];
-
-      // Extract game info from columns B-E
-      // Format (new): Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For
-      const gameInfo = {
-        result: latestRow[1] !== 'N/A' ? latestRow[1] : null,
-        yourScore: latestRow[2] !== 'N/A' ? parseInt(latestRow[2]) : null,
-        opponentScore: latestRow[3] !== 'N/A' ? parseInt(latestRow[3]) : null,
-        practicePerformance: latestRow[4] !== 'N/A' ? parseInt(latestRow[4]) : null,
-        teamChemistryScore: (latestRow.length >= 8 && latestRow[5] !== 'N/A' && !Number.isNaN(parseFloat(latestRow[5])))
-          ? parseFloat(latestRow[5])
-          : null,
-        skipped: latestRow[1] === 'N/A'  // If result is N/A, it was skipped
-      };
-
-      console.log('📋 Latest game info retrieved:', gameInfo);
-
-      return res.status(200).json({
-        success: true,
-        gameInfo,
-        timestamp: new Date().toISOString()
-      });
-
-    } catch (error) {
-      // Sheet doesn't exist
-      if (error.code === 400 || error.message?.includes('Unable to parse range')) {
-        return res.status(404).json({
-          success: false,
-          error: 'AIInsights sheet not found',
-          message: 'The AIInsights sheet does not exist yet'
-        });
-      }
-      throw error;
-    }
+    return res.status(200).json({
+      success: true,
+      gameInfo,
+      timestamp: new Date().toISOString()
+    });
 
   } catch (error) {
     console.error('Error in latest-game-info API:', error);
@@ -0,0 +1,48 @@
+/**
+ * Vercel Serverless Function: /api/performance
+ *
+ * Chemistry vs Performance: correlations, win rate by chemistry tier and
+ * margins around the season median, from the games stored in the
+ * AIInsights tab and the weekly chemistry scores
+ * (see api/_lib/performance.js).
+ *
+ * SECURITY:
+ * - Requires a valid session cookie
+ * - Team-level aggregates only, so it stays open in privacy mode
+ */
+
+import { requireSession } from './_lib/auth.js';
+import { computePerformanceAnalysis } from './_lib/performance.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const analysis = await computePerformanceAnalysis(storage);
+
+    return res.status(200).json({
+      success: true,
+      ...analysis,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'performance analysis');
+  }
+}
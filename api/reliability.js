@@ -0,0 +1,47 @@
+/**
+ * Vercel Serverless Function: /api/reliability
+ *
+ * Survey reliability diagnostics: Cronbach's alpha, item-total correlations
+ * and alpha-if-item-deleted per week and for the season
+ * (see api/_lib/psychometrics.js).
+ *
+ * SECURITY:
+ * - Admin only: requires a session signed in with NGAUGE_ADMIN_PASSWORD
+ * - Item-level aggregates only, no individual responses
+ */
+
+import { requireAdmin } from './_lib/auth.js';
+import { computeReliabilityDiagnostics } from './_lib/psychometrics.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Sends 401 without a session, 403 for a staff session
+  if (!requireAdmin(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const report = await computeReliabilityDiagnostics(storage);
+
+    return res.status(200).json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'reliability diagnostics');
+  }
+}
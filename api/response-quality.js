@@ -0,0 +1,48 @@
+/**
+ * Vercel Serverless Function: /api/response-quality
+ *
+ * Careless-response review: responses flagged for straight-lining, low
+ * variance, contradicting open text or speeding, with per-week counts
+ * (see api/_lib/responseQuality.js).
+ *
+ * SECURITY:
+ * - Admin only: requires a session signed in with NGAUGE_ADMIN_PASSWORD
+ * - Lists sheet row numbers, timestamps and flag reasons, never open text
+ * - Privacy mode: per-week flag counts only, no individual responses
+ */
+
+import { requireAdmin } from './_lib/auth.js';
+import { computeResponseQualityReport } from './_lib/responseQuality.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Sends 401 without a session, 403 for a staff session
+  if (!requireAdmin(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const report = await computeResponseQualityReport(storage);
+
+    return res.status(200).json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'response-quality review');
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Vercel Serverless Function: /api/schema
+ *
+ * Returns the survey schema (config/survey-schema.json) that declares each
+ * Weekly-Chemistry column's role, dimension name, scale and reverse coding.
+ *
+ * SECURITY:
+ * - Requires a valid session cookie
+ */
+
+import { requireSession } from './_lib/auth.js';
+import { loadSurveySchema } from './_lib/surveySchema.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const schema = loadSurveySchema();
+
+    return res.status(200).json({
+      success: true,
+      schema,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error loading survey schema:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load survey schema',
+      message: process.env.NODE_ENV === 'development'
+        ? error.message
+        : 'Service is not properly configured'
+    });
+  }
+}
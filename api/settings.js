@@ -0,0 +1,85 @@
+/**
+ * Vercel Serverless Function: /api/settings
+ *
+ * GET - Team settings (dimension weights, imputation policy) with the effective weight of every dimension
+ * PUT - Update team settings, e.g. { "dimensionWeights": { "Trust": 2 }, "imputationPolicy": "exclude" }
+ *       Every past week is rescored with the new settings on the next history read
+ *
+ * SECURITY:
+ * - Requires a valid session cookie; PUT requires an admin session (NGAUGE_ADMIN_PASSWORD)
+ * - Roster names are only returned to admin sessions
+ * - Input validated against the survey schema's dimensions
+ */
+
+import { requireSession, requireAdmin, isAdminSession } from './_lib/auth.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { loadSurveySchema } from './_lib/surveySchema.js';
+import {
+  readTeamSettings,
+  validateTeamSettings,
+  saveTeamSettings,
+  describeTeamSettings
+} from './_lib/settings.js';
+import { getDimensionNames } from '../src/utils/surveySchema.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET and PUT requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const dimensionNames = getDimensionNames(loadSurveySchema());
+
+    if (req.method === 'GET') {
+      const settings = await readTeamSettings(storage);
+
+      return res.status(200).json({
+        success: true,
+        ...describeTeamSettings(settings, dimensionNames, { admin: isAdminSession(req) }),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Every season score is rescored with the new settings - sends 403 for a staff session
+    if (!requireAdmin(req, res)) return;
+
+    const validationErrors = validateTeamSettings(req.body, dimensionNames);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const settings = await saveTeamSettings(storage, req.body);
+
+    return res.status(200).json({
+      success: true,
+      ...describeTeamSettings(settings, dimensionNames, { admin: true }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error handling team settings:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: req.method === 'GET' ? 'Failed to read team settings' : 'Failed to save team settings',
+      message: process.env.NODE_ENV === 'development'
+        ? error.message
+        : 'Unable to process your request'
+    });
+  }
+}
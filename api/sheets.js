@@ -1,43 +1,29 @@
 /**
  * Vercel Serverless Function: /api/sheets
  *
- * Fetches data from Google Sheets using service account authentication
+ * Returns the raw Weekly-Chemistry rows from the configured storage adapter
+ * (Google Sheets by default - see api/_lib/storage/index.js)
  *
  * SECURITY:
+ * - Requires a valid session cookie
  * - Environment variables stored in Vercel dashboard
  * - Credentials never exposed to frontend
  * - Rate limiting via Vercel edge config
  * - CORS configured for specific origins only
+ * - Refused (403) in privacy mode - individual responses stay on the server
  */
 
-import { google } from 'googleapis';
-
-// API timeout (30 seconds for serverless)
-const API_TIMEOUT = 30000;
-
-/**
- * Parse Google Cloud credentials from environment variable
- * Vercel stores this as a base64 encoded JSON string
- */
-function getCredentials() {
-  const credsBase64 = process.env.GOOGLE_CREDENTIALS_BASE64;
-
-  if (!credsBase64) {
-    throw new Error('GOOGLE_CREDENTIALS_BASE64 environment variable not set');
-  }
-
-  try {
-    const credsJson = Buffer.from(credsBase64, 'base64').toString('utf-8');
-    return JSON.parse(credsJson);
-  } catch (error) {
-    throw new Error('Failed to parse Google credentials: ' + error.message);
-  }
-}
+import { requireSession } from './_lib/auth.js';
+import { getStorageAdapter, TABS } from './_lib/storage/index.js';
+import { isPrivacyMode, privacyModeError } from './_lib/summary.js';
 
 /**
  * Main handler function
  */
 export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
   // Only allow GET requests
   if (req.method !== 'GET') {
     return res.status(405).json({
@@ -47,39 +33,13 @@ export default async function handler(req, res) {
     });
   }
 
-  try {
-    const SHEET_ID = process.env.VITE_GOOGLE_SHEET_ID;
-
-    if (!SHEET_ID) {
-      throw new Error('VITE_GOOGLE_SHEET_ID environment variable not set');
-    }
-
-    // Get credentials from environment
-    const credentials = getCredentials();
-
-    // Create auth client
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
-
-    const authClient = await auth.getClient();
-
-    // Create sheets API instance
-    const sheets = google.sheets({ version: 'v4', auth: authClient });
-
-    // Fetch data with timeout protection
-    const response = await Promise.race([
-      sheets.spreadsheets.values.get({
-        spreadsheetId: SHEET_ID,
-        range: 'Weekly-Chemistry',
-      }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Google Sheets API timeout')), API_TIMEOUT)
-      )
-    ]);
+  if (isPrivacyMode()) {
+    return res.status(403).json(privacyModeError());
+  }
 
-    const data = response.data.values;
+  try {
+    const storage = await getStorageAdapter();
+    const data = await storage.readRows(TABS.RESPONSES);
 
     if (!data || data.length === 0) {
       return res.status(404).json({
@@ -99,7 +59,7 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('Error fetching Google Sheets data:', error);
+    console.error('Error fetching survey data:', error);
 
     // Determine appropriate status code
     const statusCode = error.code === 403 ? 403 :
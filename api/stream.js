@@ -0,0 +1,46 @@
+/**
+ * Vercel Serverless Function: /api/stream
+ *
+ * Server-Sent Events stream of the season aggregates, pushed whenever the
+ * stored responses change (see api/_lib/stream.js).
+ *
+ * Serverless functions cannot hold a connection open indefinitely, so each
+ * invocation streams for a few seconds and then closes; the browser's
+ * EventSource reconnects on its own and the dashboard ignores unchanged
+ * payloads by their version. A reconnect within NGAUGE_STREAM_INTERVAL_MS of
+ * the last read reuses it when it lands on the same warm instance, so the
+ * store is not re-read on every reconnect.
+ *
+ * SECURITY:
+ * - Requires a valid session cookie
+ */
+
+import { requireSession } from './_lib/auth.js';
+import { handleStreamRequest } from './_lib/stream.js';
+
+// Stay inside the default 10 second function limit
+const STREAM_DURATION_MS = 8000;
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  // Keep the function alive until the stream closes
+  await handleStreamRequest(req, res, {
+    maxDurationMs: STREAM_DURATION_MS,
+    retryMs: RECONNECT_DELAY_MS
+  });
+}
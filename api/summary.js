@@ -0,0 +1,49 @@
+/**
+ * Vercel Serverless Function: /api/summary
+ *
+ * Team and dimension aggregates, confidence intervals and response counts
+ * for the latest survey week and the season, plus the latest analysed text.
+ * The only data route the dashboard uses in privacy mode
+ * (see api/_lib/summary.js).
+ *
+ * SECURITY:
+ * - Requires a valid session cookie
+ * - Never returns individual responses or unanalysed open text
+ * - Roster names only for admin sessions
+ */
+
+import { requireSession, isAdminSession } from './_lib/auth.js';
+import { computeSummary } from './_lib/summary.js';
+import { getStorageAdapter } from './_lib/storage/index.js';
+import { sendRouteError } from './_lib/routeErrors.js';
+
+/**
+ * Main handler function
+ */
+export default async function handler(req, res) {
+  // Every data and AI route requires a valid session cookie
+  if (!requireSession(req, res)) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: 'Only GET requests are accepted'
+    });
+  }
+
+  try {
+    const storage = await getStorageAdapter();
+    const summary = await computeSummary(storage, { admin: isAdminSession(req) });
+
+    return res.status(200).json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendRouteError(res, error, 'summary');
+  }
+}
@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['api/**/*.js', 'server.js', '**/*.test.{js,jsx}'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
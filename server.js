@@ -4,11 +4,15 @@
  * This server handles Google Sheets API calls using service account
  * so the frontend doesn't need to expose credentials
  *
+ * Responses and insights are read/written through a storage adapter
+ * (Google Sheets, local JSON or SQLite) selected by NGAUGE_STORAGE
+ *
  * SECURITY FEATURES:
  * - Helmet.js for security headers (CSP, XSS protection, etc.)
  * - Rate limiting to prevent abuse and DoS attacks
  * - CORS whitelist for allowed origins only
  * - Input validation and sanitization
+ * - Session cookie required on every data and AI endpoint
  * - Request timeouts for external APIs
  * - Production-ready error handling
  */
@@ -18,10 +22,48 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { body, validationResult } from 'express-validator';
-import { google } from 'googleapis';
-import fs from 'fs';
-import crypto from 'crypto';
 import dotenv from 'dotenv';
+import {
+  SESSION_EXPIRY_MS,
+  generateSessionToken,
+  resolvePasswordRole,
+  getRequestSession,
+  buildSessionCookie,
+  requireSessionMiddleware,
+  requireAdmin,
+  isAdminSession
+} from './api/_lib/auth.js';
+import { computeSeasonHistory } from './api/_lib/history.js';
+import { loadSurveySchema } from './api/_lib/surveySchema.js';
+import { getDimensionNames } from './src/utils/surveySchema.js';
+import { getStorageType, getStorageAdapter, TABS } from './api/_lib/storage/index.js';
+import { handleStreamRequest } from './api/_lib/stream.js';
+import { sendRouteError } from './api/_lib/routeErrors.js';
+import { ANALYSIS_TYPES, checkLLMConfiguration, resolveAnalysisConfig } from './api/_lib/llm/index.js';
+import { computePerformanceAnalysis } from './api/_lib/performance.js';
+import { computeDriverAnalysis } from './api/_lib/drivers.js';
+import { computeReliabilityDiagnostics } from './api/_lib/psychometrics.js';
+import { computeDataQualityReport } from './api/_lib/dataQuality.js';
+import { computeResponseQualityReport } from './api/_lib/responseQuality.js';
+import {
+  readTeamSettings,
+  validateTeamSettings,
+  saveTeamSettings,
+  describeTeamSettings
+} from './api/_lib/settings.js';
+import {
+  isPrivacyMode,
+  privacyModeError,
+  computeSummary
+} from './api/_lib/summary.js';
+import { validateAnalysisRequest, runAnalysisRequest, fillMissingAnalyses } from './api/_lib/analysis.js';
+import {
+  readLatestInsights,
+  readLatestGameInfo,
+  hasInsightsPayload,
+  validateThingsToLookOutFor,
+  appendInsights
+} from './api/_lib/insights.js';
 
 dotenv.config();
 
@@ -72,7 +114,7 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
@@ -118,78 +160,37 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 const SHEET_ID = process.env.VITE_GOOGLE_SHEET_ID;
 const CREDENTIALS_PATH = process.env.VITE_GOOGLE_CREDENTIALS_PATH;
-const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
 
-// Validate required environment variables on startup
-if (!SHEET_ID) {
-  console.error('❌ FATAL: VITE_GOOGLE_SHEET_ID is not set in environment variables');
+// Storage adapter for responses and insights (see api/_lib/storage/index.js)
+let STORAGE_TYPE;
+try {
+  STORAGE_TYPE = getStorageType();
+} catch (error) {
+  console.error(`❌ FATAL: ${error.message}`);
   process.exit(1);
 }
 
-if (!CREDENTIALS_PATH) {
-  console.error('❌ FATAL: VITE_GOOGLE_CREDENTIALS_PATH is not set in environment variables');
+// Validate required environment variables on startup
+// (Google credentials are only needed when the data lives in Google Sheets)
+if (STORAGE_TYPE === 'google-sheets' && !SHEET_ID) {
+  console.error('❌ FATAL: VITE_GOOGLE_SHEET_ID is not set in environment variables');
   process.exit(1);
 }
 
-if (!CLAUDE_API_KEY) {
-  console.error('❌ FATAL: CLAUDE_API_KEY is not set in environment variables');
+if (STORAGE_TYPE === 'google-sheets' && !CREDENTIALS_PATH) {
+  console.error('❌ FATAL: VITE_GOOGLE_CREDENTIALS_PATH is not set in environment variables');
   process.exit(1);
 }
 
-/**
- * Configuration for different analysis types
- */
-const ANALYSIS_CONFIGS = {
-  'score-explanation': {
-    model: 'claude-3-haiku-20240307',
-    temperature: 0.5,  // More deterministic for numerical explanations
-    maxTokens: 1800,  // Increased for 3-4 sentence diagnostic depth
-    description: 'Expert sports psychology analysis of score variance and trends'
-  },
-  'team-insights': {
-    model: 'claude-3-haiku-20240307',
-    temperature: 0.6,  // Balanced for diagnostic focus with evidence-based insights
-    maxTokens: 2048,
-    description: 'Expert sports psychology team chemistry diagnostics'
-  }
-};
-
-/**
- * Timeout for external API calls (30 seconds)
- */
-const API_TIMEOUT = 30000;
+// Analysis types without a usable LLM provider get the rule-based analysis
+// (see api/_lib/llm/index.js and api/_lib/ruleBasedAnalysis.js)
+const llmErrors = checkLLMConfiguration();
+llmErrors.forEach(message => console.warn(`⚠️ ${message} - using the rule-based analysis`));
 
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
-/**
- * Fetch with timeout support
- * @param {string} url - URL to fetch
- * @param {object} options - Fetch options
- * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<Response>}
- */
-async function fetchWithTimeout(url, options = {}, timeout = API_TIMEOUT) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
-    });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - external service took too long to respond');
-    }
-    throw error;
-  }
-}
-
 /**
  * Sanitize error messages for production
  * Prevents information leakage to potential attackers
@@ -209,58 +210,43 @@ function sanitizeError(error, isDevelopment) {
   };
 }
 
+// =============================================================================
+// SESSION GUARD
+// =============================================================================
+
+/**
+ * Every /api route except /api/auth/* requires a valid session cookie
+ * Unauthenticated requests get the shared 401 shape from api/_lib/auth.js
+ */
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/auth/')) {
+    return next();
+  }
+  return requireSessionMiddleware(req, res, next);
+});
+
 // =============================================================================
 // API ENDPOINTS
 // =============================================================================
 
 /**
  * GET /api/sheets
- * Fetches data from Google Sheets using service account
+ * Returns the raw Weekly-Chemistry rows from the configured storage adapter
  *
  * SECURITY:
  * - Rate limited to prevent abuse
  * - Credentials stored server-side only
  * - Error messages sanitized in production
+ * - Refused (403) in privacy mode - individual responses stay on the server
  */
 app.get('/api/sheets', async (req, res) => {
-  try {
-    // Check if credentials file exists
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
-      console.error('Credentials file not found:', CREDENTIALS_PATH);
-      return res.status(500).json({
-        error: 'Service configuration error',
-        message: NODE_ENV === 'development'
-          ? `Credentials file not found: ${CREDENTIALS_PATH}`
-          : 'Service is not properly configured'
-      });
-    }
-
-    // Read and parse credentials
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-
-    // Create auth client
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-    });
-
-    const authClient = await auth.getClient();
-
-    // Create sheets API instance
-    const sheets = google.sheets({ version: 'v4', auth: authClient });
-
-    // Fetch data with timeout protection
-    const response = await Promise.race([
-      sheets.spreadsheets.values.get({
-        spreadsheetId: SHEET_ID,
-        range: 'Weekly-Chemistry',
-      }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Google Sheets API timeout')), API_TIMEOUT)
-      )
-    ]);
+  if (isPrivacyMode()) {
+    return res.status(403).json(privacyModeError());
+  }
 
-    const data = response.data.values;
+  try {
+    const storage = await getStorageAdapter();
+    const data = await storage.readRows(TABS.RESPONSES);
 
     if (!data || data.length === 0) {
       return res.status(404).json({
@@ -280,7 +266,7 @@ app.get('/api/sheets', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching Google Sheets data:', error);
+    console.error('Error fetching survey data:', error);
 
     // Determine appropriate status code
     const statusCode = error.code === 403 ? 403 :
@@ -301,88 +287,237 @@ app.get('/api/sheets', async (req, res) => {
 
 
 /**
- * GET /api/insights
- * Fetches stored AI insights from Google Sheets "AIInsights" sheet
- * NEW FORMAT: Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For
+ * GET /api/history
+ * Computes the full per-week season history (team score + dimension averages)
+ * from the stored Weekly-Chemistry responses
+ *
+ * Replaces the in-browser refresh history so trends reflect actual survey weeks
  */
-app.get('/api/insights', async (req, res) => {
+app.get('/api/history', async (req, res) => {
   try {
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
-      return res.status(500).json({
-        success: false,
-        error: 'Service configuration error'
-      });
-    }
+    const storage = await getStorageAdapter();
+    const [rows, settings] = await Promise.all([
+      storage.readRows(TABS.RESPONSES),
+      readTeamSettings(storage)
+    ]);
+
+    const history = computeSeasonHistory(rows, undefined, settings);
+
+    console.log(`📈 Season history computed: ${history.weeks.length} week(s)`);
 
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+    res.json({
+      success: true,
+      ...history,
+      weekCount: history.weeks.length,
+      timestamp: new Date().toISOString()
     });
 
-    const authClient = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: authClient });
+  } catch (error) {
+    sendRouteError(res, error, 'season history');
+  }
+});
 
-    // Try to fetch insights from AIInsights sheet
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SHEET_ID,
-        range: 'AIInsights!A:H',  // Read all 8 columns (includes Team Chemistry Score)
-      });
+/**
+ * GET /api/summary
+ * Team and dimension aggregates, confidence intervals and response counts
+ * for the latest survey week and the season, plus the latest analysed text
+ *
+ * The only data route the dashboard uses in privacy mode (see api/_lib/summary.js)
+ */
+app.get('/api/summary', async (req, res) => {
+  try {
+    const storage = await getStorageAdapter();
+    const summary = await computeSummary(storage, { admin: isAdminSession(req) });
 
-      const data = response.data.values;
-
-      if (!data || data.length <= 1) {
-        // No data or only headers
-        return res.json({
-          success: true,
-          hasInsights: false,
-          teamChemistryScore: null,
-          scoreExplanation: null,
-          insights: { summary: '', suggestions: [] },
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      // Parse the stored insights
-      // Format (new): Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For
-      const rows = data.slice(1); // Skip headers
-
-      // Get the most recent row (last row in the sheet)
-      const latestRow = rows[rows.length - 1];
-
-      const isNewFormat = latestRow.length >= 8;
-      const chemistryValue = isNewFormat ? parseFloat(latestRow[5]) : NaN;
-      const teamChemistryScore = isNewFormat && latestRow[5] !== 'N/A' && !Number.isNaN(chemistryValue)
-        ? chemistryValue
-        : null;
-      const scoreExplanation = latestRow[isNewFormat ? 6 : 5] || null;  // Column G (or F legacy)
-      const thingsToLookOutFor = latestRow[isNewFormat ? 7 : 6] || null; // Column H (or G legacy)
+    res.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
 
-      return res.json({
-        success: true,
-        hasInsights: !!(scoreExplanation || thingsToLookOutFor),
-        teamChemistryScore,
-        scoreExplanation,
-        thingsToLookOutFor,
-        insights: { summary: '', suggestions: [] },
-        timestamp: new Date().toISOString()
-      });
+  } catch (error) {
+    sendRouteError(res, error, 'summary');
+  }
+});
 
-    } catch (error) {
-      // Sheet doesn't exist - return empty insights
-      if (error.code === 400 || error.message?.includes('Unable to parse range')) {
-        return res.json({
-          success: true,
-          hasInsights: false,
-          teamChemistryScore: null,
-          scoreExplanation: null,
-          insights: { summary: '', suggestions: [] },
-          timestamp: new Date().toISOString()
-        });
-      }
-      throw error;
-    }
+/**
+ * GET /api/performance
+ * Chemistry vs Performance: correlations, win rate by chemistry tier and
+ * margins around the season median, from the stored games and weekly scores
+ * (see api/_lib/performance.js). Team-level only, so it stays open in privacy mode
+ */
+app.get('/api/performance', async (req, res) => {
+  try {
+    const storage = await getStorageAdapter();
+    const analysis = await computePerformanceAnalysis(storage);
+
+    console.log(`🏆 Performance analysis computed: ${analysis.gameCount} game(s)`);
+
+    res.json({
+      success: true,
+      ...analysis,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'performance analysis');
+  }
+});
+
+/**
+ * GET /api/drivers
+ * Driver analysis: inter-dimension correlations across responses and weeks,
+ * and each week's score change split into per-dimension contributions
+ * (see api/_lib/drivers.js). Aggregates only, so it stays open in privacy mode
+ */
+app.get('/api/drivers', async (req, res) => {
+  try {
+    const storage = await getStorageAdapter();
+    const analysis = await computeDriverAnalysis(storage);
+
+    console.log(`🧭 Driver analysis computed: ${analysis.responseCount} response(s) over ${analysis.weekCount} week(s)`);
+
+    res.json({
+      success: true,
+      ...analysis,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'driver analysis');
+  }
+});
+
+/**
+ * GET /api/reliability
+ * Survey reliability diagnostics (Cronbach's alpha, item-total correlations,
+ * alpha if item deleted) per week and for the season - admin only
+ * (see api/_lib/psychometrics.js)
+ */
+app.get('/api/reliability', async (req, res) => {
+  // Sends 403 unless the session was signed in with NGAUGE_ADMIN_PASSWORD
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    const storage = await getStorageAdapter();
+    const report = await computeReliabilityDiagnostics(storage);
+
+    console.log(`🔬 Reliability diagnostics computed: season alpha ${report.season.alpha ?? 'n/a'} over ${report.weeks.length} week(s)`);
+
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'reliability diagnostics');
+  }
+});
+
+/**
+ * GET /api/data-quality
+ * Rejected rows and rating cells with the reason, and each dimension's
+ * valid-n - admin only, without raw timestamps and values in privacy mode
+ * (see api/_lib/dataQuality.js)
+ */
+app.get('/api/data-quality', async (req, res) => {
+  // Sends 403 unless the session was signed in with NGAUGE_ADMIN_PASSWORD
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    const storage = await getStorageAdapter();
+    const report = await computeDataQualityReport(storage);
+
+    console.log(`🧹 Data-quality report computed: ${report.rejectedRows.length} rejected row(s), ${report.rejectedCells.length} rejected cell(s)`);
+
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'data-quality report');
+  }
+});
+
+/**
+ * GET /api/response-quality
+ * Responses flagged as careless (straight-lining, low variance, contradicting
+ * open text, speeding) - admin only, per-week counts only in privacy mode
+ * (see api/_lib/responseQuality.js)
+ */
+app.get('/api/response-quality', async (req, res) => {
+  // Sends 403 unless the session was signed in with NGAUGE_ADMIN_PASSWORD
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    const storage = await getStorageAdapter();
+    const report = await computeResponseQualityReport(storage);
+
+    console.log(`🚩 Response-quality review computed: ${report.flaggedCount} of ${report.responseCount} response(s) flagged`);
+
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, 'response-quality review');
+  }
+});
+
+/**
+ * GET /api/schema
+ * Returns the survey schema (column roles, dimension names, scales,
+ * reverse coding) used to interpret the Weekly-Chemistry sheet
+ */
+app.get('/api/schema', (req, res) => {
+  try {
+    const schema = loadSurveySchema();
+
+    res.json({
+      success: true,
+      schema,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error loading survey schema:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load survey schema',
+      message: NODE_ENV === 'development' ? error.message : 'Service is not properly configured'
+    });
+  }
+});
+
+/**
+ * GET /api/stream
+ * Server-Sent Events: pushes updated season aggregates whenever the
+ * stored responses change (see api/_lib/stream.js)
+ */
+app.get('/api/stream', (req, res) => {
+  handleStreamRequest(req, res);
+});
+
+/**
+ * GET /api/insights
+ * Fetches the most recent stored AI insights (AIInsights tab)
+ * FORMAT: Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For | Structured Insights (JSON)
+ */
+app.get('/api/insights', async (req, res) => {
+  try {
+    const storage = await getStorageAdapter();
+    const result = await readLatestInsights(storage);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
 
   } catch (error) {
     console.error('Error fetching insights:', error);
@@ -401,85 +536,25 @@ app.get('/api/insights', async (req, res) => {
  */
 app.get('/api/insights/latest-game-info', async (req, res) => {
   try {
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
-      return res.status(500).json({
+    const storage = await getStorageAdapter();
+    const gameInfo = await readLatestGameInfo(storage);
+
+    if (!gameInfo) {
+      // No data or only headers
+      return res.status(404).json({
         success: false,
-        error: 'Service configuration error'
+        error: 'No game info found',
+        message: 'AIInsights is empty or only contains headers'
       });
     }
 
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-
-    const authClient = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: authClient });
-
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SHEET_ID,
-        range: 'AIInsights!A:H',  // Read all 8 columns (includes Team Chemistry Score)
-      });
-
-      const data = response.data.values;
-
-      if (!data || data.length <= 1) {
-        // No data or only headers
-        return res.status(404).json({
-          success: false,
-          error: 'No game info found',
-          message: 'AIInsights sheet is empty or only contains headers'
-        });
-      }
-
-      // Get all data rows (skip header)
-      const dataRows = data.slice(1);
-
-      // Get the most recent timestamp (last row's timestamp)
-      const latestTimestamp = dataRows[dataRows.length - 1][0];
-
-      // Find all rows with the latest timestamp
-      const latestWeekRows = dataRows.filter(row => row[0] === latestTimestamp);
-
-      // Extract game info from each row
-      // Format (new): Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For
-      const gameInfoArray = latestWeekRows.map(row => {
-        const isNewFormat = row.length >= 8;
-        const chemistryValue = isNewFormat ? parseFloat(row[5]) : NaN;
-
-        return {
-          result: row[1] !== 'N/A' ? row[1] : null,
-          yourScore: row[2] !== 'N/A' ? parseInt(row[2]) : null,
-          opponentScore: row[3] !== 'N/A' ? parseInt(row[3]) : null,
-          practicePerformance: row[4] !== 'N/A' ? parseInt(row[4]) : null,
-          teamChemistryScore: isNewFormat && row[5] !== 'N/A' && !Number.isNaN(chemistryValue)
-            ? chemistryValue
-            : null,
-          skipped: row[1] === 'N/A'  // If result is N/A, it was skipped
-        };
-      });
-
-      console.log('📋 Latest game info retrieved:', gameInfoArray.length, 'game(s) from timestamp:', latestTimestamp);
-
-      return res.json({
-        success: true,
-        gameInfo: gameInfoArray,
-        timestamp: new Date().toISOString()
-      });
+    console.log('📋 Latest game info retrieved:', gameInfo.length, 'game(s)');
 
-    } catch (error) {
-      // Sheet doesn't exist
-      if (error.code === 400 || error.message?.includes('Unable to parse range')) {
-        return res.status(404).json({
-          success: false,
-          error: 'AIInsights sheet not found',
-          message: 'The AIInsights sheet does not exist yet'
-        });
-      }
-      throw error;
-    }
+    return res.json({
+      success: true,
+      gameInfo,
+      timestamp: new Date().toISOString()
+    });
 
   } catch (error) {
     console.error('Error fetching latest game info:', error);
@@ -493,14 +568,15 @@ app.get('/api/insights/latest-game-info', async (req, res) => {
 
 /**
  * POST /api/insights
- * Saves AI insights to Google Sheets "AIInsights" sheet
- * NEW FORMAT: Timestamp | Game Result | Your Score | Opponent Score | Practice Performance | Team Chemistry Score | Score Explanation | Things to Look Out For
+ * Appends AI insights to the AIInsights tab (one row per game)
+ * Analyses missing from the body (the AI call failed) are written by the
+ * rule-based analysis (see fillMissingAnalyses() in api/_lib/analysis.js)
  */
 app.post('/api/insights', async (req, res) => {
   try {
     const { scoreExplanation, insights, gameInfo, thingsToLookOutFor, teamChemistryScore } = req.body;
 
-    console.log('🔥🔥🔥 NEW CODE - POST /api/insights received:', {
+    console.log('💾 POST /api/insights received:', {
       hasScoreExplanation: !!scoreExplanation,
       hasInsights: !!insights,
       hasGameInfo: !!gameInfo,
@@ -510,169 +586,101 @@ app.post('/api/insights', async (req, res) => {
       teamChemistryScore
     });
 
-    // CRITICAL FIX: If AI analysis failed but we have game info, save with fallback messages
-    // This prevents infinite modal loop when Claude API fails
-    const hasAnyInsight = scoreExplanation || insights || thingsToLookOutFor;
-    const hasGameInfo = gameInfo && (Array.isArray(gameInfo) ? gameInfo.length > 0 : true);
-
-    if (!hasAnyInsight && !hasGameInfo) {
+    if (!hasInsightsPayload(req.body)) {
       return res.status(400).json({
         success: false,
         error: 'At least one of scoreExplanation, insights, thingsToLookOutFor, or gameInfo is required'
       });
     }
 
-    // If we have game info but no insights (AI failed), use fallback messages
-    let finalScoreExplanation = scoreExplanation;
-    let finalThingsToLookOutFor = thingsToLookOutFor;
-
-    if (hasGameInfo && !hasAnyInsight) {
-      console.log('⚠️ AI analysis failed but game info exists - using fallback messages');
-      finalScoreExplanation = 'Analysis temporarily unavailable. AI service encountered an error. Please click "Explain Scores" to retry.';
-      finalThingsToLookOutFor = 'Player feedback analysis temporarily unavailable. Click "Explain Scores" to retry.';
-    }
-
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
-      return res.status(500).json({
+    const payloadErrors = validateThingsToLookOutFor(thingsToLookOutFor);
+    if (payloadErrors.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Service configuration error'
+        error: 'Validation failed',
+        details: payloadErrors
       });
     }
 
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-
-    const authClient = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: authClient });
+    const storage = await getStorageAdapter();
+    await appendInsights(storage, await fillMissingAnalyses(storage, req.body));
 
-    const timestamp = new Date().toISOString();
-
-    // Check current headers
-    let currentHeaders = null;
-    let needsMigration = false;
+    res.json({
+      success: true,
+      message: 'Insights saved successfully',
+      timestamp: new Date().toISOString()
+    });
 
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SHEET_ID,
-        range: 'AIInsights!A1:H1',
-      });
-      currentHeaders = response.data.values?.[0] || null;
-
-      // Check if we have the correct format
-      const expectedFirstColumn = 'Timestamp';
-      if (currentHeaders && currentHeaders[0] !== expectedFirstColumn) {
-        console.log('📋 Detected old format, migrating to new format...');
-        needsMigration = true;
-      } else if (currentHeaders && currentHeaders.length === 8 && currentHeaders[0] === expectedFirstColumn) {
-        console.log('📋 Sheet already has correct 8-column format');
-      } else {
-        needsMigration = true;
-      }
-    } catch (error) {
-      // Sheet doesn't exist
-      if (error.code === 400) {
-        console.log('⚠️ Sheet does not exist, creating with 8-column format...');
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId: SHEET_ID,
-          resource: {
-            requests: [{
-              addSheet: {
-                properties: {
-                  title: 'AIInsights'
-                }
-              }
-            }]
-          }
-        });
-      }
-    }
+  } catch (error) {
+    console.error('Error saving insights:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save insights',
+      message: NODE_ENV === 'development' ? error.message : 'Unable to process your request'
+    });
+  }
+});
 
-    // If we need to migrate or create new headers
-    if (!currentHeaders || needsMigration) {
-      console.log('📝 Adding/updating headers to 8-column format (with Team Chemistry Score)...');
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: SHEET_ID,
-        range: 'AIInsights!A1',
-        valueInputOption: 'RAW',
-        resource: {
-          values: [[
-            'Timestamp',
-            'Game Result',
-            'Your Score',
-            'Opponent Score',
-            'Practice Performance (1-10)',
-            'Team Chemistry Score',
-            'Score Explanation',
-            'Things to Look Out For'
-          ]]
-        }
-      });
-      console.log('✅ Headers updated to 8-column format');
-    }
+/**
+ * GET /api/settings
+ * Team settings (dimension weights, imputation policy) with the effective weight of every dimension
+ */
+app.get('/api/settings', async (req, res) => {
+  try {
+    const storage = await getStorageAdapter();
+    const settings = await readTeamSettings(storage);
 
-    // Create rows with timestamp, game info, and both AI analyses
-    console.log('🔍 DEBUG - Building row(s) with:', {
-      scoreExplanationLength: scoreExplanation?.length || 0,
-      thingsToLookOutForLength: thingsToLookOutFor?.length || 0,
-      thingsToLookOutForPreview: thingsToLookOutFor ? thingsToLookOutFor.substring(0, 100) : 'NULL/UNDEFINED',
-      gameInfoType: Array.isArray(gameInfo) ? 'array' : 'object',
-      gameInfoLength: Array.isArray(gameInfo) ? gameInfo.length : 1
+    res.json({
+      success: true,
+      ...describeTeamSettings(settings, getDimensionNames(loadSurveySchema()), { admin: isAdminSession(req) }),
+      timestamp: new Date().toISOString()
     });
 
-    // Handle both single game object and array of games
-    const games = Array.isArray(gameInfo) ? gameInfo : (gameInfo ? [gameInfo] : []);
+  } catch (error) {
+    console.error('Error reading team settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read team settings',
+      message: NODE_ENV === 'development' ? error.message : 'Unable to process your request'
+    });
+  }
+});
 
-    // If no games provided, create a single row with N/A
-    if (games.length === 0) {
-      games.push({ skipped: true });
-    }
+/**
+ * PUT /api/settings
+ * Updates team settings, e.g. { "dimensionWeights": { "Trust": 2 }, "imputationPolicy": "exclude" }
+ * Every past week is rescored with the new weights on the next history read - admin only
+ */
+app.put('/api/settings', async (req, res) => {
+  // Sends 403 unless the session was signed in with NGAUGE_ADMIN_PASSWORD
+  if (!requireAdmin(req, res)) return;
 
-    // Create rows for each game with the same timestamp and insights
-    const chemistryScoreValue = parseFloat(teamChemistryScore);
-    const normalizedChemistryScore = !Number.isNaN(chemistryScoreValue)
-      ? Number(chemistryScoreValue.toFixed(1))
-      : 'N/A';
-
-    const rows = games.map(game => [
-      timestamp,
-      game && !game.skipped ? game.result : 'N/A',
-      game && !game.skipped ? game.yourScore : 'N/A',
-      game && !game.skipped ? game.opponentScore : 'N/A',
-      game && !game.skipped ? game.practicePerformance : 'N/A',
-      normalizedChemistryScore,
-      finalScoreExplanation || '',
-      finalThingsToLookOutFor || ''
-    ]);
+  try {
+    const dimensionNames = getDimensionNames(loadSurveySchema());
+    const validationErrors = validateTeamSettings(req.body, dimensionNames);
 
-    console.log('🔥🔥🔥 NEW FORMAT - Appending row(s):', JSON.stringify(rows, null, 2));
-
-    // Append all rows at once
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SHEET_ID,
-      range: 'AIInsights!A:H',
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      resource: {
-        values: rows
-      }
-    });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
 
-    console.log(`✅ ${rows.length} row(s) appended successfully`);
+    const storage = await getStorageAdapter();
+    const settings = await saveTeamSettings(storage, req.body);
 
     res.json({
       success: true,
-      message: 'Insights saved successfully',
+      ...describeTeamSettings(settings, dimensionNames, { admin: true }),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error saving insights:', error);
+    console.error('Error saving team settings:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to save insights',
+      error: 'Failed to save team settings',
       message: NODE_ENV === 'development' ? error.message : 'Unable to process your request'
     });
   }
@@ -680,113 +688,61 @@ app.post('/api/insights', async (req, res) => {
 
 /**
  * POST /api/analyze
- * Sends prompt to Gemini API for team analysis
- * Supports multiple analysis types with different configurations
+ * Builds the prompt from the stored survey data with a versioned template
+ * and sends it to the LLM provider configured for the analysis type
+ * (see api/_lib/analysis.js and ANALYSIS_CONFIGS in api/_lib/llm/index.js)
+ *
+ * Body: { type, weekId, gameInfo } - raw prompts and custom config are refused
+ * team-insights answers with a validated object instead of free text
+ * If the provider fails, or the team turned AI off, the rule-based analysis
+ * answers instead (provider "rules", `fallback: true` after a failure)
  *
  * SECURITY:
- * - Input validation and sanitization
+ * - Input validation
  * - Rate limited (20 requests per 15 minutes)
  * - Request timeout protection
- * - Prompt length limits to prevent abuse
  */
-app.post(
-  '/api/analyze',
-  aiLimiter, // Apply stricter rate limit for AI endpoint
-  [
-    // Input validation middleware
-    body('prompt')
-      .trim()
-      .notEmpty().withMessage('Prompt is required')
-      .isLength({ min: 10, max: 50000 }).withMessage('Prompt must be between 10 and 50,000 characters')
-      .escape(), // Sanitize to prevent XSS
-    body('type')
-      .optional()
-      .trim()
-      .isIn(['team-insights', 'score-explanation']).withMessage('Invalid analysis type'),
-    body('config')
-      .optional()
-      .isObject().withMessage('Config must be an object')
-  ],
-  async (req, res) => {
-    // Check validation results
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: errors.array()
-      });
-    }
-
-    try {
-      const { prompt, type = 'team-insights', config } = req.body;
-
-      // Get configuration for analysis type (or use custom config)
-      const analysisConfig = config || ANALYSIS_CONFIGS[type] || ANALYSIS_CONFIGS['team-insights'];
-
-      console.log(`📊 Running ${type} analysis with config:`, {
-        model: analysisConfig.model,
-        temperature: analysisConfig.temperature,
-        maxTokens: analysisConfig.maxOutputTokens
-      });
-
-      // Call Claude API with type-specific configuration and timeout
-      const claudeUrl = 'https://api.anthropic.com/v1/messages';
-
-      const claudeResponse = await fetchWithTimeout(claudeUrl, {
-        method: 'POST',
-        headers: {
-          'x-api-key': CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: analysisConfig.model,
-          max_tokens: analysisConfig.maxTokens,
-          temperature: analysisConfig.temperature,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        })
-      });
-
-      if (!claudeResponse.ok) {
-        const errorData = await claudeResponse.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `Claude API error: ${claudeResponse.status}`);
-      }
-
-      const claudeData = await claudeResponse.json();
-
-      // Extract the generated text from Claude's response format
-      const analysis = claudeData.content?.[0]?.text || '';
+app.post('/api/analyze', aiLimiter, async (req, res) => {
+  const validationErrors = validateAnalysisRequest(req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
 
-      if (!analysis) {
-        throw new Error('No analysis generated by Claude');
-      }
+  try {
+    const { analysis, type, weekId, promptVersion, provider, model, attempts, fallback } =
+      await runAnalysisRequest(await getStorageAdapter(), req.body);
 
-      res.json({
-        success: true,
-        analysis,
-        type,
-        timestamp: new Date().toISOString()
-      });
+    res.json({
+      success: true,
+      analysis,
+      type,
+      weekId,
+      promptVersion,
+      provider,
+      model,
+      attempts,
+      fallback,
+      timestamp: new Date().toISOString()
+    });
 
-    } catch (error) {
-      console.error('Error calling Claude API:', error);
+  } catch (error) {
+    console.error('Error running AI analysis:', error);
 
-      res.status(500).json({
-        success: false,
-        error: 'Failed to generate analysis',
-        ...(NODE_ENV === 'development' ? {
-          message: error.message
-        } : {
-          message: 'Unable to process your request at this time'
-        })
-      });
-    }
+    res.status([404, 422].includes(error.code) ? error.code : 500).json({
+      success: false,
+      error: 'Failed to generate analysis',
+      ...(NODE_ENV === 'development' ? {
+        message: error.message
+      } : {
+        message: 'Unable to process your request at this time'
+      })
+    });
   }
-);
+});
 
 /**
  * Health check endpoint
@@ -795,6 +751,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
+    storage: STORAGE_TYPE,
+    privacyMode: isPrivacyMode(),
     sheetId: SHEET_ID
   });
 });
@@ -803,142 +761,6 @@ app.get('/health', (req, res) => {
 // AUTHENTICATION ENDPOINTS
 // =============================================================================
 
-/**
- * Session configuration
- */
-const SESSION_EXPIRY_DAYS = parseInt(process.env.SESSION_EXPIRY_DAYS || '7', 10);
-const SESSION_EXPIRY_MS = SESSION_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
-
-/**
- * Get or generate session secret key
- */
-function getSessionSecret() {
-  const secret = process.env.SESSION_SECRET_KEY;
-  if (secret) return secret;
-
-  // Auto-generate secret if not provided (not recommended for production)
-  console.warn('⚠️  SESSION_SECRET_KEY not set, using auto-generated secret');
-  return crypto.randomBytes(32).toString('hex');
-}
-
-/**
- * Generate signed session token
- */
-function generateSessionToken() {
-  const secret = getSessionSecret();
-  const timestamp = Date.now();
-  const expiry = timestamp + SESSION_EXPIRY_MS;
-
-  // Create payload
-  const payload = `${timestamp}:${expiry}`;
-
-  // Sign with HMAC-SHA256
-  const signature = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-
-  // Combine payload + signature
-  const token = `${payload}:${signature}`;
-
-  // Base64 encode for cookie storage
-  return Buffer.from(token).toString('base64');
-}
-
-/**
- * Verify session token signature and expiration
- */
-function verifySessionToken(token) {
-  try {
-    if (!token || typeof token !== 'string') {
-      return { valid: false, error: 'No token provided' };
-    }
-
-    // Decode from base64
-    const decoded = Buffer.from(token, 'base64').toString('utf-8');
-
-    // Parse token: timestamp:expiry:signature
-    const parts = decoded.split(':');
-    if (parts.length !== 3) {
-      return { valid: false, error: 'Invalid token format' };
-    }
-
-    const [timestamp, expiry, providedSignature] = parts;
-
-    // Verify expiration
-    const now = Date.now();
-    const expiryTime = parseInt(expiry, 10);
-
-    if (isNaN(expiryTime) || now > expiryTime) {
-      return { valid: false, error: 'Token expired' };
-    }
-
-    // Re-compute signature
-    const secret = getSessionSecret();
-    const payload = `${timestamp}:${expiry}`;
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(payload)
-      .digest('hex');
-
-    // Constant-time comparison
-    const signaturesMatch = crypto.timingSafeEqual(
-      Buffer.from(providedSignature),
-      Buffer.from(expectedSignature)
-    );
-
-    if (!signaturesMatch) {
-      return { valid: false, error: 'Invalid signature' };
-    }
-
-    return {
-      valid: true,
-      expiresAt: expiryTime,
-      remainingTime: expiryTime - now
-    };
-
-  } catch (error) {
-    console.error('Error verifying token:', error);
-    return { valid: false, error: 'Verification failed' };
-  }
-}
-
-/**
- * Constant-time string comparison (prevents timing attacks)
- */
-function constantTimeCompare(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') {
-    return false;
-  }
-
-  const aLen = Buffer.byteLength(a);
-  const bLen = Buffer.byteLength(b);
-
-  // Always compare full length to prevent early exit timing leak
-  const bufA = Buffer.alloc(Math.max(aLen, bLen), 0);
-  const bufB = Buffer.alloc(Math.max(aLen, bLen), 0);
-
-  bufA.write(a);
-  bufB.write(b);
-
-  return crypto.timingSafeEqual(bufA, bufB) && aLen === bLen;
-}
-
-/**
- * Parse cookies from request header
- */
-function parseCookies(cookieHeader) {
-  if (!cookieHeader) return {};
-
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, ...rest] = cookie.trim().split('=');
-    if (name) {
-      cookies[name] = rest.join('=');
-    }
-    return cookies;
-  }, {});
-}
-
 /**
  * In-memory rate limiting for auth endpoint
  */
@@ -1026,10 +848,10 @@ app.post('/api/auth/verify', [
       });
     }
 
-    // Verify password (constant-time comparison)
-    const isValid = constantTimeCompare(password, masterPassword);
+    // Verify password (constant-time comparison); the admin password signs in as admin
+    const role = resolvePasswordRole(password);
 
-    if (!isValid) {
+    if (!role) {
       return res.status(401).json({
         success: false,
         error: 'Invalid password',
@@ -1038,22 +860,17 @@ app.post('/api/auth/verify', [
     }
 
     // Generate session token
-    const sessionToken = generateSessionToken();
+    const sessionToken = generateSessionToken(role);
 
     // Set HTTP-only cookie
-    const cookieOptions = [
-      `ngauge_session=${sessionToken}`,
-      `Max-Age=${SESSION_EXPIRY_MS / 1000}`, // Convert to seconds
-      'Path=/',
-      'HttpOnly',
-      'SameSite=Strict'
-    ].join('; ');
+    const cookieOptions = buildSessionCookie(sessionToken, SESSION_EXPIRY_MS / 1000);
 
     res.setHeader('Set-Cookie', cookieOptions);
 
     return res.json({
       success: true,
       message: 'Authentication successful',
+      role,
       expiresIn: SESSION_EXPIRY_MS
     });
 
@@ -1074,19 +891,8 @@ app.post('/api/auth/verify', [
  */
 app.get('/api/auth/status', (req, res) => {
   try {
-    // Extract session token from cookies
-    const cookies = parseCookies(req.headers.cookie);
-    const sessionToken = cookies.ngauge_session;
-
-    if (!sessionToken) {
-      return res.json({
-        authenticated: false,
-        reason: 'No session cookie'
-      });
-    }
-
-    // Verify token
-    const verification = verifySessionToken(sessionToken);
+    // Verify session cookie
+    const verification = getRequestSession(req);
 
     if (!verification.valid) {
       return res.json({
@@ -1095,9 +901,10 @@ app.get('/api/auth/status', (req, res) => {
       });
     }
 
-    // Return success with expiration info
+    // Return success with role and expiration info
     return res.json({
       authenticated: true,
+      role: verification.role,
       expiresAt: verification.expiresAt,
       remainingTime: verification.remainingTime
     });
@@ -1120,13 +927,7 @@ app.get('/api/auth/status', (req, res) => {
 app.post('/api/auth/logout', (req, res) => {
   try {
     // Clear cookie by setting Max-Age to 0
-    const cookieOptions = [
-      'ngauge_session=',
-      'Max-Age=0',
-      'Path=/',
-      'HttpOnly',
-      'SameSite=Strict'
-    ].join('; ');
+    const cookieOptions = buildSessionCookie('', 0);
 
     res.setHeader('Set-Cookie', cookieOptions);
 
@@ -1148,13 +949,34 @@ app.post('/api/auth/logout', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`✅ Backend server running on http://localhost:${PORT}`);
-  console.log(`📊 Sheet ID: ${SHEET_ID}`);
-  console.log(`🔑 Credentials: ${CREDENTIALS_PATH}`);
+  console.log(`🗄️  Storage: ${STORAGE_TYPE}`);
+  ANALYSIS_TYPES.forEach(type => {
+    const { provider, model } = resolveAnalysisConfig(type);
+    console.log(`🤖 ${type}: ${provider} (${model})`);
+  });
+  if (isPrivacyMode()) {
+    console.log('🔒 Privacy mode: individual responses are never sent to the browser');
+  }
+  if (STORAGE_TYPE === 'google-sheets') {
+    console.log(`📊 Sheet ID: ${SHEET_ID}`);
+    console.log(`🔑 Credentials: ${CREDENTIALS_PATH}`);
+  }
   console.log();
   console.log(`API Endpoints:`);
   console.log(`  GET  http://localhost:${PORT}/api/sheets`);
+  console.log(`  GET  http://localhost:${PORT}/api/history`);
+  console.log(`  GET  http://localhost:${PORT}/api/summary`);
+  console.log(`  GET  http://localhost:${PORT}/api/performance`);
+  console.log(`  GET  http://localhost:${PORT}/api/drivers`);
+  console.log(`  GET  http://localhost:${PORT}/api/reliability (admin)`);
+  console.log(`  GET  http://localhost:${PORT}/api/data-quality (admin)`);
+  console.log(`  GET  http://localhost:${PORT}/api/response-quality (admin)`);
+  console.log(`  GET  http://localhost:${PORT}/api/schema`);
+  console.log(`  GET  http://localhost:${PORT}/api/stream (SSE)`);
   console.log(`  GET  http://localhost:${PORT}/api/insights`);
   console.log(`  POST http://localhost:${PORT}/api/insights`);
+  console.log(`  GET  http://localhost:${PORT}/api/settings`);
+  console.log(`  PUT  http://localhost:${PORT}/api/settings`);
   console.log(`  POST http://localhost:${PORT}/api/analyze`);
   console.log(`  POST http://localhost:${PORT}/api/auth/verify`);
   console.log(`  GET  http://localhost:${PORT}/api/auth/status`);
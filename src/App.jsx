@@ -6,6 +6,7 @@
  * PRODUCTION FEATURES:
  * - Password authentication gate
  * - HTTP-only session cookie management
+ * - Returns to the password gate when any API call reports an expired session
  * - Error boundary for graceful error handling
  * - Prevents app crashes from propagating to users
  */
@@ -15,7 +16,7 @@ import Dashboard from './components/Dashboard';
 import PasswordGate from './components/PasswordGate';
 import GameInfoModal from './components/GameInfoModal';
 import ErrorBoundary from './components/ErrorBoundary';
-import { checkAuthStatus } from './services/authService';
+import { checkAuthStatus, SESSION_EXPIRED_EVENT } from './services/authService';
 import './App.css';
 
 function App() {
@@ -42,6 +43,18 @@ function App() {
     verifySession();
   }, []);
 
+  // Send the user back to the password gate when a protected API call returns 401
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      setIsAuthenticated(false);
+      setShowGameInfoModal(false);
+      setShouldGenerateAnalysis(false);
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
   // Handle game info submission
   const handleGameInfoSubmit = (data) => {
     console.log('📱 App.jsx - Received game info from modal:', data);
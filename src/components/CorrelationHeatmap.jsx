@@ -0,0 +1,77 @@
+/**
+ * CorrelationHeatmap Component
+ *
+ * Dimension x dimension correlation matrix (utils/drivers.js) as a colour
+ * grid: blue for dimensions that rise together, red for ones that move in
+ * opposite directions. Cells without enough pairs stay blank.
+ */
+
+import PropTypes from 'prop-types';
+
+/**
+ * Cell colour for a correlation: opacity follows |r|
+ */
+const cellColor = (r) => r >= 0
+  ? `rgba(37, 99, 235, ${Math.abs(r) * 0.85})`
+  : `rgba(220, 38, 38, ${Math.abs(r) * 0.85})`;
+
+const CorrelationHeatmap = ({ dimensions = [], matrix = [] } = {}) => {
+  if (dimensions.length === 0) return null;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-separate" style={{ borderSpacing: '2px' }}>
+        <thead>
+          <tr>
+            <th />
+            {dimensions.map((name, index) => (
+              <th key={name} className="font-semibold text-gray-500 px-1 text-center" title={name}>
+                {index + 1}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {dimensions.map((row, rowIndex) => (
+            <tr key={row}>
+              <th className="font-semibold text-gray-700 text-left pr-2 whitespace-nowrap">
+                <span className="text-gray-500 mr-1">{rowIndex + 1}</span>{row}
+              </th>
+              {dimensions.map((column, columnIndex) => {
+                const correlation = matrix[rowIndex]?.[columnIndex] || null;
+                const isDiagonal = rowIndex === columnIndex;
+                const strong = correlation && Math.abs(correlation.r) >= 0.5;
+
+                return (
+                  <td
+                    key={column}
+                    className={`w-10 h-8 text-center rounded ${strong ? 'text-white font-semibold' : 'text-gray-800'}`}
+                    style={{ backgroundColor: correlation && !isDiagonal ? cellColor(correlation.r) : '#f3f4f6', minWidth: '2.5rem' }}
+                    title={correlation
+                      ? `${row} vs ${column}: r = ${correlation.r.toFixed(2)}, p = ${correlation.pValue.toFixed(3)}, n = ${correlation.n}`
+                      : `${row} vs ${column}: not enough data`}
+                  >
+                    {isDiagonal ? '' : correlation ? correlation.r.toFixed(2) : ''}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const correlationShape = PropTypes.shape({
+  r: PropTypes.number.isRequired,
+  n: PropTypes.number.isRequired,
+  pValue: PropTypes.number.isRequired,
+});
+
+CorrelationHeatmap.propTypes = {
+  dimensions: PropTypes.arrayOf(PropTypes.string),
+  matrix: PropTypes.arrayOf(PropTypes.arrayOf(correlationShape)),
+};
+
+export default CorrelationHeatmap;
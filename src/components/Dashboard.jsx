@@ -2,60 +2,116 @@
  * Team Chemistry Dashboard - CONFIDENTIAL
  *
  * Displays team-level analytics ONLY (no individual player data)
- * Focus on aggregate metrics with 95% confidence intervals
+ * Focus on aggregate metrics with confidence intervals; week-over-week
+ * arrows only for changes that pass a significance test
  *
  */
 
 import React from 'react';
 import { useRealtimeData } from '../hooks/useRealtimeData';
 import {
-  calculateAverageScore,
-  calculateTeamAverage,
   calculateTrend,
-  getScoreColor,
-  calculateDimensionAverages
+  describeComparison,
+  getChemistryTier,
+  getScoreColor
 } from '../utils/calculations';
 import { generateScoreExplanation, generateThingsToLookOutFor } from '../services/geminiService';
-import { fetchStoredInsights, saveInsights, fetchLatestGameInfo } from '../services/dataService';
+import { fetchStoredInsights, saveInsights, fetchLatestGameInfo, saveTeamSettings } from '../services/dataService';
+import { checkAuthStatus } from '../services/authService';
+import { formatWeekLabel } from '../utils/surveyWeeks';
+import { exportSeasonCSV } from '../utils/export';
+import { TREND_CONFIG, AGREEMENT_CONFIG, PARTICIPATION_CONFIG } from '../config/constants';
 import TrendChart from './TrendChart';
+import DimensionWeightsPanel from './DimensionWeightsPanel';
+import RosterPanel from './RosterPanel';
+import InsightsPanel from './InsightsPanel';
+import PerformanceView from './PerformanceView';
+import DriverAnalysisView from './DriverAnalysisView';
+import ReliabilityPanel from './ReliabilityPanel';
+import DataQualityPanel from './DataQualityPanel';
+import ResponseQualityPanel from './ResponseQualityPanel';
+
+// Consensus badge per agreement level (see calculateAgreementIndex())
+const AGREEMENT_BADGES = {
+  strong: { label: 'Consensus', style: { backgroundColor: '#d1fae5', color: '#065f46' } },
+  moderate: { label: 'Mixed', style: { backgroundColor: '#f3f4f6', color: '#374151' } },
+  low: { label: 'Split', style: { backgroundColor: '#fee2e2', color: '#991b1b' } }
+};
 
 const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysisComplete, onAddGame, onRequestGameInfo }) => {
-  const { data, loading, error, lastUpdated, refresh, scoreHistory, dimensionHistory } = useRealtimeData();
+  const { loading, error, lastUpdated, refresh, currentWeek, summary, privacyMode, scoreHistory, dimensionHistory, dimensionNames, historyVersion, updateMode } = useRealtimeData();
 
-  // Calculate team-level metrics
-  const teamAverage = calculateTeamAverage(data);
-  const playerCount = data.length;
+  // Team-level metrics are computed by the backend (/api/summary); individual
+  // responses never reach the browser
+  const teamAverage = summary?.currentWeek?.teamScore ?? 0;
+  const playerCount = summary?.currentWeek?.responseCount ?? 0;
 
-  const previousTeamAverage =
-    scoreHistory.length >= 2 ? scoreHistory[scoreHistory.length - 2].score : null;
+  // Response rate against the team roster (null until a roster size is set)
+  const participation = summary?.currentWeek?.participation ?? null;
 
-  const teamColor = getScoreColor(teamAverage);
+  // Panels that load their own data refetch when a new week arrives or the
+  // scores change (new responses, settings) - not on every poll or push
+  const panelRefreshKey = `${currentWeek?.weekId || ''}:${historyVersion || ''}`;
+  const minParticipation = summary?.minParticipation ?? PARTICIPATION_CONFIG.WARNING_RATE;
+  const lowParticipation = participation?.low === true;
 
-  const dimensionAverages = React.useMemo(() => calculateDimensionAverages(data), [data]);
+  // Too few responses this week to report scores without identifying players
+  const isSuppressed = summary?.currentWeek?.suppressed === true;
+  const minResponses = summary?.minResponses;
+  const insufficientMessage = `Insufficient responses this week (fewer than ${minResponses}) - scores and analysis are withheld to protect anonymity.`;
 
-  const dimensionsWithTrends = React.useMemo(() => {
-    // Get previous dimension data from history (if available)
-    const previousDimensions = dimensionHistory.length >= 2
-      ? dimensionHistory[dimensionHistory.length - 2].dimensions
-      : null;
+  // Latest earlier week with a reported score (suppressed weeks are not in scoreHistory)
+  const previousWeekScore = scoreHistory.filter(week => week.weekId !== currentWeek?.weekId).at(-1);
+  const previousTeamAverage = !isSuppressed && previousWeekScore ? previousWeekScore.score : null;
+
+  // Welch's t-test against that week (null when either week has fewer than 2 responses)
+  const teamComparison = summary?.currentWeek?.teamComparison ?? null;
+
+  const teamColor = getScoreColor(isSuppressed ? null : teamAverage);
+
+  // Confidence interval of this week's team score (null with fewer than 2 responses)
+  const teamInterval = isSuppressed ? null : summary?.currentWeek?.teamConfidenceInterval ?? null;
+  const confidencePercent = Math.round((summary?.confidenceLevel ?? 0.95) * 1000) / 10;
+
+  const dimensionAverages = React.useMemo(() => summary?.currentWeek?.dimensions || [], [summary]);
 
-    return dimensionAverages.map((dimension, index) => {
-      const previousAverage = previousDimensions?.[index]?.average ?? null;
+  const dimensionsWithTrends = React.useMemo(() => {
+    // Earlier weeks, most recent first
+    const earlierWeeks = dimensionHistory
+      .filter(week => week.weekId !== currentWeek?.weekId)
+      .reverse();
+
+    return dimensionAverages.map((dimension) => {
+      // Compare with the latest earlier week that reported this dimension;
+      // suppressed values never feed a delta in either direction
+      const previousDimension = dimension.suppressed ? null : earlierWeeks
+        .map(week => week.dimensions.find(previous => previous.name === dimension.name))
+        .find(previous => previous && !previous.suppressed);
+      const previousAverage = previousDimension?.average ?? null;
       const currentAverage = dimension.average;
 
-      // Calculate numeric difference from previous refresh
-      const numericChange = previousAverage !== null
+      // Calculate numeric difference from previous week
+      const numericChange = previousAverage !== null && currentAverage !== null
         ? currentAverage - previousAverage
         : null;
 
       return {
         ...dimension,
-        trend: calculateTrend(currentAverage, previousAverage),
+        trend: numericChange !== null ? calculateTrend(currentAverage, previousAverage, dimension.comparison) : null,
         previousAverage,
         numericChange
       };
     });
-  }, [dimensionAverages, dimensionHistory]);
+  }, [dimensionAverages, dimensionHistory, currentWeek]);
+
+  // Momentum: scores whose short rolling average crossed the long one this week
+  const momentumFlags = isSuppressed ? [] : [
+    { name: 'Team score', crossover: summary?.currentWeek?.teamMomentum?.crossover },
+    ...dimensionAverages.map(dimension => ({ name: dimension.name, crossover: dimension.momentum?.crossover }))
+  ].filter(flag => flag.crossover);
+
+  // Dimensions the team is split on (within-team agreement below AGREEMENT_CONFIG.LOW)
+  const lowAgreementDimensions = isSuppressed ? [] : dimensionAverages.filter(dimension => dimension.agreement?.level === 'low');
 
   // State for AI-generated content
   const [scoreExplanation, setScoreExplanation] = React.useState(null);
@@ -63,20 +119,52 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
   const [thingsToLookOutFor, setThingsToLookOutFor] = React.useState(null);
   const [thingsLoading, setThingsLoading] = React.useState(false);
 
+  // Projected next survey week (null until enough weeks are reported)
+  const nextWeekForecast = summary?.history?.forecast ?? null;
+
+  // Team settings can only be changed by admin sessions (PUT /api/settings)
+  const [isAdmin, setIsAdmin] = React.useState(false);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    checkAuthStatus()
+      .then(status => { if (!cancelled) setIsAdmin(status.role === 'admin'); })
+      .catch(() => { if (!cancelled) setIsAdmin(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // How analyses are written (team setting): the LLM with a rule-based fallback, or rules only
+  const analysisMode = summary?.analysisMode || 'ai';
+  const [analysisModeSaving, setAnalysisModeSaving] = React.useState(false);
+
+  const changeAnalysisMode = async (event) => {
+    setAnalysisModeSaving(true);
+    try {
+      await saveTeamSettings({ analysisMode: event.target.value });
+      await refresh();
+    } catch (err) {
+      console.error('❌ Failed to save analysis mode:', err);
+    } finally {
+      setAnalysisModeSaving(false);
+    }
+  };
 
-  // Calculate overall average from score history
-  const overallAverage = React.useMemo(() => {
-    if (scoreHistory.length === 0) return teamAverage;
-    const sum = scoreHistory.reduce((acc, entry) => acc + entry.score, 0);
-    return sum / scoreHistory.length;
-  }, [scoreHistory, teamAverage]);
+  // Open-text analysis; the backend reads the week's answers itself
+  const analyseFeedback = () => generateThingsToLookOutFor(currentWeek?.weekId);
 
   // Manual refresh function for both analyses
   // Fetches latest game info from sheet and generates new analysis with that same game data
   const refreshScoreExplanation = async () => {
     console.log('📊 Dashboard - refreshScoreExplanation called - fetching latest game info from sheet');
 
-    if (data.length > 0) {
+    // Suppressed weeks are never sent for analysis
+    if (isSuppressed) {
+      setScoreExplanation(insufficientMessage);
+      setThingsToLookOutFor(insufficientMessage);
+      return;
+    }
+
+    if (playerCount > 0) {
       setExplanationLoading(true);
       setThingsLoading(true);
       try {
@@ -107,8 +195,8 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
         console.log('🤖 Generating BOTH analyses with same game info:', latestGameInfo);
         // Generate both analyses in parallel
         const [explanation, thingsAnalysis] = await Promise.all([
-          generateScoreExplanation(teamAverage, overallAverage, latestGameInfo),
-          generateThingsToLookOutFor(data)
+          generateScoreExplanation(currentWeek?.weekId),
+          analyseFeedback()
         ]);
 
         setScoreExplanation(explanation);
@@ -134,7 +222,7 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
   React.useEffect(() => {
     console.log('🔄 Dashboard useEffect - Conditions:', {
       loading,
-      dataLength: data.length,
+      responseCount: playerCount,
       hasChecked: hasCheckedForInsights.current,
       shouldGenerateAnalysis
     });
@@ -147,14 +235,15 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
     }
 
     // Only run after data is loaded and we haven't checked yet
-    if (!loading && data.length > 0 && !hasCheckedForInsights.current) {
+    if (!loading && playerCount > 0 && !hasCheckedForInsights.current) {
       hasCheckedForInsights.current = true;
       console.log('✅ Initial load conditions met, checking for existing insights...');
 
       // ALWAYS pull from latest insights first
       const loadInsights = async () => {
         try {
-          const stored = await fetchStoredInsights();
+          // Privacy mode: the summary already carries the latest analysed text
+          const stored = privacyMode ? summary.analysedText : await fetchStoredInsights();
 
           // Check if insights are COMPLETE (both fields present)
           if (stored.scoreExplanation && stored.thingsToLookOutFor) {
@@ -167,6 +256,11 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
             console.log('📖 Loading partial insights from sheet - not requesting more');
             if (stored.scoreExplanation) setScoreExplanation(stored.scoreExplanation);
             if (stored.thingsToLookOutFor) setThingsToLookOutFor(stored.thingsToLookOutFor);
+          } else if (isSuppressed) {
+            // Nothing to analyse until enough players respond
+            console.log('🔒 Too few responses this week - not generating insights');
+            setScoreExplanation(insufficientMessage);
+            setThingsToLookOutFor(insufficientMessage);
           } else {
             // No insights at all - check for existing game info to auto-generate
             console.log('⚠️ No insights found - checking for existing game info to auto-generate...');
@@ -183,8 +277,8 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
               try {
                 // Generate both analyses in parallel using existing game info
                 const [explanation, thingsAnalysis] = await Promise.all([
-                  generateScoreExplanation(teamAverage, overallAverage, latestGameInfo),
-                  generateThingsToLookOutFor(data)
+                  generateScoreExplanation(currentWeek?.weekId),
+                  analyseFeedback()
                 ]);
 
                 setScoreExplanation(explanation);
@@ -222,34 +316,39 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
 
       loadInsights();
     }
-  }, [loading, data.length, shouldGenerateAnalysis, onRequestGameInfo]);
+  }, [loading, playerCount, shouldGenerateAnalysis, onRequestGameInfo]);
 
   // Auto-generate analysis when trigger flag is set (from game info submission)
   React.useEffect(() => {
     console.log('🔄 Dashboard - shouldGenerateAnalysis effect:', {
       shouldGenerateAnalysis,
       hasGameInfo: !!gameInfoData,
-      dataLength: data.length,
+      responseCount: playerCount,
       loading
     });
 
-    if (shouldGenerateAnalysis && gameInfoData && data.length > 0 && !loading) {
+    if (shouldGenerateAnalysis && gameInfoData && playerCount > 0 && !loading) {
       console.log('✅ Conditions met - generating new analysis');
 
       const generateNewAnalysis = async () => {
         setExplanationLoading(true);
         setThingsLoading(true);
         try {
+          if (isSuppressed) {
+            // Keep the submitted game info, but analyse nothing for this week
+            console.log('🔒 Too few responses this week - saving game info without analysis');
+            setScoreExplanation(insufficientMessage);
+            setThingsToLookOutFor(insufficientMessage);
+            await saveInsights(insufficientMessage, null, gameInfoData, insufficientMessage, null);
+            return;
+          }
+
           console.log('🤖 Generating NEW analysis with gameInfo:', gameInfoData);
 
           // Generate both analyses in parallel
           const [explanation, thingsAnalysis] = await Promise.all([
-            generateScoreExplanation(
-              teamAverage,
-              overallAverage,
-              gameInfoData
-            ),
-            generateThingsToLookOutFor(data)
+            generateScoreExplanation(currentWeek?.weekId, gameInfoData),
+            analyseFeedback()
           ]);
 
           // Update state
@@ -275,12 +374,12 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
 
       generateNewAnalysis();
     }
-  }, [shouldGenerateAnalysis, gameInfoData, data.length, loading, teamAverage, overallAverage, onAnalysisComplete]);
+  }, [shouldGenerateAnalysis, gameInfoData, playerCount, loading, teamAverage, currentWeek, onAnalysisComplete]);
 
   /**
    * Empty State - No Data Loaded
    */
-  if (data.length === 0 && !loading) {
+  if (playerCount === 0 && !loading) {
     return (
       <div className="min-h-screen bg-white flex items-center justify-center p-4">
         <div className="text-center">
@@ -300,7 +399,7 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
   /**
    * Loading State
    */
-  if (loading && data.length === 0) {
+  if (loading && !summary) {
     return (
       <div className="min-h-screen bg-white flex items-center justify-center p-4">
         <div className="text-center">
@@ -314,7 +413,7 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
   /**
    * Error State
    */
-  if (error && data.length === 0) {
+  if (error && !summary) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
         <div className="bg-white rounded-lg shadow-xl p-6 sm:p-8 max-w-md w-full">
@@ -333,14 +432,7 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
   }
 
   // Helper function to get tier info with matching score colors
-  const getTierInfo = (score) => {
-    if (score >= 80) return { label: 'ELITE', range: '80-100', color: '#10b981' }; // Bright Green
-    if (score >= 70) return { label: 'ABOVE AVERAGE', range: '70-79', color: '#059669' }; // Dark Green
-    if (score >= 60) return { label: 'AVERAGE', range: '60-69', color: '#f59e0b' }; // Orange
-    return { label: 'BELOW AVERAGE', range: '0-59', color: '#ef4444' }; // Red
-  };
-
-  const currentTier = getTierInfo(teamAverage);
+  const currentTier = getChemistryTier(teamAverage);
   const currentDate = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
 
   return (
@@ -401,6 +493,17 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
                   <span className="mr-2">+</span>
                   Add Game
                 </button>
+                <button
+                  onClick={() => exportSeasonCSV(summary?.history?.weeks, dimensionNames || [])}
+                  disabled={loading || !summary?.history?.weeks?.length}
+                  className={`px-4 py-2.5 rounded-lg font-semibold transition-all shadow-md min-h-[44px] ${loading || !summary?.history?.weeks?.length
+                    ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+                    : 'bg-white/10 text-white border-2 border-white/20 hover:bg-white/20 active:scale-95'
+                    }`}
+                  title="Download the season's weekly scores and participation as CSV"
+                >
+                  Export CSV
+                </button>
               </div>
             </div>
           </div>
@@ -408,14 +511,38 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
           {/* Report Details */}
           <div className="flex flex-col sm:flex-row gap-3 sm:gap-8 text-xs sm:text-sm">
             <div>
-              <span className="text-gray-400 uppercase tracking-wider">Number of Players: </span>
-              <span className="font-semibold text-white">{playerCount}</span>
+              <span className="text-gray-400 uppercase tracking-wider">Survey Week: </span>
+              <span className="font-semibold text-white">{currentWeek ? formatWeekLabel(currentWeek) : 'N/A'}</span>
+            </div>
+            <div>
+              <span className="text-gray-400 uppercase tracking-wider">Responses: </span>
+              <span className={`font-semibold ${lowParticipation ? 'text-amber-400' : 'text-white'}`}>
+                {participation
+                  ? `${playerCount} of ${participation.rosterSize} players (${Math.round(participation.rate * 100)}%)`
+                  : playerCount}
+              </span>
             </div>
             <div>
               <span className="text-gray-400 uppercase tracking-wider">Last Updated: </span>
               <span className="font-semibold text-white">
                 {lastUpdated ? new Date(lastUpdated).toLocaleTimeString() : 'Never'}
               </span>
+              <span
+                className={`ml-2 text-xs font-semibold uppercase tracking-wider ${updateMode === 'live' ? 'text-green-400' : 'text-gray-400'}`}
+                title={updateMode === 'live'
+                  ? 'New survey responses appear automatically'
+                  : 'Live updates unavailable - checking for new responses periodically'}
+              >
+                {updateMode === 'live' ? '● Live' : updateMode === 'polling' ? 'Auto-refresh' : ''}
+              </span>
+              {privacyMode && (
+                <span
+                  className="ml-2 text-xs font-semibold uppercase tracking-wider text-gray-400"
+                  title="Privacy mode - only team aggregates and analysed feedback reach this browser"
+                >
+                  Aggregate Only
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -431,30 +558,90 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
             <h2 className="text-xs sm:text-sm font-semibold text-gray-600 uppercase tracking-wider mb-2">
               NGAUGE TEAM CHEMISTRY SCORE
             </h2>
-            <div className="flex items-baseline gap-3 sm:gap-6 mb-4 sm:mb-6">
-              <div className="text-5xl sm:text-6xl lg:text-8xl font-black tracking-tight" style={{ color: teamColor }}>
-                {teamAverage.toFixed(1)}
+            {isSuppressed ? (
+              <div className="mb-4 sm:mb-6">
+                <div className="text-3xl sm:text-4xl lg:text-5xl font-black tracking-tight" style={{ color: teamColor }}>
+                  INSUFFICIENT RESPONSES
+                </div>
+                <p className="mt-2 text-sm sm:text-base text-gray-600">
+                  {playerCount} response{playerCount === 1 ? '' : 's'} this week - scores are shown once at least {minResponses} players respond.
+                </p>
               </div>
-              {(() => {
-                const trend = previousTeamAverage !== null
-                  ? calculateTrend(teamAverage, previousTeamAverage)
-                  : { direction: 'stable', color: '#6b7280' };
-
-                return (
-                  <div className="text-3xl sm:text-4xl lg:text-5xl font-bold" style={{ color: trend.color }}>
-                    {trend.direction === 'up' ? '↑' : trend.direction === 'down' ? '↓' : '→'}
+            ) : (
+              <>
+                <div className="flex items-baseline gap-3 sm:gap-6 mb-4 sm:mb-6">
+                  <div className="text-5xl sm:text-6xl lg:text-8xl font-black tracking-tight" style={{ color: teamColor }}>
+                    {teamAverage.toFixed(1)}
                   </div>
-                );
-              })()}
-            </div>
+                  {(() => {
+                    if (previousTeamAverage === null) return null;
+                    const trend = calculateTrend(teamAverage, previousTeamAverage, teamComparison);
+
+                    // Arrows only for statistically significant changes; details on hover
+                    return trend.direction === 'stable' ? (
+                      <div
+                        className="text-xs sm:text-sm font-semibold text-gray-500 uppercase tracking-wider cursor-help"
+                        title={describeComparison(teamComparison)}
+                      >
+                        No significant change
+                      </div>
+                    ) : (
+                      <div
+                        className="text-3xl sm:text-4xl lg:text-5xl font-bold cursor-help"
+                        style={{ color: trend.color }}
+                        title={describeComparison(teamComparison)}
+                      >
+                        {trend.direction === 'up' ? '↑' : '↓'}
+                      </div>
+                    );
+                  })()}
+                </div>
 
-            {/* Current Tier Badge */}
-            <div
-              className="inline-block px-4 py-2 sm:px-6 sm:py-3 rounded-lg border-2 bg-white"
-              style={{ borderColor: currentTier.color }}
-            >
-              <div className="text-base sm:text-lg font-bold tracking-wide text-gray-900">{currentTier.label}</div>
-            </div>
+                {/* Uncertainty of the weekly score */}
+                {teamInterval && (
+                  <p className="-mt-2 sm:-mt-4 mb-4 text-sm sm:text-base font-semibold text-gray-500">
+                    ± {teamInterval.marginOfError.toFixed(1)}
+                    <span className="ml-2 font-normal">
+                      ({confidencePercent}% CI {teamInterval.lower.toFixed(1)}–{teamInterval.upper.toFixed(1)}, n = {playerCount})
+                    </span>
+                  </p>
+                )}
+
+                {/* Low participation: the score may not speak for the whole team */}
+                {lowParticipation && (
+                  <p className="mb-4 rounded-lg border-2 border-amber-300 bg-amber-50 px-3 py-2 text-xs sm:text-sm font-semibold text-amber-800">
+                    Low participation: only {participation.responseCount} of {participation.rosterSize} players ({Math.round(participation.rate * 100)}%)
+                    {' '}responded, below the {Math.round(minParticipation * 100)}% warning level. This score may not represent the whole team.
+                  </p>
+                )}
+
+                {/* Current Tier Badge */}
+                <div
+                  className="inline-block px-4 py-2 sm:px-6 sm:py-3 rounded-lg border-2 bg-white"
+                  style={{ borderColor: currentTier.color }}
+                >
+                  <div className="text-base sm:text-lg font-bold tracking-wide text-gray-900">{currentTier.label}</div>
+                </div>
+
+                {/* Momentum flags (short rolling average crossing the long one) */}
+                {momentumFlags.length > 0 && (
+                  <ul className="mt-4 space-y-1 text-xs sm:text-sm">
+                    {momentumFlags.map(flag => (
+                      <li
+                        key={flag.name}
+                        className="font-semibold"
+                        style={{ color: flag.crossover === 'up' ? '#10b981' : '#ef4444' }}
+                      >
+                        {flag.crossover === 'up' ? '▲ Gaining momentum' : '▼ Losing momentum'}: {flag.name}
+                        <span className="ml-1 font-normal text-gray-500">
+                          ({TREND_CONFIG.LOOKBACK_PERIODS.SHORT}-week average crossed {flag.crossover === 'up' ? 'above' : 'below'} the {TREND_CONFIG.LOOKBACK_PERIODS.LONG}-week average)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
           </div>
 
           {/* Submission Status Indicator */}
@@ -491,7 +678,13 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
 
           {/* Trend Chart */}
           <div className="flex items-center justify-center lg:justify-start">
-            <TrendChart scoreHistory={scoreHistory} currentScore={teamAverage} />
+            <TrendChart
+              scoreHistory={scoreHistory}
+              dimensionHistory={dimensionHistory}
+              currentScore={isSuppressed ? null : teamAverage}
+              confidenceLevel={summary?.confidenceLevel}
+              forecast={nextWeekForecast}
+            />
           </div>
         </div>
 
@@ -543,23 +736,40 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
         <div className="mb-12 pb-12 border-b-2 border-gray-200">
           <div className="mb-3 flex flex-wrap items-center justify-between gap-3 sm:gap-4">
             <h2 className="text-xl sm:text-2xl font-bold text-gray-900 uppercase tracking-tight">FINDINGS</h2>
-            <button
-              onClick={refreshScoreExplanation}
-              disabled={explanationLoading}
-              className={`px-4 sm:px-5 py-2.5 rounded-lg font-semibold transition-all shadow-md min-h-[44px] text-sm sm:text-base ${explanationLoading
-                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                : 'bg-green-600 text-white hover:bg-green-700 active:scale-95 hover:shadow-lg'
-                }`}
-            >
-              {explanationLoading ? (
-                <>
-                  <span className="inline-block animate-spin mr-2">⟳</span>
-                  Analyzing...
-                </>
-              ) : (
-                'Explain Scores'
-              )}
-            </button>
+            <div className="flex flex-wrap items-center gap-3">
+              <label
+                className="flex items-center gap-2 text-xs sm:text-sm font-semibold text-gray-700"
+                title="Rule-based analyses are written from the scores, game results and keyword counts; nothing is sent to an AI provider"
+              >
+                Analysis
+                <select
+                  value={analysisMode}
+                  onChange={changeAnalysisMode}
+                  disabled={analysisModeSaving || !isAdmin}
+                  className="rounded border border-gray-300 px-2 py-1 text-xs sm:text-sm"
+                >
+                  <option value="ai">AI (rule-based fallback)</option>
+                  <option value="rules">Rule-based only</option>
+                </select>
+              </label>
+              <button
+                onClick={refreshScoreExplanation}
+                disabled={explanationLoading}
+                className={`px-4 sm:px-5 py-2.5 rounded-lg font-semibold transition-all shadow-md min-h-[44px] text-sm sm:text-base ${explanationLoading
+                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-green-600 text-white hover:bg-green-700 active:scale-95 hover:shadow-lg'
+                  }`}
+              >
+                {explanationLoading ? (
+                  <>
+                    <span className="inline-block animate-spin mr-2">⟳</span>
+                    Analyzing...
+                  </>
+                ) : (
+                  'Explain Scores'
+                )}
+              </button>
+            </div>
           </div>
 
           {/* Column Headers - Hidden on mobile, shown on md+ */}
@@ -574,32 +784,35 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
             </div>
           </div>
 
+          {/* Low-agreement alert */}
+          {lowAgreementDimensions.length > 0 && (
+            <div
+              className="mb-3 rounded-lg border-2 border-amber-300 bg-amber-50 px-3 py-2 text-xs sm:text-sm text-amber-900"
+              title={`Agreement index below ${AGREEMENT_CONFIG.LOW} (1 = everyone answered alike)`}
+            >
+              <span className="font-bold">⚠ Low agreement:</span> {lowAgreementDimensions.map(dimension => dimension.name).join(', ')}
+              <span className="ml-1">
+                - the team is split on {lowAgreementDimensions.length === 1 ? 'this dimension' : 'these dimensions'}, so the average hides players at both ends of the scale.
+              </span>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
             {dimensionsWithTrends.map((dimension, index) => {
               const dimColor = getScoreColor(dimension.average);
               const weeklyScore = dimension.average;
 
-              // Show weekly trend (comparison to last refresh)
+              // Show weekly trend (comparison to previous week)
               let diffDisplay, diffColor, diffArrow;
 
               if (dimension.trend && dimension.numericChange !== null) {
-                // Show numeric change and arrow
+                // Always show the change; colour and arrow only when it is significant
                 const change = dimension.numericChange;
-                const absChange = Math.abs(change);
-
-                if (absChange < 0.5) {
-                  // Negligible change
-                  diffDisplay = '--';
-                  diffColor = '#6b7280';
-                  diffArrow = '';
-                } else {
-                  // Significant change - show number + arrow
-                  diffDisplay = `${change > 0 ? '+' : ''}${change.toFixed(1)}`;
-                  diffColor = dimension.trend.color;
-                  diffArrow = dimension.trend.direction === 'up' ? '↑'
-                    : dimension.trend.direction === 'down' ? '↓'
-                      : '';
-                }
+                diffDisplay = `${change > 0 ? '+' : ''}${change.toFixed(1)}`;
+                diffColor = dimension.trend.color;
+                diffArrow = dimension.trend.direction === 'up' ? '↑'
+                  : dimension.trend.direction === 'down' ? '↓'
+                    : '';
               } else {
                 // No trend data yet (first load)
                 diffDisplay = null;
@@ -614,21 +827,50 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
                   style={{ borderLeftColor: dimColor }}
                 >
                   <div className="grid grid-cols-[1fr,auto] gap-3 sm:gap-6 items-center">
-                    {/* Dimension Name */}
-                    <div className="font-semibold text-gray-900 text-xs sm:text-sm">
+                    {/* Dimension Name + Consensus Badge */}
+                    <div className="flex flex-wrap items-center gap-2 font-semibold text-gray-900 text-xs sm:text-sm">
                       {dimension.name}
+                      {dimension.agreement && (
+                        <span
+                          className="rounded-full px-2 py-0.5 text-[10px] sm:text-xs font-semibold cursor-help"
+                          style={AGREEMENT_BADGES[dimension.agreement.level].style}
+                          title={`Agreement ${dimension.agreement.index.toFixed(2)} (SD ${dimension.agreement.stdDev.toFixed(1)}, n = ${dimension.agreement.n}) - 1 means everyone answered alike`}
+                        >
+                          {AGREEMENT_BADGES[dimension.agreement.level].label}
+                        </span>
+                      )}
                     </div>
 
                     {/* Weekly Score + Weekly Trend */}
                     <div className="flex items-baseline gap-1 sm:gap-2 justify-end" style={{ minWidth: '70px' }}>
-                      <span className="text-base sm:text-lg font-bold" style={{ color: dimColor }}>
-                        {weeklyScore.toFixed(1)}
-                      </span>
-                      {/* Show weekly trend (comparison to last refresh) */}
+                      {dimension.suppressed ? (
+                        <span
+                          className="text-xs sm:text-sm font-semibold text-gray-500"
+                          title={`Fewer than ${minResponses} valid answers`}
+                        >
+                          Insufficient responses
+                        </span>
+                      ) : (
+                        <>
+                          <span className="text-base sm:text-lg font-bold" style={{ color: dimColor }}>
+                            {weeklyScore.toFixed(1)}
+                          </span>
+                          {dimension.confidenceInterval && (
+                            <span
+                              className="text-xs text-gray-500"
+                              title={`${confidencePercent}% CI ${dimension.confidenceInterval.lower.toFixed(1)}–${dimension.confidenceInterval.upper.toFixed(1)} (n = ${dimension.responseCount}${dimension.imputedCount ? `, ${dimension.imputedCount} imputed` : ''})`}
+                            >
+                              ±{dimension.confidenceInterval.marginOfError.toFixed(1)}
+                            </span>
+                          )}
+                        </>
+                      )}
+                      {/* Show weekly trend (comparison to previous week) */}
                       {diffDisplay !== null && diffArrow !== null && (
                         <span
-                          className="text-xs sm:text-sm font-semibold"
+                          className="text-xs sm:text-sm font-semibold cursor-help"
                           style={{ color: diffColor }}
+                          title={describeComparison(dimension.comparison)}
                         >
                           {diffDisplay}{diffArrow}
                         </span>
@@ -640,6 +882,25 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
             })}
           </div>
 
+          {/* Effective dimension weights behind the NGauge score */}
+          <DimensionWeightsPanel
+            weights={summary?.weights || []}
+            imputationPolicy={summary?.imputationPolicy}
+            onSaved={refresh}
+            editable={isAdmin}
+          />
+
+          {/* Roster the weekly response rate is measured against */}
+          <RosterPanel
+            roster={summary?.roster}
+            rosterNames={summary?.rosterNames}
+            rosterNameCount={summary?.rosterNameCount}
+            participation={participation}
+            minParticipation={minParticipation}
+            onSaved={refresh}
+            editable={isAdmin}
+          />
+
           {/* LLM Score Explanation Section */}
           <div className="mt-6">
             <h3 className="text-base sm:text-xl font-bold text-gray-900 mb-3 uppercase tracking-tight">
@@ -654,6 +915,13 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
                 Analyzing player scores...
               </p>
             )}
+            {nextWeekForecast && (
+              <p className="mt-2 text-xs sm:text-sm text-gray-500">
+                Next week forecast: <span className="font-semibold text-gray-700">{nextWeekForecast.team.forecast.toFixed(1)}</span>
+                {' '}({confidencePercent}% prediction interval {nextWeekForecast.team.lower.toFixed(1)}–{nextWeekForecast.team.upper.toFixed(1)},
+                {' '}from {nextWeekForecast.team.weeksUsed} weeks)
+              </p>
+            )}
           </div>
 
           {/* Things to look out for Section */}
@@ -667,23 +935,39 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
               <p className="text-sm sm:text-base text-gray-600">Analyzing player responses...</p>
             )}
 
+            {/* Status message (too few responses, skipped game, unavailable) */}
+            {typeof thingsToLookOutFor === 'string' && !thingsLoading && (
+              <p className="text-sm sm:text-base text-gray-900 leading-relaxed whitespace-pre-line">{thingsToLookOutFor}</p>
+            )}
+
             {/* Analysis Content */}
-            {thingsToLookOutFor && !thingsLoading && (
-              <div className="text-sm sm:text-base text-gray-900 leading-relaxed">
-                {thingsToLookOutFor.split('\n').map((line, index) => {
-                  // Check if line starts with **text** (markdown bold)
-                  const boldMatch = line.match(/^\*\*(.+?)\*\*(.*)$/);
-                  if (boldMatch) {
-                    return (
-                      <div key={index} className="mt-1 first:mt-0">
-                        <h4 className="font-bold text-sm sm:text-base mb-0.5">{boldMatch[1]}</h4>
-                        {boldMatch[2] && <p className="whitespace-pre-line">{boldMatch[2]}</p>}
-                      </div>
-                    );
-                  }
-                  // Regular line
-                  return line ? <p key={index} className="whitespace-pre-line mb-0.5">{line}</p> : null;
-                })}
+            {thingsToLookOutFor && typeof thingsToLookOutFor === 'object' && !thingsLoading && (
+              <div className="text-sm sm:text-base text-gray-900 leading-relaxed space-y-3">
+                <div>
+                  <h4 className="font-bold text-sm sm:text-base mb-0.5">Team Sentiment Overview</h4>
+                  <p className="whitespace-pre-line">{thingsToLookOutFor.sentimentOverview}</p>
+                </div>
+                {thingsToLookOutFor.quotes.length > 0 && (
+                  <ul className="space-y-1 border-l-2 border-gray-200 pl-3">
+                    {thingsToLookOutFor.quotes.map((quote, index) => (
+                      <li key={index} className="italic text-gray-700">&ldquo;{quote}&rdquo;</li>
+                    ))}
+                  </ul>
+                )}
+                <div>
+                  <h4 className="font-bold text-sm sm:text-base mb-0.5">Additional Notes</h4>
+                  <p className="whitespace-pre-line">{thingsToLookOutFor.notes || 'No responses provided.'}</p>
+                </div>
+                {thingsToLookOutFor.focusDimensions.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-bold text-xs sm:text-sm uppercase tracking-wide text-gray-600">Focus</span>
+                    {thingsToLookOutFor.focusDimensions.map(name => (
+                      <span key={name} className="px-2 py-0.5 rounded border border-gray-300 text-xs sm:text-sm font-semibold">
+                        {name}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
 
@@ -695,8 +979,38 @@ const Dashboard = ({ gameInfoData, onRefresh, shouldGenerateAnalysis, onAnalysis
             )}
           </div>
 
+          {/* Suggestions from the latest player feedback analysis */}
+          <div className="mt-6">
+            <InsightsPanel suggestions={thingsToLookOutFor?.suggestions || []} />
+          </div>
+
         </div>
 
+        {/* Score Drivers */}
+        <div className="mb-12 pb-12 border-b-2 border-gray-200">
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 uppercase tracking-tight">
+            Score Drivers
+          </h2>
+          <DriverAnalysisView refreshKey={panelRefreshKey} />
+        </div>
+
+        {/* Survey reliability diagnostics (admin sessions only) */}
+        <ReliabilityPanel refreshKey={panelRefreshKey} isAdmin={isAdmin} />
+
+        {/* Rejected rows and cells, valid-n per dimension (admin sessions only) */}
+        <DataQualityPanel refreshKey={panelRefreshKey} isAdmin={isAdmin} />
+
+        {/* Careless-response review and exclude toggle (admin sessions only) */}
+        <ResponseQualityPanel refreshKey={panelRefreshKey} isAdmin={isAdmin} onSaved={refresh} />
+
+        {/* Chemistry vs Performance */}
+        <div className="mb-12">
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 uppercase tracking-tight">
+            Chemistry vs Performance
+          </h2>
+          {/* Refetch when a new week arrives or a new analysis (with its games) is saved */}
+          <PerformanceView refreshKey={`${currentWeek?.weekId || ''}:${scoreExplanation || ''}`} />
+        </div>
 
       </main>
 
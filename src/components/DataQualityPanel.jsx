@@ -0,0 +1,144 @@
+/**
+ * DataQualityPanel Component
+ *
+ * Admin-only data-quality report: which sheet rows and rating cells were
+ * left out of the scores and why, and each dimension's valid-n
+ * (GET /api/data-quality, see buildDataQualityReport() in
+ * utils/surveyResponses.js). Renders nothing unless `isAdmin`. In privacy
+ * mode the backend leaves out timestamps and rejected values.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { fetchDataQualityReport } from '../services/dataService';
+
+// Longest list shown before the rest is summarised
+const MAX_LISTED = 25;
+
+const REASON_LABELS = {
+  'missing': 'Skipped',
+  'not-a-number': 'Not a number',
+  'out-of-range': 'Off the rating scale',
+  'no-valid-answers': 'No valid ratings',
+  'unreadable-timestamp': 'Unreadable timestamp'
+};
+
+const POLICY_LABELS = {
+  'exclude': 'left out of the averages',
+  'person-mean': "filled with the respondent's own mean",
+  'item-mean': "filled with the week's mean for that dimension"
+};
+
+const DataQualityPanel = ({ refreshKey = null, isAdmin = false } = {}) => {
+  const [report, setReport] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+
+    // Only admin sessions may read the report; staff never send the request
+    if (!isAdmin) {
+      setReport(null);
+      return;
+    }
+
+    fetchDataQualityReport()
+      .then(result => { if (!cancelled) setReport(result); })
+      .catch(() => { if (!cancelled) setReport(null); });
+
+    return () => { cancelled = true; };
+  }, [refreshKey, isAdmin]);
+
+  if (!report) return null;
+
+  const moreCount = (list) => list.length > MAX_LISTED
+    ? <li className="text-gray-500 italic">…and {list.length - MAX_LISTED} more</li>
+    : null;
+
+  return (
+    <div className="mb-12 pb-12 border-b-2 border-gray-200">
+      <h2 className="mb-3 text-xl sm:text-2xl font-bold text-gray-900 uppercase tracking-tight">
+        Data Quality <span className="text-xs font-semibold text-gray-500 normal-case tracking-normal">(admin)</span>
+      </h2>
+
+      <p className="mb-4 text-sm text-gray-700">
+        <span className="font-semibold">{report.acceptedCount}</span> of {report.rowCount} row(s) scored.
+        {' '}Missing answers are {POLICY_LABELS[report.imputationPolicy] || POLICY_LABELS.exclude}.
+      </p>
+
+      <table className="w-full text-xs sm:text-sm mb-4">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-semibold py-1">Dimension</th>
+            <th className="font-semibold py-1 text-right">Valid n</th>
+            <th className="font-semibold py-1 text-right">Missing</th>
+            <th className="font-semibold py-1 text-right">Rejected cells</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.dimensions.map(dimension => (
+            <tr key={dimension.name} className="border-t border-gray-100">
+              <td className="py-1 font-semibold text-gray-900">{dimension.name}</td>
+              <td className="py-1 text-right text-gray-700">{dimension.validCount}</td>
+              <td className="py-1 text-right text-gray-700">{dimension.missingCount}</td>
+              <td className={`py-1 text-right ${dimension.rejectedCellCount > 0 ? 'font-semibold text-amber-700' : 'text-gray-700'}`}>
+                {dimension.rejectedCellCount}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-xs sm:text-sm">
+        <div>
+          <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">Rejected Rows</h3>
+          {report.rejectedRows.length === 0 ? (
+            <p className="text-gray-500 italic">None</p>
+          ) : (
+            <ul className="space-y-1">
+              {report.rejectedRows.slice(0, MAX_LISTED).map(item => (
+                <li key={item.row} className="flex justify-between gap-3">
+                  <span className="text-gray-900">Row {item.row}{item.timestamp ? ` (${item.timestamp})` : ''}</span>
+                  <span className="text-gray-600">{REASON_LABELS[item.reason] || item.reason}</span>
+                </li>
+              ))}
+              {moreCount(report.rejectedRows)}
+            </ul>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">Rejected Cells</h3>
+          {report.rejectedCells.length === 0 ? (
+            <p className="text-gray-500 italic">None</p>
+          ) : (
+            <ul className="space-y-1">
+              {report.rejectedCells.slice(0, MAX_LISTED).map(item => (
+                <li key={`${item.row}-${item.column}`} className="flex justify-between gap-3">
+                  <span className="text-gray-900" title={item.header}>
+                    Row {item.row}, {item.dimension}{item.value !== undefined && <>: &ldquo;{item.value}&rdquo;</>}
+                  </span>
+                  <span className="text-gray-600">{REASON_LABELS[item.reason] || item.reason}</span>
+                </li>
+              ))}
+              {moreCount(report.rejectedCells)}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Row numbers match the Weekly-Chemistry sheet. A rejected row is left out of every score;
+        a rejected cell only leaves that dimension missing for the response.
+      </p>
+    </div>
+  );
+};
+
+DataQualityPanel.propTypes = {
+  // Changes when a new week arrives or the season history changes
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  // Whether the session is an admin one (the dashboard checks once)
+  isAdmin: PropTypes.bool,
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,158 @@
+/**
+ * DimensionWeightsPanel Component
+ *
+ * Shows how much each dimension counts towards the NGauge score and how
+ * missing answers are handled, and lets admins change both (stored in team
+ * settings via PUT /api/settings). Saving rescores every past week, so the
+ * trend stays comparable.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { saveTeamSettings } from '../services/dataService';
+import { IMPUTATION_POLICIES, DEFAULT_IMPUTATION_POLICY } from '../utils/surveyResponses';
+
+const IMPUTATION_LABELS = {
+  'exclude': 'Leave out (average valid answers only)',
+  'person-mean': "Fill with the respondent's own mean",
+  'item-mean': "Fill with the week's mean for the dimension"
+};
+
+const DimensionWeightsPanel = ({ weights = [], imputationPolicy = DEFAULT_IMPUTATION_POLICY, onSaved, editable = false } = {}) => {
+  const [editing, setEditing] = React.useState(false);
+  const [draft, setDraft] = React.useState({});
+  const [draftPolicy, setDraftPolicy] = React.useState(imputationPolicy);
+  const [saving, setSaving] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const isWeighted = weights.some(dimension => dimension.weight !== 1);
+
+  const startEditing = () => {
+    setDraft(Object.fromEntries(weights.map(dimension => [dimension.name, String(dimension.weight)])));
+    setDraftPolicy(imputationPolicy);
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const dimensionWeights = Object.fromEntries(
+        Object.entries(draft).map(([name, value]) => [name, parseFloat(value)])
+      );
+      await saveTeamSettings({ dimensionWeights, imputationPolicy: draftPolicy });
+      setEditing(false);
+      if (onSaved) onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (weights.length === 0) return null;
+
+  return (
+    <div className="mt-4 rounded-lg border-2 border-gray-200 px-3 py-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider">
+          Score Weighting {isWeighted ? '' : '(equal)'}
+        </h3>
+        {editable && !editing && (
+          <button
+            onClick={startEditing}
+            className="text-xs font-semibold text-blue-600 hover:text-blue-800"
+          >
+            Edit Weights
+          </button>
+        )}
+      </div>
+
+      {!editing ? (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs sm:text-sm text-gray-700">
+          {weights.map(dimension => (
+            <span key={dimension.name}>
+              {dimension.name}: <span className="font-semibold">×{dimension.weight}</span>{' '}
+              <span className="text-gray-500">({dimension.share.toFixed(1)}%)</span>
+            </span>
+          ))}
+          <span className="w-full text-xs text-gray-500">
+            Missing answers: {IMPUTATION_LABELS[imputationPolicy] || IMPUTATION_LABELS[DEFAULT_IMPUTATION_POLICY]}
+          </span>
+        </div>
+      ) : (
+        <div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {weights.map(dimension => (
+              <label key={dimension.name} className="flex items-center justify-between gap-3 text-xs sm:text-sm text-gray-700">
+                {dimension.name}
+                <input
+                  type="number"
+                  min="0"
+                  max="10"
+                  step="0.1"
+                  value={draft[dimension.name] ?? ''}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [dimension.name]: e.target.value }))}
+                  className="w-20 rounded border-2 border-gray-300 px-2 py-1 text-right"
+                />
+              </label>
+            ))}
+          </div>
+          <label className="mt-3 flex flex-wrap items-center gap-3 text-xs sm:text-sm text-gray-700">
+            Missing answers
+            <select
+              value={draftPolicy}
+              onChange={(e) => setDraftPolicy(e.target.value)}
+              className="rounded border-2 border-gray-300 px-2 py-1"
+            >
+              {IMPUTATION_POLICIES.map(policy => (
+                <option key={policy} value={policy}>{IMPUTATION_LABELS[policy]}</option>
+              ))}
+            </select>
+          </label>
+          {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+            >
+              {saving ? 'Saving...' : 'Save & Rescore Season'}
+            </button>
+            <button
+              onClick={() => setDraft(Object.fromEntries(weights.map(dimension => [dimension.name, '1'])))}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg border-2 border-gray-300 text-sm font-semibold text-gray-700 hover:bg-gray-50"
+            >
+              Equal Weights
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              disabled={saving}
+              className="px-4 py-2 text-sm font-semibold text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+DimensionWeightsPanel.propTypes = {
+  weights: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      weight: PropTypes.number.isRequired,
+      share: PropTypes.number.isRequired,
+    })
+  ),
+  imputationPolicy: PropTypes.oneOf(IMPUTATION_POLICIES),
+  onSaved: PropTypes.func,
+  // Admin sessions only: PUT /api/settings refuses staff sessions
+  editable: PropTypes.bool,
+};
+
+export default DimensionWeightsPanel;
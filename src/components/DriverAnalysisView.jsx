@@ -0,0 +1,119 @@
+/**
+ * DriverAnalysisView Component
+ *
+ * "Score Drivers": which dimensions move together (correlation heatmap,
+ * across responses or across weeks) and what moved the team score in a
+ * given week (waterfall of per-dimension contributions). Data comes from
+ * GET /api/drivers; see utils/drivers.js.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { fetchDriverAnalysis } from '../services/dataService';
+import CorrelationHeatmap from './CorrelationHeatmap';
+import WaterfallChart from './WaterfallChart';
+
+const MATRICES = [
+  { key: 'responseCorrelations', label: 'Across responses' },
+  { key: 'weekCorrelations', label: 'Across weeks' }
+];
+
+const DriverAnalysisView = ({ refreshKey = null } = {}) => {
+  const [analysis, setAnalysis] = React.useState(null);
+  const [matrixKey, setMatrixKey] = React.useState(MATRICES[0].key);
+  const [selectedWeekId, setSelectedWeekId] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    fetchDriverAnalysis()
+      .then(result => { if (!cancelled) setAnalysis(result); })
+      .catch(() => { if (!cancelled) setAnalysis(null); });
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  if (!analysis || analysis.dimensions.length === 0) return null;
+
+  // Latest week unless another one is picked
+  const change = analysis.changes.find(item => item.weekId === selectedWeekId) || analysis.changes.at(-1) || null;
+  const matrix = analysis[matrixKey];
+  const sampleSize = matrixKey === 'responseCorrelations'
+    ? `${analysis.responseCount} response(s)`
+    : `${analysis.weekCount} week(s)`;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* Which dimensions move together */}
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider">Dimension Correlations</h3>
+          <div className="flex gap-1 text-xs">
+            {MATRICES.map(option => (
+              <button
+                key={option.key}
+                onClick={() => setMatrixKey(option.key)}
+                className={`px-2 py-1 rounded border ${option.key === matrixKey ? 'bg-gray-900 text-white border-gray-900' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <CorrelationHeatmap dimensions={matrix.dimensions} matrix={matrix.matrix} />
+        <p className="mt-2 text-xs text-gray-500">
+          Pearson r over {sampleSize}; blue rises together, red moves apart. Hover a cell for p and n.
+        </p>
+
+        {/* Which dimensions track the team score's weekly changes */}
+        <h3 className="mt-4 text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">Strongest Drivers of Weekly Change</h3>
+        <ul className="text-xs sm:text-sm space-y-1">
+          {analysis.drivers.map(driver => (
+            <li key={driver.name} className="flex justify-between gap-3">
+              <span className="text-gray-900">{driver.name}</span>
+              <span className="text-gray-600">
+                {driver.correlation
+                  ? `r = ${driver.correlation.r.toFixed(2)} (n = ${driver.correlation.n})`
+                  : 'Not enough weeks'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* What moved this week's score */}
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider">Score Change Breakdown</h3>
+          {analysis.changes.length > 1 && (
+            <select
+              value={change?.weekId || ''}
+              onChange={(event) => setSelectedWeekId(event.target.value)}
+              className="text-xs border border-gray-300 rounded px-2 py-1"
+            >
+              {analysis.changes.map(item => (
+                <option key={item.weekId} value={item.weekId}>Week of {item.weekId}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        {change ? (
+          <>
+            <WaterfallChart change={change} />
+            <p className="mt-2 text-xs text-gray-500">
+              Each bar is a dimension&apos;s change times its weight share; together they make up the
+              {' '}{change.change > 0 ? '+' : ''}{change.change.toFixed(1)} point change since the week of {change.previousWeekId}.
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500 italic">Needs two reported weeks.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+DriverAnalysisView.propTypes = {
+  // Changes whenever the dashboard data refreshes
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+};
+
+export default DriverAnalysisView;
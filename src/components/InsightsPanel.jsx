@@ -1,18 +1,19 @@
 /**
  * InsightsPanel Component
  *
- * Displays suggestions for progress based on AI analysis
+ * Displays suggestions for progress from the latest player feedback analysis
+ * (the `suggestions` of the team insights, see api/_lib/structuredInsights.js)
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
 
 const InsightsPanel = ({ suggestions = [] } = {}) => {
-  // Placeholder suggestions for demonstration
+  // Shown until an analysis with suggestions is stored
   const defaultSuggestions = [
     {
-      topic: 'AI-Powered Insights',
-      suggestion: 'Use the Generate Insights button in the Things to Look Out For section to analyze team responses with AI. The AI will analyze open-ended Question 1 and Question 9 responses from your team to provide actionable suggestions.'
+      topic: 'No suggestions yet',
+      suggestion: 'Suggestions appear here once the player feedback analysis has run for this week (it runs with the Score Analysis).'
     }
   ];
 
@@ -0,0 +1,179 @@
+/**
+ * PerformanceView Component
+ *
+ * "Chemistry vs Performance": relates weekly chemistry to the game results
+ * and practice ratings entered with each analysis (GET /api/performance).
+ * Every figure shows its sample size - with a handful of games, treat the
+ * correlations as hints, not findings.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { fetchPerformanceAnalysis } from '../services/dataService';
+import ScatterPlot from './ScatterPlot';
+
+const RESULT_COLORS = { Win: '#10b981', Tie: '#6b7280', Lose: '#ef4444' };
+
+/**
+ * "r = 0.42 (p = 0.031, n = 12)" or a note when there are too few pairs
+ */
+const formatCorrelation = (correlation) => {
+  if (!correlation) return 'Not enough data';
+  const p = correlation.pValue < 0.001 ? 'p < 0.001' : `p = ${correlation.pValue.toFixed(3)}`;
+  return `r = ${correlation.r.toFixed(2)} (${p}, n = ${correlation.n})`;
+};
+
+const formatMargin = (margin) => margin === null ? '--' : `${margin > 0 ? '+' : ''}${margin.toFixed(1)}`;
+
+const PerformanceView = ({ refreshKey = null } = {}) => {
+  const [analysis, setAnalysis] = React.useState(null);
+  const [selectedDimension, setSelectedDimension] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    fetchPerformanceAnalysis()
+      .then(result => { if (!cancelled) setAnalysis(result); })
+      .catch(() => { if (!cancelled) setAnalysis(null); });
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  if (!analysis) return null;
+
+  if (analysis.gameCount === 0) {
+    return (
+      <p className="text-sm text-gray-500 italic">
+        No games recorded yet - add game results with each analysis to compare chemistry and performance.
+      </p>
+    );
+  }
+
+  const dimensionName = selectedDimension || analysis.practiceByDimension[0]?.name || null;
+  const dimensionCorrelation = analysis.practiceByDimension.find(dimension => dimension.name === dimensionName)?.correlation || null;
+  const { marginBySeasonMedian: medianSplit } = analysis;
+
+  return (
+    <div className="space-y-6">
+      {/* Headline figures */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+        <div className="rounded-lg border-2 border-gray-200 px-3 py-2">
+          <div className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-1">Chemistry vs Margin</div>
+          <div className="text-gray-900">{formatCorrelation(analysis.correlations.chemistryVsMargin)}</div>
+        </div>
+        <div className="rounded-lg border-2 border-gray-200 px-3 py-2">
+          <div className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-1">Chemistry vs Winning</div>
+          <div className="text-gray-900">{formatCorrelation(analysis.correlations.chemistryVsWin)}</div>
+        </div>
+        <div className="rounded-lg border-2 border-gray-200 px-3 py-2">
+          <div className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-1">Chemistry vs Practice</div>
+          <div className="text-gray-900">{formatCorrelation(analysis.correlations.chemistryVsPractice)}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Win rate by tier */}
+        <div>
+          <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">Win Rate by Chemistry Tier</h3>
+          <table className="w-full text-xs sm:text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-semibold py-1">Tier</th>
+                <th className="font-semibold py-1 text-right">W-T-L</th>
+                <th className="font-semibold py-1 text-right">Win Rate</th>
+                <th className="font-semibold py-1 text-right">n</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.winRateByTier.map(tier => (
+                <tr key={tier.tier} className="border-t border-gray-100">
+                  <td className="py-1 font-semibold text-gray-900">{tier.label} <span className="font-normal text-gray-500">({tier.range})</span></td>
+                  <td className="py-1 text-right text-gray-700">{tier.wins}-{tier.ties}-{tier.losses}</td>
+                  <td className="py-1 text-right text-gray-900">{tier.winRate === null ? '--' : `${tier.winRate.toFixed(0)}%`}</td>
+                  <td className="py-1 text-right text-gray-500">{tier.games}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {medianSplit.seasonMedian !== null && (
+            <div className="mt-4 text-xs sm:text-sm text-gray-700 space-y-1">
+              <div className="text-xs font-bold text-gray-600 uppercase tracking-wider">
+                Average Margin vs Season Median ({medianSplit.seasonMedian.toFixed(1)})
+              </div>
+              <div>At or above median: <span className="font-semibold">{formatMargin(medianSplit.above.averageMargin)}</span> <span className="text-gray-500">(n = {medianSplit.above.games})</span></div>
+              <div>Below median: <span className="font-semibold">{formatMargin(medianSplit.below.averageMargin)}</span> <span className="text-gray-500">(n = {medianSplit.below.games})</span></div>
+            </div>
+          )}
+        </div>
+
+        {/* Practice rating vs each dimension */}
+        <div>
+          <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider mb-2">Practice Rating vs Dimensions</h3>
+          <ul className="text-xs sm:text-sm space-y-1">
+            {analysis.practiceByDimension.map(dimension => (
+              <li key={dimension.name} className="flex justify-between gap-3">
+                <button
+                  onClick={() => setSelectedDimension(dimension.name)}
+                  className={`text-left hover:underline ${dimension.name === dimensionName ? 'font-bold text-gray-900' : 'text-gray-700'}`}
+                >
+                  {dimension.name}
+                </button>
+                <span className="text-gray-600">{formatCorrelation(dimension.correlation)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {/* Scatter plots */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <ScatterPlot
+          title="Chemistry vs Margin"
+          xLabel="Chemistry"
+          yLabel="Margin"
+          points={analysis.games.map(game => ({
+            x: game.chemistry,
+            y: game.margin,
+            color: RESULT_COLORS[game.result],
+            label: `Week of ${game.weekId}: ${game.result} by ${formatMargin(game.margin)}, chemistry ${game.chemistry.toFixed(1)}`
+          }))}
+          correlation={analysis.correlations.chemistryVsMargin}
+        />
+        <ScatterPlot
+          title="Chemistry vs Practice"
+          xLabel="Chemistry"
+          yLabel="Practice (1-10)"
+          yDomain={[0, 10]}
+          points={analysis.practice.map(point => ({
+            x: point.chemistry,
+            y: point.practicePerformance,
+            label: `Week of ${point.weekId}: practice ${point.practicePerformance}/10, chemistry ${point.chemistry.toFixed(1)}`
+          }))}
+          correlation={analysis.correlations.chemistryVsPractice}
+        />
+        {dimensionName && (
+          <ScatterPlot
+            title={`${dimensionName} vs Practice`}
+            xLabel={dimensionName}
+            yLabel="Practice (1-10)"
+            yDomain={[0, 10]}
+            points={analysis.practice
+              .filter(point => typeof point.dimensions[dimensionName] === 'number')
+              .map(point => ({
+                x: point.dimensions[dimensionName],
+                y: point.practicePerformance,
+                label: `Week of ${point.weekId}: practice ${point.practicePerformance}/10, ${dimensionName} ${point.dimensions[dimensionName].toFixed(1)}`
+              }))}
+            correlation={dimensionCorrelation}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+PerformanceView.propTypes = {
+  // Changes whenever the dashboard data refreshes, so the analysis follows new games
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+};
+
+export default PerformanceView;
@@ -0,0 +1,109 @@
+/**
+ * ReliabilityPanel Component
+ *
+ * Admin-only survey diagnostics: do the items measure one construct?
+ * Shows Cronbach's alpha, corrected item-total correlations and alpha if
+ * item deleted for the season or a single survey week (GET /api/reliability,
+ * see utils/psychometrics.js). Renders nothing unless `isAdmin`.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { fetchReliabilityDiagnostics } from '../services/dataService';
+
+const SEASON = 'season';
+
+const formatStat = (value, decimals = 2) => value === null || value === undefined ? '--' : value.toFixed(decimals);
+
+const ReliabilityPanel = ({ refreshKey = null, isAdmin = false } = {}) => {
+  const [report, setReport] = React.useState(null);
+  const [scope, setScope] = React.useState(SEASON);
+
+  React.useEffect(() => {
+    let cancelled = false;
+
+    // Only admin sessions may read the diagnostics; staff never send the request
+    if (!isAdmin) {
+      setReport(null);
+      return;
+    }
+
+    fetchReliabilityDiagnostics()
+      .then(result => { if (!cancelled) setReport(result); })
+      .catch(() => { if (!cancelled) setReport(null); });
+
+    return () => { cancelled = true; };
+  }, [refreshKey, isAdmin]);
+
+  if (!report) return null;
+
+  const selected = scope === SEASON ? report.season : report.weeks.find(week => week.weekId === scope) || report.season;
+
+  return (
+    <div className="mb-12 pb-12 border-b-2 border-gray-200">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 uppercase tracking-tight">
+          Survey Diagnostics <span className="text-xs font-semibold text-gray-500 normal-case tracking-normal">(admin)</span>
+        </h2>
+        <select
+          value={scope}
+          onChange={(event) => setScope(event.target.value)}
+          className="text-xs sm:text-sm border border-gray-300 rounded px-2 py-1"
+        >
+          <option value={SEASON}>Whole season</option>
+          {[...report.weeks].reverse().map(week => (
+            <option key={week.weekId} value={week.weekId} disabled={week.suppressed}>
+              Week of {week.weekId}{week.suppressed ? ' (too few responses)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mb-4 text-sm text-gray-700">
+        Cronbach&apos;s alpha: <span className="text-lg font-bold text-gray-900">{formatStat(selected.alpha)}</span>
+        {selected.interpretation && <span className="ml-2 font-semibold">({selected.interpretation})</span>}
+        <span className="ml-2 text-gray-500">
+          {selected.completeCount} complete of {selected.responseCount} response(s), {selected.itemCount} items
+        </span>
+      </div>
+
+      <table className="w-full text-xs sm:text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-semibold py-1">Item</th>
+            <th className="font-semibold py-1 text-right">Mean (raw)</th>
+            <th className="font-semibold py-1 text-right">Item-total r</th>
+            <th className="font-semibold py-1 text-right">Alpha if deleted</th>
+          </tr>
+        </thead>
+        <tbody>
+          {selected.items.map(item => (
+            <tr key={item.name} className={`border-t border-gray-100 ${item.weak ? 'bg-amber-50' : ''}`}>
+              <td className="py-1 font-semibold text-gray-900">
+                {item.name}
+                {item.weak && <span className="ml-2 text-xs font-semibold text-amber-700">Review</span>}
+              </td>
+              <td className="py-1 text-right text-gray-700">{formatStat(item.mean)}</td>
+              <td className="py-1 text-right text-gray-700">{formatStat(item.itemTotalCorrelation)}</td>
+              <td className="py-1 text-right text-gray-700">{formatStat(item.alphaIfDeleted, 3)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="mt-2 text-xs text-gray-500">
+        From the raw ratings (reverse-coded items flipped). Alpha of 0.7 or more is acceptable for group-level reporting;
+        items marked Review correlate weakly with the rest (r &lt; 0.3) or raise alpha when dropped.
+      </p>
+    </div>
+  );
+};
+
+ReliabilityPanel.propTypes = {
+  // Changes when a new week arrives or the season history changes
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  // Whether the session is an admin one (the dashboard checks once)
+  isAdmin: PropTypes.bool,
+};
+
+export default ReliabilityPanel;
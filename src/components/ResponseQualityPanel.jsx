@@ -0,0 +1,158 @@
+/**
+ * ResponseQualityPanel Component
+ *
+ * Admin-only review of careless responses: rows flagged for straight-lining,
+ * low variance, open text that contradicts the ratings or speeding
+ * (GET /api/response-quality, see utils/responseQuality.js). The toggle
+ * saves the `excludeFlaggedResponses` team setting, which rescores every
+ * week without the flagged responses. Renders nothing unless `isAdmin`.
+ * In privacy mode only per-week flag counts are shown.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { fetchResponseQualityReport, saveTeamSettings } from '../services/dataService';
+
+const FLAG_LABELS = {
+  'straight-lining': 'Straight-lining',
+  'low-variance': 'Low variance',
+  'text-mismatch': 'Text contradicts ratings',
+  'speeder': 'Speeder'
+};
+
+const ResponseQualityPanel = ({ refreshKey = null, isAdmin = false, onSaved } = {}) => {
+  const [report, setReport] = React.useState(null);
+  const [saving, setSaving] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+
+    // Only admin sessions may read the review; staff never send the request
+    if (!isAdmin) {
+      setReport(null);
+      return;
+    }
+
+    fetchResponseQualityReport()
+      .then(result => { if (!cancelled) setReport(result); })
+      .catch(() => { if (!cancelled) setReport(null); });
+
+    return () => { cancelled = true; };
+  }, [refreshKey, isAdmin]);
+
+  const handleToggle = async (event) => {
+    const excludeFlaggedResponses = event.target.checked;
+    setSaving(true);
+    setError(null);
+    try {
+      await saveTeamSettings({ excludeFlaggedResponses });
+      setReport(prev => ({ ...prev, excludeFlaggedResponses }));
+      if (onSaved) onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!report) return null;
+
+  return (
+    <div className="mb-12 pb-12 border-b-2 border-gray-200">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 uppercase tracking-tight">
+          Response Review <span className="text-xs font-semibold text-gray-500 normal-case tracking-normal">(admin)</span>
+        </h2>
+        <label className="flex items-center gap-2 text-xs sm:text-sm font-semibold text-gray-700">
+          <input
+            type="checkbox"
+            checked={report.excludeFlaggedResponses}
+            onChange={handleToggle}
+            disabled={saving}
+          />
+          {saving ? 'Rescoring...' : 'Exclude flagged responses from scores'}
+        </label>
+      </div>
+      {error && <p className="mb-2 text-xs text-red-600">{error}</p>}
+
+      <p className="mb-4 text-sm text-gray-700">
+        <span className="font-semibold">{report.flaggedCount}</span> of {report.responseCount} response(s) flagged
+        {report.flaggedCount > 0 && (
+          <span className="text-gray-500">
+            {' '}({Object.entries(report.flagCounts)
+              .filter(([, count]) => count > 0)
+              .map(([type, count]) => `${FLAG_LABELS[type] || type}: ${count}`)
+              .join(', ')})
+          </span>
+        )}
+      </p>
+
+      {report.privacyMode ? (
+        <table className="w-full text-xs sm:text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-semibold py-1">Week of</th>
+              <th className="font-semibold py-1 text-right">Responses</th>
+              <th className="font-semibold py-1 text-right">Flagged</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...report.weeks].reverse().map(week => (
+              <tr key={week.weekId} className="border-t border-gray-100">
+                <td className="py-1 text-gray-700">{week.weekId}</td>
+                <td className="py-1 text-right text-gray-700">{week.responseCount}</td>
+                <td className="py-1 text-right font-semibold text-gray-900">{week.flaggedCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : report.responses.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">No responses flagged.</p>
+      ) : (
+        <table className="w-full text-xs sm:text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-semibold py-1">Row</th>
+              <th className="font-semibold py-1">Week of</th>
+              <th className="font-semibold py-1">Submitted</th>
+              <th className="font-semibold py-1">Why</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...report.responses].reverse().map(response => (
+              <tr key={response.row} className="border-t border-gray-100 align-top">
+                <td className="py-1 font-semibold text-gray-900">{response.row}</td>
+                <td className="py-1 text-gray-700">{response.weekId}</td>
+                <td className="py-1 text-gray-700">{response.timestamp}</td>
+                <td className="py-1 text-gray-700">
+                  {response.flags.map(flag => (
+                    <div key={flag.type}>
+                      <span className="font-semibold text-amber-700">{FLAG_LABELS[flag.type] || flag.type}</span>: {flag.detail}
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500">
+        Flags are heuristics: check the row in the Weekly-Chemistry sheet before excluding. Excluding leaves flagged
+        responses out of every team and dimension score and the AI analysis; the sheet is not changed.
+      </p>
+    </div>
+  );
+};
+
+ResponseQualityPanel.propTypes = {
+  // Changes when a new week arrives or the season history changes
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  // Whether the session is an admin one (the dashboard checks once)
+  isAdmin: PropTypes.bool,
+  // Called after the exclude toggle is saved, to reload the rescored data
+  onSaved: PropTypes.func,
+};
+
+export default ResponseQualityPanel;
@@ -0,0 +1,228 @@
+/**
+ * RosterPanel Component
+ *
+ * Shows the team roster the weekly response rate is measured against and
+ * lets admins change it (stored in team settings via PUT /api/settings):
+ * the number of players, optionally split into position groups that add up
+ * to it. Leaving the size empty stops participation tracking. Player and
+ * coach names listed here are masked in the open-text answers before they
+ * are sent to an AI provider.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { saveTeamSettings } from '../services/dataService';
+
+const RosterPanel = ({ roster = null, rosterNames = [], rosterNameCount = 0, participation = null, minParticipation = 0.6, onSaved, editable = false } = {}) => {
+  const [editing, setEditing] = React.useState(false);
+  const [draftSize, setDraftSize] = React.useState('');
+  const [draftGroups, setDraftGroups] = React.useState([]);
+  const [draftNames, setDraftNames] = React.useState('');
+  const [saving, setSaving] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const size = roster?.size ?? null;
+  const groups = Object.entries(roster?.positionGroups || {});
+  const groupTotal = draftGroups.reduce((sum, group) => sum + (parseInt(group.count, 10) || 0), 0);
+
+  const startEditing = () => {
+    setDraftSize(size === null ? '' : String(size));
+    setDraftGroups(groups.map(([name, count]) => ({ name, count: String(count) })));
+    setDraftNames(rosterNames.join('\n'));
+    setError(null);
+    setEditing(true);
+  };
+
+  const updateGroup = (index, field, value) => {
+    setDraftGroups(prev => prev.map((group, i) => i === index ? { ...group, [field]: value } : group));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const positionGroups = Object.fromEntries(
+        draftGroups
+          .filter(group => group.name.trim())
+          .map(group => [group.name.trim(), parseInt(group.count, 10)])
+      );
+      await saveTeamSettings({
+        roster: { size: draftSize.trim() ? parseInt(draftSize, 10) : null, positionGroups },
+        rosterNames: [...new Set(draftNames.split('\n').map(name => name.trim()).filter(Boolean))]
+      });
+      setEditing(false);
+      if (onSaved) onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 rounded-lg border-2 border-gray-200 px-3 py-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-xs font-bold text-gray-600 uppercase tracking-wider">
+          Roster {size === null ? '(not set)' : `(${size} players)`}
+        </h3>
+        {editable && !editing && (
+          <button
+            onClick={startEditing}
+            className="text-xs font-semibold text-blue-600 hover:text-blue-800"
+          >
+            Edit Roster
+          </button>
+        )}
+      </div>
+
+      {!editing ? (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs sm:text-sm text-gray-700">
+          {size === null ? (
+            <span className="text-gray-500">Set the roster size to track the weekly response rate.</span>
+          ) : (
+            <>
+              {participation && (
+                <span>
+                  This week: <span className="font-semibold">{participation.responseCount} of {participation.rosterSize}</span>{' '}
+                  <span className="text-gray-500">({Math.round(participation.rate * 100)}%)</span>
+                </span>
+              )}
+              {(participation?.groups || groups.map(([name, count]) => ({ name, rosterSize: count, responseCount: null, rate: null })))
+                .map(group => (
+                  <span key={group.name}>
+                    {group.name}:{' '}
+                    <span className="font-semibold">
+                      {group.responseCount === null ? group.rosterSize : `${group.responseCount} of ${group.rosterSize}`}
+                    </span>
+                    {group.rate !== null && <span className="text-gray-500"> ({Math.round(group.rate * 100)}%)</span>}
+                  </span>
+                ))}
+              <span className="w-full text-xs text-gray-500">
+                Scores carry a warning when fewer than {Math.round(minParticipation * 100)}% of the roster respond.
+              </span>
+            </>
+          )}
+          <span className="w-full text-xs text-gray-500">
+            {rosterNameCount > 0
+              ? `${rosterNameCount} name(s) masked in player answers before AI analysis.`
+              : 'Add player and coach names to mask them in player answers before AI analysis.'}
+          </span>
+        </div>
+      ) : (
+        <div>
+          <label className="flex items-center justify-between gap-3 text-xs sm:text-sm text-gray-700 sm:max-w-xs">
+            Players on the roster
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={draftSize}
+              onChange={(e) => setDraftSize(e.target.value)}
+              className="w-20 rounded border-2 border-gray-300 px-2 py-1 text-right"
+            />
+          </label>
+
+          <div className="mt-3 text-xs font-semibold text-gray-600">
+            Position groups (optional)
+            {draftGroups.length > 0 && <span className="ml-2 font-normal text-gray-500">{groupTotal} players listed</span>}
+          </div>
+          <div className="mt-1 space-y-2">
+            {draftGroups.map((group, index) => (
+              <div key={index} className="flex items-center gap-2 text-xs sm:text-sm">
+                <input
+                  type="text"
+                  placeholder="e.g. Forwards"
+                  value={group.name}
+                  onChange={(e) => updateGroup(index, 'name', e.target.value)}
+                  className="flex-1 sm:flex-none sm:w-40 rounded border-2 border-gray-300 px-2 py-1"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={group.count}
+                  onChange={(e) => updateGroup(index, 'count', e.target.value)}
+                  className="w-20 rounded border-2 border-gray-300 px-2 py-1 text-right"
+                />
+                <button
+                  onClick={() => setDraftGroups(prev => prev.filter((_, i) => i !== index))}
+                  className="text-xs font-semibold text-gray-500 hover:text-gray-700"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setDraftGroups(prev => [...prev, { name: '', count: '' }])}
+              className="text-xs font-semibold text-blue-600 hover:text-blue-800"
+            >
+              + Add group
+            </button>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Group counts must add up to the roster size. Responses are matched to groups by the survey&apos;s position question, when it has one.
+          </p>
+
+          <label className="mt-3 block text-xs font-semibold text-gray-600">
+            Player and coach names (one per line)
+            <textarea
+              rows={4}
+              value={draftNames}
+              onChange={(e) => setDraftNames(e.target.value)}
+              placeholder={'e.g. Jordan Smith\nCoach Lee'}
+              className="mt-1 block w-full sm:max-w-sm rounded border-2 border-gray-300 px-2 py-1 text-xs sm:text-sm font-normal"
+            />
+          </label>
+          <p className="mt-1 text-xs text-gray-500">
+            Names, emails, phone numbers and other identifiers are masked in player answers before they are sent to the AI provider.
+          </p>
+
+          {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+            >
+              {saving ? 'Saving...' : 'Save Roster'}
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              disabled={saving}
+              className="px-4 py-2 text-sm font-semibold text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+RosterPanel.propTypes = {
+  roster: PropTypes.shape({
+    size: PropTypes.number,
+    positionGroups: PropTypes.objectOf(PropTypes.number),
+  }),
+  // Admin sessions only; staff get the count
+  rosterNames: PropTypes.arrayOf(PropTypes.string),
+  rosterNameCount: PropTypes.number,
+  participation: PropTypes.shape({
+    rosterSize: PropTypes.number.isRequired,
+    responseCount: PropTypes.number.isRequired,
+    rate: PropTypes.number.isRequired,
+    groups: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      rosterSize: PropTypes.number.isRequired,
+      responseCount: PropTypes.number,
+      rate: PropTypes.number,
+    })),
+  }),
+  minParticipation: PropTypes.number,
+  onSaved: PropTypes.func,
+  // Admin sessions only: PUT /api/settings refuses staff sessions
+  editable: PropTypes.bool,
+};
+
+export default RosterPanel;
@@ -0,0 +1,108 @@
+/**
+ * ScatterPlot Component
+ *
+ * Small pure-SVG scatter plot used by the Chemistry vs Performance view.
+ * Shows the sample size and, when given, the Pearson correlation.
+ */
+
+import PropTypes from 'prop-types';
+
+const WIDTH = 280;
+const HEIGHT = 190;
+const PADDING = { top: 12, right: 12, bottom: 34, left: 40 };
+
+const ScatterPlot = ({ title, points = [], xLabel, yLabel, xDomain, yDomain, correlation = null } = {}) => {
+  const chartWidth = WIDTH - PADDING.left - PADDING.right;
+  const chartHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // Domains default to the data range, padded so points do not sit on the axes
+  const domain = (values, fallback) => {
+    if (fallback) return fallback;
+    if (values.length === 0) return [0, 1];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const pad = max === min ? 1 : (max - min) * 0.1;
+    return [min - pad, max + pad];
+  };
+  const [xMin, xMax] = domain(points.map(point => point.x), xDomain);
+  const [yMin, yMax] = domain(points.map(point => point.y), yDomain);
+
+  const toX = (value) => PADDING.left + ((value - xMin) / (xMax - xMin)) * chartWidth;
+  const toY = (value) => PADDING.top + chartHeight - ((value - yMin) / (yMax - yMin)) * chartHeight;
+
+  return (
+    <div className="rounded-lg border-2 border-gray-200 p-3">
+      <div className="flex items-baseline justify-between gap-2 mb-1">
+        <h4 className="text-xs font-semibold text-gray-600 uppercase tracking-wider">{title}</h4>
+        <span className="text-xs text-gray-500">
+          n = {points.length}
+          {correlation && ` · r = ${correlation.r.toFixed(2)}${correlation.pValue < 0.05 ? '*' : ''}`}
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {/* Axes */}
+        <line x1={PADDING.left} y1={PADDING.top + chartHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + chartHeight} stroke="#9ca3af" />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + chartHeight} stroke="#9ca3af" />
+        {yMin < 0 && yMax > 0 && (
+          <line x1={PADDING.left} y1={toY(0)} x2={WIDTH - PADDING.right} y2={toY(0)} stroke="#e5e7eb" strokeDasharray="2,2" />
+        )}
+
+        {/* Axis ranges */}
+        <text x={PADDING.left - 4} y={PADDING.top + 8} textAnchor="end" style={{ fontSize: '9px' }} className="fill-gray-400">{Math.round(yMax)}</text>
+        <text x={PADDING.left - 4} y={PADDING.top + chartHeight} textAnchor="end" style={{ fontSize: '9px' }} className="fill-gray-400">{Math.round(yMin)}</text>
+        <text x={PADDING.left} y={HEIGHT - 20} textAnchor="start" style={{ fontSize: '9px' }} className="fill-gray-400">{Math.round(xMin)}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 20} textAnchor="end" style={{ fontSize: '9px' }} className="fill-gray-400">{Math.round(xMax)}</text>
+
+        {/* Axis labels */}
+        <text x={PADDING.left + chartWidth / 2} y={HEIGHT - 4} textAnchor="middle" style={{ fontSize: '10px' }} className="fill-gray-500">{xLabel}</text>
+        <text
+          x={10}
+          y={PADDING.top + chartHeight / 2}
+          textAnchor="middle"
+          transform={`rotate(-90 10 ${PADDING.top + chartHeight / 2})`}
+          style={{ fontSize: '10px' }}
+          className="fill-gray-500"
+        >
+          {yLabel}
+        </text>
+
+        {/* Points */}
+        {points.map((point, index) => (
+          <circle
+            key={index}
+            cx={toX(point.x)}
+            cy={toY(point.y)}
+            r="4"
+            fill={point.color || '#3b82f6'}
+            fillOpacity="0.75"
+          >
+            <title>{point.label || `${point.x}, ${point.y}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+ScatterPlot.propTypes = {
+  title: PropTypes.string.isRequired,
+  points: PropTypes.arrayOf(
+    PropTypes.shape({
+      x: PropTypes.number.isRequired,
+      y: PropTypes.number.isRequired,
+      color: PropTypes.string,
+      label: PropTypes.string,
+    })
+  ),
+  xLabel: PropTypes.string,
+  yLabel: PropTypes.string,
+  xDomain: PropTypes.arrayOf(PropTypes.number),
+  yDomain: PropTypes.arrayOf(PropTypes.number),
+  correlation: PropTypes.shape({
+    r: PropTypes.number.isRequired,
+    n: PropTypes.number.isRequired,
+    pValue: PropTypes.number.isRequired,
+  }),
+};
+
+export default ScatterPlot;
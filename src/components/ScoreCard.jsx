@@ -74,9 +74,9 @@ const ScoreCard = ({ player, score, trend, previousScore }) => {
                   key={idx}
                   className="flex-1 h-8 rounded flex items-center justify-center text-xs font-semibold text-white transition-colors duration-300"
                   style={{ backgroundColor: qColor }}
-                  title={player.questions?.[idx] || `Question ${idx + 1}`}
+                  title={`${player.questions?.[idx] || `Question ${idx + 1}`}${questionScore === null ? ' (not answered)' : ''}`}
                 >
-                  {questionScore}
+                  {questionScore ?? '–'}
                 </div>
               );
             })}
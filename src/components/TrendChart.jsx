@@ -1,18 +1,65 @@
 /**
  * TrendChart Component
  *
- * Displays a simple line chart showing historical team chemistry scores
+ * Displays a simple line chart showing team chemistry scores per survey week
  * Uses pure SVG for lightweight rendering
+ *
+ * The selector above the chart switches from the team score to one dimension's
+ * weekly averages (from dimensionHistory); the band, overlays and forecast
+ * follow the selected series, and weeks where it is suppressed are left out.
+ *
+ * The shaded band is each week's confidence interval (see calculateConfidenceInterval());
+ * weeks with fewer than 2 responses have no interval and pinch the band to the line.
+ *
+ * The toggles above the chart overlay the short and long rolling averages and
+ * the EWMA (`momentum` of each week, see calculateMultiPeriodTrend()); a week
+ * where the short average crosses the long one says so in its tooltip.
+ * Once a roster size is set, a further toggle draws the weekly response
+ * rate (0-100%) on the same axis, and weeks under the participation warning
+ * level get an amber point.
+ *
+ * When a forecast is passed, a dashed segment projects the next survey week,
+ * with its prediction interval drawn as a whisker (see forecastNextValue()).
+ * It is only drawn from the latest survey week, never across a suppressed one.
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
 import { getScoreColor } from '../utils/calculations';
+import { TREND_CONFIG } from '../config/constants';
+
+// Series that can be drawn over the weekly scores: smoothed scores and the response rate
+const OVERLAYS = [
+  { key: 'shortAverage', label: `${TREND_CONFIG.LOOKBACK_PERIODS.SHORT}-wk avg`, color: '#0ea5e9', getValue: item => item.momentum?.shortAverage },
+  { key: 'longAverage', label: `${TREND_CONFIG.LOOKBACK_PERIODS.LONG}-wk avg`, color: '#6366f1', getValue: item => item.momentum?.longAverage },
+  { key: 'ewma', label: 'EWMA', color: '#d946ef', getValue: item => item.momentum?.ewma },
+  { key: 'responseRate', label: 'Response %', color: '#64748b', dashed: true, getValue: item => item.participation ? item.participation.rate * 100 : null }
+];
+
+// Low-participation points
+const LOW_PARTICIPATION_COLOR = '#d97706';
+
+/**
+ * Start date (YYYY-MM-DD) of the survey week after the one starting at `timestamp`
+ * @private
+ */
+const getNextWeekStart = (timestamp) => {
+  const start = new Date(timestamp);
+  if (isNaN(start)) return null;
+  start.setUTCDate(start.getUTCDate() + 7);
+  return start.toISOString().slice(0, 10);
+};
 
-const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
+const TrendChart = ({ scoreHistory = [], dimensionHistory = [], currentScore = 0, confidenceLevel = 0.95, forecast = null } = {}) => {
   // Responsive chart dimensions
   const containerRef = React.useRef(null);
   const [dimensions, setDimensions] = React.useState({ width: 400, height: 200 });
+  const [visibleOverlays, setVisibleOverlays] = React.useState([]);
+  const [selectedDimension, setSelectedDimension] = React.useState(null); // null = team score
+
+  const toggleOverlay = (key) => {
+    setVisibleOverlays(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
 
   React.useEffect(() => {
     const updateDimensions = () => {
@@ -35,8 +82,44 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
   const chartWidth = width - padding.left - padding.right;
   const chartHeight = height - padding.top - padding.bottom;
 
+  // Dimensions that can be plotted instead of the team score: those reported in at least one week
+  // (the latest week lists them all)
+  const isReported = dimension => dimension && dimension.average !== null && dimension.average !== undefined;
+  const dimensionNames = (dimensionHistory[dimensionHistory.length - 1]?.dimensions || [])
+    .map(dimension => dimension.name)
+    .filter(name => dimensionHistory.some(week => isReported((week.dimensions || []).find(item => item.name === name))));
+  const dimensionName = dimensionNames.includes(selectedDimension) ? selectedDimension : null;
+
+  // The plotted series: the team score, or the selected dimension's reported weeks
+  // with the response rate of the same week
+  const participationByWeek = new Map(scoreHistory.map(item => [item.weekId, item.participation]));
+  const series = dimensionName
+    ? dimensionHistory.flatMap(week => {
+      const dimension = (week.dimensions || []).find(item => item.name === dimensionName);
+      return isReported(dimension)
+        ? [{
+          score: dimension.average,
+          confidenceInterval: dimension.confidenceInterval,
+          momentum: dimension.momentum,
+          participation: participationByWeek.get(week.weekId) || null,
+          timestamp: week.timestamp,
+          weekId: week.weekId
+        }]
+        : [];
+    })
+    : scoreHistory;
+
+  // The forecast is for the week after the latest survey week. When that week is
+  // suppressed (for the series), the last point is an earlier week and the dashed
+  // segment would bridge the gap, so no forecast is drawn
+  const forecastFollowsSeries = Boolean(forecast?.startDate) && series.length > 0 &&
+    getNextWeekStart(series[series.length - 1].timestamp) === forecast.startDate;
+  const projection = !forecastFollowsSeries ? null : dimensionName
+    ? forecast.dimensions?.find(dimension => dimension.name === dimensionName) || null
+    : forecast.team;
+
   // If no history, show placeholder
-  if (scoreHistory.length === 0) {
+  if (series.length === 0) {
     return (
       <div ref={containerRef} className="w-full max-w-[400px]">
         <div className="flex items-center justify-center bg-gray-50 rounded-lg border-2 border-gray-200" style={{ width, height }}>
@@ -51,11 +134,31 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
   const maxScore = 100;
   const scoreRange = maxScore - minScore;
 
+  const toY = (score) => padding.top + chartHeight - ((score - minScore) / scoreRange) * chartHeight;
+
+  // The forecast takes one extra slot to the right of the last week
+  const slotCount = series.length + (projection ? 1 : 0);
+  const toX = (index) => padding.left + (index / Math.max(slotCount - 1, 1)) * chartWidth;
+
+  // The response-rate toggle only applies once a roster size is set
+  const availableOverlays = OVERLAYS.filter(overlay => overlay.key !== 'responseRate' || series.some(item => item.participation));
+
   // Calculate x and y positions for each point
-  const points = scoreHistory.map((item, index) => {
-    const x = padding.left + (index / Math.max(scoreHistory.length - 1, 1)) * chartWidth;
-    const y = padding.top + chartHeight - ((item.score - minScore) / scoreRange) * chartHeight;
-    return { x, y, score: item.score, timestamp: item.timestamp };
+  const points = series.map((item, index) => {
+    const x = toX(index);
+    const y = toY(item.score);
+    const interval = item.confidenceInterval || null;
+    return {
+      x,
+      y,
+      yLower: interval ? toY(interval.lower) : y,
+      yUpper: interval ? toY(interval.upper) : y,
+      score: item.score,
+      interval,
+      participation: item.participation || null,
+      crossover: item.momentum?.crossover || null,
+      timestamp: item.timestamp
+    };
   });
 
   // Create SVG path for the line
@@ -64,22 +167,96 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
     return `${command} ${point.x} ${point.y}`;
   }).join(' ');
 
-  // Get color based on current score
-  const lineColor = getScoreColor(currentScore);
+  // Confidence band: along the upper bounds, then back along the lower bounds
+  const hasBand = points.some(point => point.interval);
+  const bandPath = [
+    ...points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.yUpper}`),
+    ...[...points].reverse().map(point => `L ${point.x} ${point.yLower}`),
+    'Z'
+  ].join(' ');
+  const confidencePercent = Math.round(confidenceLevel * 1000) / 10;
+
+  // Overlay paths; a week without a value (window not yet full) breaks the line
+  const overlayPaths = availableOverlays
+    .filter(overlay => visibleOverlays.includes(overlay.key))
+    .map(overlay => {
+      let penDown = false;
+      const d = points.map((point, index) => {
+        const value = overlay.getValue(series[index]);
+        if (value === null || value === undefined) {
+          penDown = false;
+          return '';
+        }
+        const command = penDown ? 'L' : 'M';
+        penDown = true;
+        return `${command} ${point.x} ${toY(value)}`;
+      }).filter(Boolean).join(' ');
+      return { ...overlay, d };
+    })
+    .filter(overlay => overlay.d);
+
+  // Projection of the next survey week
+  const lastPoint = points[points.length - 1];
+  const forecastPoint = projection ? {
+    x: toX(series.length),
+    y: toY(projection.forecast),
+    yLower: toY(projection.lower),
+    yUpper: toY(projection.upper)
+  } : null;
+
+  // Get color based on current score (the latest average for a dimension)
+  const lineColor = getScoreColor(dimensionName ? lastPoint.score : currentScore);
 
   // Format date for x-axis labels (day/month)
+  // Timestamps are survey week start dates (YYYY-MM-DD, UTC midnight)
   const formatDate = (timestamp) => {
     return new Date(timestamp).toLocaleDateString('en-US', {
       month: 'numeric',
-      day: 'numeric'
+      day: 'numeric',
+      timeZone: 'UTC'
     });
   };
 
   return (
     <div ref={containerRef} className="w-full max-w-[400px] bg-white rounded-lg border-2 border-gray-200 p-3 sm:p-4">
-      <h3 className="text-xs font-semibold text-gray-600 uppercase tracking-wider mb-2">
-        Score Trend
-      </h3>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2">
+          <h3 className="text-xs font-semibold text-gray-600 uppercase tracking-wider">
+            Score Trend
+          </h3>
+          {dimensionNames.length > 0 && (
+            <select
+              value={dimensionName || ''}
+              onChange={(event) => setSelectedDimension(event.target.value || null)}
+              aria-label="Series shown in the trend chart"
+              className="px-1 py-0.5 rounded border border-gray-300 text-[10px] font-semibold text-gray-600"
+            >
+              <option value="">Team score</option>
+              {dimensionNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="flex gap-1">
+          {availableOverlays.map(overlay => {
+            const active = visibleOverlays.includes(overlay.key);
+            return (
+              <button
+                key={overlay.key}
+                onClick={() => toggleOverlay(overlay.key)}
+                aria-pressed={active}
+                className="px-1.5 py-0.5 rounded border text-[10px] font-semibold"
+                style={active
+                  ? { borderColor: overlay.color, backgroundColor: overlay.color, color: 'white' }
+                  : { borderColor: '#d1d5db', color: overlay.color }}
+              >
+                {overlay.label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
       <svg width={width} height={height} className="overflow-visible w-full">
         {/* Grid lines */}
         <g className="grid-lines">
@@ -110,6 +287,13 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
           })}
         </g>
 
+        {/* Confidence band */}
+        {hasBand && (
+          <path d={bandPath} fill={lineColor} fillOpacity="0.15" stroke="none">
+            <title>{confidencePercent}% confidence interval</title>
+          </path>
+        )}
+
         {/* Line path */}
         <path
           d={linePath}
@@ -120,26 +304,89 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
           strokeLinejoin="round"
         />
 
-        {/* Data points */}
-        {points.map((point, index) => (
-          <g key={index}>
+        {/* Rolling averages / EWMA */}
+        {overlayPaths.map(overlay => (
+          <path
+            key={overlay.key}
+            d={overlay.d}
+            fill="none"
+            stroke={overlay.color}
+            strokeWidth="2"
+            strokeDasharray={overlay.dashed ? '4,3' : undefined}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <title>{overlay.label}</title>
+          </path>
+        ))}
+
+        {/* Forecast: dashed projection with its prediction interval */}
+        {forecastPoint && (
+          <g className="forecast">
+            <line
+              x1={lastPoint.x}
+              y1={lastPoint.y}
+              x2={forecastPoint.x}
+              y2={forecastPoint.y}
+              stroke={lineColor}
+              strokeWidth="2"
+              strokeDasharray="6,4"
+            />
+            <line
+              x1={forecastPoint.x}
+              y1={forecastPoint.yUpper}
+              x2={forecastPoint.x}
+              y2={forecastPoint.yLower}
+              stroke={lineColor}
+              strokeOpacity="0.5"
+              strokeWidth="2"
+            />
             <circle
-              cx={point.x}
-              cy={point.y}
+              cx={forecastPoint.x}
+              cy={forecastPoint.y}
               r="5"
               fill="white"
               stroke={lineColor}
               strokeWidth="2"
+              strokeDasharray="2,2"
             />
-            {/* Tooltip on hover */}
             <title>
-              {point.score.toFixed(1)}
+              {`Forecast next week: ${projection.forecast.toFixed(1)} (${confidencePercent}% prediction interval ${projection.lower.toFixed(1)}–${projection.upper.toFixed(1)})`}
             </title>
           </g>
-        ))}
+        )}
+
+        {/* Data points */}
+        {points.map((point, index) => {
+          const lowParticipation = point.participation?.low === true;
+          return (
+            <g key={index}>
+              <circle
+                cx={point.x}
+                cy={point.y}
+                r="5"
+                fill={lowParticipation ? LOW_PARTICIPATION_COLOR : 'white'}
+                stroke={lowParticipation ? LOW_PARTICIPATION_COLOR : lineColor}
+                strokeWidth="2"
+              />
+              {/* Tooltip on hover */}
+              <title>
+                {(point.interval
+                  ? `${point.score.toFixed(1)} ± ${point.interval.marginOfError.toFixed(1)} (${confidencePercent}% CI ${point.interval.lower.toFixed(1)}–${point.interval.upper.toFixed(1)})`
+                  : point.score.toFixed(1)) +
+                  (point.participation
+                    ? ` · ${point.participation.responseCount} of ${point.participation.rosterSize} responded (${Math.round(point.participation.rate * 100)}%)${lowParticipation ? ' - low participation' : ''}`
+                    : '') +
+                  (point.crossover
+                    ? ` · ${TREND_CONFIG.LOOKBACK_PERIODS.SHORT}-wk avg crossed ${point.crossover === 'up' ? 'above' : 'below'} the ${TREND_CONFIG.LOOKBACK_PERIODS.LONG}-wk avg`
+                    : '')}
+              </title>
+            </g>
+          );
+        })}
 
         {/* X-axis labels (show first and last date) */}
-        {scoreHistory.length > 1 && (
+        {series.length > 1 && (
           <g className="x-axis-labels">
             <text
               x={padding.left}
@@ -148,7 +395,7 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
               className="text-xs fill-gray-500"
               style={{ fontSize: '10px' }}
             >
-              {formatDate(scoreHistory[0].timestamp)}
+              {formatDate(series[0].timestamp)}
             </text>
             <text
               x={width - padding.right}
@@ -157,7 +404,9 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
               className="text-xs fill-gray-500"
               style={{ fontSize: '10px' }}
             >
-              {formatDate(scoreHistory[scoreHistory.length - 1].timestamp)}
+              {projection
+                ? `${formatDate(forecast.startDate)} (forecast)`
+                : formatDate(series[series.length - 1].timestamp)}
             </text>
           </g>
         )}
@@ -167,18 +416,68 @@ const TrendChart = ({ scoreHistory = [], currentScore = 0 } = {}) => {
   );
 };
 
+const intervalShape = PropTypes.shape({
+  lower: PropTypes.number.isRequired,
+  upper: PropTypes.number.isRequired,
+  marginOfError: PropTypes.number.isRequired,
+});
+
+const momentumShape = PropTypes.shape({
+  shortAverage: PropTypes.number,
+  longAverage: PropTypes.number,
+  ewma: PropTypes.number,
+  crossover: PropTypes.oneOf(['up', 'down']),
+});
+
+const projectionShape = {
+  forecast: PropTypes.number.isRequired,
+  lower: PropTypes.number.isRequired,
+  upper: PropTypes.number.isRequired,
+};
+
 TrendChart.propTypes = {
   scoreHistory: PropTypes.arrayOf(
     PropTypes.shape({
       score: PropTypes.number.isRequired,
+      confidenceInterval: intervalShape,
+      momentum: momentumShape,
+      participation: PropTypes.shape({
+        rosterSize: PropTypes.number.isRequired,
+        responseCount: PropTypes.number.isRequired,
+        rate: PropTypes.number.isRequired,
+        low: PropTypes.bool,
+      }),
       timestamp: PropTypes.oneOfType([
         PropTypes.string,
         PropTypes.number,
         PropTypes.instanceOf(Date)
       ]).isRequired,
+      weekId: PropTypes.string,
+    })
+  ),
+  // Dimension averages per survey week, as from useRealtimeData (null while suppressed)
+  dimensionHistory: PropTypes.arrayOf(
+    PropTypes.shape({
+      dimensions: PropTypes.arrayOf(
+        PropTypes.shape({
+          name: PropTypes.string.isRequired,
+          average: PropTypes.number,
+          confidenceInterval: intervalShape,
+          momentum: momentumShape,
+        })
+      ),
+      timestamp: PropTypes.string,
+      weekId: PropTypes.string,
     })
   ),
   currentScore: PropTypes.number,
+  confidenceLevel: PropTypes.number,
+  // Output of forecastNextWeek() (summary.history.forecast)
+  forecast: PropTypes.shape({
+    startDate: PropTypes.string,
+    team: PropTypes.shape(projectionShape).isRequired,
+    dimensions: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string.isRequired, ...projectionShape })),
+  }),
 };
 
 export default TrendChart;
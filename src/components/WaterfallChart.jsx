@@ -0,0 +1,109 @@
+/**
+ * WaterfallChart Component
+ *
+ * One week's team score change split into per-dimension contributions
+ * (decomposeScoreChange() in utils/drivers.js). Pure SVG, one row per step:
+ * last week's score, each dimension's push up or down, the unexplained
+ * remainder, and this week's score.
+ */
+
+import PropTypes from 'prop-types';
+
+const WIDTH = 420;
+const ROW_HEIGHT = 22;
+const LABEL_WIDTH = 130;
+const VALUE_WIDTH = 44;
+const PADDING = 6;
+
+const formatChange = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+const WaterfallChart = ({ change } = {}) => {
+  if (!change) return null;
+
+  // Running total through each step
+  let running = change.previousScore;
+  const steps = [
+    { label: `Week of ${change.previousWeekId}`, start: 0, end: change.previousScore, total: true },
+    ...change.contributions
+      .filter(item => item.contribution !== null)
+      .map(item => {
+        const start = running;
+        running += item.contribution;
+        return {
+          label: item.name,
+          start,
+          end: running,
+          value: item.contribution,
+          title: `${item.name}: ${formatChange(item.change)} points × ${item.share}% weight = ${formatChange(item.contribution)}`
+        };
+      }),
+    ...(Math.abs(change.residual) >= 0.05 ? [{
+      label: 'Other',
+      start: running,
+      end: running + change.residual,
+      value: change.residual,
+      title: 'Not explained by the dimension averages: skipped answers, rounding or suppressed dimensions'
+    }] : []),
+    { label: `Week of ${change.weekId}`, start: 0, end: change.currentScore, total: true }
+  ];
+
+  // Zoom in on the range the steps move through, so small contributions stay visible
+  const values = steps.flatMap(step => step.total ? [step.end] : [step.start, step.end]);
+  const min = Math.max(0, Math.floor((Math.min(...values) - 5) / 5) * 5);
+  const max = Math.min(100, Math.ceil((Math.max(...values) + 5) / 5) * 5);
+  const chartWidth = WIDTH - LABEL_WIDTH - VALUE_WIDTH - PADDING * 2;
+  const toX = (value) => LABEL_WIDTH + PADDING + ((Math.min(max, Math.max(min, value)) - min) / (max - min)) * chartWidth;
+  const height = steps.length * ROW_HEIGHT + 20;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto">
+      {steps.map((step, index) => {
+        const y = index * ROW_HEIGHT;
+        const x1 = toX(step.total ? min : Math.min(step.start, step.end));
+        const x2 = toX(step.total ? step.end : Math.max(step.start, step.end));
+        const color = step.total ? '#6b7280' : step.value >= 0 ? '#10b981' : '#ef4444';
+
+        return (
+          <g key={`${step.label}-${index}`}>
+            <text x={LABEL_WIDTH} y={y + 15} textAnchor="end" style={{ fontSize: '10px' }} className="fill-gray-700">
+              {step.label}
+            </text>
+            <rect x={x1} y={y + 4} width={Math.max(1.5, x2 - x1)} height={ROW_HEIGHT - 8} fill={color} fillOpacity={step.total ? 0.5 : 0.85} rx="2">
+              <title>{step.title || `${step.label}: ${step.end.toFixed(1)}`}</title>
+            </rect>
+            {/* Connector to the next step */}
+            {index < steps.length - 1 && (
+              <line x1={toX(step.end)} y1={y + ROW_HEIGHT - 4} x2={toX(step.end)} y2={y + ROW_HEIGHT + 4} stroke="#9ca3af" strokeDasharray="2,2" />
+            )}
+            <text x={WIDTH - PADDING} y={y + 15} textAnchor="end" style={{ fontSize: '10px' }} className="fill-gray-600">
+              {step.total ? step.end.toFixed(1) : formatChange(step.value)}
+            </text>
+          </g>
+        );
+      })}
+
+      {/* Scale */}
+      <text x={toX(min)} y={height - 4} textAnchor="start" style={{ fontSize: '9px' }} className="fill-gray-400">{min}</text>
+      <text x={toX(max)} y={height - 4} textAnchor="end" style={{ fontSize: '9px' }} className="fill-gray-400">{max}</text>
+    </svg>
+  );
+};
+
+WaterfallChart.propTypes = {
+  change: PropTypes.shape({
+    weekId: PropTypes.string.isRequired,
+    previousWeekId: PropTypes.string.isRequired,
+    previousScore: PropTypes.number.isRequired,
+    currentScore: PropTypes.number.isRequired,
+    change: PropTypes.number.isRequired,
+    contributions: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      share: PropTypes.number,
+      change: PropTypes.number,
+      contribution: PropTypes.number,
+    })).isRequired,
+    residual: PropTypes.number.isRequired,
+  }),
+};
+
+export default WaterfallChart;
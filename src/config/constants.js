@@ -3,21 +3,75 @@
  *
  * MODULAR DESIGN: All thresholds, colors, and configuration in one place
  * TO MODIFY: Simply update values here to change behavior across the app
+ *
+ * NOTE: This module is also imported by the backend (through utils/), where
+ * import.meta.env does not exist - the defaults below apply there.
  */
 
+const env = import.meta.env || {};
+
 // Google Sheets Configuration
-export const GOOGLE_SHEET_ID = import.meta.env.VITE_GOOGLE_SHEET_ID || '13WmxejOq6Lm8xVffSzaXsbFnLkJ-A9a_KREEG0n73-I';
+export const GOOGLE_SHEET_ID = env.VITE_GOOGLE_SHEET_ID || '13WmxejOq6Lm8xVffSzaXsbFnLkJ-A9a_KREEG0n73-I';
 
 // Real-time update configuration
-export const POLLING_INTERVAL = parseInt(import.meta.env.VITE_POLLING_INTERVAL) || 5000; // 5 seconds
+// Polling is the fallback for live updates. A poll is one /api/summary request; only a poll
+// that finds changed scores also refetches the score drivers (plus three admin reports).
+// The backend allows 100 /api/ requests per 15 minutes per IP: at the 15 second minimum
+// unchanged polls use 60, leaving the rest for page loads, changes and sign-in
+const pollingInterval = parseInt(env.VITE_POLLING_INTERVAL, 10);
+export const POLLING_INTERVAL = pollingInterval >= 15000 ? pollingInterval : 30000; // 30 seconds
+
+// Survey week configuration
+// TO MODIFY: Set the day survey weeks start on and the timezone used to bucket responses
+const weekStartDay = parseInt(env.VITE_WEEK_START_DAY, 10);
+export const SURVEY_WEEK_CONFIG = {
+  WEEK_START_DAY: weekStartDay >= 0 && weekStartDay <= 6 ? weekStartDay : 1, // 0 = Sunday, 1 = Monday, ... 6 = Saturday
+  TIMEZONE: env.VITE_SURVEY_TIMEZONE || 'UTC'                                // IANA timezone, e.g. 'America/Toronto'
+};
+
+// Minimum-response suppression (k-anonymity)
+// TO MODIFY: Weeks or dimensions with fewer responses than this show "insufficient responses"
+// instead of a score and are left out of trends and AI analysis (backend reads the same variable)
+const minResponses = parseInt(env.VITE_MIN_RESPONSES, 10);
+export const SUPPRESSION_CONFIG = {
+  MIN_RESPONSES: minResponses >= 1 ? minResponses : 5
+};
+
+// Participation against the team roster (roster size is a team setting)
+// TO MODIFY: Response rate (0-1) below which a week's scores carry a low-participation warning
+// (backend reads the same variable)
+const participationWarning = parseFloat(env.VITE_PARTICIPATION_WARNING);
+export const PARTICIPATION_CONFIG = {
+  WARNING_RATE: participationWarning > 0 && participationWarning <= 1 ? participationWarning : 0.6
+};
+
+// Statistical estimates
+// TO MODIFY: Confidence level of the intervals shown around weekly scores, and the significance
+// level a week-over-week change must reach to get an arrow (any values between 0 and 1;
+// backend reads the same variables)
+const confidenceLevel = parseFloat(env.VITE_CONFIDENCE_LEVEL);
+const significanceLevel = parseFloat(env.VITE_SIGNIFICANCE_LEVEL);
+export const STATS_CONFIG = {
+  CONFIDENCE_LEVEL: confidenceLevel > 0 && confidenceLevel < 1 ? confidenceLevel : 0.95,
+  SIGNIFICANCE_LEVEL: significanceLevel > 0 && significanceLevel < 1 ? significanceLevel : 0.05 // p-value cut-off
+};
 
 // Score thresholds (0-100 scale)
 // TO MODIFY: Adjust these values to change when colors change
 export const THRESHOLDS = {
-  HIGH: parseInt(import.meta.env.VITE_THRESHOLD_HIGH) || 80,    // Green if score >= 80
-  MEDIUM: parseInt(import.meta.env.VITE_THRESHOLD_MEDIUM) || 60 // Orange if score >= 60, Red if < 60
+  HIGH: parseInt(env.VITE_THRESHOLD_HIGH) || 80,    // Green if score >= 80
+  MEDIUM: parseInt(env.VITE_THRESHOLD_MEDIUM) || 60 // Orange if score >= 60, Red if < 60
 };
 
+// Chemistry tiers shown on the dashboard and used by the Chemistry vs Performance view
+// TO MODIFY: Adjust the lower bound (min) of each tier, highest first
+export const CHEMISTRY_TIERS = [
+  { key: 'elite', label: 'ELITE', min: 80, range: '80-100', color: '#10b981' },                // Bright Green
+  { key: 'above-average', label: 'ABOVE AVERAGE', min: 70, range: '70-79', color: '#059669' }, // Dark Green
+  { key: 'average', label: 'AVERAGE', min: 60, range: '60-69', color: '#f59e0b' },             // Orange
+  { key: 'below-average', label: 'BELOW AVERAGE', min: 0, range: '0-59', color: '#ef4444' }    // Red
+];
+
 // Color scheme for chemistry scores
 // TO MODIFY: Change colors to match your brand or preferences
 export const COLORS = {
@@ -28,10 +82,43 @@ export const COLORS = {
 };
 
 // Trend configuration
-// TO MODIFY: Adjust sensitivity of trend detection
+// Trend arrows follow the significance test (STATS_CONFIG.SIGNIFICANCE_LEVEL), not a point threshold
+// TO MODIFY: Change the rolling-average windows (in reported survey weeks) and EWMA smoothing
 export const TREND_CONFIG = {
-  THRESHOLD: 0.5, // Minimum point change to show trend (±0.5 points)
-  LOOKBACK_PERIODS: 2 // How many previous data points to compare
+  LOOKBACK_PERIODS: {
+    SHORT: 3, // Short rolling average (momentum flags when it crosses the long one)
+    LONG: 6   // Long rolling average
+  },
+  EWMA_ALPHA: 0.3, // Weight of the newest week in the exponentially weighted moving average (0-1)
+  FORECAST: {
+    ALPHA: 0.5,   // Holt's level smoothing (0-1): higher follows the latest week more closely
+    BETA: 0.3,    // Holt's trend smoothing (0-1)
+    MIN_WEEKS: 4  // Reported weeks needed before the next week is forecast
+  }
+};
+
+// Within-team agreement per dimension (0-1, see calculateAgreementIndex())
+// TO MODIFY: Change where the consensus badge switches and the low-agreement alert fires
+export const AGREEMENT_CONFIG = {
+  STRONG: 0.7, // index >= 0.7: the team broadly agrees ("Consensus")
+  LOW: 0.5     // index < 0.5: the team is split ("Split", low-agreement alert)
+};
+
+// Careless-response detection (see utils/responseQuality.js)
+// TO MODIFY: A response is flagged once its points reach FLAG_SCORE; with the defaults,
+// straight-lining or speeding flags on its own, the weaker signals only in combination
+export const RESPONSE_QUALITY_CONFIG = {
+  MIN_ITEMS: 4,                 // Fewer answered ratings than this are not checked for patterns
+  LOW_VARIANCE: 0.08,           // SD of the answers as a share of the scale (about 0.5 points on 1-7)
+  EXTREME_SCORE: 85,            // Mean score >= 85 with negative open text (or <= 15 with positive) is a mismatch
+  MIN_SECONDS_PER_ITEM: 2,      // Faster than this per answered rating is a speeder
+  POINTS: {
+    'straight-lining': 2,       // Same answer on every rating
+    'speeder': 2,               // Completed implausibly fast (needs a duration column)
+    'low-variance': 1,          // Nearly the same answer everywhere
+    'text-mismatch': 1          // Ratings at one extreme, open text reading the other way
+  },
+  FLAG_SCORE: 2
 };
 
 // UI Configuration
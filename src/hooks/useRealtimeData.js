@@ -1,31 +1,74 @@
 /**
  * useRealtimeData Hook
  *
- * Custom React hook for real-time data updates with polling
- * Automatically fetches data at regular intervals
+ * Custom React hook for real-time data updates
+ *
+ * `summary` (GET /api/summary) holds the server-computed aggregates: the
+ * latest week's team and dimension scores with confidence intervals and
+ * response counts, and the season history behind scoreHistory /
+ * dimensionHistory. Individual responses are never fetched: every figure the
+ * dashboard shows comes from the server-side aggregates.
+ *
+ * scoreHistory entries carry the week's team confidence interval (null with
+ * fewer than 2 responses) and its `participation` against the team roster
+ * (null while no roster size is set). Weeks suppressed for having too few responses are
+ * left out of scoreHistory; their dimensions appear in dimensionHistory with null averages.
+ *
+ * LIVE UPDATES:
+ * - Subscribes to GET /api/stream (Server-Sent Events); the backend pushes
+ *   new season aggregates whenever survey responses change
+ * - While the stream is unavailable (no EventSource, connection errors),
+ *   falls back to polling GET /api/summary every POLLING_INTERVAL
+ * - `historyVersion` only changes with the season history, so panels keyed
+ *   on it refetch when scores change rather than on every poll or push
+ * - Streams that drop and reconnect (every few seconds on Vercel) do not
+ *   start polling; only a reconnect that fails or takes longer than
+ *   STREAM_RECONNECT_GRACE_MS does
  *
  * TO MODIFY UPDATE MECHANISM:
- * - Change POLLING_INTERVAL in config/constants.js
- * - Or replace polling with WebSocket/Server-Sent Events
+ * - Change POLLING_INTERVAL in config/constants.js (fallback only)
+ * - Change NGAUGE_STREAM_INTERVAL_MS on the backend (how often it checks for new rows)
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { getChemistryData } from '../services/dataService';
-import { calculateTeamAverage, calculateDimensionAverages } from '../utils/calculations';
+import { fetchSummary, subscribeToAggregates } from '../services/dataService';
+import { POLLING_INTERVAL } from '../config/constants';
 
-const MAX_HISTORY_LENGTH = 10; // Keep last 10 data points
+// How long a dropped stream may take to reconnect before polling starts
+const STREAM_RECONNECT_GRACE_MS = 10000;
+
+/**
+ * Short fingerprint (FNV-1a) of the season history, so views that load their
+ * own data only refetch when the scores actually change
+ * @private
+ */
+function fingerprintHistory(history) {
+  const text = JSON.stringify(history);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
 
 export function useRealtimeData() {
-  const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
-  const [scoreHistory, setScoreHistory] = useState([]); // Track historical team scores
-  const [dimensionHistory, setDimensionHistory] = useState([]); // Track historical dimension scores
+  const [currentWeek, setCurrentWeek] = useState(null); // Latest survey week { weekId, startDate, endDate, responseCount, participation }
+  const [summary, setSummary] = useState(null); // Server-computed aggregates (from /api/summary)
+  const [privacyMode, setPrivacyMode] = useState(false); // Backend privacy mode (open text and roster details withheld)
+  const [scoreHistory, setScoreHistory] = useState([]); // Team score per survey week
+  const [dimensionHistory, setDimensionHistory] = useState([]); // Dimension averages per survey week
+  const [seasonAverage, setSeasonAverage] = useState(null); // Mean of the weekly team scores
+  const [dimensionNames, setDimensionNames] = useState(null); // Dimension order from the survey schema
+  const [historyVersion, setHistoryVersion] = useState(null); // Changes only when the season history does
+  const [updateMode, setUpdateMode] = useState('connecting'); // 'live' (SSE) | 'polling' | 'connecting'
   const intervalRef = useRef(null);
 
-  // Store previous data for trend calculation
-  const previousDataRef = useRef({});
+  // Version of the last pushed aggregates, so unchanged pushes are ignored
+  const pushedVersionRef = useRef(null);
 
   /**
    * Fetch data from the service
@@ -34,51 +77,39 @@ export function useRealtimeData() {
     try {
       setError(null);
 
-      // Fetch weekly data
-      const newData = await getChemistryData();
-
-      // Store previous scores for trend calculation
-      data.forEach(player => {
-        if (player.id && player.scores) {
-          const avgScore = player.scores.reduce((sum, s) => sum + s, 0) / player.scores.length;
-          previousDataRef.current[player.id] = avgScore;
-        }
-      });
-
-      // Calculate team average and dimension averages, add to history
-      if (newData.length > 0) {
-        const teamAvg = calculateTeamAverage(newData);
-        const dimensionAvgs = calculateDimensionAverages(newData);
-        const timestamp = new Date();
-
-        // Update team score history
-        setScoreHistory(prevHistory => {
-          const newHistory = [
-            ...prevHistory,
-            { score: teamAvg, timestamp }
-          ];
-
-          // Keep only the last MAX_HISTORY_LENGTH items
-          const trimmedHistory = newHistory.slice(-MAX_HISTORY_LENGTH);
-          console.log(`Score history updated: ${trimmedHistory.length} entries, latest score: ${teamAvg.toFixed(1)}`);
-          return trimmedHistory;
-        });
-
-        // Update dimension history
-        setDimensionHistory(prevHistory => {
-          const newHistory = [
-            ...prevHistory,
-            { dimensions: dimensionAvgs, timestamp }
-          ];
-
-          // Keep only the last MAX_HISTORY_LENGTH items
-          return newHistory.slice(-MAX_HISTORY_LENGTH);
-        });
-      } else {
-        console.warn('No weekly data found - scoreHistory not updated');
-      }
-
-      setData(newData);
+      // Aggregates always come from the server (one request)
+      const newSummary = await fetchSummary();
+      const { history } = newSummary;
+
+      // Trends come from the stored responses of every survey week, not from page refreshes
+      setScoreHistory(history.weeks.filter(week => !week.suppressed).map(week => ({
+        score: week.teamScore,
+        confidenceInterval: week.teamConfidenceInterval,
+        momentum: week.teamMomentum, // Rolling averages and EWMA up to this week
+        participation: week.participation, // Response rate against the roster
+        timestamp: week.startDate,
+        weekId: week.weekId
+      })));
+      setDimensionHistory(history.weeks.map(week => ({
+        dimensions: week.dimensions,
+        timestamp: week.startDate,
+        weekId: week.weekId
+      })));
+      setSeasonAverage(history.seasonAverage);
+      console.log(`Season history loaded: ${history.weeks.length} week(s), latest week ${history.latestWeekId} with ${newSummary.currentWeek?.responseCount || 0} response(s)`);
+
+      setCurrentWeek(newSummary.currentWeek ? {
+        weekId: newSummary.currentWeek.weekId,
+        startDate: newSummary.currentWeek.startDate,
+        endDate: newSummary.currentWeek.endDate,
+        responseCount: newSummary.currentWeek.responseCount,
+        participation: newSummary.currentWeek.participation
+      } : null);
+
+      setSummary(newSummary);
+      setHistoryVersion(fingerprintHistory(history));
+      setPrivacyMode(newSummary.privacyMode);
+      setDimensionNames(newSummary.dimensionNames);
       setLastUpdated(new Date());
       setLoading(false);
     } catch (err) {
@@ -88,12 +119,9 @@ export function useRealtimeData() {
     }
   };
 
-  /**
-   * Get previous score for a player (for trend calculation)
-   */
-  const getPreviousScore = (playerId) => {
-    return previousDataRef.current[playerId] || null;
-  };
+  // Timers and the stream outlive renders; always call the latest fetchData
+  const fetchDataRef = useRef(fetchData);
+  fetchDataRef.current = fetchData;
 
   /**
    * Manual refresh function
@@ -104,47 +132,102 @@ export function useRealtimeData() {
   };
 
   /**
-   * Automatic data loading on mount
+   * Initial load, live subscription and polling fallback
    */
   useEffect(() => {
     // Automatically fetch data when component mounts
-    fetchData();
+    fetchDataRef.current();
 
-    // Cleanup on unmount
-    return () => {
+    const startPolling = () => {
+      if (!intervalRef.current) {
+        console.log(`Live updates unavailable - polling every ${POLLING_INTERVAL / 1000}s`);
+        intervalRef.current = setInterval(() => fetchDataRef.current(), POLLING_INTERVAL);
+      }
+      setUpdateMode('polling');
+    };
+
+    const stopPolling = () => {
       if (intervalRef.current) {
         clearInterval(intervalRef.current);
+        intervalRef.current = null;
+      }
+    };
+
+    let reconnectTimer = null;
+    const clearReconnectTimer = () => {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    };
+
+    const unsubscribe = subscribeToAggregates({
+      onOpen: () => {
+        clearReconnectTimer();
+        stopPolling();
+        setUpdateMode('live');
+      },
+      onAggregates: (aggregates) => {
+        // The first push after (re)connecting repeats what we already show
+        if (aggregates.version === pushedVersionRef.current) return;
+        const isFirstPush = pushedVersionRef.current === null;
+        pushedVersionRef.current = aggregates.version;
+
+        if (!isFirstPush) {
+          console.log(`New survey responses pushed (${aggregates.rowCount} total) - updating dashboard`);
+          fetchDataRef.current();
+        }
+      },
+      // Poll once the browser gives up or is slow to reconnect; stops again on reconnect
+      onError: (closed) => {
+        if (closed) {
+          clearReconnectTimer();
+          startPolling();
+        } else if (!reconnectTimer && !intervalRef.current) {
+          reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            startPolling();
+          }, STREAM_RECONNECT_GRACE_MS);
+        }
       }
+    });
+
+    if (!unsubscribe) {
+      startPolling();
+    }
+
+    // Cleanup on unmount
+    return () => {
+      if (unsubscribe) unsubscribe();
+      clearReconnectTimer();
+      stopPolling();
     };
   }, []); // Empty dependency array - only run on mount/unmount
 
   return {
-    data,
     loading,
     error,
     lastUpdated,
     refresh,
-    getPreviousScore,
+    currentWeek,        // Latest survey week { weekId, startDate, endDate, responseCount }
+    summary,            // Server-computed aggregates for the latest week and the season
+    privacyMode,        // Backend privacy mode: open text and roster details are withheld
     scoreHistory,
-    dimensionHistory    // Historical dimension scores for trend calculation
+    dimensionHistory,   // Historical dimension scores for trend calculation
+    seasonAverage,
+    dimensionNames,     // Dimension names declared by the survey schema
+    historyVersion,     // Fingerprint of the season history - a refresh key for panels with their own data
+    updateMode          // How the dashboard is kept current: 'live', 'polling' or 'connecting'
   };
 }
 
 /**
  * FUTURE ENHANCEMENTS:
  *
- * 1. WebSocket Support:
- *    Replace polling with WebSocket connection for true real-time updates
- *
- * 2. Optimistic Updates:
+ * 1. Optimistic Updates:
  *    Update UI immediately before server confirmation
  *
- * 3. Retry Logic:
+ * 2. Retry Logic:
  *    Automatic retry with exponential backoff on errors
  *
- * 4. Data Caching:
+ * 3. Data Caching:
  *    Cache data in localStorage to reduce API calls
- *
- * 5. Change Detection:
- *    Only update state if data actually changed
  */
@@ -7,6 +7,7 @@
  * - Check authentication status
  * - Logout functionality
  * - Automatic backend URL detection (dev vs production)
+ * - Session-expiry signal for protected API calls (see handleUnauthorized)
  */
 
 // In production (Vercel), VITE_BACKEND_URL should be empty to use relative URLs
@@ -15,9 +16,41 @@ const BACKEND_URL = import.meta.env.VITE_BACKEND_URL !== undefined
   ? import.meta.env.VITE_BACKEND_URL
   : (import.meta.env.DEV ? 'http://localhost:3002' : '');
 
+/**
+ * Error code sent by the backend auth guard (api/_lib/auth.js) in every 401 body
+ */
+export const AUTH_REQUIRED_CODE = 'AUTH_REQUIRED';
+
+/**
+ * Window event fired when a protected API call is rejected
+ * App listens for it and returns the user to the PasswordGate
+ */
+export const SESSION_EXPIRED_EVENT = 'ngauge:session-expired';
+
+/**
+ * Check a failed API response for the auth guard's 401 shape
+ * If the session is gone, notify the app and throw so callers stop processing
+ *
+ * @param {Response} response - fetch Response
+ * @param {object} errorData - Parsed JSON error body (may be empty)
+ * @throws {Error} with code AUTH_REQUIRED when the session is missing or expired
+ */
+export function handleUnauthorized(response, errorData = {}) {
+  if (response.status !== 401 || errorData.code !== AUTH_REQUIRED_CODE) {
+    return;
+  }
+
+  console.warn('Session expired or missing - returning to password gate');
+  window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+
+  const error = new Error(errorData.message || 'Authentication required');
+  error.code = AUTH_REQUIRED_CODE;
+  throw error;
+}
+
 /**
  * Check if user has valid session
- * @returns {Promise<{authenticated: boolean, expiresAt?: number, remainingTime?: number}>}
+ * @returns {Promise<{authenticated: boolean, role?: 'staff'|'admin', expiresAt?: number, remainingTime?: number}>}
  */
 export async function checkAuthStatus() {
   try {
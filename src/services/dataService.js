@@ -19,7 +19,49 @@
  * - CSV file: Use PapaParse or similar
  */
 
-import { GOOGLE_SHEET_ID } from '../config/constants.js';
+import { GOOGLE_SHEET_ID, SURVEY_WEEK_CONFIG, SUPPRESSION_CONFIG, STATS_CONFIG, PARTICIPATION_CONFIG } from '../config/constants.js';
+import { handleUnauthorized, AUTH_REQUIRED_CODE } from './authService.js';
+import { groupResponsesByWeek } from '../utils/surveyWeeks.js';
+import { transformData, DEFAULT_IMPUTATION_POLICY } from '../utils/surveyResponses.js';
+import { buildSeasonHistory } from '../utils/seasonHistory.js';
+import { getDimensionNames } from '../utils/surveySchema.js';
+
+// transformData lives in utils/ so the backend can reuse it; re-exported to keep this interface intact
+export { transformData };
+
+/**
+ * Base URL of the backend API
+ * In production (Vercel), VITE_BACKEND_URL should be empty to use relative URLs
+ * In development, it should be 'http://localhost:3002'
+ * @private
+ */
+function getBackendUrl() {
+  return import.meta.env.VITE_BACKEND_URL !== undefined
+    ? import.meta.env.VITE_BACKEND_URL
+    : (import.meta.env.DEV ? 'http://localhost:3002' : '');
+}
+
+/**
+ * GET a backend route with the session cookie
+ *
+ * @param {string} path - Route path, e.g. '/api/summary'
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {Error} With the backend's message (code AUTH_REQUIRED_CODE when the session has expired)
+ * @private
+ */
+async function apiGet(path) {
+  const response = await fetch(`${getBackendUrl()}${path}`, {
+    credentials: 'include', // Session cookie is required by the backend
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    handleUnauthorized(response, errorData);
+    throw new Error(errorData.message || `API error: ${response.status}`);
+  }
+
+  return response.json();
+}
 
 /**
  * Fetches raw data from Google Sheets
@@ -31,30 +73,17 @@ import { GOOGLE_SHEET_ID } from '../config/constants.js';
  */
 export async function fetchSheetData() {
   try {
-    // Using backend API proxy with service account authentication
-    // In production (Vercel), VITE_BACKEND_URL should be empty to use relative URLs
-    // In development, it should be 'http://localhost:3002'
-    const backendUrl = import.meta.env.VITE_BACKEND_URL !== undefined
-      ? import.meta.env.VITE_BACKEND_URL
-      : (import.meta.env.DEV ? 'http://localhost:3002' : '');
-    const url = `${backendUrl}/api/sheets`;
-
-    console.log('Fetching data from backend API:', url);
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `API error: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await apiGet('/api/sheets');
     console.log('Data fetched successfully:', data.rowCount, 'rows');
 
     return data.values || [];
 
   } catch (error) {
     console.error('Error fetching sheet data:', error);
+    // Never mask an expired session with mock data
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
     // Fallback to mock data in development
     if (import.meta.env.DEV) {
       console.warn('Backend unavailable, using mock data for development');
@@ -65,111 +94,290 @@ export async function fetchSheetData() {
 }
 
 /**
- * Transforms raw sheet data into structured player data
- *
- * EXPECTED SHEET FORMAT:
- * Row 1: Headers (Question1, Question2, Question3, ...)
- * Row 2+: Player data (PlayerName, score1, score2, score3, ...)
- *
- * @param {Array} rawData - 2D array from Google Sheets
- * @returns {Array<Object>} Structured player objects
+ * Fetches the survey schema (column roles, dimension names, scales)
+ * served by the backend from config/survey-schema.json
  *
- * TO MODIFY:
- * - Change this function if your data structure is different
- * - The output format should remain consistent for components to work
+ * @returns {Promise<Object>} Survey schema
  */
-export function transformData(rawData) {
-  if (!rawData || rawData.length < 2) {
-    console.warn('Insufficient data to transform');
-    return [];
+export async function fetchSurveySchema() {
+  try {
+    const data = await apiGet('/api/schema');
+    return data.schema;
+
+  } catch (error) {
+    console.error('Error fetching survey schema:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    // Use the checked-in schema in development (loaded lazily so it stays out of the production bundle)
+    if (import.meta.env.DEV) {
+      console.warn('Backend unavailable, using config/survey-schema.json for development');
+      const schemaModule = await import('../../config/survey-schema.json');
+      return schemaModule.default;
+    }
+    throw error;
   }
+}
 
-  // First row contains headers
-  const headers = rawData[0];
-  const playerRows = rawData.slice(1);
-
-  // WEEKLY SHEET COLUMN STRUCTURE:
-  // Column 0: Timestamp
-  // Column 1: Q1 - How do you feel the week went? (text - CAPTURE for AI analysis)
-  // Column 2: Q2 - Collective Efficacy (1-10)
-  // Column 3: Q3 - Task Cohesion (1-10)
-  // Column 4: Q4 - Role clarity (1-10)
-  // Column 5: Q5 - Trust between teammates (1-10)
-  // Column 6: Q6 - Psychological safety (1-10)
-  // Column 7: Q7 - Feedback openness (1-10)
-  // Column 8: Q8 - Energy/commitment (1-10)
-  // Column 9: Q9 - Additional comments (text - CAPTURE for AI analysis)
-
-  const numericColumns = [2, 3, 4, 5, 6, 7, 8]; // Indices for the 7 chemistry dimensions
-
-  return playerRows.map((row, index) => {
-    // Use "Response #" instead of player name since we have timestamps, not player IDs
-    const playerName = `Response ${index + 1}`;
-    const timestamp = row[0] || '';
-
-    const scores = numericColumns.map(colIndex => {
-      const value = row[colIndex];
-      const parsed = parseFloat(value);
-
-      // Convert 1-7 scale to 0-100 scale
-      // Formula: (score - 1) / (7 - 1) * 100 = (score - 1) / 6 * 100
-      // This makes 1 = 0%, 4 = 50%, 7 = 100%
-      if (!isNaN(parsed) && parsed >= 1 && parsed <= 7) {
-        return ((parsed - 1) / 6) * 100;
-      }
-
-      // If already in 0-100 range, keep it
-      if (!isNaN(parsed) && parsed >= 0 && parsed <= 100) {
-        return parsed;
-      }
-
-      return 0;
-    });
+/**
+ * Main function to get processed data
+ * This is the primary function components should use
+ *
+ * Columns are interpreted with the survey schema, which is validated against
+ * the sheet header row here (a mismatch throws with code SURVEY_SCHEMA_MISMATCH).
+ * Responses are bucketed into survey weeks by their Timestamp column
+ * (see utils/surveyWeeks.js and SURVEY_WEEK_CONFIG)
+ *
+ * @returns {Promise<Object>} Weekly series:
+ *   { weeks: { [weekId]: { weekId, startDate, endDate, responseCount, responses } },
+ *     weekIds: string[] (oldest first), latestWeekId: string|null, undatedCount: number,
+ *     schema: Object, dimensionNames: string[] }
+ */
+export async function getChemistryData() {
+  const [rawData, schema] = await Promise.all([
+    fetchSheetData(),
+    fetchSurveySchema()
+  ]);
+  const responses = transformData(rawData, schema);
+
+  return {
+    ...groupResponsesByWeek(responses, {
+      weekStartDay: SURVEY_WEEK_CONFIG.WEEK_START_DAY,
+      timeZone: SURVEY_WEEK_CONFIG.TIMEZONE
+    }),
+    schema,
+    dimensionNames: getDimensionNames(schema)
+  };
+}
 
-    // Hardcoded dimension names for FINDINGS section (cleaner than full question text)
-    const questions = [
-      'Collective Efficacy',      // Q2
-      'Task Cohesion',            // Q3
-      'Role Clarity',             // Q4
-      'Trust',                    // Q5
-      'Psychological Safety',     // Q6
-      'Communication Quality',    // Q7
-      'Energy/Motivation'         // Q8
-    ];
-
-    // Create question-score pairs
-    const responses = questions.map((question, idx) => ({
-      question,
-      score: scores[idx] || 0
-    }));
-
-    // Capture open-ended text answers for AI analysis
-    const question1Answer = row[1] || '';  // How do you feel the week went?
-    const question9Answer = row[9] || '';  // Additional comments
+/**
+ * Fetches the dashboard summary computed by the backend (GET /api/summary):
+ * latest week and season aggregates with confidence intervals and response
+ * counts, plus the latest analysed text. In privacy mode this is the only
+ * survey data the browser receives.
+ *
+ * @returns {Promise<Object>} { privacyMode, dimensionNames, minResponses, confidenceLevel, significanceLevel,
+ *                              weights, imputationPolicy, excludeFlaggedResponses, roster, rosterNames (admin sessions only),
+ *                              rosterNameCount, minParticipation, analysisMode,
+ *                              currentWeek,
+ *                              history: { weeks, seasonAverage, latestWeekId, forecast }, analysedText }
+ */
+export async function fetchSummary() {
+  try {
+    const data = await apiGet('/api/summary');
+    console.log('Team summary fetched:', data.history?.weeks?.length || 0, 'week(s)', data.privacyMode ? '(privacy mode)' : '');
 
     return {
-      id: `response-${index}`,
-      name: playerName,
-      timestamp,
-      scores,
-      responses,
-      questions,  // Use actual question headers from the sheet
-      question1Answer,  // Open-ended text from column 1
-      question7Answer: question9Answer,  // Open-ended text from column 9 (renamed for compatibility)
-      rawData: row
+      privacyMode: data.privacyMode === true,
+      dimensionNames: data.dimensionNames || null,
+      minResponses: data.minResponses ?? SUPPRESSION_CONFIG.MIN_RESPONSES,
+      confidenceLevel: data.confidenceLevel ?? STATS_CONFIG.CONFIDENCE_LEVEL,
+      significanceLevel: data.significanceLevel ?? STATS_CONFIG.SIGNIFICANCE_LEVEL,
+      weights: data.weights || [],
+      imputationPolicy: data.imputationPolicy || DEFAULT_IMPUTATION_POLICY,
+      excludeFlaggedResponses: data.excludeFlaggedResponses === true,
+      roster: data.roster || { size: null, positionGroups: {} },
+      rosterNames: data.rosterNames || [],
+      rosterNameCount: data.rosterNameCount ?? 0,
+      minParticipation: data.minParticipation ?? PARTICIPATION_CONFIG.WARNING_RATE,
+      analysisMode: data.analysisMode || 'ai',
+      currentWeek: data.currentWeek || null,
+      history: {
+        weeks: data.history?.weeks || [],
+        seasonAverage: data.history?.seasonAverage ?? null,
+        latestWeekId: data.history?.latestWeekId || null,
+        forecast: data.history?.forecast || null
+      },
+      analysedText: data.analysedText || { scoreExplanation: null, thingsToLookOutFor: null }
     };
-  });
+
+  } catch (error) {
+    console.error('Error fetching team summary:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    // Compute from the (mock) weekly series in development
+    if (import.meta.env.DEV) {
+      console.warn('Backend unavailable, computing team summary locally for development');
+      const series = await getChemistryData();
+      const history = buildSeasonHistory(series, series.dimensionNames, {
+        minResponses: SUPPRESSION_CONFIG.MIN_RESPONSES,
+        confidenceLevel: STATS_CONFIG.CONFIDENCE_LEVEL,
+        significanceLevel: STATS_CONFIG.SIGNIFICANCE_LEVEL
+      });
+      return {
+        privacyMode: false,
+        dimensionNames: series.dimensionNames,
+        minResponses: history.minResponses,
+        confidenceLevel: history.confidenceLevel,
+        significanceLevel: history.significanceLevel,
+        weights: history.weights,
+        imputationPolicy: DEFAULT_IMPUTATION_POLICY,
+        excludeFlaggedResponses: false,
+        roster: { size: null, positionGroups: {} },
+        rosterNames: [],
+        rosterNameCount: 0,
+        minParticipation: PARTICIPATION_CONFIG.WARNING_RATE,
+        analysisMode: 'ai',
+        currentWeek: history.weeks.find(week => week.weekId === history.latestWeekId) || null,
+        history,
+        analysedText: { scoreExplanation: null, thingsToLookOutFor: null }
+      };
+    }
+    throw error;
+  }
 }
 
 /**
- * Main function to get processed data
- * This is the primary function components should use
+ * Fetches the Chemistry vs Performance analysis (GET /api/performance):
+ * correlations, win rate by chemistry tier, margins around the season
+ * median and the scatter-plot points, each with its sample size
  *
- * @returns {Promise<Array>} Transformed player data
+ * @returns {Promise<Object|null>} Analysis (see utils/performance.js), or null if unavailable
  */
-export async function getChemistryData() {
-  const rawData = await fetchSheetData();
-  return transformData(rawData);
+export async function fetchPerformanceAnalysis() {
+  try {
+    const data = await apiGet('/api/performance');
+    console.log('Performance analysis fetched:', data.gameCount, 'game(s)');
+
+    return data;
+
+  } catch (error) {
+    console.error('Error fetching performance analysis:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    // The view is optional - the dashboard works without it
+    return null;
+  }
+}
+
+/**
+ * Fetches the driver analysis (GET /api/drivers): inter-dimension
+ * correlation matrices across responses and weeks, and each week's score
+ * change split into per-dimension contributions
+ *
+ * @returns {Promise<Object|null>} Analysis (see utils/drivers.js), or null if unavailable
+ */
+export async function fetchDriverAnalysis() {
+  try {
+    const data = await apiGet('/api/drivers');
+    console.log('Driver analysis fetched:', data.weekCount, 'week(s)');
+
+    return data;
+
+  } catch (error) {
+    console.error('Error fetching driver analysis:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    // The view is optional - the dashboard works without it
+    return null;
+  }
+}
+
+/**
+ * Fetches the survey reliability diagnostics (GET /api/reliability, admin only):
+ * Cronbach's alpha, item-total correlations and alpha if item deleted, for
+ * the season and each survey week
+ *
+ * @returns {Promise<Object|null>} Report (see utils/psychometrics.js), or null if unavailable
+ *                                 (including staff sessions, which get a 403)
+ */
+export async function fetchReliabilityDiagnostics() {
+  try {
+    const data = await apiGet('/api/reliability');
+    console.log('Reliability diagnostics fetched: season alpha', data.season?.alpha);
+
+    return data;
+
+  } catch (error) {
+    console.error('Error fetching reliability diagnostics:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Fetches the data-quality report (GET /api/data-quality, admin only):
+ * rejected rows and rating cells with the reason, and each dimension's valid-n
+ *
+ * @returns {Promise<Object|null>} Report (see buildDataQualityReport() in utils/surveyResponses.js),
+ *                                 or null if unavailable (including staff sessions, which get a 403)
+ */
+export async function fetchDataQualityReport() {
+  try {
+    const data = await apiGet('/api/data-quality');
+    console.log('Data-quality report fetched:', data.rejectedRows?.length || 0, 'rejected row(s)');
+
+    return data;
+
+  } catch (error) {
+    console.error('Error fetching data-quality report:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Fetches the careless-response review (GET /api/response-quality, admin only):
+ * responses flagged for straight-lining, low variance, contradicting open text
+ * or speeding, with per-week counts (counts only in privacy mode)
+ *
+ * @returns {Promise<Object|null>} Review (see buildResponseQualityReport() in utils/responseQuality.js),
+ *                                 or null if unavailable (including staff sessions, which get a 403)
+ */
+export async function fetchResponseQualityReport() {
+  try {
+    const data = await apiGet('/api/response-quality');
+    console.log('Response-quality review fetched:', data.flaggedCount, 'flagged response(s)');
+
+    return data;
+
+  } catch (error) {
+    console.error('Error fetching response-quality review:', error);
+    if (error.code === AUTH_REQUIRED_CODE) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Subscribes to live season aggregates pushed by the backend (GET /api/stream, SSE)
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onAggregates - Called with each pushed payload
+ *                                           ({ version, rowCount, weeks, seasonAverage, latestWeekId })
+ * @param {Function} handlers.onOpen - Called when the stream (re)connects
+ * @param {Function} handlers.onError - Called on connection errors with `closed`
+ *                                      (true once the browser has given up reconnecting)
+ * @returns {Function|null} Unsubscribe function, or null if SSE is not supported
+ */
+export function subscribeToAggregates({ onAggregates, onOpen, onError }) {
+  if (typeof EventSource === 'undefined') {
+    return null;
+  }
+
+  // withCredentials sends the session cookie, which the backend requires
+  const source = new EventSource(`${getBackendUrl()}/api/stream`, { withCredentials: true });
+
+  source.addEventListener('aggregates', (event) => {
+    try {
+      onAggregates(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Error handling pushed aggregates:', error);
+    }
+  });
+
+  source.onopen = () => onOpen?.();
+  source.onerror = () => onError?.(source.readyState === EventSource.CLOSED);
+
+  return () => source.close();
 }
 
 /**
@@ -178,14 +386,15 @@ export async function getChemistryData() {
  */
 function getMockData() {
   return [
-    // Headers
-    ['Player', 'Team Communication', 'Trust Level', 'Conflict Resolution', 'Shared Goals', 'Support'],
-    // Player data
-    ['John Smith', '85', '92', '78', '88', '90'],
-    ['Sarah Johnson', '75', '80', '85', '72', '78'],
-    ['Mike Williams', '90', '88', '92', '95', '91'],
-    ['Emily Davis', '65', '70', '68', '75', '72'],
-    ['Chris Brown', '88', '85', '90', '87', '89']
+    // Headers (same layout as the Weekly-Chemistry tab)
+    ['Timestamp', 'How do you feel the week went?', 'Q2', 'Q3', 'Q4', 'Q5', 'Q6', 'Q7', 'Q8', 'Additional comments'],
+    // Two weeks of responses (1-7 scale)
+    ['10/7/2025 19:02:11', 'Tough week, lots of travel', '5', '4', '5', '6', '5', '4', '4', ''],
+    ['10/7/2025 19:15:40', 'Good practices', '6', '5', '6', '6', '6', '5', '6', 'Need more film sessions'],
+    ['10/8/2025 08:45:03', 'Okay', '4', '4', '5', '5', '4', '4', '5', ''],
+    ['10/14/2025 18:32:10', 'Great energy after the win', '6', '6', '6', '7', '6', '6', '7', ''],
+    ['10/14/2025 18:40:55', 'Felt connected as a group', '7', '6', '6', '6', '6', '5', '6', 'Keep the team dinners'],
+    ['10/15/2025 07:12:30', 'Roles were clearer this week', '5', '6', '7', '6', '5', '5', '6', '']
   ];
 }
 
@@ -195,21 +404,7 @@ function getMockData() {
  */
 export async function fetchStoredInsights() {
   try {
-    const backendUrl = import.meta.env.VITE_BACKEND_URL !== undefined
-      ? import.meta.env.VITE_BACKEND_URL
-      : (import.meta.env.DEV ? 'http://localhost:3002' : '');
-    const url = `${backendUrl}/api/insights`;
-
-    console.log('Fetching stored insights from backend API:', url);
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `API error: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await apiGet('/api/insights');
     console.log('Stored insights fetched:', data.hasInsights ? 'Found' : 'Not found');
 
     return data;
@@ -233,21 +428,7 @@ export async function fetchStoredInsights() {
  */
 export async function fetchLatestGameInfo() {
   try {
-    const backendUrl = import.meta.env.VITE_BACKEND_URL !== undefined
-      ? import.meta.env.VITE_BACKEND_URL
-      : (import.meta.env.DEV ? 'http://localhost:3002' : '');
-    const url = `${backendUrl}/api/insights/latest-game-info`;
-
-    console.log('Fetching latest game info from backend API:', url);
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `API error: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await apiGet('/api/insights/latest-game-info');
     console.log('Latest game info fetched:', data);
 
     return data.gameInfo;
@@ -263,7 +444,9 @@ export async function fetchLatestGameInfo() {
  * @param {string|null} scoreExplanation - Score explanation text
  * @param {Object} insights - Insights object with summary and suggestions
  * @param {Object|null} gameInfo - Game/practice information
- * @param {string|null} thingsToLookOutFor - Things to Look Out For analysis text
+ * @param {Object|string|null} thingsToLookOutFor - Team insights from generateThingsToLookOutFor()
+ *                                                ({ sentimentOverview, notes, quotes, suggestions, focusDimensions }),
+ *                                                or a status message
  * @param {number|null} teamChemistryScore - Overall team chemistry score to persist with the row
  * @returns {Promise<boolean>} Success status
  */
@@ -275,10 +458,7 @@ export async function saveInsights(
   teamChemistryScore = null
 ) {
   try {
-    const backendUrl = import.meta.env.VITE_BACKEND_URL !== undefined
-      ? import.meta.env.VITE_BACKEND_URL
-      : (import.meta.env.DEV ? 'http://localhost:3002' : '');
-    const url = `${backendUrl}/api/insights`;
+    const url = `${getBackendUrl()}/api/insights`;
 
     const payload = { scoreExplanation, insights, gameInfo, thingsToLookOutFor, teamChemistryScore };
     console.log('💾 dataService.saveInsights - Sending to backend:', url);
@@ -287,8 +467,9 @@ export async function saveInsights(
       type: typeof thingsToLookOutFor,
       isNull: thingsToLookOutFor === null,
       isUndefined: thingsToLookOutFor === undefined,
-      length: thingsToLookOutFor?.length || 0,
-      preview: thingsToLookOutFor ? thingsToLookOutFor.substring(0, 100) : 'NULL/UNDEFINED'
+      preview: typeof thingsToLookOutFor === 'string'
+        ? thingsToLookOutFor.substring(0, 100)
+        : thingsToLookOutFor?.sentimentOverview?.substring(0, 100) ?? 'NULL/UNDEFINED'
     });
 
     const response = await fetch(url, {
@@ -296,11 +477,13 @@ export async function saveInsights(
       headers: {
         'Content-Type': 'application/json',
       },
+      credentials: 'include', // Session cookie is required by the backend
       body: JSON.stringify(payload),
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
+      handleUnauthorized(response, errorData);
       console.error('❌ Backend API error:', errorData);
       throw new Error(errorData.message || `API error: ${response.status}`);
     }
@@ -315,6 +498,41 @@ export async function saveInsights(
   }
 }
 
+/**
+ * Saves team settings (PUT /api/settings)
+ *
+ * @param {Object} updates - e.g. { dimensionWeights: { Trust: 2 }, imputationPolicy: 'person-mean', excludeFlaggedResponses: true }
+ * @returns {Promise<Object>} { settings, dimensionNames, effectiveWeights }
+ * @throws {Error} With the validation details when the backend rejects the update
+ */
+export async function saveTeamSettings(updates) {
+  const url = `${getBackendUrl()}/api/settings`;
+
+  console.log('⚙️ Saving team settings:', updates);
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include', // Session cookie is required by the backend
+    body: JSON.stringify(updates),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    handleUnauthorized(response, data);
+    throw new Error(data.details?.join('; ') || data.message || `API error: ${response.status}`);
+  }
+
+  return {
+    settings: data.settings,
+    dimensionNames: data.dimensionNames,
+    effectiveWeights: data.effectiveWeights
+  };
+}
+
 /**
  * FUTURE ENHANCEMENTS:
  *
@@ -322,15 +540,10 @@ export async function saveInsights(
  *    - Store data in localStorage or IndexedDB
  *    - Reduce API calls
  *
- * 2. Add WebSocket support:
- *    - Real-time updates instead of polling
- *    - More efficient than HTTP polling
- *
- * 3. Add data validation:
- *    - Validate schema
+ * 2. Add data validation:
  *    - Handle missing data gracefully
  *
- * 4. Add error retry logic:
+ * 3. Add error retry logic:
  *    - Exponential backoff
  *    - Better error handling
  */
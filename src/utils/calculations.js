@@ -8,68 +8,109 @@
  * 1. Update the function implementations below
  * 2. No need to touch components - they'll automatically use new logic!
  *
- * CURRENT IMPLEMENTATION: Simple averages
- * FUTURE: Add weighted averages, complex formulas, ML models, etc.
+ * CURRENT IMPLEMENTATION: Averages, weighted per dimension by team settings
+ * FUTURE: Add complex formulas, ML models, etc.
  */
 
-import { THRESHOLDS, COLORS, TREND_CONFIG } from '../config/constants.js';
+import { THRESHOLDS, COLORS, TREND_CONFIG, STATS_CONFIG, CHEMISTRY_TIERS, AGREEMENT_CONFIG } from '../config/constants.js';
+import { studentTCdf, studentTQuantile } from './statistics.js';
 
 /**
  * Calculate average chemistry score for a player
  *
- * CURRENT: Simple arithmetic mean
- *
- * TO MODIFY FOR WEIGHTED AVERAGE:
- * Replace with: scores.reduce((sum, score, idx) => sum + (score * weights[idx]), 0) / totalWeight
+ * CURRENT: Arithmetic mean, optionally weighted
+ * Weighted: sum(score * weight) / sum(weight) over the valid scores
  *
  * TO MODIFY FOR CUSTOM FORMULA:
  * Add your own calculation logic here
  *
  * @param {Array<number>} scores - Array of individual question scores
+ * @param {Array<number>|null} weights - Weight per score (same order); null = all equal
  * @returns {number} Average score (0-100)
  */
-export function calculateAverageScore(scores) {
+export function calculateAverageScore(scores, weights = null) {
   if (!scores || scores.length === 0) {
     return 0;
   }
 
-  // Filter out invalid scores
-  const validScores = scores.filter(score => !isNaN(score) && score !== null && score !== undefined);
+  // Filter out invalid scores, keeping each score's weight alongside it
+  const validEntries = scores
+    .map((score, idx) => ({ score, weight: weights ? (weights[idx] ?? 1) : 1 }))
+    .filter(({ score }) => !isNaN(score) && score !== null && score !== undefined);
+
+  const totalWeight = validEntries.reduce((sum, entry) => sum + entry.weight, 0);
 
-  if (validScores.length === 0) {
+  if (validEntries.length === 0 || totalWeight <= 0) {
     return 0;
   }
 
-  // SIMPLE AVERAGE (current implementation)
-  const sum = validScores.reduce((acc, score) => acc + parseFloat(score), 0);
-  const average = sum / validScores.length;
+  const weightedSum = validEntries.reduce((acc, entry) => acc + parseFloat(entry.score) * entry.weight, 0);
+  const average = weightedSum / totalWeight;
 
   return Math.round(average * 10) / 10; // Round to 1 decimal place
+}
 
-  // EXAMPLE: Weighted average (uncomment to use)
-  /*
-  const weights = [1.5, 1.2, 1.0, 1.3, 1.1]; // Adjust weights for each question
-  const weightedSum = validScores.reduce((sum, score, idx) => {
-    const weight = weights[idx] || 1;
-    return sum + (score * weight);
-  }, 0);
-  const totalWeight = weights.slice(0, validScores.length).reduce((sum, w) => sum + w, 0);
-  return Math.round((weightedSum / totalWeight) * 10) / 10;
-  */
+/**
+ * Resolve per-dimension weights into one weight per dimension name
+ *
+ * @param {Array<string>} dimensionNames - Dimension names, in score order
+ * @param {Object|null} dimensionWeights - { [dimensionName]: weight } from team settings;
+ *                                         dimensions not listed weigh 1
+ * @returns {Array<number>} Weights in the same order as dimensionNames
+ */
+export function getDimensionWeights(dimensionNames, dimensionWeights = null) {
+  return (dimensionNames || []).map(name => {
+    const weight = dimensionWeights?.[name];
+    return typeof weight === 'number' && Number.isFinite(weight) && weight >= 0 ? weight : 1;
+  });
+}
+
+/**
+ * Effective weights as shown on the dashboard
+ *
+ * @param {Array<string>} dimensionNames - Dimension names
+ * @param {Object|null} dimensionWeights - { [dimensionName]: weight } from team settings
+ * @returns {Array<Object>} [{ name, weight, share }] - share is the percentage of the composite score
+ */
+export function getEffectiveWeights(dimensionNames, dimensionWeights = null) {
+  const weights = getDimensionWeights(dimensionNames, dimensionWeights);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return (dimensionNames || []).map((name, index) => ({
+    name,
+    weight: weights[index],
+    share: totalWeight > 0 ? Math.round((weights[index] / totalWeight) * 1000) / 10 : 0
+  }));
+}
+
+/**
+ * Calculate the composite chemistry score of one response
+ *
+ * @param {Object} player - Response object ({ scores, questions })
+ * @param {Object|null} dimensionWeights - { [dimensionName]: weight } from team settings
+ * @returns {number} Composite score (0-100)
+ */
+export function calculatePlayerScore(player, dimensionWeights = null) {
+  const weights = dimensionWeights ? getDimensionWeights(player.questions, dimensionWeights) : null;
+  return calculateAverageScore(player.scores, weights);
 }
 
 /**
  * Calculate overall team chemistry
  *
+ * Each response's composite score uses the team's dimension weights;
+ * responses then count equally.
+ *
  * @param {Array<Object>} players - Array of player objects
+ * @param {Object|null} dimensionWeights - { [dimensionName]: weight } from team settings
  * @returns {number} Team average score
  */
-export function calculateTeamAverage(players) {
+export function calculateTeamAverage(players, dimensionWeights = null) {
   if (!players || players.length === 0) {
     return 0;
   }
 
-  const playerAverages = players.map(player => calculateAverageScore(player.scores));
+  const playerAverages = players.map(player => calculatePlayerScore(player, dimensionWeights));
   return calculateAverageScore(playerAverages);
 }
 
@@ -80,11 +121,13 @@ export function calculateTeamAverage(players) {
  * - Update THRESHOLDS in config/constants.js
  * - Or add more granular color levels here
  *
- * @param {number} score - Chemistry score (0-100)
+ * @param {number|null} score - Chemistry score (0-100), null when suppressed
  * @returns {string} Hex color code
  */
 export function getScoreColor(score) {
-  if (score >= THRESHOLDS.HIGH) {
+  if (score === null || score === undefined) {
+    return COLORS.NEUTRAL; // Gray - No reportable score
+  } else if (score >= THRESHOLDS.HIGH) {
     return COLORS.HIGH;    // Green - Excellent chemistry
   } else if (score >= THRESHOLDS.MEDIUM) {
     return COLORS.MEDIUM;  // Orange - Good chemistry
@@ -106,36 +149,43 @@ export function getScoreColor(score) {
 /**
  * Determine trend direction and magnitude
  *
- * CURRENT: Compares current score to previous score
+ * CURRENT: Compares current score to previous score; the change only counts
+ * as up or down when the week-over-week significance test says it is real
+ * (see welchTTest()). Without a test result the trend is 'stable'.
  *
  * TO MODIFY:
- * - Change TREND_CONFIG.THRESHOLD to adjust sensitivity
- * - Add multi-period trend analysis
+ * - Change STATS_CONFIG.SIGNIFICANCE_LEVEL (VITE_SIGNIFICANCE_LEVEL) to adjust sensitivity
+ * - See calculateMultiPeriodTrend() for rolling averages and momentum
  * - Add percentage-based trends
  *
  * @param {number} currentScore - Current chemistry score
  * @param {number} previousScore - Previous chemistry score
- * @returns {Object} { direction: 'up'|'down'|'stable', magnitude: number, color: string }
+ * @param {Object|null} comparison - Week-over-week test ({ significant, ... }) from the season history
+ * @returns {Object} { direction: 'up'|'down'|'stable', magnitude: number, change: number,
+ *                     color: string, comparison }
  */
-export function calculateTrend(currentScore, previousScore) {
+export function calculateTrend(currentScore, previousScore, comparison = null) {
   if (previousScore === null || previousScore === undefined || isNaN(previousScore)) {
     return {
       direction: 'stable',
       magnitude: 0,
-      color: COLORS.NEUTRAL
+      change: 0,
+      color: COLORS.NEUTRAL,
+      comparison: null
     };
   }
 
   const change = currentScore - previousScore;
   const magnitude = Math.abs(change);
 
-  // Only show trend if change exceeds threshold
-  if (magnitude < TREND_CONFIG.THRESHOLD) {
+  // Only show trend if the change is statistically significant
+  if (!comparison?.significant || change === 0) {
     return {
       direction: 'stable',
-      magnitude: 0,
-      change: 0,
-      color: COLORS.NEUTRAL
+      magnitude,
+      change,
+      color: COLORS.NEUTRAL,
+      comparison
     };
   }
 
@@ -145,30 +195,277 @@ export function calculateTrend(currentScore, previousScore) {
       direction: 'up',
       magnitude,
       change,
-      color: '#10b981'  // Green for improvement
+      color: '#10b981',  // Green for improvement
+      comparison
     };
   } else {
     return {
       direction: 'down',
       magnitude,
       change,
-      color: '#ef4444'   // Red for decline
+      color: '#ef4444',   // Red for decline
+      comparison
     };
   }
+}
 
-  // EXAMPLE: Multi-period trend analysis (uncomment to use)
-  /*
-  export function calculateMultiPeriodTrend(scores) {
-    if (!scores || scores.length < 2) return { direction: 'stable' };
+/**
+ * Rolling average over the last `periods` weekly values
+ *
+ * Missing weeks (null, e.g. suppressed) are skipped: the window covers the
+ * last `periods` reported values, and the missing week itself gets null.
+ *
+ * @param {Array<number|null>} values - One value per week, oldest first
+ * @param {number} periods - Window length in reported weeks
+ * @returns {Array<number|null>} Same length as values; null until `periods` values are available
+ */
+export function calculateRollingAverage(values, periods) {
+  const window = [];
+
+  return (values || []).map(value => {
+    if (value === null || value === undefined || isNaN(value)) {
+      return null;
+    }
+
+    window.push(value);
+    if (window.length > periods) window.shift();
+
+    return window.length === periods
+      ? Math.round((window.reduce((sum, v) => sum + v, 0) / periods) * 10) / 10
+      : null;
+  });
+}
+
+/**
+ * Exponentially weighted moving average
+ *
+ * ewma = alpha * value + (1 - alpha) * previous ewma, seeded with the first
+ * reported value. Missing weeks get null and leave the average unchanged.
+ *
+ * @param {Array<number|null>} values - One value per week, oldest first
+ * @param {number} alpha - Weight of the newest value (0-1)
+ * @returns {Array<number|null>} Same length as values
+ */
+export function calculateEWMA(values, alpha = TREND_CONFIG.EWMA_ALPHA) {
+  let ewma = null;
+
+  return (values || []).map(value => {
+    if (value === null || value === undefined || isNaN(value)) {
+      return null;
+    }
+
+    ewma = ewma === null ? value : alpha * value + (1 - alpha) * ewma;
+    return Math.round(ewma * 10) / 10;
+  });
+}
+
+/**
+ * Multi-period trend: short and long rolling averages, EWMA and crossovers
+ *
+ * A crossover is flagged on the week where the short average moves to the
+ * other side of the long one ('up' = short now above long, i.e. gaining
+ * momentum; 'down' = short now below long).
+ *
+ * @param {Array<number|null>} values - One value per week, oldest first (null = not reported)
+ * @param {Object} options
+ * @param {number} options.shortPeriods - Short window (default TREND_CONFIG.LOOKBACK_PERIODS.SHORT)
+ * @param {number} options.longPeriods - Long window (default TREND_CONFIG.LOOKBACK_PERIODS.LONG)
+ * @param {number} options.alpha - EWMA smoothing (default TREND_CONFIG.EWMA_ALPHA)
+ * @returns {Array<Object>} Per week: { shortAverage, longAverage, ewma, crossover: 'up'|'down'|null }
+ */
+export function calculateMultiPeriodTrend(values, {
+  shortPeriods = TREND_CONFIG.LOOKBACK_PERIODS.SHORT,
+  longPeriods = TREND_CONFIG.LOOKBACK_PERIODS.LONG,
+  alpha = TREND_CONFIG.EWMA_ALPHA
+} = {}) {
+  const shortAverages = calculateRollingAverage(values, shortPeriods);
+  const longAverages = calculateRollingAverage(values, longPeriods);
+  const ewmas = calculateEWMA(values, alpha);
+
+  // Side of the long average the short one was last on (ties keep the previous side)
+  let previousSide = 0;
+
+  return (values || []).map((value, index) => {
+    const shortAverage = shortAverages[index];
+    const longAverage = longAverages[index];
+    let crossover = null;
+
+    if (shortAverage !== null && longAverage !== null) {
+      const side = Math.sign(shortAverage - longAverage);
+      if (side !== 0) {
+        if (previousSide !== 0 && side !== previousSide) {
+          crossover = side > 0 ? 'up' : 'down';
+        }
+        previousSide = side;
+      }
+    }
 
-    // Calculate moving average
-    const recentAvg = calculateAverageScore(scores.slice(-3));
-    const olderAvg = calculateAverageScore(scores.slice(-6, -3));
+    return { shortAverage, longAverage, ewma: ewmas[index], crossover };
+  });
+}
 
-    const change = recentAvg - olderAvg;
-    // ... rest of logic
+/**
+ * Welch's t-test between two weeks of responses
+ *
+ * Compares the mean of the current week's scores with the previous week's
+ * without assuming equal variances. The effect size is Hedges' g (Cohen's d
+ * on the pooled sample SD with a small-sample correction).
+ *
+ * @param {Array<number>} currentScores - One score per response, current week
+ * @param {Array<number>} previousScores - One score per response, previous week
+ * @returns {Object|null} { change, t, df, pValue, effectSize, currentN, previousN },
+ *                        or null when either week has fewer than 2 scores
+ */
+export function welchTTest(currentScores, previousScores) {
+  const current = (currentScores || []).filter(score => typeof score === 'number' && !isNaN(score));
+  const previous = (previousScores || []).filter(score => typeof score === 'number' && !isNaN(score));
+  const n1 = current.length;
+  const n2 = previous.length;
+
+  if (n1 < 2 || n2 < 2) {
+    return null;
   }
-  */
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const sampleVariance = (values, m) => values.reduce((sum, value) => sum + Math.pow(value - m, 2), 0) / (values.length - 1);
+
+  const mean1 = mean(current);
+  const mean2 = mean(previous);
+  const var1 = sampleVariance(current, mean1);
+  const var2 = sampleVariance(previous, mean2);
+  const change = mean1 - mean2;
+
+  const se1 = var1 / n1;
+  const se2 = var2 / n2;
+  const standardError = Math.sqrt(se1 + se2);
+
+  let t;
+  let df;
+  let pValue;
+  if (standardError === 0) {
+    // Every response identical within each week: any difference is certain
+    t = change === 0 ? 0 : Math.sign(change) * Infinity;
+    df = n1 + n2 - 2;
+    pValue = change === 0 ? 1 : 0;
+  } else {
+    t = change / standardError;
+    // Welch-Satterthwaite degrees of freedom
+    df = Math.pow(se1 + se2, 2) / (Math.pow(se1, 2) / (n1 - 1) + Math.pow(se2, 2) / (n2 - 1));
+    pValue = 2 * (1 - studentTCdf(Math.abs(t), df));
+  }
+
+  const pooledSd = Math.sqrt(((n1 - 1) * var1 + (n2 - 1) * var2) / (n1 + n2 - 2));
+  const correction = 1 - 3 / (4 * (n1 + n2) - 9);
+  const effectSize = pooledSd > 0 ? (change / pooledSd) * correction : 0;
+
+  return {
+    change,
+    t,
+    df,
+    pValue: Math.min(1, Math.max(0, pValue)),
+    effectSize,
+    currentN: n1,
+    previousN: n2
+  };
+}
+
+/**
+ * Conventional label for an effect size (Cohen's thresholds)
+ *
+ * @param {number} effectSize - Hedges' g or Cohen's d
+ * @returns {string} 'negligible' | 'small' | 'medium' | 'large'
+ */
+export function describeEffectSize(effectSize) {
+  const size = Math.abs(effectSize);
+  if (size >= 0.8) return 'large';
+  if (size >= 0.5) return 'medium';
+  if (size >= 0.2) return 'small';
+  return 'negligible';
+}
+
+/**
+ * Forecast the next survey week with Holt's linear exponential smoothing
+ *
+ *   level_t = alpha * y_t + (1 - alpha) * (level_t-1 + trend_t-1)
+ *   trend_t = beta * (level_t - level_t-1) + (1 - beta) * trend_t-1
+ *   forecast = level_n + trend_n
+ *
+ * The prediction interval comes from the one-step-ahead errors over the
+ * season: forecast ± t(1 - (1 - level) / 2, k - 1) * RMSE, with k errors.
+ * Missing weeks (null, e.g. suppressed) are skipped.
+ *
+ * @param {Array<number|null>} values - One value per week, oldest first
+ * @param {Object} options
+ * @param {number} options.alpha - Level smoothing (default TREND_CONFIG.FORECAST.ALPHA)
+ * @param {number} options.beta - Trend smoothing (default TREND_CONFIG.FORECAST.BETA)
+ * @param {number} options.minWeeks - Reported weeks required (default TREND_CONFIG.FORECAST.MIN_WEEKS, at least 4)
+ * @param {number} options.confidenceLevel - Level of the prediction interval (e.g. 0.95)
+ * @returns {Object|null} { forecast, lower, upper, marginOfError, level, trend, weeksUsed, confidenceLevel, method },
+ *                        or null with too few reported weeks
+ */
+export function forecastNextValue(values, {
+  alpha = TREND_CONFIG.FORECAST.ALPHA,
+  beta = TREND_CONFIG.FORECAST.BETA,
+  minWeeks = TREND_CONFIG.FORECAST.MIN_WEEKS,
+  confidenceLevel = STATS_CONFIG.CONFIDENCE_LEVEL
+} = {}) {
+  const observed = (values || []).filter(value => typeof value === 'number' && !isNaN(value));
+
+  // Two weeks initialise level and trend; at least two errors are needed for the interval
+  if (observed.length < Math.max(minWeeks, 4)) {
+    return null;
+  }
+
+  let level = observed[0];
+  let trend = observed[1] - observed[0];
+  const errors = [];
+
+  for (let t = 1; t < observed.length; t++) {
+    const predicted = level + trend;
+    if (t >= 2) errors.push(observed[t] - predicted);
+
+    const previousLevel = level;
+    level = alpha * observed[t] + (1 - alpha) * predicted;
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  const forecast = level + trend;
+  const rmse = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+  const marginOfError = studentTQuantile(1 - (1 - confidenceLevel) / 2, errors.length - 1) * rmse;
+  const round = value => Math.round(value * 10) / 10;
+
+  return {
+    forecast: round(Math.min(100, Math.max(0, forecast))),
+    lower: round(Math.max(0, forecast - marginOfError)),
+    upper: round(Math.min(100, forecast + marginOfError)),
+    marginOfError: round(marginOfError),
+    level: round(level),
+    trend: round(trend),
+    weeksUsed: observed.length,
+    confidenceLevel,
+    method: 'holt'
+  };
+}
+
+/**
+ * Human-readable details of a week-over-week test (tooltips)
+ *
+ * @param {Object|null} comparison - Result of summarizeComparison() in seasonHistory.js
+ * @returns {string} e.g. "+6.2 vs week of 2025-10-06 · Welch's t(17.3) = 2.31, p = 0.033 · Hedges' g = 0.74 (medium) · significant at α = 0.05"
+ */
+export function describeComparison(comparison) {
+  if (!comparison) {
+    return 'Not enough responses in both weeks to test this change';
+  }
+
+  const change = `${comparison.change > 0 ? '+' : ''}${comparison.change.toFixed(1)}`;
+  const t = Number.isFinite(comparison.t) ? comparison.t.toFixed(2) : (comparison.t > 0 ? '∞' : '-∞');
+  const p = comparison.pValue < 0.001 ? 'p < 0.001' : `p = ${comparison.pValue.toFixed(3)}`;
+  const verdict = comparison.significant ? 'significant' : 'not significant';
+
+  return `${change} vs week of ${comparison.previousWeekId} · Welch's t(${comparison.df.toFixed(1)}) = ${t}, ${p}`
+    + ` · Hedges' g = ${comparison.effectSize.toFixed(2)} (${describeEffectSize(comparison.effectSize)})`
+    + ` · ${verdict} at α = ${comparison.significanceLevel}`;
 }
 
 /**
@@ -212,6 +509,36 @@ export function calculateStatistics(scores) {
   };
 }
 
+/**
+ * Within-team agreement on one score (normalised standard deviation)
+ *
+ * index = 1 - SD / 50, where 50 is the largest SD possible on the 0-100
+ * scale (half the team at each end). 1 means everyone gave the same answer,
+ * 0 means the team is split down the middle. Uses the population SD from
+ * calculateStatistics(). Two teams averaging 70 can read 0.9 (everyone near
+ * 70) or 0.4 (split between 40 and 100).
+ *
+ * @param {Array<number>} scores - One 0-100 score per response
+ * @returns {Object|null} { index, stdDev, n, level: 'strong' | 'moderate' | 'low' },
+ *                        or null with fewer than 2 scores
+ */
+export function calculateAgreementIndex(scores) {
+  const validScores = (scores || []).filter(score => typeof score === 'number' && !isNaN(score));
+  if (validScores.length < 2) {
+    return null;
+  }
+
+  const { stdDev } = calculateStatistics(validScores);
+  const index = Math.round(Math.max(0, 1 - stdDev / 50) * 100) / 100;
+
+  return {
+    index,
+    stdDev,
+    n: validScores.length,
+    level: index >= AGREEMENT_CONFIG.STRONG ? 'strong' : index < AGREEMENT_CONFIG.LOW ? 'low' : 'moderate'
+  };
+}
+
 
 /**
  * Get score label (for accessibility and display)
@@ -232,39 +559,105 @@ export function getScoreLabel(score) {
 }
 
 /**
- * Calculate confidence interval for a dataset
+ * Get the chemistry tier of a score (ELITE, ABOVE AVERAGE, ...)
  *
- * @param {Array<number>} scores - Array of scores
- * @param {number} confidenceLevel - Confidence level (e.g., 0.95 for 95%)
- * @returns {Object} Confidence interval object
+ * @param {number} score - Chemistry score (0-100)
+ * @returns {Object} Tier from CHEMISTRY_TIERS ({ key, label, min, range, color })
+ */
+export function getChemistryTier(score) {
+  return CHEMISTRY_TIERS.find(tier => score >= tier.min) || CHEMISTRY_TIERS[CHEMISTRY_TIERS.length - 1];
+}
+
+/**
+ * Pearson correlation between two paired samples
+ *
+ * The p-value tests r = 0 with t = r * sqrt((n - 2) / (1 - r^2)), n - 2 degrees of freedom.
+ * Pairs with a missing value on either side are dropped.
+ *
+ * @param {Array<number|null>} xs - First variable
+ * @param {Array<number|null>} ys - Second variable (same order)
+ * @returns {Object|null} { r, n, pValue }, or null with fewer than 3 pairs or no variation
+ */
+export function calculateCorrelation(xs, ys) {
+  const isValue = value => typeof value === 'number' && !isNaN(value);
+  const pairs = (xs || [])
+    .map((x, index) => [x, ys?.[index]])
+    .filter(([x, y]) => isValue(x) && isValue(y));
+  const n = pairs.length;
+
+  if (n < 3) {
+    return null;
+  }
+
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += Math.pow(x - meanX, 2);
+    varianceY += Math.pow(y - meanY, 2);
+  });
+
+  if (varianceX === 0 || varianceY === 0) {
+    return null;
+  }
+
+  const r = Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+  const pValue = Math.abs(r) === 1
+    ? 0
+    : 2 * (1 - studentTCdf(Math.abs(r) * Math.sqrt((n - 2) / (1 - r * r)), n - 2));
+
+  return {
+    r: Math.round(r * 1000) / 1000,
+    n,
+    pValue: Math.round(pValue * 10000) / 10000
+  };
+}
+
+/**
+ * Calculate confidence interval for the mean of a dataset
+ *
+ * Student's t interval with the sample standard deviation (n - 1), which
+ * stays honest for the 10-25 responses of a survey week:
+ *   mean ± t(1 - (1 - level) / 2, n - 1) * s / sqrt(n)
+ *
+ * @param {Array<number>} scores - Array of scores (0-100)
+ * @param {number} confidenceLevel - Any level between 0 and 1 (e.g. 0.95 for 95%)
+ * @returns {Object} { lower, upper, marginOfError, mean, confidenceLevel, significant };
+ *                   with fewer than 2 scores the margin is 0 (no spread to estimate)
  */
-export function calculateConfidenceInterval(scores, confidenceLevel = 0.95) {
+export function calculateConfidenceInterval(scores, confidenceLevel = STATS_CONFIG.CONFIDENCE_LEVEL) {
   if (!scores || scores.length === 0) {
-    return { lower: 0, upper: 0, marginOfError: 0, significant: false };
+    return { lower: 0, upper: 0, marginOfError: 0, confidenceLevel, significant: false };
   }
 
   const n = scores.length;
   const mean = scores.reduce((sum, score) => sum + score, 0) / n;
 
-  // Calculate standard deviation
-  const variance = scores.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / n;
+  if (n < 2) {
+    return { lower: mean, upper: mean, marginOfError: 0, mean, confidenceLevel, significant: false };
+  }
+
+  // Sample standard deviation (Bessel's correction)
+  const variance = scores.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / (n - 1);
   const stdDev = Math.sqrt(variance);
 
   // Calculate standard error
   const standardError = stdDev / Math.sqrt(n);
 
-  // Z-score for 95% confidence is 1.96
-  const zScore = confidenceLevel === 0.95 ? 1.96 :
-                 confidenceLevel === 0.99 ? 2.576 :
-                 1.96;
+  // Two-sided critical value of Student's t with n - 1 degrees of freedom
+  const tScore = studentTQuantile(1 - (1 - confidenceLevel) / 2, n - 1);
 
-  const marginOfError = zScore * standardError;
+  const marginOfError = tScore * standardError;
 
   return {
     lower: Math.max(0, mean - marginOfError),
     upper: Math.min(100, mean + marginOfError),
     marginOfError,
     mean,
+    confidenceLevel,
     significant: marginOfError < 10 // Considered significant if margin is less than 10 points
   };
 }
@@ -272,28 +665,39 @@ export function calculateConfidenceInterval(scores, confidenceLevel = 0.95) {
 /**
  * Calculate dimension averages from player data
  *
+ * Missing scores (null) are skipped, so each average is over the valid
+ * answers. Scores filled by imputeMissingScores() (utils/surveyResponses.js)
+ * are averaged in but not counted in `validCount`.
+ *
  * @param {Array<Object>} players - Array of player objects
- * @returns {Array<Object>} Array of dimension objects with averages
+ * @param {Array<string>|null} dimensionNames - Dimension order from the survey schema
+ *                                              (defaults to the first player's questions)
+ * @returns {Array<Object>} Array of dimension objects: { name, average, scores, validCount }
  */
-export function calculateDimensionAverages(players) {
+export function calculateDimensionAverages(players, dimensionNames = null) {
   if (!players || players.length === 0) {
     return [];
   }
 
-  // Get dimension names from first player
-  const dimensions = players[0]?.questions || [];
+  const dimensions = dimensionNames || players[0]?.questions || [];
 
-  return dimensions.map((dimensionName, dimensionIndex) => {
-    // Collect all scores for this dimension across all players
-    const dimensionScores = players
-      .map(player => player.scores?.[dimensionIndex])
-      .filter(score => typeof score === 'number' && !isNaN(score));
+  return dimensions.map((dimensionName) => {
+    // Collect all scores for this dimension across all players (matched by name)
+    const entries = players
+      .map(player => {
+        const index = player.questions ? player.questions.indexOf(dimensionName) : -1;
+        return index >= 0 ? { score: player.scores?.[index], imputed: Boolean(player.imputed?.[index]) } : null;
+      })
+      .filter(entry => entry && typeof entry.score === 'number' && !isNaN(entry.score));
+    const dimensionScores = entries.map(entry => entry.score);
+    const validCount = entries.filter(entry => !entry.imputed).length;
 
     if (dimensionScores.length === 0) {
       return {
         name: dimensionName,
         average: 0,
-        scores: []
+        scores: [],
+        validCount: 0
       };
     }
 
@@ -302,7 +706,8 @@ export function calculateDimensionAverages(players) {
     return {
       name: dimensionName,
       average: Math.round(average * 10) / 10,
-      scores: dimensionScores
+      scores: dimensionScores,
+      validCount
     };
   });
 }
@@ -310,11 +715,10 @@ export function calculateDimensionAverages(players) {
 /**
  * FUTURE ENHANCEMENTS TO ADD HERE:
  *
- * 1. Weighted scores by question importance
- * 2. Time-series analysis for trend prediction
- * 3. Outlier detection
- * 4. Correlation analysis between questions
- * 5. Percentile rankings
- * 6. Machine learning predictions
- * 7. Custom business rules
+ * 1. Seasonal forecasting (game schedule, breaks)
+ * 2. Outlier detection
+ * 3. Partial correlations (controlling for opponent strength)
+ * 4. Percentile rankings
+ * 5. Machine learning predictions
+ * 6. Custom business rules
  */
@@ -11,7 +11,20 @@ import {
   getScoreColor,
   calculateTrend,
   calculateStatistics,
+  calculateAgreementIndex,
   calculateDimensionAverages,
+  getDimensionWeights,
+  getEffectiveWeights,
+  calculateConfidenceInterval,
+  welchTTest,
+  describeEffectSize,
+  describeComparison,
+  calculateRollingAverage,
+  calculateEWMA,
+  calculateMultiPeriodTrend,
+  forecastNextValue,
+  calculateCorrelation,
+  getChemistryTier,
 } from './calculations';
 
 describe('calculateAverageScore', () => {
@@ -63,6 +76,35 @@ describe('calculateTeamAverage', () => {
     const players = [{ scores: [80, 90, 70] }];
     expect(calculateTeamAverage(players)).toBe(80.0);
   });
+
+  it('should apply dimension weights by name', () => {
+    const questions = ['Trust', 'Role Clarity'];
+    const players = [
+      { questions, scores: [90, 60] },
+      { questions, scores: [60, 30] },
+    ];
+
+    // Trust counts twice: (90*2 + 60) / 3 = 80 and (60*2 + 30) / 3 = 50
+    expect(calculateTeamAverage(players, { Trust: 2 })).toBe(65);
+    expect(calculateTeamAverage(players)).toBe(60);
+  });
+});
+
+describe('dimension weights', () => {
+  it('should weigh unlisted or invalid dimensions as 1', () => {
+    expect(getDimensionWeights(['Trust', 'Energy', 'Role Clarity'], { Trust: 2, Energy: -1 })).toEqual([2, 1, 1]);
+  });
+
+  it('should report each dimension\'s share of the composite score', () => {
+    expect(getEffectiveWeights(['Trust', 'Energy'], { Trust: 3 })).toEqual([
+      { name: 'Trust', weight: 3, share: 75 },
+      { name: 'Energy', weight: 1, share: 25 },
+    ]);
+  });
+
+  it('should weight the average of valid scores only', () => {
+    expect(calculateAverageScore([80, null, 40], [1, 5, 3])).toBe(50);
+  });
 });
 
 describe('getScoreColor', () => {
@@ -83,6 +125,10 @@ describe('getScoreColor', () => {
     expect(getScoreColor(0)).toBe('#ef4444');
   });
 
+  it('should return gray when there is no reportable score', () => {
+    expect(getScoreColor(null)).toBe('#6b7280');
+  });
+
   it('should handle edge cases', () => {
     expect(getScoreColor(79.9)).toBe('#f59e0b');
     expect(getScoreColor(80.0)).toBe('#10b981');
@@ -91,35 +137,206 @@ describe('getScoreColor', () => {
 });
 
 describe('calculateTrend', () => {
-  it('should detect upward trend', () => {
-    const result = calculateTrend(85, 80);
+  const significant = { significant: true };
+  const notSignificant = { significant: false };
+
+  it('should detect a significant upward trend', () => {
+    const result = calculateTrend(85, 80, significant);
     expect(result.direction).toBe('up');
     expect(result.magnitude).toBe(5);
     expect(result.color).toBe('#10b981');
   });
 
-  it('should detect downward trend', () => {
-    const result = calculateTrend(75, 80);
+  it('should detect a significant downward trend', () => {
+    const result = calculateTrend(75, 80, significant);
     expect(result.direction).toBe('down');
     expect(result.magnitude).toBe(5);
     expect(result.color).toBe('#ef4444');
   });
 
-  it('should detect stable trend for small changes', () => {
-    const result = calculateTrend(80.3, 80);
+  it('should treat changes that are not significant as stable, however large', () => {
+    const result = calculateTrend(90, 80, notSignificant);
     expect(result.direction).toBe('stable');
+    expect(result.change).toBe(10);
     expect(result.color).toBe('#6b7280');
   });
 
+  it('should be stable without a significance test', () => {
+    expect(calculateTrend(85, 80).direction).toBe('stable');
+  });
+
   it('should handle null previous score', () => {
     const result = calculateTrend(80, null);
     expect(result.direction).toBe('stable');
   });
+});
+
+describe('calculateRollingAverage', () => {
+  it('should average the last n reported weeks, skipping missing ones', () => {
+    expect(calculateRollingAverage([60, 70, 80, null, 90, 50, 40, 30], 3))
+      .toEqual([null, null, 70, null, 80, 73.3, 60, 40]);
+  });
+});
+
+describe('calculateEWMA', () => {
+  it('should weight the newest week by alpha', () => {
+    expect(calculateEWMA([60, null, 80, 100], 0.5)).toEqual([60, null, 70, 85]);
+  });
+});
+
+describe('calculateMultiPeriodTrend', () => {
+  it('should flag the week the short average crosses the long one', () => {
+    const trend = calculateMultiPeriodTrend([50, 50, 50, 80, 80, 20], { shortPeriods: 2, longPeriods: 3, alpha: 0.5 });
+
+    expect(trend.map(week => week.shortAverage)).toEqual([null, 50, 50, 65, 80, 50]);
+    expect(trend.map(week => week.longAverage)).toEqual([null, null, 50, 60, 70, 60]);
+    // Moving above the long average for the first time is not a crossover
+    expect(trend.map(week => week.crossover)).toEqual([null, null, null, null, null, 'down']);
+  });
+
+  it('should flag an upward crossover', () => {
+    const trend = calculateMultiPeriodTrend([80, 70, 60, 50, 90, 95], { shortPeriods: 2, longPeriods: 3 });
+    expect(trend.at(-2).crossover).toBe('up');
+    expect(trend.at(-1).crossover).toBeNull();
+  });
+
+  it('should use the configured windows by default', () => {
+    const trend = calculateMultiPeriodTrend([60, 70, 80, 90, 80, 70]);
+    expect(trend[2].shortAverage).toBe(70);
+    expect(trend[4].longAverage).toBeNull();
+    expect(trend[5].longAverage).toBe(75);
+  });
+});
+
+describe('forecastNextValue', () => {
+  it('should extend a linear trend exactly', () => {
+    const result = forecastNextValue([50, 55, 60, 65, 70]);
+
+    expect(result).toMatchObject({ forecast: 75, lower: 75, upper: 75, marginOfError: 0, trend: 5, weeksUsed: 5, method: 'holt' });
+  });
+
+  it('should widen the prediction interval with noisy weeks', () => {
+    const result = forecastNextValue([60, 72, 58, 75, 61, 70], { confidenceLevel: 0.95 });
+
+    expect(result.marginOfError).toBeGreaterThan(0);
+    expect(result.lower).toBeLessThan(result.forecast);
+    expect(result.upper).toBeGreaterThan(result.forecast);
+    expect(forecastNextValue([60, 72, 58, 75, 61, 70], { confidenceLevel: 0.8 }).marginOfError)
+      .toBeLessThan(result.marginOfError);
+  });
+
+  it('should skip missing weeks', () => {
+    expect(forecastNextValue([50, null, 55, 60, null, 65]).forecast).toBe(70);
+  });
+
+  it('should need enough reported weeks', () => {
+    expect(forecastNextValue([50, 55, 60])).toBeNull();
+    expect(forecastNextValue([50, 55, 60, 65], { minWeeks: 5 })).toBeNull();
+  });
+});
+
+describe('calculateAgreementIndex', () => {
+  it('should tell a split team from one that agrees at the same average', () => {
+    const agreed = calculateAgreementIndex([65, 70, 75, 70]);
+    const split = calculateAgreementIndex([40, 100, 40, 100]);
+
+    expect(agreed.level).toBe('strong');
+    expect(agreed.index).toBeGreaterThan(0.9);
+    // Population SD 30: 1 - 30 / 50
+    expect(split).toEqual({ index: 0.4, stdDev: 30, n: 4, level: 'low' });
+  });
+
+  it('should read 1 for identical answers and 0 for a team split between the extremes', () => {
+    expect(calculateAgreementIndex([50, 50, 50]).index).toBe(1);
+    expect(calculateAgreementIndex([0, 100]).index).toBe(0);
+  });
+
+  it('should rate moderate agreement between the thresholds', () => {
+    // Population SD 20: 1 - 20 / 50
+    expect(calculateAgreementIndex([50, 90]).level).toBe('moderate');
+  });
+
+  it('should need two valid scores', () => {
+    expect(calculateAgreementIndex([80])).toBeNull();
+    expect(calculateAgreementIndex([80, NaN])).toBeNull();
+    expect(calculateAgreementIndex(null)).toBeNull();
+  });
+});
+
+describe('calculateCorrelation', () => {
+  it('should compute Pearson r with its p-value and sample size', () => {
+    const result = calculateCorrelation([1, 2, 3, 4, 5], [2, 4, 5, 4, 5]);
+
+    expect(result.r).toBeCloseTo(0.775, 3);
+    expect(result.n).toBe(5);
+    expect(result.pValue).toBeCloseTo(0.124, 2);
+  });
+
+  it('should drop incomplete pairs', () => {
+    expect(calculateCorrelation([1, 2, null, 4], [1, 2, 3, 4])).toMatchObject({ r: 1, n: 3, pValue: 0 });
+  });
+
+  it('should need three pairs with some variation', () => {
+    expect(calculateCorrelation([1, 2], [1, 2])).toBeNull();
+    expect(calculateCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe('getChemistryTier', () => {
+  it('should map scores onto the dashboard tiers', () => {
+    expect(getChemistryTier(85).label).toBe('ELITE');
+    expect(getChemistryTier(70).label).toBe('ABOVE AVERAGE');
+    expect(getChemistryTier(60).label).toBe('AVERAGE');
+    expect(getChemistryTier(12).label).toBe('BELOW AVERAGE');
+  });
+});
+
+describe('welchTTest', () => {
+  it('should compute t, Welch degrees of freedom, p-value and Hedges\' g', () => {
+    // Means 80 and 60, both sample variances 62.5: SE 5, t = 4, df = 8
+    const result = welchTTest([70, 80, 90, 85, 75], [60, 65, 70, 55, 50]);
+
+    expect(result.change).toBe(20);
+    expect(result.t).toBeCloseTo(4, 10);
+    expect(result.df).toBeCloseTo(8, 10);
+    expect(result.pValue).toBeCloseTo(0.00395, 4);
+    expect(result.effectSize).toBeCloseTo(2.285, 3);
+    expect(result).toMatchObject({ currentN: 5, previousN: 5 });
+  });
+
+  it('should not find a difference between identical weeks', () => {
+    const result = welchTTest([60, 70, 80], [60, 70, 80]);
+    expect(result.pValue).toBeCloseTo(1, 10);
+    expect(result.effectSize).toBe(0);
+  });
 
-  it('should use threshold from constants', () => {
-    // Trend threshold is 0.5 by default
-    const resultStable = calculateTrend(80.4, 80);
-    expect(resultStable.direction).toBe('stable');
+  it('should need at least two scores in each week', () => {
+    expect(welchTTest([80], [60, 70])).toBeNull();
+    expect(welchTTest([60, 70], [])).toBeNull();
+  });
+});
+
+describe('describeEffectSize', () => {
+  it('should use Cohen\'s thresholds', () => {
+    expect(describeEffectSize(0.1)).toBe('negligible');
+    expect(describeEffectSize(-0.3)).toBe('small');
+    expect(describeEffectSize(0.6)).toBe('medium');
+    expect(describeEffectSize(2.3)).toBe('large');
+  });
+});
+
+describe('describeComparison', () => {
+  it('should summarize the test for a tooltip', () => {
+    const details = describeComparison({
+      previousWeekId: '2025-10-06', change: 6.2, t: 2.31, df: 17.3, pValue: 0.033,
+      effectSize: 0.74, significanceLevel: 0.05, significant: true,
+    });
+
+    expect(details).toBe("+6.2 vs week of 2025-10-06 · Welch's t(17.3) = 2.31, p = 0.033 · Hedges' g = 0.74 (medium) · significant at α = 0.05");
+  });
+
+  it('should explain a missing test', () => {
+    expect(describeComparison(null)).toMatch(/Not enough responses/);
   });
 });
 
@@ -159,6 +376,36 @@ describe('calculateStatistics', () => {
   });
 });
 
+describe('calculateConfidenceInterval', () => {
+  const scores = [70, 80, 90, 85, 75];
+
+  it('should use Student\'s t and the sample standard deviation', () => {
+    // Sample SD 7.91, SE 3.54, t(0.975, 4) = 2.776
+    const interval = calculateConfidenceInterval(scores, 0.95);
+
+    expect(interval.mean).toBe(80);
+    expect(interval.marginOfError).toBeCloseTo(9.816, 2);
+    expect(interval.lower).toBeCloseTo(70.184, 2);
+    expect(interval.upper).toBeCloseTo(89.816, 2);
+  });
+
+  it('should support any confidence level', () => {
+    // t(0.95, 4) = 2.132 and t(0.9, 4) = 1.533
+    expect(calculateConfidenceInterval(scores, 0.9).marginOfError).toBeCloseTo(7.537, 2);
+    expect(calculateConfidenceInterval(scores, 0.8).marginOfError).toBeCloseTo(5.421, 2);
+  });
+
+  it('should clamp the interval to the 0-100 scale', () => {
+    const interval = calculateConfidenceInterval([95, 100, 60]);
+    expect(interval.upper).toBe(100);
+  });
+
+  it('should have no margin with fewer than two scores', () => {
+    expect(calculateConfidenceInterval([80])).toMatchObject({ lower: 80, upper: 80, marginOfError: 0 });
+    expect(calculateConfidenceInterval([])).toMatchObject({ marginOfError: 0 });
+  });
+});
+
 describe('calculateDimensionAverages', () => {
   it('should calculate averages for all dimensions', () => {
     const players = [
@@ -201,4 +448,17 @@ describe('calculateDimensionAverages', () => {
     const dimensions = calculateDimensionAverages(players);
     expect(dimensions[0].average).toBe(80);
   });
+
+  it('should skip missing scores and leave imputed ones out of the valid count', () => {
+    const players = [
+      { questions: ['Trust', 'Energy'], scores: [80, null] },
+      { questions: ['Trust', 'Energy'], scores: [60, 50] },
+      { questions: ['Trust', 'Energy'], scores: [70, 40], imputed: [true, false] },
+    ];
+
+    const [trust, energy] = calculateDimensionAverages(players);
+    expect(trust).toMatchObject({ average: 70, validCount: 2 });
+    expect(trust.scores).toHaveLength(3);
+    expect(energy).toMatchObject({ average: 45, validCount: 2 });
+  });
 });
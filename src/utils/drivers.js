@@ -0,0 +1,154 @@
+/**
+ * DRIVER ANALYSIS
+ *
+ * Which dimensions move together, and which explain changes in the team
+ * score. Computed on the backend (GET /api/drivers) from the stored
+ * responses; only correlations and weekly aggregates leave the server.
+ * Responses and dimension values from suppressed weeks are left out.
+ *
+ * OUTPUT (buildDriverAnalysis):
+ * - responseCorrelations: dimension x dimension Pearson correlations across
+ *   individual responses (do players who rate Trust high also rate Energy high?)
+ * - weekCorrelations: the same across weekly averages (do they rise and fall together?)
+ * - drivers: per dimension, the correlation of its week-over-week change
+ *   with the team score's change, strongest first
+ * - changes: each reported week's team score change split into per-dimension
+ *   contributions (see decomposeScoreChange()), for the waterfall chart
+ * Correlations come from calculateCorrelation() and need at least 3 pairs.
+ */
+
+import { calculateCorrelation, getDimensionWeights } from './calculations.js';
+
+const round = (value, decimals = 1) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+/**
+ * Pairwise correlation matrix between dimensions
+ *
+ * @param {Array<string>} dimensionNames - Dimension order (rows and columns)
+ * @param {Array<Object>} samples - One { [dimensionName]: number|null } per observation
+ * @returns {Object} { dimensions, matrix: matrix[row][column] = { r, n, pValue } | null }
+ */
+export function calculateCorrelationMatrix(dimensionNames, samples) {
+  const dimensions = dimensionNames || [];
+  const columns = Object.fromEntries(
+    dimensions.map(name => [name, (samples || []).map(sample => sample[name] ?? null)])
+  );
+
+  return {
+    dimensions,
+    matrix: dimensions.map(row => dimensions.map(column => calculateCorrelation(columns[row], columns[column])))
+  };
+}
+
+/**
+ * Split a week's team score change into per-dimension contributions
+ *
+ * The team score is (close to) the weighted mean of the dimension averages,
+ * so each dimension contributes its weight share times its own change. What
+ * that leaves unexplained - skipped answers, rounding, dimensions suppressed
+ * in either week - is reported as `residual`, so the bars always add up to
+ * the actual change.
+ *
+ * @param {Object} currentWeek - Week summary (summarizeWeek() output)
+ * @param {Object} previousWeek - Earlier week summary to compare with
+ * @param {Object|null} weights - { [dimensionName]: weight } from team settings
+ * @returns {Object|null} { weekId, previousWeekId, previousScore, currentScore, change,
+ *                          contributions: [{ name, share, previousAverage, currentAverage, change, contribution }],
+ *                          residual }, or null when either week is suppressed
+ */
+export function decomposeScoreChange(currentWeek, previousWeek, weights = null) {
+  if (!currentWeek || !previousWeek || currentWeek.suppressed || previousWeek.suppressed ||
+      currentWeek.teamScore === null || previousWeek.teamScore === null) {
+    return null;
+  }
+
+  const names = currentWeek.dimensions.map(dimension => dimension.name);
+  const dimensionWeights = getDimensionWeights(names, weights);
+  const totalWeight = dimensionWeights.reduce((sum, weight) => sum + weight, 0);
+  const change = currentWeek.teamScore - previousWeek.teamScore;
+
+  const contributions = currentWeek.dimensions.map((dimension, index) => {
+    const previous = previousWeek.dimensions.find(earlier => earlier.name === dimension.name);
+    const currentAverage = dimension.suppressed ? null : dimension.average;
+    const previousAverage = !previous || previous.suppressed ? null : previous.average;
+    const share = totalWeight > 0 ? dimensionWeights[index] / totalWeight : 0;
+    const dimensionChange = currentAverage !== null && previousAverage !== null ? currentAverage - previousAverage : null;
+
+    return {
+      name: dimension.name,
+      share: round(share * 100),
+      previousAverage,
+      currentAverage,
+      change: dimensionChange === null ? null : round(dimensionChange),
+      contribution: dimensionChange === null ? null : share * dimensionChange
+    };
+  });
+
+  const explained = contributions.reduce((sum, item) => sum + (item.contribution ?? 0), 0);
+
+  return {
+    weekId: currentWeek.weekId,
+    previousWeekId: previousWeek.weekId,
+    previousScore: previousWeek.teamScore,
+    currentScore: currentWeek.teamScore,
+    change: round(change),
+    contributions: contributions.map(item => ({
+      ...item,
+      contribution: item.contribution === null ? null : round(item.contribution, 2)
+    })),
+    residual: round(change - explained, 2)
+  };
+}
+
+/**
+ * Build the driver analysis for the season
+ *
+ * @param {Object} series - Output of groupResponsesByWeek() (individual responses)
+ * @param {Array<Object>} weeks - Season history weeks (summarizeWeek() output), oldest first
+ * @param {Array<string>} dimensionNames - Dimension order from the survey schema
+ * @param {Object|null} weights - { [dimensionName]: weight } from team settings
+ * @returns {Object} { dimensions, responseCount, weekCount, responseCorrelations, weekCorrelations, drivers, changes }
+ */
+export function buildDriverAnalysis(series, weeks, dimensionNames = [], weights = null) {
+  const dimensions = dimensionNames || [];
+  const reportedWeeks = (weeks || []).filter(week => !week.suppressed);
+
+  // Individual responses of the reported weeks, keyed by dimension
+  const responseSamples = reportedWeeks.flatMap(week => (series?.weeks?.[week.weekId]?.responses || []).map(response =>
+    Object.fromEntries(dimensions.map(name => {
+      const index = response.questions ? response.questions.indexOf(name) : -1;
+      const score = index >= 0 ? response.scores?.[index] : null;
+      return [name, typeof score === 'number' && !isNaN(score) ? score : null];
+    }))
+  ));
+
+  // Weekly averages; a dimension suppressed on its own stays missing
+  const weekSamples = reportedWeeks.map(week => Object.fromEntries(
+    week.dimensions.map(dimension => [dimension.name, dimension.suppressed ? null : dimension.average])
+  ));
+
+  // Each reported week against the previous reported week
+  const changes = reportedWeeks.slice(1)
+    .map((week, index) => decomposeScoreChange(week, reportedWeeks[index], weights))
+    .filter(Boolean);
+
+  const drivers = dimensions
+    .map(name => ({
+      name,
+      correlation: calculateCorrelation(
+        changes.map(change => change.contributions.find(item => item.name === name)?.change ?? null),
+        changes.map(change => change.change)
+      )
+    }))
+    .sort((a, b) => Math.abs(b.correlation?.r ?? 0) - Math.abs(a.correlation?.r ?? 0));
+
+  return {
+    dimensions,
+    responseCount: responseSamples.length,
+    weekCount: reportedWeeks.length,
+    responseCorrelations: calculateCorrelationMatrix(dimensions, responseSamples),
+    weekCorrelations: calculateCorrelationMatrix(dimensions, weekSamples),
+    drivers,
+    changes
+  };
+}
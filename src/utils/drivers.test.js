@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Driver Analysis
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateCorrelationMatrix, decomposeScoreChange, buildDriverAnalysis } from './drivers';
+import { buildSeasonHistory } from './seasonHistory';
+
+const questions = ['Trust', 'Energy', 'Focus'];
+
+const week = (weekId, responses) => ({
+  weekId,
+  startDate: weekId,
+  endDate: weekId,
+  responses: responses.map(scores => ({ questions, scores })),
+});
+
+// Trust and Energy rise and fall together, Focus moves against them
+const series = {
+  weekIds: ['2025-09-29', '2025-10-06', '2025-10-13', '2025-10-20'],
+  latestWeekId: '2025-10-20',
+  weeks: {
+    '2025-09-29': week('2025-09-29', [[40, 30, 80], [60, 50, 60]]),
+    '2025-10-06': week('2025-10-06', [[70, 60, 50], [90, 80, 30]]),
+    '2025-10-13': week('2025-10-13', [[50, 40, 70], [50, 40, 70]]),
+    '2025-10-20': week('2025-10-20', [[80, 70, 40]]),
+  },
+};
+
+describe('calculateCorrelationMatrix', () => {
+  it('should correlate every pair of dimensions', () => {
+    const { dimensions, matrix } = calculateCorrelationMatrix(['A', 'B'], [
+      { A: 1, B: 2 }, { A: 2, B: 4 }, { A: 3, B: 5 }, { A: 4, B: null },
+    ]);
+
+    expect(dimensions).toEqual(['A', 'B']);
+    expect(matrix[0][0].r).toBe(1);
+    expect(matrix[0][1]).toEqual(matrix[1][0]);
+    // The incomplete observation is dropped
+    expect(matrix[0][1].n).toBe(3);
+  });
+
+  it('should leave pairs without enough data empty', () => {
+    expect(calculateCorrelationMatrix(['A', 'B'], [{ A: 1, B: 2 }]).matrix[0][1]).toBeNull();
+  });
+});
+
+describe('decomposeScoreChange', () => {
+  const summary = (weekId, teamScore, averages, suppressed = false) => ({
+    weekId,
+    teamScore,
+    suppressed,
+    dimensions: Object.entries(averages).map(([name, average]) => ({ name, average, suppressed })),
+  });
+
+  it('should split the change by weight share and add up to the actual change', () => {
+    const previous = summary('2025-10-06', 50, { Trust: 40, Energy: 60 });
+    const current = summary('2025-10-13', 60, { Trust: 60, Energy: 60 });
+    const result = decomposeScoreChange(current, previous, { Trust: 1, Energy: 1 });
+
+    expect(result.change).toBe(10);
+    expect(result.contributions).toEqual([
+      { name: 'Trust', share: 50, previousAverage: 40, currentAverage: 60, change: 20, contribution: 10 },
+      { name: 'Energy', share: 50, previousAverage: 60, currentAverage: 60, change: 0, contribution: 0 },
+    ]);
+    expect(result.residual).toBe(0);
+  });
+
+  it('should follow the dimension weights', () => {
+    const previous = summary('2025-10-06', 50, { Trust: 40, Energy: 60 });
+    const current = summary('2025-10-13', 65, { Trust: 60, Energy: 60 });
+
+    const [trust] = decomposeScoreChange(current, previous, { Trust: 3 }).contributions;
+    expect(trust.share).toBe(75);
+    expect(trust.contribution).toBe(15);
+  });
+
+  it('should report what the dimensions do not explain as the residual', () => {
+    const previous = summary('2025-10-06', 50, { Trust: 40, Energy: 60 });
+    const current = summary('2025-10-13', 54, { Trust: 50, Energy: 60 });
+
+    expect(decomposeScoreChange(current, previous).residual).toBe(-1);
+  });
+
+  it('should not decompose a suppressed week', () => {
+    const previous = summary('2025-10-06', null, { Trust: null }, true);
+    const current = summary('2025-10-13', 60, { Trust: 60 });
+
+    expect(decomposeScoreChange(current, previous)).toBeNull();
+  });
+});
+
+describe('buildDriverAnalysis', () => {
+  it('should correlate dimensions across responses and across weeks', () => {
+    const history = buildSeasonHistory(series, questions);
+    const analysis = buildDriverAnalysis(series, history.weeks, questions);
+
+    expect(analysis.responseCount).toBe(7);
+    expect(analysis.weekCount).toBe(4);
+    expect(analysis.responseCorrelations.matrix[0][1].r).toBe(1);
+    expect(analysis.responseCorrelations.matrix[0][2].r).toBe(-1);
+    expect(analysis.weekCorrelations.matrix[0][1].n).toBe(4);
+  });
+
+  it('should decompose each week against the previous reported week', () => {
+    const history = buildSeasonHistory(series, questions);
+    const analysis = buildDriverAnalysis(series, history.weeks, questions);
+
+    expect(analysis.changes.map(change => [change.previousWeekId, change.weekId])).toEqual([
+      ['2025-09-29', '2025-10-06'],
+      ['2025-10-06', '2025-10-13'],
+      ['2025-10-13', '2025-10-20'],
+    ]);
+    analysis.changes.forEach(change => {
+      const total = change.contributions.reduce((sum, item) => sum + item.contribution, 0) + change.residual;
+      expect(total).toBeCloseTo(change.change, 1);
+    });
+    expect(analysis.drivers.map(driver => driver.name)).toHaveLength(3);
+  });
+
+  it('should leave out the responses of suppressed weeks', () => {
+    const history = buildSeasonHistory(series, questions, { minResponses: 2 });
+    const analysis = buildDriverAnalysis(series, history.weeks, questions);
+
+    expect(analysis.weekCount).toBe(3);
+    expect(analysis.responseCount).toBe(6);
+    expect(analysis.changes.at(-1).weekId).toBe('2025-10-13');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * SEASON EXPORT
+ *
+ * Turns the season history (GET /api/summary, see utils/seasonHistory.js)
+ * into a CSV with one row per survey week: response counts and
+ * participation against the roster, the team score with its interval and
+ * each dimension average. Team-level only - no individual responses - so
+ * it is safe to export in privacy mode. Suppressed weeks keep their counts
+ * and leave the scores blank.
+ */
+
+/**
+ * Quote a CSV cell when it needs it
+ * @private
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the season CSV
+ *
+ * @param {Array<Object>} weeks - Week summaries from the season history, oldest first
+ * @param {Array<string>} dimensionNames - Dimension order from the survey schema
+ * @returns {string} CSV text (header row plus one row per week)
+ */
+export function buildSeasonCSV(weeks, dimensionNames = []) {
+  const list = weeks || [];
+  const percent = rate => rate === null || rate === undefined ? null : Math.round(rate * 1000) / 10;
+
+  // Position groups in roster order, across every week
+  const groupNames = [...new Set(list.flatMap(week => (week.participation?.groups || []).map(group => group.name)))];
+
+  const headers = [
+    'Week', 'Start Date', 'End Date', 'Responses', 'Roster Size', 'Response Rate (%)', 'Low Participation',
+    ...groupNames.map(name => `${name} Responses`),
+    'Team Score', 'Team CI Lower', 'Team CI Upper',
+    ...dimensionNames
+  ];
+
+  const rows = list.map(week => {
+    const participation = week.participation || null;
+    const groups = participation?.groups || [];
+
+    return [
+      week.weekId,
+      week.startDate,
+      week.endDate,
+      week.responseCount,
+      participation?.rosterSize,
+      percent(participation?.rate),
+      participation ? (participation.low ? 'yes' : 'no') : null,
+      ...groupNames.map(name => {
+        const group = groups.find(item => item.name === name);
+        return group && group.responseCount !== null ? `${group.responseCount} of ${group.rosterSize}` : null;
+      }),
+      week.teamScore,
+      week.teamConfidenceInterval?.lower,
+      week.teamConfidenceInterval?.upper,
+      ...dimensionNames.map(name => week.dimensions?.find(dimension => dimension.name === name)?.average)
+    ];
+  });
+
+  return [headers, ...rows].map(row => row.map(toCSVCell).join(',')).join('\n');
+}
+
+/**
+ * Download the season CSV in the browser
+ *
+ * @param {Array<Object>} weeks - Week summaries from the season history, oldest first
+ * @param {Array<string>} dimensionNames - Dimension order from the survey schema
+ * @param {string} filename - Name of the downloaded file
+ */
+export function exportSeasonCSV(weeks, dimensionNames = [], filename = 'ngauge-season.csv') {
+  const blob = new Blob([buildSeasonCSV(weeks, dimensionNames)], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+}
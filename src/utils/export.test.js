@@ -0,0 +1,58 @@
+/**
+ * Unit Tests for the Season Export
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildSeasonCSV } from './export';
+
+const weeks = [
+  {
+    weekId: '2025-10-06',
+    startDate: '2025-10-06',
+    endDate: '2025-10-12',
+    responseCount: 9,
+    suppressed: false,
+    teamScore: 72.4,
+    teamConfidenceInterval: { lower: 68.1, upper: 76.7, marginOfError: 4.3 },
+    participation: {
+      rosterSize: 12, responseCount: 9, rate: 0.75, low: false,
+      groups: [{ name: 'Forwards', rosterSize: 7, responseCount: 5, rate: 0.714 }, { name: 'Defense, Goalies', rosterSize: 5, responseCount: 4, rate: 0.8 }],
+    },
+    dimensions: [{ name: 'Trust', average: 75 }, { name: 'Energy', average: 69.8 }],
+  },
+  {
+    weekId: '2025-10-13',
+    startDate: '2025-10-13',
+    endDate: '2025-10-19',
+    responseCount: 3,
+    suppressed: true,
+    teamScore: null,
+    teamConfidenceInterval: null,
+    participation: {
+      rosterSize: 12, responseCount: 3, rate: 0.25, low: true,
+      groups: [{ name: 'Forwards', rosterSize: 7, responseCount: null, rate: null }],
+    },
+    dimensions: [{ name: 'Trust', average: null }, { name: 'Energy', average: null }],
+  },
+];
+
+describe('buildSeasonCSV', () => {
+  it('should write one row per week with participation and scores', () => {
+    const [header, first, second] = buildSeasonCSV(weeks, ['Trust', 'Energy']).split('\n');
+
+    expect(header).toBe(
+      'Week,Start Date,End Date,Responses,Roster Size,Response Rate (%),Low Participation,' +
+      'Forwards Responses,"Defense, Goalies Responses",Team Score,Team CI Lower,Team CI Upper,Trust,Energy'
+    );
+    expect(first).toBe('2025-10-06,2025-10-06,2025-10-12,9,12,75,no,5 of 7,4 of 5,72.4,68.1,76.7,75,69.8');
+    // Suppressed week: counts only
+    expect(second).toBe('2025-10-13,2025-10-13,2025-10-19,3,12,25,yes,,,,,,,');
+  });
+
+  it('should leave the participation columns blank without a roster', () => {
+    const [header, row] = buildSeasonCSV([{ ...weeks[0], participation: null }], ['Trust']).split('\n');
+
+    expect(header).toBe('Week,Start Date,End Date,Responses,Roster Size,Response Rate (%),Low Participation,Team Score,Team CI Lower,Team CI Upper,Trust');
+    expect(row).toBe('2025-10-06,2025-10-06,2025-10-12,9,,,,72.4,68.1,76.7,75');
+  });
+});
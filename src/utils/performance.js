@@ -0,0 +1,138 @@
+/**
+ * CHEMISTRY VS PERFORMANCE
+ *
+ * Relates the weekly chemistry scores to the game results and practice
+ * ratings stored in the AIInsights tab. Each stored game is matched to the
+ * survey week its analysis was saved in; the week's team score and
+ * dimension averages (from the season history, so current weights apply)
+ * are its chemistry. Games from suppressed weeks are left out.
+ *
+ * OUTPUT (buildPerformanceAnalysis):
+ * - correlations: chemistry vs score margin, win (1 / tie 0.5 / loss 0) and practice rating
+ * - winRateByTier: wins / games per chemistry tier (CHEMISTRY_TIERS)
+ * - marginBySeasonMedian: average margin in weeks above vs below the season median chemistry
+ * - practiceByDimension: practice rating vs each dimension average
+ * - games / practice: the points behind the scatter plots
+ * Every figure carries its sample size; correlations need at least 3 pairs.
+ */
+
+import { CHEMISTRY_TIERS } from '../config/constants.js';
+import { calculateCorrelation, getChemistryTier } from './calculations.js';
+
+// Results that count as a competitive game (see GameInfoModal)
+const RESULT_VALUES = { Win: 1, Tie: 0.5, Lose: 0 };
+
+/**
+ * Median of a list of numbers
+ * @private
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Mean rounded to 1 decimal, or null for an empty list
+ * @private
+ */
+function roundedMean(values) {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Build the Chemistry vs Performance analysis
+ *
+ * @param {Array<Object>} games - Stored games: { timestamp, weekId, result, yourScore, opponentScore,
+ *                                practicePerformance, teamChemistryScore }
+ * @param {Array<Object>} weeks - Season history weeks (summarizeWeek() output)
+ * @param {Array<string>} dimensionNames - Dimension order from the survey schema
+ * @returns {Object} { gameCount, competitiveGameCount, seasonMedian, correlations, winRateByTier,
+ *                     marginBySeasonMedian, practiceByDimension, games, practice }
+ */
+export function buildPerformanceAnalysis(games, weeks, dimensionNames = []) {
+  const weeksById = Object.fromEntries((weeks || []).map(week => [week.weekId, week]));
+
+  // Attach each game's week chemistry; legacy rows without a matching week keep the stored score
+  const points = (games || [])
+    .map(game => {
+      const week = weeksById[game.weekId];
+      const chemistry = week ? week.teamScore : game.teamChemistryScore;
+      const isCompetitive = game.result in RESULT_VALUES &&
+        Number.isFinite(game.yourScore) && Number.isFinite(game.opponentScore);
+
+      return {
+        timestamp: game.timestamp,
+        weekId: game.weekId,
+        result: game.result,
+        margin: isCompetitive ? game.yourScore - game.opponentScore : null,
+        outcome: isCompetitive ? RESULT_VALUES[game.result] : null,
+        practicePerformance: Number.isFinite(game.practicePerformance) ? game.practicePerformance : null,
+        chemistry: typeof chemistry === 'number' ? chemistry : null,
+        dimensions: week && !week.suppressed
+          ? Object.fromEntries(week.dimensions.map(dimension => [dimension.name, dimension.average]))
+          : {}
+      };
+    })
+    .filter(point => point.chemistry !== null);
+
+  const competitive = points.filter(point => point.outcome !== null);
+
+  // One practice rating per saved analysis (all its games repeat the same rating)
+  const practice = Object.values(
+    points
+      .filter(point => point.practicePerformance !== null)
+      .reduce((byAnalysis, point) => ({ ...byAnalysis, [point.timestamp]: point }), {})
+  );
+
+  // Season median of the reported weekly team scores
+  const seasonMedian = median((weeks || []).filter(week => !week.suppressed && week.teamScore !== null).map(week => week.teamScore));
+
+  const winRateByTier = CHEMISTRY_TIERS.map(tier => {
+    const tierGames = competitive.filter(point => getChemistryTier(point.chemistry).key === tier.key);
+    const wins = tierGames.filter(point => point.result === 'Win').length;
+    const ties = tierGames.filter(point => point.result === 'Tie').length;
+
+    return {
+      tier: tier.key,
+      label: tier.label,
+      range: tier.range,
+      games: tierGames.length,
+      wins,
+      ties,
+      losses: tierGames.length - wins - ties,
+      winRate: tierGames.length > 0 ? Math.round((wins / tierGames.length) * 1000) / 10 : null
+    };
+  });
+
+  const aboveMedian = seasonMedian === null ? [] : competitive.filter(point => point.chemistry >= seasonMedian);
+  const belowMedian = seasonMedian === null ? [] : competitive.filter(point => point.chemistry < seasonMedian);
+
+  return {
+    gameCount: points.length,
+    competitiveGameCount: competitive.length,
+    seasonMedian,
+    correlations: {
+      chemistryVsMargin: calculateCorrelation(competitive.map(point => point.chemistry), competitive.map(point => point.margin)),
+      chemistryVsWin: calculateCorrelation(competitive.map(point => point.chemistry), competitive.map(point => point.outcome)),
+      chemistryVsPractice: calculateCorrelation(practice.map(point => point.chemistry), practice.map(point => point.practicePerformance))
+    },
+    winRateByTier,
+    marginBySeasonMedian: {
+      seasonMedian,
+      above: { games: aboveMedian.length, averageMargin: roundedMean(aboveMedian.map(point => point.margin)) },
+      below: { games: belowMedian.length, averageMargin: roundedMean(belowMedian.map(point => point.margin)) }
+    },
+    practiceByDimension: (dimensionNames || []).map(name => ({
+      name,
+      correlation: calculateCorrelation(
+        practice.map(point => point.dimensions[name] ?? null),
+        practice.map(point => point.practicePerformance)
+      )
+    })),
+    games: competitive.map(({ weekId, result, margin, chemistry }) => ({ weekId, result, margin, chemistry })),
+    practice: practice.map(({ weekId, practicePerformance, chemistry, dimensions }) => ({ weekId, practicePerformance, chemistry, dimensions }))
+  };
+}
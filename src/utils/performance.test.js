@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Chemistry vs Performance
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildPerformanceAnalysis } from './performance';
+
+const week = (weekId, teamScore, trust, suppressed = false) => ({
+  weekId,
+  teamScore,
+  suppressed,
+  dimensions: [{ name: 'Trust', average: trust, suppressed }],
+});
+
+const weeks = [
+  week('2025-09-29', 85, 80),
+  week('2025-10-06', 65, 60),
+  week('2025-10-13', 55, 50),
+  week('2025-10-20', 75, 70),
+  week('2025-10-27', null, null, true),
+];
+
+const game = (timestamp, weekId, result, yourScore, opponentScore, practicePerformance) => ({
+  timestamp, weekId, result, yourScore, opponentScore, practicePerformance, teamChemistryScore: null,
+});
+
+const games = [
+  game('2025-10-01T20:00:00Z', '2025-09-29', 'Win', 3, 1, 8),
+  game('2025-10-08T20:00:00Z', '2025-10-06', 'Lose', 1, 2, 6),
+  game('2025-10-15T20:00:00Z', '2025-10-13', 'Lose', 0, 3, 4),
+  // Two games saved with one analysis share the practice rating
+  game('2025-10-22T20:00:00Z', '2025-10-20', 'Win', 2, 1, 7),
+  game('2025-10-22T20:00:00Z', '2025-10-20', 'Tie', 1, 1, 7),
+  // Suppressed week: no reportable chemistry
+  game('2025-10-29T20:00:00Z', '2025-10-27', 'Win', 5, 0, 9),
+];
+
+describe('buildPerformanceAnalysis', () => {
+  const analysis = buildPerformanceAnalysis(games, weeks, ['Trust']);
+
+  it('should leave out games from suppressed weeks', () => {
+    expect(analysis.gameCount).toBe(5);
+    expect(analysis.competitiveGameCount).toBe(5);
+    expect(analysis.games.some(point => point.weekId === '2025-10-27')).toBe(false);
+  });
+
+  it('should compute the win rate per chemistry tier', () => {
+    expect(analysis.winRateByTier.map(({ tier, games: n, wins, ties, losses, winRate }) => ({ tier, n, wins, ties, losses, winRate }))).toEqual([
+      { tier: 'elite', n: 1, wins: 1, ties: 0, losses: 0, winRate: 100 },
+      { tier: 'above-average', n: 2, wins: 1, ties: 1, losses: 0, winRate: 50 },
+      { tier: 'average', n: 1, wins: 0, ties: 0, losses: 1, winRate: 0 },
+      { tier: 'below-average', n: 1, wins: 0, ties: 0, losses: 1, winRate: 0 },
+    ]);
+  });
+
+  it('should compare margins above and below the season median', () => {
+    expect(analysis.seasonMedian).toBe(70);
+    expect(analysis.marginBySeasonMedian.above).toEqual({ games: 3, averageMargin: 1 });
+    expect(analysis.marginBySeasonMedian.below).toEqual({ games: 2, averageMargin: -2 });
+  });
+
+  it('should correlate chemistry with margin, winning and practice', () => {
+    expect(analysis.correlations.chemistryVsMargin.n).toBe(5);
+    expect(analysis.correlations.chemistryVsMargin.r).toBeGreaterThan(0.8);
+    expect(analysis.correlations.chemistryVsWin.r).toBeGreaterThan(0);
+    // One practice rating per analysis
+    expect(analysis.correlations.chemistryVsPractice.n).toBe(4);
+  });
+
+  it('should correlate practice rating with each dimension', () => {
+    expect(analysis.practiceByDimension).toEqual([
+      { name: 'Trust', correlation: analysis.correlations.chemistryVsPractice },
+    ]);
+    expect(analysis.practice).toHaveLength(4);
+  });
+
+  it('should handle a season without games', () => {
+    const empty = buildPerformanceAnalysis([], weeks, ['Trust']);
+    expect(empty.gameCount).toBe(0);
+    expect(empty.correlations.chemistryVsMargin).toBeNull();
+    expect(empty.winRateByTier.every(tier => tier.winRate === null)).toBe(true);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * SURVEY RELIABILITY (PSYCHOMETRICS)
+ *
+ * Do the survey items measure one construct? Computed from the raw ratings
+ * in the response rows (1-7 on the default scale), not the 0-100 dashboard
+ * scores. Reverse-coded items are flipped on their own scale first
+ * (min + max - value), so every item points the same way.
+ *
+ * OUTPUT (analyzeReliability):
+ * - alpha: Cronbach's alpha, k / (k - 1) * (1 - sum(item variances) / variance(total))
+ * - items[].itemTotalCorrelation: corrected item-total correlation (the item
+ *   against the sum of the other items)
+ * - items[].alphaIfDeleted: alpha of the remaining items without this one
+ * Only complete responses (every item answered) are used (listwise deletion).
+ *
+ * READING THE NUMBERS:
+ * alpha >= 0.9 excellent, >= 0.8 good, >= 0.7 acceptable, >= 0.6 questionable,
+ * >= 0.5 poor, below that unacceptable. An item-total correlation under 0.3,
+ * or an alpha-if-deleted above the overall alpha, marks an item that does
+ * not fit with the rest.
+ */
+
+import { calculateCorrelation } from './calculations.js';
+import {
+  assertValidSurveySchema,
+  assertSchemaMatchesHeaders,
+  getDimensionColumns,
+  getTimestampColumn
+} from './surveySchema.js';
+import { groupResponsesByWeek } from './surveyWeeks.js';
+
+// Corrected item-total correlation below which an item is flagged
+export const WEAK_ITEM_TOTAL_CORRELATION = 0.3;
+
+const ALPHA_LABELS = [
+  { min: 0.9, label: 'excellent' },
+  { min: 0.8, label: 'good' },
+  { min: 0.7, label: 'acceptable' },
+  { min: 0.6, label: 'questionable' },
+  { min: 0.5, label: 'poor' },
+  { min: -Infinity, label: 'unacceptable' }
+];
+
+const round = (value, decimals = 3) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+/**
+ * Sample variance (n - 1)
+ * @private
+ */
+function sampleVariance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+}
+
+/**
+ * Describe an alpha value (George & Mallery rules of thumb)
+ *
+ * @param {number|null} alpha - Cronbach's alpha
+ * @returns {string|null} 'excellent' | 'good' | 'acceptable' | 'questionable' | 'poor' | 'unacceptable'
+ */
+export function describeAlpha(alpha) {
+  if (alpha === null || alpha === undefined || isNaN(alpha)) return null;
+  return ALPHA_LABELS.find(level => alpha >= level.min).label;
+}
+
+/**
+ * Cronbach's alpha of complete responses
+ *
+ * @param {Array<Array<number>>} rows - One array of item values per response (complete rows only)
+ * @returns {number|null} Alpha, or null with fewer than 2 items or responses, or no variance in the totals
+ */
+export function calculateCronbachAlpha(rows) {
+  const itemCount = rows?.[0]?.length || 0;
+  if (itemCount < 2 || rows.length < 2) {
+    return null;
+  }
+
+  const itemVariances = Array.from({ length: itemCount }, (_, item) => sampleVariance(rows.map(row => row[item])));
+  const totalVariance = sampleVariance(rows.map(row => row.reduce((sum, value) => sum + value, 0)));
+
+  if (totalVariance === 0) {
+    return null;
+  }
+
+  const sumItemVariances = itemVariances.reduce((sum, variance) => sum + variance, 0);
+  return (itemCount / (itemCount - 1)) * (1 - sumItemVariances / totalVariance);
+}
+
+/**
+ * Reliability of a set of items
+ *
+ * @param {Array<Array<number|null>>} rows - One array of raw item values per response (null = missing)
+ * @param {Array<string>} itemNames - Item labels, same order as the values
+ * @returns {Object} { alpha, interpretation, responseCount, completeCount, itemCount,
+ *                     items: [{ name, mean, itemTotalCorrelation, alphaIfDeleted, weak }] }
+ */
+export function analyzeReliability(rows, itemNames) {
+  const complete = (rows || []).filter(row => row.every(value => typeof value === 'number' && !isNaN(value)));
+  const alpha = calculateCronbachAlpha(complete);
+
+  const items = itemNames.map((name, index) => {
+    const values = complete.map(row => row[index]);
+    const restTotals = complete.map(row => row.reduce((sum, value, item) => item === index ? sum : sum + value, 0));
+    const itemTotal = calculateCorrelation(values, restTotals);
+    const alphaIfDeleted = calculateCronbachAlpha(complete.map(row => row.filter((_, item) => item !== index)));
+
+    return {
+      name,
+      mean: values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length, 2) : null,
+      itemTotalCorrelation: itemTotal ? itemTotal.r : null,
+      alphaIfDeleted: alphaIfDeleted === null ? null : round(alphaIfDeleted),
+      // Drags the scale down: weakly related to the rest, or alpha improves without it
+      weak: Boolean(itemTotal && itemTotal.r < WEAK_ITEM_TOTAL_CORRELATION) ||
+        (alpha !== null && alphaIfDeleted !== null && alphaIfDeleted > alpha)
+    };
+  });
+
+  return {
+    alpha: alpha === null ? null : round(alpha),
+    interpretation: describeAlpha(alpha),
+    responseCount: (rows || []).length,
+    completeCount: complete.length,
+    itemCount: itemNames.length,
+    items
+  };
+}
+
+/**
+ * Raw item values of every response row
+ *
+ * One item per dimension column of the schema (a dimension with several
+ * columns contributes each of them). Off-scale or empty cells are null.
+ *
+ * @param {Array<Array>} rawRows - Weekly-Chemistry values including the header row
+ * @param {Object} schema - Survey schema
+ * @returns {Object} { items: [{ index, name, reverseCoded, scale }], responses: [{ timestamp, values }] }
+ * @throws {Error} code SURVEY_SCHEMA_MISMATCH if the schema is invalid or does not match the headers
+ */
+export function readItemValues(rawRows, schema) {
+  assertValidSurveySchema(schema);
+  if (rawRows && rawRows.length > 0) {
+    assertSchemaMatchesHeaders(schema, rawRows[0]);
+  }
+
+  const timestampColumn = getTimestampColumn(schema);
+  const columns = getDimensionColumns(schema);
+  const nameCounts = columns.reduce((counts, column) => ({ ...counts, [column.dimension]: (counts[column.dimension] || 0) + 1 }), {});
+
+  const items = columns.map(column => ({
+    index: column.index,
+    // Dimensions with several items are told apart by their header
+    name: nameCounts[column.dimension] > 1 ? `${column.dimension}: ${column.header || `column ${column.index + 1}`}` : column.dimension,
+    reverseCoded: column.reverseCoded,
+    scale: column.scale
+  }));
+
+  const responses = (rawRows || []).slice(1).map(row => ({
+    timestamp: row[timestampColumn.index] || '',
+    values: columns.map(column => {
+      const value = parseFloat(row[column.index]);
+      const { min, max } = column.scale;
+      if (isNaN(value) || value < min || value > max) return null;
+      return column.reverseCoded ? min + max - value : value;
+    })
+  }));
+
+  return { items, responses };
+}
+
+/**
+ * Reliability for the whole season and for each survey week
+ *
+ * @param {Array<Array>} rawRows - Weekly-Chemistry values including the header row
+ * @param {Object} schema - Survey schema
+ * @param {Object} options
+ * @param {Object} options.weekOptions - { weekStartDay, timeZone } (see utils/surveyWeeks.js)
+ * @param {number} options.minResponses - Weeks with fewer responses are suppressed
+ * @returns {Object} { items, season: analyzeReliability(), weeks: [{ weekId, startDate, endDate, suppressed, ...analyzeReliability() }] }
+ */
+export function buildReliabilityReport(rawRows, schema, { weekOptions = {}, minResponses = 1 } = {}) {
+  const { items, responses } = readItemValues(rawRows, schema);
+  const itemNames = items.map(item => item.name);
+  const series = groupResponsesByWeek(responses, weekOptions);
+
+  return {
+    items,
+    season: analyzeReliability(responses.map(response => response.values), itemNames),
+    weeks: series.weekIds.map(weekId => {
+      const week = series.weeks[weekId];
+      const suppressed = week.responses.length < minResponses;
+
+      return {
+        weekId,
+        startDate: week.startDate,
+        endDate: week.endDate,
+        suppressed,
+        ...(suppressed
+          ? { alpha: null, interpretation: null, responseCount: week.responses.length, completeCount: null, itemCount: items.length, items: [] }
+          : analyzeReliability(week.responses.map(response => response.values), itemNames))
+      };
+    })
+  };
+}
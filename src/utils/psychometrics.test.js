@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Survey Reliability
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCronbachAlpha,
+  analyzeReliability,
+  describeAlpha,
+  readItemValues,
+  buildReliabilityReport,
+} from './psychometrics';
+
+// Three items that move together, plus one that does not
+const rows = [
+  [4, 5, 4, 7],
+  [2, 3, 3, 1],
+  [6, 6, 5, 2],
+  [5, 4, 5, 6],
+  [3, 3, 2, 5],
+  [7, 6, 7, 3],
+];
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'dimension', header: 'Trust', dimension: 'Trust' },
+    { index: 2, role: 'dimension', header: 'Energy', dimension: 'Energy' },
+    { index: 3, role: 'dimension', header: 'Focus', dimension: 'Focus', reverseCoded: true },
+  ],
+};
+
+describe('calculateCronbachAlpha', () => {
+  it('should compute alpha from the item and total variances', () => {
+    expect(calculateCronbachAlpha(rows.map(row => row.slice(0, 3)))).toBeCloseTo(0.9494, 4);
+    expect(calculateCronbachAlpha(rows)).toBeCloseTo(0.6505, 4);
+  });
+
+  it('should need two items and two responses', () => {
+    expect(calculateCronbachAlpha([[1, 2]])).toBeNull();
+    expect(calculateCronbachAlpha([[1], [2]])).toBeNull();
+    expect(calculateCronbachAlpha([])).toBeNull();
+  });
+
+  it('should return null when every total is the same', () => {
+    expect(calculateCronbachAlpha([[1, 7], [7, 1]])).toBeNull();
+  });
+});
+
+describe('analyzeReliability', () => {
+  const result = analyzeReliability(rows, ['Trust', 'Energy', 'Focus', 'Odd']);
+
+  it('should report alpha with its interpretation', () => {
+    expect(result.alpha).toBe(0.65);
+    expect(result.interpretation).toBe('questionable');
+    expect(result.completeCount).toBe(6);
+  });
+
+  it('should compute corrected item-total correlations and alpha if deleted', () => {
+    const odd = result.items[3];
+    expect(odd.itemTotalCorrelation).toBeCloseTo(-0.053, 3);
+    expect(odd.alphaIfDeleted).toBe(0.949);
+
+    expect(result.items[0].itemTotalCorrelation).toBeCloseTo(0.775, 3);
+    expect(result.items[0].alphaIfDeleted).toBe(0.314);
+  });
+
+  it('should flag only the item that does not fit', () => {
+    expect(result.items.map(item => item.weak)).toEqual([false, false, false, true]);
+  });
+
+  it('should leave incomplete responses out', () => {
+    const withGap = analyzeReliability([...rows, [4, null, 4, 4]], ['Trust', 'Energy', 'Focus', 'Odd']);
+
+    expect(withGap.responseCount).toBe(7);
+    expect(withGap.completeCount).toBe(6);
+    expect(withGap.alpha).toBe(result.alpha);
+  });
+});
+
+describe('describeAlpha', () => {
+  it('should follow the usual rules of thumb', () => {
+    expect(describeAlpha(0.93)).toBe('excellent');
+    expect(describeAlpha(0.72)).toBe('acceptable');
+    expect(describeAlpha(0.3)).toBe('unacceptable');
+    expect(describeAlpha(null)).toBeNull();
+  });
+});
+
+describe('readItemValues', () => {
+  it('should keep the raw ratings and flip reverse-coded items on their scale', () => {
+    const { items, responses } = readItemValues([
+      ['Timestamp', 'Trust', 'Energy', 'Focus'],
+      ['10/07/2025 18:00:00', '6', '', '2'],
+      ['10/08/2025 18:00:00', '9', '4', '7'],
+    ], schema);
+
+    expect(items.map(item => item.name)).toEqual(['Trust', 'Energy', 'Focus']);
+    expect(responses[0].values).toEqual([6, null, 6]);
+    // Off-scale values are missing
+    expect(responses[1].values).toEqual([null, 4, 1]);
+  });
+});
+
+describe('buildReliabilityReport', () => {
+  const rawRows = [
+    ['Timestamp', 'Trust', 'Energy', 'Focus'],
+    ['10/07/2025 18:00:00', '6', '5', '2'],
+    ['10/08/2025 18:00:00', '2', '3', '6'],
+    ['10/14/2025 18:00:00', '5', '6', '3'],
+    ['10/15/2025 18:00:00', '3', '2', '5'],
+    ['10/16/2025 18:00:00', '4', '4', '4'],
+  ];
+
+  it('should analyse the season and each week', () => {
+    const report = buildReliabilityReport(rawRows, schema, { weekOptions: { weekStartDay: 1, timeZone: 'UTC' } });
+
+    expect(report.season.responseCount).toBe(5);
+    expect(report.season.alpha).toBeGreaterThan(0.9);
+    expect(report.weeks.map(week => [week.weekId, week.responseCount])).toEqual([['2025-10-06', 2], ['2025-10-13', 3]]);
+  });
+
+  it('should suppress weeks below the minimum response count', () => {
+    const report = buildReliabilityReport(rawRows, schema, { weekOptions: { weekStartDay: 1, timeZone: 'UTC' }, minResponses: 3 });
+
+    expect(report.weeks[0]).toMatchObject({ suppressed: true, alpha: null, items: [] });
+    expect(report.weeks[1].suppressed).toBe(false);
+  });
+});
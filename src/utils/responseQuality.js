@@ -0,0 +1,157 @@
+/**
+ * RESPONSE QUALITY (CARELESS-RESPONSE DETECTION)
+ *
+ * Scores each survey row for signs it was not answered thoughtfully - a 7 on
+ * everything in ten seconds. Each signal adds points
+ * (RESPONSE_QUALITY_CONFIG.POINTS); a row is flagged once it reaches FLAG_SCORE.
+ *
+ * SIGNALS:
+ * - straight-lining: the same raw answer on every rating
+ * - low-variance:    nearly the same answer everywhere (SD under LOW_VARIANCE of the scale)
+ * - text-mismatch:   ratings at one extreme while the open text reads the other
+ *                    way (a small word list, see scoreTextSentiment())
+ * - speeder:         completed faster than MIN_SECONDS_PER_ITEM per rating; only
+ *                    when the schema has a duration column
+ *
+ * Patterns are read from the raw answers before reverse coding, since that is
+ * what a straight-liner actually clicks. Flagged responses stay in the data:
+ * the team setting `excludeFlaggedResponses` leaves them out of every score
+ * (see api/_lib/history.js) and admins review them on the dashboard.
+ */
+
+import { RESPONSE_QUALITY_CONFIG } from '../config/constants.js';
+import {
+  getDimensionColumns,
+  getDurationColumn,
+  getOpenTextColumns,
+  scaleToPercent
+} from './surveySchema.js';
+
+export const QUALITY_FLAG_TYPES = ['straight-lining', 'low-variance', 'text-mismatch', 'speeder'];
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'amazing', 'awesome', 'excellent', 'happy', 'love', 'loved', 'proud', 'strong',
+  'positive', 'fun', 'enjoyed', 'better', 'best', 'confident', 'connected', 'motivated', 'energized',
+  'supportive', 'united'
+]);
+
+const NEGATIVE_WORDS = new Set([
+  'bad', 'terrible', 'awful', 'horrible', 'worst', 'worse', 'hate', 'hated', 'frustrated', 'frustrating',
+  'angry', 'upset', 'sad', 'disappointed', 'disappointing', 'toxic', 'exhausted', 'stressed', 'drama',
+  'conflict', 'arguing', 'miserable', 'lonely', 'isolated', 'disrespected', 'blamed', 'selfish'
+]);
+
+const NEGATORS = new Set(['not', 'no', 'never', 'hardly', "isn't", "wasn't", "aren't", "weren't", "don't", "didn't", "doesn't"]);
+
+/**
+ * Net tone of a free-text answer
+ *
+ * Counts positive minus negative words; a negator right before a word
+ * ("not good") flips it. Deliberately crude: it only backs up the rating
+ * patterns and never flags a response on its own.
+ *
+ * @param {string} text - Open-text answer(s)
+ * @returns {number} > 0 reads positive, < 0 negative, 0 neutral or mixed
+ */
+export function scoreTextSentiment(text) {
+  const words = String(text ?? '').toLowerCase().replace(/’/g, "'").match(/[a-z']+/g) || [];
+
+  return words.reduce((net, word, index) => {
+    const tone = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+    return net + (NEGATORS.has(words[index - 1]) ? -tone : tone);
+  }, 0);
+}
+
+/**
+ * Score one survey row for careless-response signals
+ *
+ * @param {Array} row - Sheet row (values in schema column positions)
+ * @param {Object} schema - Valid survey schema
+ * @returns {Object} { score, flagged, flags: [{ type, detail }] }
+ */
+export function assessResponseQuality(row, schema) {
+  const config = RESPONSE_QUALITY_CONFIG;
+  const flags = [];
+
+  // Valid answers: raw value, position on its scale (0-1, not reverse-coded) and 0-100 score
+  const answers = getDimensionColumns(schema)
+    .map(column => {
+      const score = scaleToPercent(row[column.index], column);
+      if (score === null) return null;
+
+      const raw = parseFloat(row[column.index]);
+      return { raw, position: (raw - column.scale.min) / (column.scale.max - column.scale.min), score };
+    })
+    .filter(Boolean);
+
+  if (answers.length >= config.MIN_ITEMS) {
+    const positions = answers.map(answer => answer.position);
+    const meanPosition = positions.reduce((sum, value) => sum + value, 0) / positions.length;
+    const sd = Math.sqrt(positions.reduce((sum, value) => sum + Math.pow(value - meanPosition, 2), 0) / positions.length);
+
+    if (positions.every(position => position === positions[0])) {
+      flags.push({ type: 'straight-lining', detail: `Answered ${answers[0].raw} on all ${answers.length} ratings` });
+    } else if (sd < config.LOW_VARIANCE) {
+      flags.push({ type: 'low-variance', detail: `Answers barely vary (SD ${Math.round(sd * 100)}% of the scale)` });
+    }
+  }
+
+  if (answers.length > 0) {
+    const meanScore = answers.reduce((sum, answer) => sum + answer.score, 0) / answers.length;
+    const tone = scoreTextSentiment(getOpenTextColumns(schema).map(column => row[column.index] ?? '').join(' '));
+
+    if ((meanScore >= config.EXTREME_SCORE && tone < 0) || (meanScore <= 100 - config.EXTREME_SCORE && tone > 0)) {
+      flags.push({
+        type: 'text-mismatch',
+        detail: `Ratings average ${Math.round(meanScore)} but the open text reads ${tone < 0 ? 'negative' : 'positive'}`
+      });
+    }
+  }
+
+  const durationColumn = getDurationColumn(schema);
+  const seconds = durationColumn ? parseFloat(row[durationColumn.index]) : NaN;
+  const minimumSeconds = config.MIN_SECONDS_PER_ITEM * answers.length;
+  if (seconds > 0 && seconds < minimumSeconds) {
+    flags.push({ type: 'speeder', detail: `Completed in ${Math.round(seconds)} s (under ${minimumSeconds} s for ${answers.length} ratings)` });
+  }
+
+  const score = flags.reduce((sum, flag) => sum + (config.POINTS[flag.type] || 0), 0);
+
+  return { score, flagged: score >= config.FLAG_SCORE, flags };
+}
+
+/**
+ * Review list of the flagged responses
+ *
+ * @param {Object} series - Output of groupResponsesByWeek() over transformData() responses
+ *                          (each carries `row` and `quality`)
+ * @returns {Object} { responseCount, flaggedCount, flagCounts: { [type]: flagged responses with that signal },
+ *                     weeks: [{ weekId, responseCount, flaggedCount }],
+ *                     responses: [{ row, weekId, timestamp, score, flags }] (flagged only, oldest first) }
+ */
+export function buildResponseQualityReport(series) {
+  const weekIds = series?.weekIds || [];
+  const responses = weekIds.flatMap(weekId => series.weeks[weekId].responses);
+  const flagged = responses.filter(response => response.quality?.flagged);
+
+  return {
+    responseCount: responses.length,
+    flaggedCount: flagged.length,
+    flagCounts: Object.fromEntries(QUALITY_FLAG_TYPES.map(type => [
+      type,
+      flagged.filter(response => response.quality.flags.some(flag => flag.type === type)).length
+    ])),
+    weeks: weekIds.map(weekId => ({
+      weekId,
+      responseCount: series.weeks[weekId].responses.length,
+      flaggedCount: series.weeks[weekId].responses.filter(response => response.quality?.flagged).length
+    })),
+    responses: flagged.map(response => ({
+      row: response.row,
+      weekId: response.weekId,
+      timestamp: response.timestamp,
+      score: response.quality.score,
+      flags: response.quality.flags
+    }))
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for Careless-Response Detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { scoreTextSentiment, assessResponseQuality, buildResponseQualityReport } from './responseQuality';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp' },
+    { index: 1, role: 'open-text', key: 'weekReflection' },
+    { index: 2, role: 'dimension', header: 'Q2', dimension: 'Trust' },
+    { index: 3, role: 'dimension', header: 'Q3', dimension: 'Trust' },
+    { index: 4, role: 'dimension', header: 'Q4', dimension: 'Energy' },
+    { index: 5, role: 'dimension', header: 'Q5', dimension: 'Role Clarity' },
+    { index: 6, role: 'duration' },
+  ],
+};
+
+const types = (quality) => quality.flags.map(flag => flag.type);
+
+describe('scoreTextSentiment', () => {
+  it('should count positive minus negative words', () => {
+    expect(scoreTextSentiment('Great week, proud of the group')).toBe(2);
+    expect(scoreTextSentiment('Terrible. So much drama.')).toBe(-2);
+    expect(scoreTextSentiment('')).toBe(0);
+  });
+
+  it('should flip a word after a negator', () => {
+    expect(scoreTextSentiment('It was not good')).toBe(-1);
+    expect(scoreTextSentiment("Honestly wasn't bad")).toBe(1);
+  });
+});
+
+describe('assessResponseQuality', () => {
+  it('should flag straight-lining on its own', () => {
+    const quality = assessResponseQuality(['10/14/2025', '', '7', '7', '7', '7', ''], schema);
+
+    expect(types(quality)).toEqual(['straight-lining']);
+    expect(quality.flags[0].detail).toBe('Answered 7 on all 4 ratings');
+    expect(quality).toMatchObject({ score: 2, flagged: true });
+  });
+
+  it('should flag a speeder when the form records durations', () => {
+    const quality = assessResponseQuality(['10/14/2025', '', '6', '2', '5', '4', '5'], schema);
+
+    expect(types(quality)).toEqual(['speeder']);
+    expect(quality.flagged).toBe(true);
+  });
+
+  it('should only flag low variance together with contradicting text', () => {
+    const lowVariance = assessResponseQuality(['10/14/2025', 'Fine', '7', '7', '7', '6', '60'], schema);
+    expect(types(lowVariance)).toEqual(['low-variance']);
+    expect(lowVariance.flagged).toBe(false);
+
+    const contradicted = assessResponseQuality(['10/14/2025', 'Awful week, so much conflict', '7', '7', '7', '6', '60'], schema);
+    expect(types(contradicted)).toEqual(['low-variance', 'text-mismatch']);
+    expect(contradicted.flagged).toBe(true);
+  });
+
+  it('should leave a considered response alone', () => {
+    const quality = assessResponseQuality(['10/14/2025', 'Good week', '6', '3', '4', '7', '95'], schema);
+
+    expect(quality).toEqual({ score: 0, flagged: false, flags: [] });
+  });
+
+  it('should not judge patterns on too few answers', () => {
+    const quality = assessResponseQuality(['10/14/2025', '', '7', '', '7', '', ''], schema);
+
+    expect(quality.flags).toEqual([]);
+  });
+});
+
+describe('buildResponseQualityReport', () => {
+  it('should list flagged responses with per-week counts', () => {
+    const flagged = { score: 2, flagged: true, flags: [{ type: 'straight-lining', detail: 'Answered 7 on all 4 ratings' }] };
+    const clean = { score: 0, flagged: false, flags: [] };
+    const series = {
+      weekIds: ['2025-10-06', '2025-10-13'],
+      weeks: {
+        '2025-10-06': { responses: [{ row: 2, weekId: '2025-10-06', timestamp: 'a', quality: clean }] },
+        '2025-10-13': { responses: [
+          { row: 3, weekId: '2025-10-13', timestamp: 'b', quality: flagged },
+          { row: 4, weekId: '2025-10-13', timestamp: 'c', quality: clean },
+        ] },
+      },
+    };
+
+    const report = buildResponseQualityReport(series);
+
+    expect(report).toMatchObject({ responseCount: 3, flaggedCount: 1 });
+    expect(report.flagCounts).toEqual({ 'straight-lining': 1, 'low-variance': 0, 'text-mismatch': 0, 'speeder': 0 });
+    expect(report.weeks).toEqual([
+      { weekId: '2025-10-06', responseCount: 1, flaggedCount: 0 },
+      { weekId: '2025-10-13', responseCount: 2, flaggedCount: 1 },
+    ]);
+    expect(report.responses).toEqual([{ row: 3, weekId: '2025-10-13', timestamp: 'b', score: 2, flags: flagged.flags }]);
+  });
+});
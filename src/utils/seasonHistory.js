@@ -0,0 +1,375 @@
+/**
+ * SEASON HISTORY
+ *
+ * Summarizes each survey week into the team score and the dimension
+ * averages. Used by the backend /api/history endpoint (and the development
+ * fallback in services/dataService.js) so trends reflect real survey weeks.
+ * The same summaries back /api/summary, so they carry everything the
+ * privacy-mode dashboard needs without individual responses.
+ *
+ * SUPPRESSION (k-anonymity):
+ * A week with fewer than `minResponses` responses is marked `suppressed`:
+ * its team score, dimension averages and intervals are null, and it is left
+ * out of the season average. A dimension with fewer valid answers than
+ * `minResponses` is suppressed on its own. Only the response counts remain.
+ *
+ * MISSING ANSWERS:
+ * A dimension's `responseCount` is its valid-n: the responses that actually
+ * answered it. Scores filled in by the imputation policy (see
+ * imputeMissingScores() in surveyResponses.js) are averaged in and counted
+ * separately as `imputedCount`; they never lift a dimension over the
+ * suppression threshold.
+ *
+ * WEIGHTING:
+ * Team scores use the dimension weights from team settings. History is
+ * always recomputed from the stored responses, so every past week is scored
+ * under the current weights and the trend stays comparable.
+ *
+ * CONFIDENCE INTERVALS:
+ * Team and dimension scores carry a Student's t interval at `confidenceLevel`
+ * (see calculateConfidenceInterval() in calculations.js); the dashboard shows
+ * them as ± ranges and as the band around the trend line.
+ *
+ * WEEK-OVER-WEEK SIGNIFICANCE:
+ * Each reported week is compared with the latest earlier week that reported
+ * the same score (team or dimension) using Welch's t-test over the two weeks'
+ * responses. `teamComparison` / `comparison` carry the change, effect size
+ * and p-value; trend arrows are only shown when `significant` is true.
+ *
+ * MOMENTUM:
+ * `teamMomentum` / `momentum` hold the short and long rolling averages and
+ * the EWMA up to that week (see calculateMultiPeriodTrend()), plus
+ * `crossover` ('up' | 'down') on the week the short average crosses the long
+ * one. Suppressed weeks are skipped by the averages and get null.
+ *
+ * AGREEMENT:
+ * Each reported dimension carries `agreement`, the within-team agreement on
+ * it (see calculateAgreementIndex()): an average of 70 reads very
+ * differently when the team is split between 40 and 100.
+ *
+ * PARTICIPATION:
+ * With a roster size in team settings, each week carries `participation`:
+ * the responses as a share of the roster, overall and per position group
+ * when the form records one. A week under `minParticipation` is marked
+ * `low`; its scores still count, but the dashboard and the AI analysis
+ * warn that they may not speak for the whole team. Responses left out as
+ * careless do not count as participation.
+ *
+ * FORECAST:
+ * `forecast` projects the next survey week's team and dimension scores with
+ * Holt's linear smoothing and a prediction interval (see forecastNextValue()),
+ * once enough weeks have been reported.
+ */
+
+import {
+  calculatePlayerScore,
+  calculateTeamAverage,
+  getEffectiveWeights,
+  calculateDimensionAverages,
+  calculateConfidenceInterval,
+  calculateAgreementIndex,
+  calculateMultiPeriodTrend,
+  forecastNextValue,
+  welchTTest
+} from './calculations.js';
+
+/**
+ * Confidence interval (Student's t) of a set of 0-100 scores, rounded for display
+ *
+ * @param {Array<number>} scores - One score per response
+ * @param {number} confidenceLevel - e.g. 0.95 for a 95% interval
+ * @returns {Object|null} { lower, upper, marginOfError }, or null with fewer than 2 scores
+ */
+export function summarizeConfidenceInterval(scores, confidenceLevel = 0.95) {
+  if (!scores || scores.length < 2) {
+    return null;
+  }
+
+  const round = value => Math.round(value * 10) / 10;
+  const { lower, upper, marginOfError } = calculateConfidenceInterval(scores, confidenceLevel);
+
+  return {
+    lower: round(lower),
+    upper: round(upper),
+    marginOfError: round(marginOfError)
+  };
+}
+
+/**
+ * Week-over-week significance test, rounded for display
+ *
+ * @param {Array<number>} currentScores - One score per response, current week
+ * @param {Array<number>} previousScores - One score per response, previous reported week
+ * @param {string} previousWeekId - Week the scores are compared with
+ * @param {number} significanceLevel - p-value below which the change is significant
+ * @returns {Object|null} { test, previousWeekId, change, t, df, pValue, effectSize, currentN, previousN,
+ *                          significanceLevel, significant }, or null when either week has fewer than 2 scores
+ */
+export function summarizeComparison(currentScores, previousScores, previousWeekId, significanceLevel = 0.05) {
+  const result = welchTTest(currentScores, previousScores);
+  if (!result) {
+    return null;
+  }
+
+  const round = (value, decimals) => Number.isFinite(value)
+    ? Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals)
+    : value;
+
+  return {
+    test: 'welch-t',
+    previousWeekId,
+    change: round(result.change, 1),
+    t: round(result.t, 2),
+    df: round(result.df, 1),
+    pValue: round(result.pValue, 4),
+    effectSize: round(result.effectSize, 2),
+    currentN: result.currentN,
+    previousN: result.previousN,
+    significanceLevel,
+    significant: result.pValue < significanceLevel
+  };
+}
+
+/**
+ * Participation of a week against the team roster
+ *
+ * Group counts are matched to the roster's position groups by name
+ * (case-insensitive); they are null when no response in the week records a
+ * position group.
+ *
+ * @param {Array<Object>} responses - The week's responses (each may carry `positionGroup`)
+ * @param {Object|null} roster - { size, positionGroups: { [group]: players } } from team settings
+ * @param {number} minParticipation - Response rate (0-1) below which participation is low
+ * @returns {Object|null} { rosterSize, responseCount, rate, low, groups: [{ name, rosterSize, responseCount, rate }] },
+ *                        or null without a roster size
+ */
+export function summarizeParticipation(responses, roster, minParticipation = 0.6) {
+  if (!roster?.size) {
+    return null;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const list = responses || [];
+  const rate = round(list.length / roster.size);
+  const groupKey = name => String(name ?? '').trim().toLowerCase();
+  const recordsGroups = list.some(response => response.positionGroup);
+
+  return {
+    rosterSize: roster.size,
+    responseCount: list.length,
+    rate,
+    low: rate < minParticipation,
+    groups: Object.entries(roster.positionGroups || {}).map(([name, size]) => {
+      const count = recordsGroups ? list.filter(response => groupKey(response.positionGroup) === groupKey(name)).length : null;
+
+      return {
+        name,
+        rosterSize: size,
+        responseCount: count,
+        rate: count === null || size === 0 ? null : round(count / size)
+      };
+    })
+  };
+}
+
+/**
+ * Per-response scores of a week: composite scores and each dimension's answers
+ * @private
+ */
+function collectWeekScores(week, dimensionNames, weights) {
+  const responses = week?.responses || [];
+
+  return {
+    team: responses.map(response => calculatePlayerScore(response, weights)),
+    dimensions: Object.fromEntries(
+      calculateDimensionAverages(responses, dimensionNames).map(dimension => [dimension.name, dimension.scores])
+    )
+  };
+}
+
+/**
+ * Forecast the survey week after the last one in the history
+ *
+ * @param {Array<Object>} weeks - Week summaries, oldest first
+ * @param {number} confidenceLevel - Level of the prediction intervals
+ * @returns {Object|null} { startDate, team: { forecast, lower, upper, marginOfError, ... },
+ *                          dimensions: [{ name, forecast, lower, upper, ... }] }, or null
+ *                          when too few weeks have a reported team score
+ */
+export function forecastNextWeek(weeks, confidenceLevel = 0.95) {
+  const team = forecastNextValue(weeks.map(week => week.teamScore), { confidenceLevel });
+  if (!team) {
+    return null;
+  }
+
+  const lastWeek = weeks[weeks.length - 1];
+  const nextStart = lastWeek.startDate ? new Date(`${lastWeek.startDate}T00:00:00Z`) : null;
+  if (nextStart) nextStart.setUTCDate(nextStart.getUTCDate() + 7);
+
+  return {
+    startDate: nextStart ? nextStart.toISOString().slice(0, 10) : null,
+    team,
+    // Dimensions with too few reported weeks are left out
+    dimensions: lastWeek.dimensions
+      .map(({ name }) => {
+        const values = weeks.map(week => week.dimensions.find(dimension => dimension.name === name)?.average ?? null);
+        const projection = forecastNextValue(values, { confidenceLevel });
+        return projection ? { name, ...projection } : null;
+      })
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Summarize one survey week
+ *
+ * @param {Object} week - Weekly snapshot from groupResponsesByWeek()
+ * @param {Array<string>|null} dimensionNames - Dimension order from the survey schema
+ * @param {Object} options
+ * @param {number} options.minResponses - Fewer responses than this suppress the scores (1 = never)
+ * @param {Object|null} options.weights - { [dimensionName]: weight } from team settings
+ * @param {number} options.confidenceLevel - Level of the confidence intervals (e.g. 0.95)
+ * @param {Object|null} options.roster - Team roster from settings (null = participation not tracked)
+ * @param {number} options.minParticipation - Response rate (0-1) below which participation is low
+ * @returns {Object} { weekId, startDate, endDate, responseCount, suppressed, teamScore, teamConfidenceInterval,
+ *                     participation: see summarizeParticipation(),
+ *                     dimensions: [{ name, average, responseCount (valid-n), imputedCount, confidenceInterval,
+ *                                    agreement, suppressed }] }
+ */
+export function summarizeWeek(week, dimensionNames = null, {
+  minResponses = 1,
+  weights = null,
+  confidenceLevel = 0.95,
+  roster = null,
+  minParticipation = 0.6
+} = {}) {
+  const responses = week?.responses || [];
+  const suppressed = responses.length < minResponses;
+
+  return {
+    weekId: week.weekId,
+    startDate: week.startDate,
+    endDate: week.endDate,
+    responseCount: responses.length,
+    suppressed,
+    teamScore: suppressed ? null : calculateTeamAverage(responses, weights),
+    // Spread of the per-response averages the team score is built from
+    teamConfidenceInterval: suppressed ? null : summarizeConfidenceInterval(
+      responses.map(response => calculatePlayerScore(response, weights)),
+      confidenceLevel
+    ),
+    participation: summarizeParticipation(responses, roster, minParticipation),
+    dimensions: calculateDimensionAverages(responses, dimensionNames).map(dimension => {
+      // Imputed scores do not count towards k-anonymity
+      const dimensionSuppressed = suppressed || dimension.validCount < minResponses;
+
+      return {
+        name: dimension.name,
+        average: dimensionSuppressed ? null : dimension.average,
+        responseCount: dimension.validCount,
+        imputedCount: dimension.scores.length - dimension.validCount,
+        confidenceInterval: dimensionSuppressed ? null : summarizeConfidenceInterval(dimension.scores, confidenceLevel),
+        agreement: dimensionSuppressed ? null : calculateAgreementIndex(dimension.scores),
+        suppressed: dimensionSuppressed
+      };
+    })
+  };
+}
+
+/**
+ * Build the full per-week history for the season
+ *
+ * @param {Object} series - Output of groupResponsesByWeek()
+ * @param {Array<string>|null} dimensionNames - Dimension order from the survey schema
+ * @param {Object} options
+ * @param {number} options.minResponses - Fewer responses than this suppress a week (1 = never)
+ * @param {Object|null} options.weights - { [dimensionName]: weight } from team settings
+ * @param {number} options.confidenceLevel - Level of the confidence intervals (e.g. 0.95)
+ * @param {number} options.significanceLevel - p-value cut-off of the week-over-week tests (e.g. 0.05)
+ * @param {Object|null} options.roster - Team roster from settings (null = participation not tracked)
+ * @param {number} options.minParticipation - Response rate (0-1) below which participation is low
+ * @returns {Object} { weeks: Array (oldest first, each with teamComparison / teamMomentum and
+ *                            dimensions[].comparison / momentum),
+ *                     seasonAverage: number|null, latestWeekId: string|null,
+ *                     minResponses, confidenceLevel, significanceLevel, weights: [{ name, weight, share }],
+ *                     rosterSize: number|null, minParticipation, forecast: see forecastNextWeek() }
+ */
+export function buildSeasonHistory(series, dimensionNames = null, {
+  minResponses = 1,
+  weights = null,
+  confidenceLevel = 0.95,
+  significanceLevel = 0.05,
+  roster = null,
+  minParticipation = 0.6
+} = {}) {
+  const weekIds = series?.weekIds || [];
+  const summaries = weekIds.map(weekId => summarizeWeek(series.weeks[weekId], dimensionNames, {
+    minResponses, weights, confidenceLevel, roster, minParticipation
+  }));
+  const scores = weekIds.map(weekId => collectWeekScores(series.weeks[weekId], dimensionNames, weights));
+
+  // Rolling averages and EWMA over the reported weekly values
+  const teamMomentum = calculateMultiPeriodTrend(summaries.map(week => week.teamScore));
+  const dimensionMomentum = new Map();
+  const getDimensionMomentum = (name) => {
+    if (!dimensionMomentum.has(name)) {
+      dimensionMomentum.set(name, calculateMultiPeriodTrend(
+        summaries.map(week => week.dimensions.find(dimension => dimension.name === name)?.average ?? null)
+      ));
+    }
+    return dimensionMomentum.get(name);
+  };
+
+  // Compare each reported week with the latest earlier week that reported the same score;
+  // suppressed values never enter a test
+  const weeks = summaries.map((week, index) => {
+    const previousIndex = week.suppressed ? -1 : summaries.findLastIndex((earlier, i) => i < index && !earlier.suppressed);
+
+    return {
+      ...week,
+      teamComparison: previousIndex >= 0
+        ? summarizeComparison(scores[index].team, scores[previousIndex].team, summaries[previousIndex].weekId, significanceLevel)
+        : null,
+      teamMomentum: teamMomentum[index],
+      dimensions: week.dimensions.map(dimension => {
+        const previousDimensionIndex = dimension.suppressed ? -1 : summaries.findLastIndex((earlier, i) =>
+          i < index && earlier.dimensions.some(previous => previous.name === dimension.name && !previous.suppressed)
+        );
+
+        return {
+          ...dimension,
+          comparison: previousDimensionIndex >= 0
+            ? summarizeComparison(
+              scores[index].dimensions[dimension.name],
+              scores[previousDimensionIndex].dimensions[dimension.name],
+              summaries[previousDimensionIndex].weekId,
+              significanceLevel
+            )
+            : null,
+          momentum: getDimensionMomentum(dimension.name)[index]
+        };
+      })
+    };
+  });
+
+  // Season average is the mean of the weekly team scores, so every week counts equally;
+  // suppressed weeks would leak their score through it
+  const reportedWeeks = weeks.filter(week => !week.suppressed);
+  const seasonAverage = reportedWeeks.length > 0
+    ? Math.round((reportedWeeks.reduce((sum, week) => sum + week.teamScore, 0) / reportedWeeks.length) * 10) / 10
+    : null;
+
+  return {
+    weeks,
+    seasonAverage,
+    latestWeekId: series?.latestWeekId || null,
+    minResponses,
+    confidenceLevel,
+    significanceLevel,
+    // Weighting every week above was scored with
+    weights: getEffectiveWeights(dimensionNames || [], weights),
+    rosterSize: roster?.size || null,
+    minParticipation,
+    forecast: forecastNextWeek(weeks, confidenceLevel)
+  };
+}
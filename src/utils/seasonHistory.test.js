@@ -0,0 +1,288 @@
+/**
+ * Unit Tests for Season History
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  summarizeWeek,
+  buildSeasonHistory,
+  summarizeConfidenceInterval,
+  summarizeParticipation,
+  forecastNextWeek
+} from './seasonHistory';
+
+const questions = ['Trust', 'Role Clarity'];
+
+const series = {
+  weekIds: ['2025-10-06', '2025-10-13'],
+  latestWeekId: '2025-10-13',
+  weeks: {
+    '2025-10-06': {
+      weekId: '2025-10-06',
+      startDate: '2025-10-06',
+      endDate: '2025-10-12',
+      responses: [
+        { questions, scores: [60, 40] },
+        { questions, scores: [80, 60] },
+      ],
+    },
+    '2025-10-13': {
+      weekId: '2025-10-13',
+      startDate: '2025-10-13',
+      endDate: '2025-10-19',
+      responses: [
+        { questions, scores: [90, 70] },
+      ],
+    },
+  },
+};
+
+describe('summarizeWeek', () => {
+  it('should compute the team score and dimension averages for a week', () => {
+    const summary = summarizeWeek(series.weeks['2025-10-06']);
+
+    expect(summary.weekId).toBe('2025-10-06');
+    expect(summary.responseCount).toBe(2);
+    expect(summary.teamScore).toBe(60);
+    expect(summary.dimensions.map(({ name, average, responseCount }) => ({ name, average, responseCount }))).toEqual([
+      { name: 'Trust', average: 70, responseCount: 2 },
+      { name: 'Role Clarity', average: 50, responseCount: 2 },
+    ]);
+  });
+
+  it('should include confidence intervals for the team and each dimension', () => {
+    const summary = summarizeWeek(series.weeks['2025-10-06']);
+
+    // Per-response averages 50 and 70: sample SD 14.14, SE 10, t(0.975, 1) = 12.71
+    expect(summary.teamConfidenceInterval).toEqual({ lower: 0, upper: 100, marginOfError: 127.1 });
+    expect(summary.dimensions[0].confidenceInterval).toEqual({ lower: 0, upper: 100, marginOfError: 127.1 });
+  });
+
+  it('should use the requested confidence level', () => {
+    const summary = summarizeWeek(series.weeks['2025-10-06'], null, { confidenceLevel: 0.5 });
+
+    // t(0.75, 1) = 1
+    expect(summary.teamConfidenceInterval).toEqual({ lower: 50, upper: 70, marginOfError: 10 });
+  });
+
+  it('should include the within-team agreement on each dimension', () => {
+    const summary = summarizeWeek(series.weeks['2025-10-06']);
+
+    // Trust answers 60 and 80: population SD 10, index 1 - 10 / 50
+    expect(summary.dimensions[0].agreement).toEqual({ index: 0.8, stdDev: 10, n: 2, level: 'strong' });
+    expect(summarizeWeek(series.weeks['2025-10-13']).dimensions[0].agreement).toBeNull();
+  });
+
+  it('should leave the interval empty for a single response', () => {
+    const summary = summarizeWeek(series.weeks['2025-10-13']);
+
+    expect(summary.teamConfidenceInterval).toBeNull();
+    expect(summary.dimensions.every(dimension => dimension.confidenceInterval === null)).toBe(true);
+  });
+});
+
+describe('summarizeConfidenceInterval', () => {
+  it('should return null with fewer than two scores', () => {
+    expect(summarizeConfidenceInterval([])).toBeNull();
+    expect(summarizeConfidenceInterval([80])).toBeNull();
+  });
+});
+
+describe('summarizeWeek suppression', () => {
+  it('should withhold every score below the minimum response count', () => {
+    const summary = summarizeWeek(series.weeks['2025-10-13'], null, { minResponses: 2 });
+
+    expect(summary.suppressed).toBe(true);
+    expect(summary.responseCount).toBe(1);
+    expect(summary.teamScore).toBeNull();
+    expect(summary.teamConfidenceInterval).toBeNull();
+    expect(summary.dimensions).toEqual([
+      { name: 'Trust', average: null, responseCount: 1, imputedCount: 0, confidenceInterval: null, agreement: null, suppressed: true },
+      { name: 'Role Clarity', average: null, responseCount: 1, imputedCount: 0, confidenceInterval: null, agreement: null, suppressed: true },
+    ]);
+  });
+
+  it('should suppress a dimension with too few valid answers on its own', () => {
+    const week = {
+      ...series.weeks['2025-10-06'],
+      responses: [
+        { questions, scores: [60, 40] },
+        { questions: ['Trust'], scores: [80] },
+      ],
+    };
+    const summary = summarizeWeek(week, questions, { minResponses: 2 });
+
+    expect(summary.suppressed).toBe(false);
+    expect(summary.dimensions[0]).toMatchObject({ name: 'Trust', average: 70, suppressed: false });
+    expect(summary.dimensions[1]).toMatchObject({ name: 'Role Clarity', average: null, suppressed: true });
+  });
+
+  it('should not let imputed answers lift a dimension over the threshold', () => {
+    const week = {
+      ...series.weeks['2025-10-06'],
+      responses: [
+        { questions, scores: [60, 40] },
+        { questions, scores: [80, 80], imputed: [false, true] },
+      ],
+    };
+    const summary = summarizeWeek(week, questions, { minResponses: 2 });
+
+    expect(summary.dimensions[0]).toMatchObject({ responseCount: 2, imputedCount: 0, suppressed: false });
+    expect(summary.dimensions[1]).toMatchObject({ responseCount: 1, imputedCount: 1, average: null, suppressed: true });
+  });
+});
+
+describe('summarizeParticipation', () => {
+  const roster = { size: 4, positionGroups: { Forwards: 2, Defense: 2 } };
+
+  it('should be null without a roster size', () => {
+    expect(summarizeParticipation(series.weeks['2025-10-06'].responses, null)).toBeNull();
+    expect(summarizeParticipation(series.weeks['2025-10-06'].responses, { size: null, positionGroups: {} })).toBeNull();
+  });
+
+  it('should report the response rate and flag it below the warning level', () => {
+    expect(summarizeParticipation(series.weeks['2025-10-06'].responses, roster, 0.6)).toMatchObject({
+      rosterSize: 4, responseCount: 2, rate: 0.5, low: true
+    });
+    expect(summarizeParticipation(series.weeks['2025-10-06'].responses, roster, 0.5).low).toBe(false);
+  });
+
+  it('should count position groups by name, or leave them null when the form does not record them', () => {
+    const responses = [
+      { questions, scores: [60, 40], positionGroup: 'forwards' },
+      { questions, scores: [80, 60], positionGroup: 'Forwards' },
+      { questions, scores: [70, 50], positionGroup: 'Defense' },
+    ];
+
+    expect(summarizeParticipation(responses, roster).groups).toEqual([
+      { name: 'Forwards', rosterSize: 2, responseCount: 2, rate: 1 },
+      { name: 'Defense', rosterSize: 2, responseCount: 1, rate: 0.5 },
+    ]);
+    expect(summarizeParticipation(series.weeks['2025-10-06'].responses, roster).groups[0]).toEqual(
+      { name: 'Forwards', rosterSize: 2, responseCount: null, rate: null }
+    );
+  });
+
+  it('should attach participation to every week of the history', () => {
+    const history = buildSeasonHistory(series, questions, { roster, minParticipation: 0.5 });
+
+    expect(history.rosterSize).toBe(4);
+    expect(history.minParticipation).toBe(0.5);
+    expect(history.weeks.map(week => week.participation.rate)).toEqual([0.5, 0.25]);
+    expect(history.weeks.map(week => week.participation.low)).toEqual([false, true]);
+    expect(buildSeasonHistory(series, questions).weeks[0].participation).toBeNull();
+  });
+});
+
+describe('buildSeasonHistory', () => {
+  it('should return one entry per week, oldest first', () => {
+    const history = buildSeasonHistory(series);
+
+    expect(history.weeks.map(week => week.weekId)).toEqual(['2025-10-06', '2025-10-13']);
+    expect(history.latestWeekId).toBe('2025-10-13');
+  });
+
+  it('should average the weekly team scores for the season', () => {
+    const history = buildSeasonHistory(series);
+    expect(history.seasonAverage).toBe(70);
+  });
+
+  it('should leave suppressed weeks out of the season average', () => {
+    const history = buildSeasonHistory(series, null, { minResponses: 2 });
+
+    expect(history.minResponses).toBe(2);
+    expect(history.weeks[1].suppressed).toBe(true);
+    expect(history.seasonAverage).toBe(60);
+  });
+
+  it('should test each week against the previous reported week', () => {
+    const threeWeeks = {
+      ...series,
+      weekIds: [...series.weekIds, '2025-10-20'],
+      latestWeekId: '2025-10-20',
+      weeks: {
+        ...series.weeks,
+        '2025-10-20': {
+          weekId: '2025-10-20',
+          startDate: '2025-10-20',
+          endDate: '2025-10-26',
+          responses: [
+            { questions, scores: [90, 50] },
+            { questions, scores: [100, 50] },
+          ],
+        },
+      },
+    };
+
+    // The one-response week is suppressed, so the latest week is tested against the first
+    const history = buildSeasonHistory(threeWeeks, null, { minResponses: 2 });
+    const [firstWeek, suppressedWeek, latestWeek] = history.weeks;
+
+    expect(history.significanceLevel).toBe(0.05);
+    expect(firstWeek.teamComparison).toBeNull();
+    expect(suppressedWeek.teamComparison).toBeNull();
+    expect(latestWeek.teamComparison).toMatchObject({ test: 'welch-t', previousWeekId: '2025-10-06', change: 12.5, currentN: 2, previousN: 2 });
+    expect(latestWeek.teamComparison.significant).toBe(false);
+
+    // Trust: [90, 100] vs [60, 80] - large but not significant with two responses a week
+    const trust = latestWeek.dimensions.find(dimension => dimension.name === 'Trust');
+    expect(trust.comparison).toMatchObject({ change: 25, effectSize: expect.any(Number) });
+    expect(trust.comparison.pValue).toBeGreaterThan(0.05);
+  });
+
+  it('should mark a change significant below the significance level', () => {
+    const history = buildSeasonHistory({
+      weekIds: ['2025-10-06', '2025-10-13'],
+      latestWeekId: '2025-10-13',
+      weeks: {
+        '2025-10-06': { weekId: '2025-10-06', responses: [40, 45, 50, 45].map(score => ({ questions: ['Trust'], scores: [score] })) },
+        '2025-10-13': { weekId: '2025-10-13', responses: [80, 85, 90, 85].map(score => ({ questions: ['Trust'], scores: [score] })) },
+      },
+    });
+
+    expect(history.weeks[1].teamComparison.significant).toBe(true);
+    expect(history.weeks[1].teamComparison.pValue).toBeLessThan(0.001);
+  });
+
+  it('should attach rolling averages and the EWMA to every week', () => {
+    const history = buildSeasonHistory(series);
+    const [firstWeek, latestWeek] = history.weeks;
+
+    expect(firstWeek.teamMomentum).toEqual({ shortAverage: null, longAverage: null, ewma: 60, crossover: null });
+    // EWMA: 0.3 * 80 + 0.7 * 60
+    expect(latestWeek.teamMomentum.ewma).toBe(66);
+    expect(latestWeek.dimensions[0].momentum.ewma).toBe(76);
+  });
+
+  it('should handle an empty season', () => {
+    const history = buildSeasonHistory({ weeks: {}, weekIds: [], latestWeekId: null });
+    expect(history.weeks).toEqual([]);
+    expect(history.seasonAverage).toBeNull();
+  });
+});
+
+describe('forecastNextWeek', () => {
+  const week = (startDate, teamScore, trust) => ({
+    startDate,
+    teamScore,
+    dimensions: [{ name: 'Trust', average: trust }],
+  });
+
+  it('should project the next week\'s team and dimension scores', () => {
+    const forecast = forecastNextWeek([
+      week('2025-09-22', 50, 60),
+      week('2025-09-29', 55, 60),
+      week('2025-10-06', 60, 60),
+      week('2025-10-13', 65, 60),
+    ]);
+
+    expect(forecast.startDate).toBe('2025-10-20');
+    expect(forecast.team).toMatchObject({ forecast: 70, lower: 70, upper: 70 });
+    expect(forecast.dimensions).toEqual([expect.objectContaining({ name: 'Trust', forecast: 60 })]);
+  });
+
+  it('should not forecast an early season', () => {
+    expect(forecastNextWeek([week('2025-10-06', 60, 60), week('2025-10-13', 65, 60)])).toBeNull();
+    expect(buildSeasonHistory(series).forecast).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * STATISTICAL DISTRIBUTIONS
+ *
+ * Distribution functions behind the interval estimates in calculations.js.
+ * Weekly samples are small (10-25 responses), so intervals use Student's t
+ * rather than the normal approximation.
+ *
+ * Pure functions with no dependencies, shared by the frontend and the backend.
+ */
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    y += 1;
+    series += coefficient / y;
+  }
+
+  return -tmp + Math.log((2.5066282746310007 * series) / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz)
+ * @private
+ */
+function betaContinuedFraction(x, a, b) {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const TINY = 1e-300;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+
+    // Even step
+    let numerator = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    // Odd step
+    numerator = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ *
+ * @param {number} x - Between 0 and 1
+ * @param {number} a - Shape parameter (> 0)
+ * @param {number} b - Shape parameter (> 0)
+ * @returns {number}
+ */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t
+ *
+ * @param {number} t - t statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0, need not be an integer)
+ * @returns {number} P(T <= t)
+ */
+export function studentTCdf(t, degreesOfFreedom) {
+  if (!Number.isFinite(t)) {
+    return t > 0 ? 1 : 0;
+  }
+
+  const tail = 0.5 * incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile (inverse CDF) of Student's t
+ *
+ * Example: studentTQuantile(0.975, 9) = 2.262, the critical value of a
+ * two-sided 95% interval from 10 responses.
+ *
+ * @param {number} p - Probability, between 0 and 1 (exclusive)
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+ * @returns {number} t such that P(T <= t) = p
+ */
+export function studentTQuantile(p, degreesOfFreedom) {
+  if (!(p > 0 && p < 1) || !(degreesOfFreedom > 0)) {
+    return NaN;
+  }
+  if (p === 0.5) return 0;
+  if (p < 0.5) return -studentTQuantile(1 - p, degreesOfFreedom);
+
+  // Bracket the quantile, then bisect (the CDF is monotonic)
+  let low = 0;
+  let high = 1;
+  while (studentTCdf(high, degreesOfFreedom) < p && high < 1e8) {
+    low = high;
+    high *= 2;
+  }
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, degreesOfFreedom) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-10) break;
+  }
+
+  return (low + high) / 2;
+}
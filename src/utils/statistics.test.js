@@ -0,0 +1,49 @@
+/**
+ * Unit Tests for Statistical Distributions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { incompleteBeta, studentTCdf, studentTQuantile } from './statistics';
+
+describe('incompleteBeta', () => {
+  it('should match closed forms', () => {
+    // I_x(1, 1) = x and I_x(2, 1) = x^2
+    expect(incompleteBeta(0.3, 1, 1)).toBeCloseTo(0.3, 10);
+    expect(incompleteBeta(0.3, 2, 1)).toBeCloseTo(0.09, 10);
+    expect(incompleteBeta(0, 2, 3)).toBe(0);
+    expect(incompleteBeta(1, 2, 3)).toBe(1);
+  });
+});
+
+describe('studentTCdf', () => {
+  it('should be symmetric around zero', () => {
+    expect(studentTCdf(0, 5)).toBeCloseTo(0.5, 10);
+    expect(studentTCdf(-1.5, 7) + studentTCdf(1.5, 7)).toBeCloseTo(1, 10);
+  });
+
+  it('should match the Cauchy distribution with 1 degree of freedom', () => {
+    expect(studentTCdf(1, 1)).toBeCloseTo(0.75, 8);
+  });
+});
+
+describe('studentTQuantile', () => {
+  it('should match t-table critical values', () => {
+    expect(studentTQuantile(0.975, 1)).toBeCloseTo(12.706, 3);
+    expect(studentTQuantile(0.975, 9)).toBeCloseTo(2.262, 3);
+    expect(studentTQuantile(0.995, 24)).toBeCloseTo(2.797, 3);
+    expect(studentTQuantile(0.95, 4)).toBeCloseTo(2.132, 3);
+  });
+
+  it('should approach the normal distribution for large samples', () => {
+    expect(studentTQuantile(0.975, 100000)).toBeCloseTo(1.96, 2);
+  });
+
+  it('should be negative below the median', () => {
+    expect(studentTQuantile(0.025, 9)).toBeCloseTo(-2.262, 3);
+  });
+
+  it('should reject probabilities outside (0, 1)', () => {
+    expect(studentTQuantile(0, 5)).toBeNaN();
+    expect(studentTQuantile(1, 5)).toBeNaN();
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * SURVEY RESPONSE TRANSFORMATION
+ *
+ * Pure functions that turn raw Weekly-Chemistry rows into response objects.
+ * Shared by the frontend (services/dataService.js) and the backend
+ * (api/_lib/), so both compute scores from exactly the same rules.
+ *
+ * MISSING ANSWERS:
+ * An empty, non-numeric or off-scale rating cell is missing, never 0: the
+ * dimension's score is null and calculations skip it, so each dimension is
+ * averaged over its valid answers (valid-n). A row without a single valid
+ * rating is not a response and is left out. imputeMissingScores() can fill
+ * the gaps under the team's imputation policy; buildDataQualityReport()
+ * lists every rejected row and cell and why.
+ */
+
+import {
+  assertValidSurveySchema,
+  assertSchemaMatchesHeaders,
+  getTimestampColumn,
+  getDimensionColumns,
+  getDimensionNames,
+  getOpenTextColumns,
+  getPositionGroupColumn,
+  scaleToPercent
+} from './surveySchema.js';
+import { parseSurveyTimestamp } from './surveyWeeks.js';
+import { assessResponseQuality } from './responseQuality.js';
+
+// Why a rating cell was not used
+export const CELL_ISSUES = {
+  MISSING: 'missing', // Empty - the question was skipped
+  NOT_A_NUMBER: 'not-a-number',
+  OUT_OF_RANGE: 'out-of-range'
+};
+
+// Why a whole row was left out
+export const ROW_ISSUES = {
+  NO_VALID_ANSWERS: 'no-valid-answers',
+  UNREADABLE_TIMESTAMP: 'unreadable-timestamp'
+};
+
+/**
+ * How missing dimension scores are handled (team setting `imputationPolicy`):
+ * - exclude:     Left out; each average uses only the valid answers
+ * - person-mean: Filled with the mean of the same response's answered dimensions
+ * - item-mean:   Filled with the mean of the dimension's valid answers in the group
+ *                (the survey week, see api/_lib/history.js)
+ */
+export const IMPUTATION_POLICIES = ['exclude', 'person-mean', 'item-mean'];
+export const DEFAULT_IMPUTATION_POLICY = 'exclude';
+
+const isScore = (value) => typeof value === 'number' && !isNaN(value);
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Read one rating cell on the 0-100 scale
+ * @private
+ * @returns {{ score: number|null, issue: string|null }} issue is one of CELL_ISSUES when score is null
+ */
+function readRatingCell(value, column) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { score: null, issue: CELL_ISSUES.MISSING };
+  }
+  if (isNaN(parseFloat(value))) {
+    return { score: null, issue: CELL_ISSUES.NOT_A_NUMBER };
+  }
+
+  const score = scaleToPercent(value, column);
+  return score === null ? { score: null, issue: CELL_ISSUES.OUT_OF_RANGE } : { score, issue: null };
+}
+
+/**
+ * Dimension scores of one row: the mean of each dimension's valid items, null when none
+ * @private
+ */
+function scoreRow(row, dimensionNames, dimensionColumns) {
+  const cells = dimensionColumns.map(column => ({ column, ...readRatingCell(row[column.index], column) }));
+
+  const scores = dimensionNames.map(dimension => {
+    const values = cells
+      .filter(cell => cell.column.dimension === dimension && cell.score !== null)
+      .map(cell => cell.score);
+
+    return values.length > 0 ? mean(values) : null;
+  });
+
+  return { cells, scores };
+}
+
+/**
+ * Transforms raw sheet data into structured player data
+ *
+ * The column layout comes from the survey schema (see utils/surveySchema.js
+ * and config/survey-schema.json). The schema is checked against the header
+ * row first, so a changed form fails loudly instead of shifting scores.
+ *
+ * EXPECTED SHEET FORMAT:
+ * Row 1: Headers (as declared by the schema)
+ * Row 2+: One form response per row
+ *
+ * A dimension nobody answered validly in a row scores null (missing), and
+ * rows without any valid rating are dropped (see buildDataQualityReport()).
+ * Every response carries its sheet `row` number, its careless-response
+ * `quality` assessment (see utils/responseQuality.js) and its `positionGroup`
+ * (null when the schema has no position-group column or the cell is blank).
+ *
+ * @param {Array} rawData - 2D array from Google Sheets
+ * @param {Object} schema - Survey schema
+ * @returns {Array<Object>} Structured player objects; `scores` holds null for a missing dimension
+ * @throws {Error} code SURVEY_SCHEMA_MISMATCH if the schema is invalid or does not match the headers
+ *
+ * TO MODIFY:
+ * - Edit config/survey-schema.json when the form changes
+ * - The output format should remain consistent for components to work
+ */
+export function transformData(rawData, schema) {
+  assertValidSurveySchema(schema);
+
+  if (!rawData || rawData.length < 2) {
+    console.warn('Insufficient data to transform');
+    return [];
+  }
+
+  // First row contains headers
+  const headers = rawData[0];
+  const playerRows = rawData.slice(1);
+
+  assertSchemaMatchesHeaders(schema, headers);
+
+  const timestampColumn = getTimestampColumn(schema);
+  const dimensionColumns = getDimensionColumns(schema);
+  const openTextColumns = getOpenTextColumns(schema);
+  const positionGroupColumn = getPositionGroupColumn(schema);
+
+  // Dimension names for the FINDINGS section (cleaner than full question text)
+  const questions = getDimensionNames(schema);
+
+  return playerRows.flatMap((row, index) => {
+    // Each dimension is the mean of its valid items on the 0-100 scale
+    const { scores } = scoreRow(row, questions, dimensionColumns);
+
+    // Blank or unreadable row: nothing to score
+    if (scores.every(score => score === null)) {
+      return [];
+    }
+
+    // Use "Response #" instead of player name since we have timestamps, not player IDs
+    const playerName = `Response ${index + 1}`;
+    const timestamp = row[timestampColumn.index] || '';
+
+    // Create question-score pairs
+    const responses = questions.map((question, idx) => ({
+      question,
+      score: scores[idx]
+    }));
+
+    // Capture open-ended text answers for AI analysis
+    const openText = openTextColumns.map(column => ({
+      key: column.key,
+      label: column.label,
+      answer: String(row[column.index] ?? '')
+    }));
+
+    return [{
+      id: `response-${index}`,
+      name: playerName,
+      row: index + 2, // Sheet row number (header is row 1)
+      timestamp,
+      scores,
+      responses,
+      questions,
+      openText,
+      positionGroup: positionGroupColumn ? String(row[positionGroupColumn.index] ?? '').trim() || null : null,
+      quality: assessResponseQuality(row, schema)
+    }];
+  });
+}
+
+/**
+ * Fill missing dimension scores under an imputation policy
+ *
+ * Filled scores are flagged in `imputed` (one boolean per dimension), so
+ * valid-n counts stay honest. A gap with nothing to fill it from (item-mean
+ * for a dimension nobody in the group answered) stays null.
+ *
+ * @param {Array<Object>} responses - Output of transformData(), e.g. one survey week's responses
+ * @param {string} policy - One of IMPUTATION_POLICIES; anything else leaves the gaps alone
+ * @returns {Array<Object>} Responses with filled `scores` / `responses` and `imputed` flags
+ */
+export function imputeMissingScores(responses, policy = DEFAULT_IMPUTATION_POLICY) {
+  if (!responses || (policy !== 'person-mean' && policy !== 'item-mean')) {
+    return responses || [];
+  }
+
+  // Mean of every dimension's valid answers across the group
+  const itemMeans = {};
+  if (policy === 'item-mean') {
+    const answers = {};
+    responses.forEach(response => {
+      (response.questions || []).forEach((name, index) => {
+        if (!isScore(response.scores?.[index])) return;
+        answers[name] = [...(answers[name] || []), response.scores[index]];
+      });
+    });
+    Object.entries(answers).forEach(([name, values]) => { itemMeans[name] = mean(values); });
+  }
+
+  return responses.map(response => {
+    const scores = response.scores || [];
+    if (scores.every(isScore)) {
+      return response;
+    }
+
+    const answered = scores.filter(isScore);
+    const personMean = answered.length > 0 ? mean(answered) : null;
+    const filled = scores.map((score, index) => {
+      if (isScore(score)) return score;
+      return policy === 'person-mean' ? personMean : (itemMeans[response.questions[index]] ?? null);
+    });
+
+    return {
+      ...response,
+      scores: filled,
+      responses: response.questions.map((question, index) => ({ question, score: filled[index] })),
+      imputed: scores.map((score, index) => !isScore(score) && filled[index] !== null)
+    };
+  });
+}
+
+/**
+ * Data-quality report of the raw sheet rows
+ *
+ * Rows are numbered as in the sheet (the header is row 1), columns from 1.
+ * A rejected row is left out of every score; a rejected cell only leaves its
+ * dimension missing for that response. Skipped (empty) cells are counted
+ * per dimension but not listed.
+ *
+ * @param {Array<Array>} rawData - Weekly-Chemistry values including the header row
+ * @param {Object} schema - Survey schema
+ * @param {Object} options
+ * @param {string} options.timeZone - Survey timezone used to read the timestamps
+ * @returns {Object} { rowCount, acceptedCount,
+ *                     rejectedRows: [{ row, timestamp, reason }],
+ *                     rejectedCells: [{ row, column, header, dimension, value, reason }],
+ *                     dimensions: [{ name, validCount, missingCount, rejectedCellCount }] }
+ * @throws {Error} code SURVEY_SCHEMA_MISMATCH if the schema is invalid or does not match the headers
+ */
+export function buildDataQualityReport(rawData, schema, { timeZone = 'UTC' } = {}) {
+  assertValidSurveySchema(schema);
+
+  const headers = rawData?.[0] || [];
+  const rows = (rawData || []).slice(1);
+  if (rawData && rawData.length > 0) {
+    assertSchemaMatchesHeaders(schema, headers);
+  }
+
+  const timestampColumn = getTimestampColumn(schema);
+  const dimensionColumns = getDimensionColumns(schema);
+  const dimensionNames = getDimensionNames(schema);
+
+  const rejectedRows = [];
+  const rejectedCells = [];
+  const counts = Object.fromEntries(dimensionNames.map(name => [name, { validCount: 0, missingCount: 0, rejectedCellCount: 0 }]));
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const timestamp = row[timestampColumn.index] ?? '';
+    const { cells, scores } = scoreRow(row, dimensionNames, dimensionColumns);
+
+    cells
+      .filter(cell => cell.issue && cell.issue !== CELL_ISSUES.MISSING)
+      .forEach(cell => {
+        rejectedCells.push({
+          row: rowNumber,
+          column: cell.column.index + 1,
+          header: String(headers[cell.column.index] ?? ''),
+          dimension: cell.column.dimension,
+          value: String(row[cell.column.index]),
+          reason: cell.issue
+        });
+        counts[cell.column.dimension].rejectedCellCount++;
+      });
+
+    const reason = scores.every(score => score === null)
+      ? ROW_ISSUES.NO_VALID_ANSWERS
+      : (parseSurveyTimestamp(timestamp, timeZone) ? null : ROW_ISSUES.UNREADABLE_TIMESTAMP);
+
+    if (reason) {
+      rejectedRows.push({ row: rowNumber, timestamp: String(timestamp), reason });
+      return;
+    }
+
+    dimensionNames.forEach((name, dimensionIndex) => {
+      if (scores[dimensionIndex] === null) {
+        counts[name].missingCount++;
+      } else {
+        counts[name].validCount++;
+      }
+    });
+  });
+
+  return {
+    rowCount: rows.length,
+    acceptedCount: rows.length - rejectedRows.length,
+    rejectedRows,
+    rejectedCells,
+    dimensions: dimensionNames.map(name => ({ name, ...counts[name] }))
+  };
+}
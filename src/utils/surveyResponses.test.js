@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for Survey Response Transformation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { transformData, imputeMissingScores, buildDataQualityReport } from './surveyResponses';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'open-text', key: 'weekReflection', label: 'How do you feel the week went?' },
+    { index: 2, role: 'dimension', header: 'Q2', dimension: 'Trust' },
+    { index: 3, role: 'dimension', header: 'Q3', dimension: 'Trust', reverseCoded: true },
+    { index: 4, role: 'dimension', header: 'Q4', dimension: 'Energy' },
+    { index: 5, role: 'ignore' },
+  ],
+};
+
+const rawData = [
+  ['Timestamp', 'How do you feel the week went?', 'Q2', 'Q3', 'Q4', 'Email'],
+  ['10/14/2025 18:32:10', 'Good week', '7', '1', '4', 'a@example.com'],
+];
+
+describe('transformData', () => {
+  it('should build dimension scores from the schema', () => {
+    const [response] = transformData(rawData, schema);
+
+    expect(response.questions).toEqual(['Trust', 'Energy']);
+    // Trust: 7 -> 100 and reverse-coded 1 -> 100
+    expect(response.scores).toEqual([100, 50]);
+    expect(response.timestamp).toBe('10/14/2025 18:32:10');
+  });
+
+  it('should capture open-text answers with their schema labels', () => {
+    const [response] = transformData(rawData, schema);
+
+    expect(response.openText).toEqual([
+      { key: 'weekReflection', label: 'How do you feel the week went?', answer: 'Good week' },
+    ]);
+  });
+
+  it('should fail loudly when the header row does not match', () => {
+    const moved = [['Submitted', ...rawData[0].slice(1)], rawData[1]];
+    expect(() => transformData(moved, schema)).toThrow(/does not match the sheet header row/);
+  });
+
+  it('should reject a missing schema', () => {
+    expect(() => transformData(rawData)).toThrow(/Invalid survey schema/);
+  });
+});
+
+describe('missing answers', () => {
+  const rows = [
+    rawData[0],
+    ['10/14/2025 18:32:10', '', '7', '', '', ''],
+    ['10/14/2025 19:00:00', '', 'abc', '', '9', ''],
+    ['10/15/2025 08:00:00', '', '4', '4', '1', ''],
+    ['not a date', '', '1', '7', '7', ''],
+  ];
+
+  it('should keep a skipped dimension missing instead of scoring it 0', () => {
+    const [response] = transformData(rows, schema);
+
+    // Trust from its one answered item, Energy skipped
+    expect(response.scores).toEqual([100, null]);
+  });
+
+  it('should drop rows without a single valid rating', () => {
+    const responses = transformData(rows, schema);
+
+    expect(responses.map(response => response.id)).toEqual(['response-0', 'response-2', 'response-3']);
+  });
+
+  it('should fill gaps with the respondent mean or the dimension mean', () => {
+    const responses = transformData(rows, schema).slice(0, 2);
+
+    const personMean = imputeMissingScores(responses, 'person-mean');
+    expect(personMean[0].scores).toEqual([100, 100]);
+    expect(personMean[0].imputed).toEqual([false, true]);
+    expect(personMean[1]).toBe(responses[1]);
+
+    const itemMean = imputeMissingScores(responses, 'item-mean');
+    expect(itemMean[0].scores).toEqual([100, 0]);
+    expect(itemMean[0].responses[1]).toEqual({ question: 'Energy', score: 0 });
+
+    expect(imputeMissingScores(responses, 'exclude')).toBe(responses);
+  });
+
+  it('should report rejected rows and cells with the reason and valid-n', () => {
+    const report = buildDataQualityReport(rows, schema);
+
+    expect(report.rowCount).toBe(4);
+    expect(report.acceptedCount).toBe(2);
+    expect(report.rejectedRows).toEqual([
+      { row: 3, timestamp: '10/14/2025 19:00:00', reason: 'no-valid-answers' },
+      { row: 5, timestamp: 'not a date', reason: 'unreadable-timestamp' },
+    ]);
+    expect(report.rejectedCells).toEqual([
+      { row: 3, column: 3, header: 'Q2', dimension: 'Trust', value: 'abc', reason: 'not-a-number' },
+      { row: 3, column: 5, header: 'Q4', dimension: 'Energy', value: '9', reason: 'out-of-range' },
+    ]);
+    expect(report.dimensions).toEqual([
+      { name: 'Trust', validCount: 2, missingCount: 0, rejectedCellCount: 1 },
+      { name: 'Energy', validCount: 1, missingCount: 1, rejectedCellCount: 1 },
+    ]);
+  });
+});
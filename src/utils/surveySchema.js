@@ -0,0 +1,317 @@
+/**
+ * SURVEY SCHEMA
+ *
+ * Pure helpers for the survey-schema definition (config/survey-schema.json,
+ * served by GET /api/schema). The schema declares what every Weekly-Chemistry
+ * column is, so the transform, calculations and AI prompts no longer depend on
+ * hard-coded column positions, dimension names or rating scales.
+ *
+ * SCHEMA FORMAT:
+ * {
+ *   "version": 1,
+ *   "defaultScale": { "min": 1, "max": 7 },
+ *   "columns": [
+ *     { "index": 0, "role": "timestamp", "header": "Timestamp" },
+ *     { "index": 1, "role": "open-text", "key": "weekReflection", "label": "How do you feel the week went?" },
+ *     { "index": 2, "role": "dimension", "header": "Q2", "dimension": "Trust", "scale": { "min": 1, "max": 7 }, "reverseCoded": false },
+ *     { "index": 3, "role": "duration", "header": "Duration (in seconds)" },
+ *     { "index": 4, "role": "position-group", "header": "Position" },
+ *     { "index": 5, "role": "ignore" }
+ *   ]
+ * }
+ *
+ * COLUMN ROLES:
+ * - timestamp: Form submission time (exactly one)
+ * - dimension: Numeric rating; several columns may share a dimension name,
+ *              their 0-100 values are averaged into that dimension
+ * - open-text: Free-text answer passed to the AI analysis
+ * - duration:  Completion time in seconds, when the form provides it (at most
+ *              one); used to spot speeders (see utils/responseQuality.js)
+ * - position-group: The respondent's position group (e.g. "Forwards"), when
+ *              the form asks (at most one); used for participation by group
+ *              against the team roster (see utils/seasonHistory.js)
+ * - ignore:    Present in the sheet but not used
+ *
+ * `header` is required on dimension columns and optional on the others. The
+ * sheet's header cell must contain that text (case-insensitive), so a
+ * reordered form is caught at load time instead of silently shifting scores
+ * between dimensions.
+ */
+
+export const SURVEY_COLUMN_ROLES = ['timestamp', 'dimension', 'open-text', 'duration', 'position-group', 'ignore'];
+
+// Error code attached to schema/header mismatches so callers can surface them clearly
+export const SCHEMA_MISMATCH_CODE = 'SURVEY_SCHEMA_MISMATCH';
+
+/**
+ * Check that a scale definition is usable
+ * @private
+ */
+function isValidScale(scale) {
+  return Boolean(scale) &&
+    Number.isFinite(scale.min) &&
+    Number.isFinite(scale.max) &&
+    scale.min < scale.max;
+}
+
+/**
+ * Normalize header text for comparison
+ * @private
+ */
+function normalizeHeader(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build an Error carrying the mismatch code and the individual problems
+ * @private
+ */
+function createSchemaError(message, details) {
+  const error = new Error(`${message}: ${details.join('; ')}`);
+  error.code = SCHEMA_MISMATCH_CODE;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Validate the structure of a survey schema
+ *
+ * @param {Object} schema - Parsed survey schema
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateSurveySchema(schema) {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.columns) || schema.columns.length === 0) {
+    return { valid: false, errors: ['Schema must define a non-empty "columns" array'] };
+  }
+
+  if (schema.defaultScale !== undefined && !isValidScale(schema.defaultScale)) {
+    errors.push('"defaultScale" must have numeric min < max');
+  }
+
+  const seenIndexes = new Set();
+  const seenKeys = new Set();
+
+  schema.columns.forEach((column, position) => {
+    const label = `Column entry ${position + 1}`;
+
+    if (!Number.isInteger(column?.index) || column.index < 0) {
+      errors.push(`${label} needs a non-negative integer "index"`);
+      return;
+    }
+    if (seenIndexes.has(column.index)) {
+      errors.push(`Column ${column.index} is declared more than once`);
+    }
+    seenIndexes.add(column.index);
+
+    if (!SURVEY_COLUMN_ROLES.includes(column.role)) {
+      errors.push(`Column ${column.index} has unknown role "${column.role}" (expected ${SURVEY_COLUMN_ROLES.join(', ')})`);
+      return;
+    }
+
+    if (column.header !== undefined && (typeof column.header !== 'string' || column.header.trim() === '')) {
+      errors.push(`Column ${column.index} "header" must be non-empty text`);
+    }
+
+    if (column.role === 'dimension') {
+      if (column.header === undefined) {
+        errors.push(`Column ${column.index} needs a "header" (text its sheet header cell contains)`);
+      }
+      if (typeof column.dimension !== 'string' || column.dimension.trim() === '') {
+        errors.push(`Column ${column.index} needs a "dimension" name`);
+      }
+      if (!isValidScale(column.scale || schema.defaultScale)) {
+        errors.push(`Column ${column.index} needs a scale with numeric min < max (or a "defaultScale")`);
+      }
+      if (column.reverseCoded !== undefined && typeof column.reverseCoded !== 'boolean') {
+        errors.push(`Column ${column.index} "reverseCoded" must be true or false`);
+      }
+    }
+
+    if (column.role === 'open-text') {
+      if (typeof column.key !== 'string' || column.key.trim() === '') {
+        errors.push(`Column ${column.index} needs a "key"`);
+      } else if (seenKeys.has(column.key)) {
+        errors.push(`Open-text key "${column.key}" is used more than once`);
+      } else {
+        seenKeys.add(column.key);
+      }
+    }
+  });
+
+  const timestampCount = schema.columns.filter(column => column?.role === 'timestamp').length;
+  if (timestampCount !== 1) {
+    errors.push(`Schema must have exactly one timestamp column (found ${timestampCount})`);
+  }
+
+  ['duration', 'position-group'].forEach(role => {
+    const count = schema.columns.filter(column => column?.role === role).length;
+    if (count > 1) {
+      errors.push(`Schema can have at most one ${role} column (found ${count})`);
+    }
+  });
+
+  if (!schema.columns.some(column => column?.role === 'dimension')) {
+    errors.push('Schema must have at least one dimension column');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Throw if the schema structure is invalid
+ *
+ * @param {Object} schema - Parsed survey schema
+ * @returns {Object} The same schema, for chaining
+ */
+export function assertValidSurveySchema(schema) {
+  const { valid, errors } = validateSurveySchema(schema);
+  if (!valid) {
+    throw createSchemaError('Invalid survey schema', errors);
+  }
+  return schema;
+}
+
+/**
+ * Get the timestamp column
+ * @param {Object} schema - Valid survey schema
+ * @returns {Object} Column definition
+ */
+export function getTimestampColumn(schema) {
+  return schema.columns.find(column => column.role === 'timestamp');
+}
+
+/**
+ * Get the completion-time column
+ * @param {Object} schema - Valid survey schema
+ * @returns {Object|null} Column definition, or null when the form does not record durations
+ */
+export function getDurationColumn(schema) {
+  return schema.columns.find(column => column.role === 'duration') || null;
+}
+
+/**
+ * Get the position-group column
+ * @param {Object} schema - Valid survey schema
+ * @returns {Object|null} Column definition, or null when the form does not ask for a position
+ */
+export function getPositionGroupColumn(schema) {
+  return schema.columns.find(column => column.role === 'position-group') || null;
+}
+
+/**
+ * Get the dimension columns with their scale and reverse coding resolved
+ * @param {Object} schema - Valid survey schema
+ * @returns {Array<Object>} [{ index, dimension, header, scale: { min, max }, reverseCoded }]
+ */
+export function getDimensionColumns(schema) {
+  return schema.columns
+    .filter(column => column.role === 'dimension')
+    .map(column => ({
+      ...column,
+      scale: column.scale || schema.defaultScale,
+      reverseCoded: column.reverseCoded === true
+    }));
+}
+
+/**
+ * Get the distinct dimension names in schema order
+ * @param {Object} schema - Valid survey schema
+ * @returns {Array<string>} Dimension names
+ */
+export function getDimensionNames(schema) {
+  return [...new Set(getDimensionColumns(schema).map(column => column.dimension))];
+}
+
+/**
+ * Get the open-text columns
+ * @param {Object} schema - Valid survey schema
+ * @returns {Array<Object>} [{ index, key, label }]
+ */
+export function getOpenTextColumns(schema) {
+  return schema.columns
+    .filter(column => column.role === 'open-text')
+    .map(column => ({
+      ...column,
+      label: column.label || column.header || column.key
+    }));
+}
+
+/**
+ * Convert a raw rating into the 0-100 dashboard scale
+ *
+ * Formula: (value - min) / (max - min) * 100, flipped for reverse-coded items
+ * Example on a 1-7 scale: 1 → 0, 4 → 50, 7 → 100
+ *
+ * @param {*} value - Raw cell value
+ * @param {Object} column - Dimension column from getDimensionColumns()
+ * @returns {number|null} 0-100 score, or null if the value is missing or off-scale
+ */
+export function scaleToPercent(value, column) {
+  const parsed = parseFloat(value);
+  const { min, max } = column.scale;
+
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    return null;
+  }
+
+  const percent = ((parsed - min) / (max - min)) * 100;
+  return column.reverseCoded ? 100 - percent : percent;
+}
+
+/**
+ * Compare the schema with the sheet's header row
+ *
+ * Errors: a declared column is missing from the sheet, or its header cell
+ * does not contain the schema's `header` text.
+ * Warnings: the sheet has named columns the schema does not mention.
+ *
+ * @param {Object} schema - Valid survey schema
+ * @param {Array} headerRow - First row of the sheet
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+export function validateSchemaAgainstHeaders(schema, headerRow) {
+  const headers = Array.isArray(headerRow) ? headerRow : [];
+  const errors = [];
+  const warnings = [];
+
+  schema.columns.forEach(column => {
+    const actual = headers[column.index];
+    const name = column.header || column.label || column.dimension || column.key || column.role;
+
+    if (actual === undefined || normalizeHeader(actual) === '') {
+      errors.push(`Column ${column.index} ("${name}") is missing from the sheet`);
+      return;
+    }
+
+    if (column.header && !normalizeHeader(actual).includes(normalizeHeader(column.header))) {
+      errors.push(`Column ${column.index} should be "${column.header}" but the sheet has "${actual}"`);
+    }
+  });
+
+  const declared = new Set(schema.columns.map(column => column.index));
+  headers.forEach((header, index) => {
+    if (!declared.has(index) && normalizeHeader(header) !== '') {
+      warnings.push(`Sheet column ${index} ("${header}") is not in the survey schema and will be ignored`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Throw if the sheet header row does not match the schema; log warnings
+ *
+ * @param {Object} schema - Valid survey schema
+ * @param {Array} headerRow - First row of the sheet
+ */
+export function assertSchemaMatchesHeaders(schema, headerRow) {
+  const { valid, errors, warnings } = validateSchemaAgainstHeaders(schema, headerRow);
+
+  warnings.forEach(warning => console.warn('⚠️ Survey schema:', warning));
+
+  if (!valid) {
+    throw createSchemaError('Survey schema does not match the sheet header row', errors);
+  }
+}
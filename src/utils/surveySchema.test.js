@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for the Survey Schema
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateSurveySchema,
+  validateSchemaAgainstHeaders,
+  assertSchemaMatchesHeaders,
+  getDimensionNames,
+  getDimensionColumns,
+  getPositionGroupColumn,
+  scaleToPercent,
+  SCHEMA_MISMATCH_CODE,
+} from './surveySchema';
+
+const schema = {
+  version: 1,
+  defaultScale: { min: 1, max: 7 },
+  columns: [
+    { index: 0, role: 'timestamp', header: 'Timestamp' },
+    { index: 1, role: 'open-text', key: 'weekReflection', label: 'How do you feel the week went?' },
+    { index: 2, role: 'dimension', header: 'trust my teammates', dimension: 'Trust' },
+    { index: 3, role: 'dimension', header: 'hold back', dimension: 'Trust', reverseCoded: true },
+    { index: 4, role: 'dimension', dimension: 'Role Clarity', scale: { min: 1, max: 5 }, header: 'Role clarity' },
+  ],
+};
+
+const headers = ['Timestamp', 'How do you feel the week went?', 'I trust my teammates', 'I hold back with teammates', 'Role clarity (1-5)'];
+
+describe('validateSurveySchema', () => {
+  it('should accept a well-formed schema', () => {
+    expect(validateSurveySchema(schema)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should reject unknown roles, duplicate indexes and missing dimension names', () => {
+    const { valid, errors } = validateSurveySchema({
+      defaultScale: { min: 1, max: 7 },
+      columns: [
+        { index: 0, role: 'timestamp' },
+        { index: 1, role: 'rating' },
+        { index: 1, role: 'dimension', header: 'Q1' },
+      ],
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should require a scale for every dimension column', () => {
+    const { valid } = validateSurveySchema({
+      columns: [
+        { index: 0, role: 'timestamp' },
+        { index: 1, role: 'dimension', header: 'Q1', dimension: 'Trust' },
+      ],
+    });
+    expect(valid).toBe(false);
+  });
+
+  it('should require a header for every dimension column', () => {
+    const { valid, errors } = validateSurveySchema({
+      defaultScale: { min: 1, max: 7 },
+      columns: [
+        { index: 0, role: 'timestamp' },
+        { index: 1, role: 'dimension', dimension: 'Trust' },
+        { index: 2, role: 'dimension', dimension: 'Energy', header: ' ' },
+      ],
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'Column 1 needs a "header" (text its sheet header cell contains)',
+      'Column 2 "header" must be non-empty text',
+    ]);
+  });
+
+  it('should allow at most one duration column', () => {
+    const withDuration = { ...schema, columns: [...schema.columns, { index: 5, role: 'duration' }] };
+    expect(validateSurveySchema(withDuration).valid).toBe(true);
+
+    const { errors } = validateSurveySchema({ ...withDuration, columns: [...withDuration.columns, { index: 6, role: 'duration' }] });
+    expect(errors).toEqual(['Schema can have at most one duration column (found 2)']);
+  });
+
+  it('should allow at most one position-group column', () => {
+    const withGroup = { ...schema, columns: [...schema.columns, { index: 5, role: 'position-group' }] };
+    expect(validateSurveySchema(withGroup).valid).toBe(true);
+    expect(getPositionGroupColumn(withGroup).index).toBe(5);
+    expect(getPositionGroupColumn(schema)).toBeNull();
+
+    const { errors } = validateSurveySchema({ ...withGroup, columns: [...withGroup.columns, { index: 6, role: 'position-group' }] });
+    expect(errors).toEqual(['Schema can have at most one position-group column (found 2)']);
+  });
+});
+
+describe('getDimensionNames / getDimensionColumns', () => {
+  it('should list each dimension once, in schema order', () => {
+    expect(getDimensionNames(schema)).toEqual(['Trust', 'Role Clarity']);
+  });
+
+  it('should resolve the default scale and reverse coding', () => {
+    const columns = getDimensionColumns(schema);
+    expect(columns[0].scale).toEqual({ min: 1, max: 7 });
+    expect(columns[1].reverseCoded).toBe(true);
+    expect(columns[2].scale).toEqual({ min: 1, max: 5 });
+  });
+});
+
+describe('scaleToPercent', () => {
+  const column = { scale: { min: 1, max: 7 }, reverseCoded: false };
+
+  it('should map the scale onto 0-100', () => {
+    expect(scaleToPercent('1', column)).toBe(0);
+    expect(scaleToPercent('4', column)).toBe(50);
+    expect(scaleToPercent(7, column)).toBe(100);
+  });
+
+  it('should flip reverse-coded items', () => {
+    expect(scaleToPercent('2', { ...column, reverseCoded: true })).toBeCloseTo(83.33, 1);
+  });
+
+  it('should return null for missing or off-scale values', () => {
+    expect(scaleToPercent('', column)).toBeNull();
+    expect(scaleToPercent('8', column)).toBeNull();
+    expect(scaleToPercent('abc', column)).toBeNull();
+  });
+});
+
+describe('validateSchemaAgainstHeaders', () => {
+  it('should pass when every declared column exists and headers match', () => {
+    const result = validateSchemaAgainstHeaders(schema, headers);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('should report missing columns and header mismatches', () => {
+    const result = validateSchemaAgainstHeaders(schema, [...headers.slice(0, 4), 'Energy']);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('Column 4 should be "Role clarity"');
+
+    const short = validateSchemaAgainstHeaders(schema, headers.slice(0, 3));
+    expect(short.errors).toHaveLength(2);
+  });
+
+  it('should warn about sheet columns the schema does not mention', () => {
+    const result = validateSchemaAgainstHeaders(schema, [...headers, 'New question']);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(1);
+  });
+
+  it('should throw a coded error from assertSchemaMatchesHeaders', () => {
+    expect(() => assertSchemaMatchesHeaders(schema, ['Submitted at'])).toThrow(
+      expect.objectContaining({ code: SCHEMA_MISMATCH_CODE })
+    );
+  });
+});
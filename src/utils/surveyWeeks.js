@@ -0,0 +1,221 @@
+/**
+ * SURVEY WEEK BUCKETING
+ *
+ * Groups Weekly-Chemistry responses into survey periods using the
+ * Timestamp column, so "this week" means the responses submitted this week
+ * rather than every row in the sheet.
+ *
+ * TIMESTAMP FORMATS:
+ * - Google Forms: "10/14/2025 18:32:10" - already wall-clock time in the
+ *   spreadsheet's timezone, used as-is
+ * - ISO with offset: "2025-10-14T22:32:10Z" - converted into the survey timezone
+ * - ISO without offset: "2025-10-14 18:32:10" - treated as wall-clock time
+ *
+ * TO MODIFY:
+ * - Change SURVEY_WEEK_CONFIG in config/constants.js (week start day, timezone)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORMS_TIMESTAMP = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Whether a timezone name is usable with Intl.DateTimeFormat
+ *
+ * @param {string} timeZone - IANA timezone (e.g. 'America/Toronto')
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert an absolute instant into wall-clock parts in a timezone
+ * @private
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Parse a sheet timestamp into wall-clock parts in the survey timezone
+ *
+ * @param {string|number|Date} value - Timestamp cell value
+ * @param {string} timeZone - IANA timezone (e.g. 'America/Toronto')
+ * @returns {Object|null} { year, month, day, hour, minute, second } or null if unparsable
+ */
+export function parseSurveyTimestamp(value, timeZone = 'UTC') {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : getZonedParts(date, timeZone);
+  }
+
+  const text = String(value).trim();
+
+  const formsMatch = text.match(FORMS_TIMESTAMP);
+  if (formsMatch) {
+    const [, month, day, year, hour = '0', minute = '0', second = '0'] = formsMatch;
+    return {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: parseInt(hour, 10),
+      minute: parseInt(minute, 10),
+      second: parseInt(second, 10)
+    };
+  }
+
+  const isoMatch = text.match(ISO_TIMESTAMP);
+  if (isoMatch) {
+    const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = isoMatch;
+
+    // Absolute instant - shift into the survey timezone
+    if (offset) {
+      const date = new Date(text.replace(' ', 'T'));
+      return isNaN(date.getTime()) ? null : getZonedParts(date, timeZone);
+    }
+
+    return {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: parseInt(hour, 10),
+      minute: parseInt(minute, 10),
+      second: parseInt(second, 10)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Format a UTC-midnight epoch as YYYY-MM-DD
+ * @private
+ */
+function formatDateKey(epochMs) {
+  return new Date(epochMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the survey week a timestamp belongs to
+ *
+ * @param {string|number|Date} timestamp - Timestamp cell value
+ * @param {Object} options
+ * @param {number} options.weekStartDay - 0 = Sunday ... 6 = Saturday
+ * @param {string} options.timeZone - IANA timezone
+ * @returns {Object|null} { weekId, startDate, endDate } (dates as YYYY-MM-DD) or null
+ */
+export function getSurveyWeek(timestamp, { weekStartDay = 1, timeZone = 'UTC' } = {}) {
+  const parts = parseSurveyTimestamp(timestamp, timeZone);
+  if (!parts) {
+    return null;
+  }
+
+  // Work on the calendar date only, at UTC midnight, so DST never shifts a day
+  const dayEpoch = Date.UTC(parts.year, parts.month - 1, parts.day);
+  const dayOfWeek = new Date(dayEpoch).getUTCDay();
+  const daysSinceStart = (dayOfWeek - weekStartDay + 7) % 7;
+  const startEpoch = dayEpoch - daysSinceStart * DAY_MS;
+
+  const startDate = formatDateKey(startEpoch);
+
+  return {
+    weekId: startDate,
+    startDate,
+    endDate: formatDateKey(startEpoch + 6 * DAY_MS)
+  };
+}
+
+/**
+ * Group responses into keyed weekly snapshots
+ *
+ * @param {Array<Object>} responses - Transformed responses (must have a `timestamp`)
+ * @param {Object} options - { weekStartDay, timeZone }
+ * @returns {Object} { weeks: { [weekId]: { weekId, startDate, endDate, responseCount, responses } },
+ *                     weekIds: string[] (oldest first), latestWeekId: string|null, undatedCount: number }
+ */
+export function groupResponsesByWeek(responses, options = {}) {
+  const weeks = {};
+  let undatedCount = 0;
+
+  (responses || []).forEach(response => {
+    const week = getSurveyWeek(response.timestamp, options);
+
+    if (!week) {
+      undatedCount++;
+      return;
+    }
+
+    if (!weeks[week.weekId]) {
+      weeks[week.weekId] = { ...week, responseCount: 0, responses: [] };
+    }
+
+    weeks[week.weekId].responses.push({ ...response, weekId: week.weekId });
+    weeks[week.weekId].responseCount++;
+  });
+
+  if (undatedCount > 0) {
+    console.warn(`${undatedCount} response(s) skipped - Timestamp could not be parsed`);
+  }
+
+  const weekIds = Object.keys(weeks).sort();
+
+  return {
+    weeks,
+    weekIds,
+    latestWeekId: weekIds.length > 0 ? weekIds[weekIds.length - 1] : null,
+    undatedCount
+  };
+}
+
+/**
+ * Human-readable label for a week, e.g. "Oct 13 – Oct 19"
+ *
+ * @param {Object} week - { startDate, endDate } as YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatWeekLabel(week) {
+  if (!week?.startDate) return '';
+
+  const format = (dateKey) => new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  return `${format(week.startDate)} – ${format(week.endDate)}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for Survey Week Bucketing
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseSurveyTimestamp,
+  getSurveyWeek,
+  groupResponsesByWeek,
+  formatWeekLabel,
+  isValidTimeZone,
+} from './surveyWeeks';
+
+describe('parseSurveyTimestamp', () => {
+  it('should parse Google Forms timestamps as wall-clock time', () => {
+    const parts = parseSurveyTimestamp('10/14/2025 18:32:10', 'America/Toronto');
+    expect(parts).toEqual({ year: 2025, month: 10, day: 14, hour: 18, minute: 32, second: 10 });
+  });
+
+  it('should convert ISO timestamps with an offset into the survey timezone', () => {
+    // 02:00 UTC on the 14th is still the evening of the 13th in Toronto
+    const parts = parseSurveyTimestamp('2025-10-14T02:00:00Z', 'America/Toronto');
+    expect(parts.day).toBe(13);
+    expect(parts.hour).toBe(22);
+  });
+
+  it('should return null for unparsable values', () => {
+    expect(parseSurveyTimestamp('')).toBeNull();
+    expect(parseSurveyTimestamp('not a date')).toBeNull();
+    expect(parseSurveyTimestamp(null)).toBeNull();
+  });
+});
+
+describe('getSurveyWeek', () => {
+  it('should bucket into Monday-start weeks by default', () => {
+    // Tuesday 14 Oct 2025
+    const week = getSurveyWeek('10/14/2025 18:32:10');
+    expect(week).toEqual({ weekId: '2025-10-13', startDate: '2025-10-13', endDate: '2025-10-19' });
+  });
+
+  it('should respect a configurable week start day', () => {
+    const week = getSurveyWeek('10/14/2025 18:32:10', { weekStartDay: 0 });
+    expect(week.weekId).toBe('2025-10-12');
+  });
+
+  it('should keep the start day itself in its own week', () => {
+    expect(getSurveyWeek('10/13/2025 00:00:00').weekId).toBe('2025-10-13');
+    expect(getSurveyWeek('10/19/2025 23:59:59').weekId).toBe('2025-10-13');
+  });
+
+  it('should use the survey timezone for absolute timestamps', () => {
+    // Monday 02:00 UTC is Sunday evening in Toronto -> previous week
+    const week = getSurveyWeek('2025-10-13T02:00:00Z', { timeZone: 'America/Toronto' });
+    expect(week.weekId).toBe('2025-10-06');
+  });
+});
+
+describe('groupResponsesByWeek', () => {
+  const responses = [
+    { id: 'a', timestamp: '10/7/2025 10:00:00' },
+    { id: 'b', timestamp: '10/14/2025 10:00:00' },
+    { id: 'c', timestamp: '10/15/2025 10:00:00' },
+    { id: 'd', timestamp: '' },
+  ];
+
+  it('should return keyed weekly snapshots ordered oldest first', () => {
+    const result = groupResponsesByWeek(responses);
+
+    expect(result.weekIds).toEqual(['2025-10-06', '2025-10-13']);
+    expect(result.latestWeekId).toBe('2025-10-13');
+    expect(result.weeks['2025-10-13'].responseCount).toBe(2);
+    expect(result.weeks['2025-10-13'].responses.map(r => r.id)).toEqual(['b', 'c']);
+  });
+
+  it('should tag each response with its week and count undated rows', () => {
+    const result = groupResponsesByWeek(responses);
+
+    expect(result.weeks['2025-10-06'].responses[0].weekId).toBe('2025-10-06');
+    expect(result.undatedCount).toBe(1);
+  });
+
+  it('should handle empty input', () => {
+    const result = groupResponsesByWeek([]);
+    expect(result.weekIds).toEqual([]);
+    expect(result.latestWeekId).toBeNull();
+  });
+});
+
+describe('formatWeekLabel', () => {
+  it('should format the week range', () => {
+    expect(formatWeekLabel({ startDate: '2025-10-13', endDate: '2025-10-19' })).toBe('Oct 13 – Oct 19');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('should accept IANA timezones and reject anything else', () => {
+    expect(isValidTimeZone('America/Toronto')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('America/Atlantis')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});